@@ -0,0 +1,427 @@
+import http from 'http'
+import { randomUUID, createHash } from 'crypto'
+import { MemoryScoreStorage } from './ScoreStorage.js'
+import { ScoreValidator } from '../src/engine/ScoreValidator.js'
+import { SessionEnvelope } from '../src/utils/SessionEnvelope.js'
+import { DEFAULT_DIFFICULTY } from '../src/components/DifficultyManager.js'
+import { LeaderboardPeriod, DEFAULT_LEADERBOARD_TIME_ZONE } from '../src/utils/LeaderboardPeriod.js'
+import { PlayerRank } from '../src/utils/PlayerRank.js'
+import { GameMode, DEFAULT_GAME_MODE, DEFAULT_LEADERBOARD_CATEGORY } from '../src/engine/GameMode.js'
+
+/**
+ * MockLeaderboardServer - Local stand-in for the leaderboard backend
+ * Implements the same API as production so the game can be developed offline:
+ * - GET  {basePath}/leaderboard/top10?period=daily|weekly|all-time&timeZone=Europe/Madrid&category=timed|endless
+ * - GET  {basePath}/leaderboard/rank?score=12&period=daily&timeZone=UTC&category=endless&submissionId=...&neighbors=2
+ * - POST {basePath}/leaderboard/submit  { name, score, submissionId, session, breakdown }
+ *
+ * Submissions are checked with the shared ScoreValidator (signature, plausibility
+ * and headless re-simulation of the input log). Sessions without an input log are
+ * rejected: the signature only shows the session wasn't changed on the way, since the
+ * client's key is public, so only the re-simulation decides whether a score is accepted.
+ * Daily and weekly rankings roll over at midnight in the requested time zone;
+ * entries are never deleted, they just stop counting for the expired period.
+ * Each game mode ranks in its own category, taken from the validated session
+ * (sessions without a mode, and requests without a category, are timed).
+ *
+ * Usage example:
+ * const server = new MockLeaderboardServer({ port: 8787, storage: new FileScoreStorage('data/leaderboard.json') })
+ * await server.start()
+ */
+export class MockLeaderboardServer {
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? options.port : 8787
+    this.host = options.host || '127.0.0.1'
+    this.basePath = (options.basePath !== undefined ? options.basePath : '/api').replace(/\/+$/, '')
+    this.storage = options.storage || new MemoryScoreStorage()
+    this.requireSession = options.requireSession !== undefined ? options.requireSession : true
+    this.validator = options.validator || new ScoreValidator({
+      signingKey: options.signingKey || null,
+      requireReplay: true
+    })
+    this.topLimit = 10
+
+    this.server = null
+  }
+
+  /**
+   * Load storage and start listening
+   * @returns {Promise<string>} Base URL the game should use
+   */
+  async start() {
+    const loaded = await this.storage.load()
+
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch(error => {
+        console.error('Unhandled mock server error:', error)
+        this.sendJSON(response, 500, { error: 'Internal server error' })
+      })
+    })
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, this.host, resolve)
+    })
+
+    // Port 0 picks a free port; report the real one
+    this.port = this.server.address().port
+
+    const baseURL = this.getBaseURL()
+    console.log(`Mock leaderboard server listening on ${baseURL} (${loaded} stored scores)`)
+    return baseURL
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return
+
+    await new Promise(resolve => this.server.close(resolve))
+    this.server = null
+    console.log('Mock leaderboard server stopped')
+  }
+
+  /**
+   * Get the base URL to configure the game with (VITE_LEADERBOARD_API_URL)
+   * @returns {string} Base URL
+   */
+  getBaseURL() {
+    return `http://${this.host}:${this.port}${this.basePath}`
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  async handleRequest(request, response) {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`)
+    const route = url.pathname.startsWith(this.basePath) ? url.pathname.slice(this.basePath.length) : null
+
+    // CORS preflight (the game runs on a different port)
+    if (request.method === 'OPTIONS') {
+      this.sendJSON(response, 204, null)
+      return
+    }
+
+    if (route === '/leaderboard/top10' && (request.method === 'GET' || request.method === 'HEAD')) {
+      const { period, timeZone, category } = this.readPeriodParams(url)
+
+      if (!LeaderboardPeriod.isValidPeriod(period) || !LeaderboardPeriod.isValidTimeZone(timeZone)) {
+        this.sendJSON(response, 400, { error: 'Invalid period or time zone' })
+        return
+      }
+
+      if (!GameMode.isLeaderboardCategory(category)) {
+        this.sendJSON(response, 400, { error: 'Invalid category' })
+        return
+      }
+
+      const topScores = await this.getTopScores(period, timeZone, category)
+      this.sendJSON(response, 200, request.method === 'HEAD' ? null : topScores)
+      return
+    }
+
+    if (route === '/leaderboard/rank' && request.method === 'GET') {
+      await this.handleRank(url, response)
+      return
+    }
+
+    if (route === '/leaderboard/submit' && request.method === 'POST') {
+      await this.handleSubmit(request, response)
+      return
+    }
+
+    this.sendJSON(response, 404, { error: 'Not found' })
+  }
+
+  /**
+   * Report where a score places in a period's ranking
+   * @param {URL} url - Request URL (score, period, timeZone, category, submissionId, neighbors)
+   * @param {http.ServerResponse} response - Response
+   */
+  async handleRank(url, response) {
+    const { period, timeZone, category } = this.readPeriodParams(url)
+    const score = url.searchParams.has('score') ? Number(url.searchParams.get('score')) : NaN
+    const neighbors = url.searchParams.has('neighbors') ? Number(url.searchParams.get('neighbors')) : undefined
+
+    if (!LeaderboardPeriod.isValidPeriod(period) || !LeaderboardPeriod.isValidTimeZone(timeZone)) {
+      this.sendJSON(response, 400, { error: 'Invalid period or time zone' })
+      return
+    }
+
+    if (!GameMode.isLeaderboardCategory(category)) {
+      this.sendJSON(response, 400, { error: 'Invalid category' })
+      return
+    }
+
+    if (!Number.isInteger(score) || score < 0) {
+      this.sendJSON(response, 400, { error: 'Invalid score' })
+      return
+    }
+
+    const entries = await this.getPeriodEntries(period, timeZone, category)
+    const position = PlayerRank.compute(entries, score, {
+      // The player's own stored score must not push them down a place
+      excludeId: this.findEntryIdBySubmission(entries, url.searchParams.get('submissionId')),
+      neighbors
+    })
+
+    this.sendJSON(response, 200, {
+      ...position,
+      above: position.above.map(entry => ({ ...this.toPublicEntry(entry), rank: entry.rank })),
+      below: position.below.map(entry => ({ ...this.toPublicEntry(entry), rank: entry.rank }))
+    })
+  }
+
+  /**
+   * Find the stored entry of a client submission
+   * @param {Array} entries - Stored entries
+   * @param {string|null} submissionId - Client submission (or session) ID
+   * @returns {string|null} Entry ID
+   */
+  findEntryIdBySubmission(entries, submissionId) {
+    if (!submissionId) return null
+
+    const entry = entries.find(stored => stored.submissionId === submissionId || stored.sessionId === submissionId)
+    return entry ? entry.id : null
+  }
+
+  /**
+   * Read the period and category query parameters
+   * @param {URL} url - Request URL
+   * @returns {Object} { period, timeZone, category }
+   */
+  readPeriodParams(url) {
+    return {
+      period: url.searchParams.get('period') || 'all-time',
+      timeZone: url.searchParams.get('timeZone') || DEFAULT_LEADERBOARD_TIME_ZONE,
+      category: url.searchParams.get('category') || DEFAULT_LEADERBOARD_CATEGORY
+    }
+  }
+
+  /**
+   * Validate and store a score submission
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  async handleSubmit(request, response) {
+    let body
+
+    try {
+      body = JSON.parse(await this.readBody(request))
+    } catch (error) {
+      if (error.status === 413) {
+        // The rest of the body is never read, so close the connection once the response is out
+        response.once('finish', () => request.destroy())
+        this.sendJSON(response, 413, { error: 'Request body too large' }, { Connection: 'close' })
+        return
+      }
+
+      this.sendJSON(response, 400, { error: 'Invalid JSON body' })
+      return
+    }
+
+    const inputError = this.checkSubmissionShape(body)
+    if (inputError) {
+      this.sendJSON(response, 400, { error: inputError })
+      return
+    }
+
+    if (body.session || this.requireSession) {
+      const result = await this.validator.validate(body)
+      if (!result.valid) {
+        console.warn(`Rejected score ${body.score} from ${body.name}: ${result.reason}`)
+        this.sendJSON(response, 422, { error: 'Score rejected', reason: result.reason })
+        return
+      }
+    }
+
+    // The same run (or client submission) can only be stored once, so offline retries are safe.
+    // Runs are told apart by their replay: the session ID is picked by the client, and anyone
+    // can re-sign a copied replay under a new one. The storage checks and inserts in one step,
+    // so two copies in flight at once (a background retry racing the player's own) store one entry
+    const sessionId = body.session ? body.session.payload.sessionId : null
+    const submissionId = typeof body.submissionId === 'string' ? body.submissionId : null
+    const replayHash = body.session ? this.getReplayHash(body.session.payload) : null
+    const { entry, duplicate } = await this.storage.addUniqueEntry({
+      id: randomUUID(),
+      name: body.name.trim(),
+      score: body.score,
+      category: GameMode.getSessionCategory(body.session ? body.session.payload : null),
+      sessionId: sessionId,
+      submissionId: submissionId,
+      replayHash: replayHash,
+      breakdown: body.session ? this.readBreakdown(body.session.payload) : null,
+      createdAt: new Date().toISOString()
+    }, ['replayHash', 'sessionId', 'submissionId'])
+
+    const topScores = await this.getTopScores('all-time', DEFAULT_LEADERBOARD_TIME_ZONE, entry.category || DEFAULT_LEADERBOARD_CATEGORY)
+    const rank = topScores.findIndex(score => score.id === entry.id)
+
+    console.log(`${duplicate ? 'Duplicate' : 'Stored'} score ${entry.score} for ${entry.name}`)
+    this.sendJSON(response, duplicate ? 200 : 201, {
+      success: true,
+      duplicate: duplicate,
+      entry: this.toPublicEntry(entry),
+      rank: rank >= 0 ? rank + 1 : null
+    })
+  }
+
+  /**
+   * Hash what a run is made of: its seed, mode, difficulty and input log
+   * Two sessions with the same hash play out exactly the same, whatever their session ID
+   * @param {Object} session - Session payload
+   * @returns {string|null} Hex SHA-256 hash, or null for sessions without an input log
+   */
+  getReplayHash(session) {
+    if (!session || !session.replay) return null
+
+    const run = {
+      seed: session.replay.seed,
+      mode: session.mode || DEFAULT_GAME_MODE,
+      difficulty: session.difficulty || DEFAULT_DIFFICULTY,
+      inputs: session.replay.inputs
+    }
+
+    return createHash('sha256').update(SessionEnvelope.canonicalize(run)).digest('hex')
+  }
+
+  /**
+   * Check the submission fields (same rules as the client)
+   * @param {Object} body - Parsed request body
+   * @returns {string|null} Error message or null if valid
+   */
+  checkSubmissionShape(body) {
+    if (!body || typeof body.name !== 'string' || !/^[a-zA-Z0-9\s]{1,20}$/.test(body.name)) {
+      return 'Invalid name'
+    }
+
+    if (!Number.isInteger(body.score) || body.score < 0) {
+      return 'Invalid score'
+    }
+
+    return null
+  }
+
+  /**
+   * Get the top scores, best first (ties go to the earlier submission)
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   * @param {string} timeZone - IANA time zone for the period boundaries
+   * @param {string} category - Leaderboard category ('timed', 'endless')
+   * @returns {Promise<Array>} Top scores
+   */
+  async getTopScores(period = 'all-time', timeZone = DEFAULT_LEADERBOARD_TIME_ZONE, category = DEFAULT_LEADERBOARD_CATEGORY) {
+    const entries = await this.getPeriodEntries(period, timeZone, category)
+
+    return entries
+      .sort((a, b) => b.score - a.score || a.createdAt.localeCompare(b.createdAt))
+      .slice(0, this.topLimit)
+      .map(entry => this.toPublicEntry(entry))
+  }
+
+  /**
+   * Get the stored entries that count for a period of a category
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   * @param {string} timeZone - IANA time zone for the period boundaries
+   * @param {string} category - Leaderboard category (entries stored before categories are timed)
+   * @returns {Promise<Array>} Entries in the period
+   */
+  async getPeriodEntries(period, timeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
+    const entries = await this.storage.getEntries()
+    const now = new Date()
+
+    return entries.filter(entry =>
+      (entry.category || DEFAULT_LEADERBOARD_CATEGORY) === category &&
+      LeaderboardPeriod.isInPeriod(entry.createdAt, period, now, timeZone)
+    )
+  }
+
+  /**
+   * Take the score breakdown from a validated session
+   * @param {Object} session - Session payload
+   * @returns {Object|null} { base, comboBonus, maxCombo } or null for sessions without one
+   */
+  readBreakdown(session) {
+    const breakdown = session.scoreBreakdown
+    if (!breakdown) return null
+
+    return {
+      base: breakdown.base,
+      comboBonus: breakdown.comboBonus,
+      maxCombo: breakdown.maxCombo
+    }
+  }
+
+  /**
+   * Strip internal fields from an entry
+   * @param {Object} entry - Stored entry
+   * @returns {Object} Entry as returned by the API
+   */
+  toPublicEntry(entry) {
+    const publicEntry = {
+      id: entry.id,
+      name: entry.name,
+      score: entry.score,
+      createdAt: entry.createdAt
+    }
+
+    if (entry.breakdown) {
+      publicEntry.breakdown = { ...entry.breakdown }
+    }
+
+    return publicEntry
+  }
+
+  /**
+   * Read the full request body
+   * Stops reading a body that is too large and rejects with an error whose status is 413;
+   * the connection is left open so the caller can still send its response
+   * @param {http.IncomingMessage} request - Request
+   * @returns {Promise<string>} Body text
+   */
+  readBody(request) {
+    const maxBytes = 1024 * 1024 // Input logs are a few KB; refuse anything absurd
+
+    return new Promise((resolve, reject) => {
+      let body = ''
+
+      const onData = chunk => {
+        body += chunk
+        if (body.length > maxBytes) {
+          request.removeListener('data', onData)
+          request.pause()
+
+          const error = new Error('Request body too large')
+          error.status = 413
+          reject(error)
+        }
+      }
+
+      request.on('data', onData)
+      request.on('end', () => resolve(body))
+      request.on('error', reject)
+    })
+  }
+
+  /**
+   * Send a JSON response with CORS headers
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status
+   * @param {*} data - Response body (null for no body)
+   * @param {Object} headers - Extra response headers
+   */
+  sendJSON(response, status, data, headers = {}) {
+    if (response.headersSent) return
+
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      ...headers
+    })
+    response.end(data === null ? undefined : JSON.stringify(data))
+  }
+}
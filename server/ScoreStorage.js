@@ -0,0 +1,145 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * MemoryScoreStorage keeps leaderboard entries in memory (lost on restart)
+ * Storage interface shared by all implementations:
+ * - async load()
+ * - async addEntry(entry) -> stored entry
+ * - async addUniqueEntry(entry, keyFields) -> { entry, duplicate }
+ * - async getEntries() -> Array of entries
+ * - async clear()
+ */
+export class MemoryScoreStorage {
+  constructor(initialEntries = []) {
+    this.entries = initialEntries.map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Load stored entries (nothing to do in memory)
+   */
+  async load() {
+    return this.entries.length
+  }
+
+  /**
+   * Store a new entry
+   * @param {Object} entry - Leaderboard entry { id, name, score, createdAt, sessionId }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async addEntry(entry) {
+    const stored = { ...entry }
+    this.entries.push(stored)
+    return stored
+  }
+
+  /**
+   * Store an entry unless one with the same value in any of the key fields exists
+   * The check and the insert happen in one step, so two copies of a submission that
+   * arrive at the same time can't both be stored
+   * @param {Object} entry - Leaderboard entry
+   * @param {Array<string>} keyFields - Fields that identify a submission (null values never match)
+   * @returns {Promise<Object>} { entry, duplicate } - The stored entry, or the existing one
+   */
+  async addUniqueEntry(entry, keyFields) {
+    const existing = this.entries.find(stored =>
+      keyFields.some(field => entry[field] && stored[field] === entry[field])
+    )
+
+    if (existing) {
+      return { entry: { ...existing }, duplicate: true }
+    }
+
+    return { entry: await this.addEntry(entry), duplicate: false }
+  }
+
+  /**
+   * Get all stored entries
+   * @returns {Promise<Array>} Copy of all entries
+   */
+  async getEntries() {
+    return this.entries.map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Remove all entries
+   */
+  async clear() {
+    this.entries = []
+  }
+}
+
+/**
+ * FileScoreStorage persists leaderboard entries to a JSON file
+ * Entries are kept in memory and the whole file is rewritten after every change
+ */
+export class FileScoreStorage extends MemoryScoreStorage {
+  constructor(filePath) {
+    super()
+    this.filePath = path.resolve(filePath)
+
+    // Saves run one after another so they never share the temp file
+    this.saveChain = Promise.resolve()
+  }
+
+  /**
+   * Load entries from disk (a missing file starts an empty leaderboard)
+   * @returns {Promise<number>} Number of loaded entries
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8')
+      const data = JSON.parse(content)
+      this.entries = Array.isArray(data.entries) ? data.entries : []
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read leaderboard file ${this.filePath}: ${error.message}`)
+      }
+      this.entries = []
+    }
+
+    return this.entries.length
+  }
+
+  /**
+   * Store a new entry and write the file
+   * @param {Object} entry - Leaderboard entry
+   * @returns {Promise<Object>} Stored entry
+   */
+  async addEntry(entry) {
+    const stored = await super.addEntry(entry)
+    await this.save()
+    return stored
+  }
+
+  /**
+   * Remove all entries and write the file
+   */
+  async clear() {
+    await super.clear()
+    await this.save()
+  }
+
+  /**
+   * Write all entries to disk, after any save already in progress
+   * @returns {Promise<void>} Resolves once this save is on disk
+   */
+  save() {
+    const save = this.saveChain.then(() => this.writeFile())
+
+    // A failed save is reported to its caller but doesn't stop the next one
+    this.saveChain = save.catch(() => {})
+    return save
+  }
+
+  /**
+   * Write all entries to disk (via a temp file so a crash never leaves a half-written file)
+   */
+  async writeFile() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+
+    const tempPath = `${this.filePath}.tmp`
+    await fs.writeFile(tempPath, JSON.stringify({ entries: this.entries }, null, 2))
+    await fs.rename(tempPath, this.filePath)
+  }
+}
@@ -0,0 +1,44 @@
+import { MockLeaderboardServer } from './MockLeaderboardServer.js'
+import { MemoryScoreStorage, FileScoreStorage } from './ScoreStorage.js'
+
+/**
+ * Start the mock leaderboard server
+ *
+ * npm run mock-server                      -> in-memory storage on port 8787
+ * npm run mock-server -- --file data.json  -> scores persisted to data.json
+ *
+ * Environment variables: MOCK_PORT, MOCK_STORAGE_FILE, MOCK_SIGNING_KEY, MOCK_REQUIRE_SESSION=false
+ * Point the game at it with VITE_LEADERBOARD_API_URL=http://127.0.0.1:8787/api
+ */
+function parseArgs(args) {
+  const options = {}
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = Number(args[++i])
+    else if (args[i] === '--file') options.file = args[++i]
+    else if (args[i] === '--allow-unverified') options.requireSession = false
+  }
+
+  return options
+}
+
+const args = parseArgs(process.argv.slice(2))
+const storageFile = args.file || process.env.MOCK_STORAGE_FILE
+
+const server = new MockLeaderboardServer({
+  port: args.port || Number(process.env.MOCK_PORT) || 8787,
+  storage: storageFile ? new FileScoreStorage(storageFile) : new MemoryScoreStorage(),
+  signingKey: process.env.MOCK_SIGNING_KEY,
+  requireSession: args.requireSession !== undefined ? args.requireSession : process.env.MOCK_REQUIRE_SESSION !== 'false'
+})
+
+server.start().catch(error => {
+  console.error('Could not start mock leaderboard server:', error.message)
+  process.exit(1)
+})
+
+// Close cleanly on Ctrl+C
+process.on('SIGINT', async () => {
+  await server.stop()
+  process.exit(0)
+})
@@ -0,0 +1,155 @@
+import * as THREE from 'three'
+import { Hazard } from './Hazard.js'
+import { SeededRandom } from '../utils/SeededRandom.js'
+
+/**
+ * Alebrije - Colorful spirit creature that wanders the field
+ * Touching it costs seconds (GameEngine config ALEBRIJE_TIME_PENALTY); afterwards it flickers
+ * and can't be touched again for a moment. It keeps away from the altar so deliveries stay fair.
+ */
+export class Alebrije extends Hazard {
+  constructor(random = new SeededRandom()) {
+    super('alebrije', random)
+
+    this.collisionRadius = 0.9
+    this.speed = 2.5 // Units per second
+    this.contactCooldown = 2.0 // Seconds before it can cost time again
+    this.altarAvoidRadius = 4.0 // Wander targets stay this far from the field center
+    this.wanderTarget = new THREE.Vector3()
+    this.wingPhase = 0
+  }
+
+  /**
+   * Build the alebrije: a bright body with a head, wings and a tail
+   * @returns {THREE.Group} Alebrije mesh
+   */
+  createMesh() {
+    const group = new THREE.Group()
+
+    const body = new THREE.Mesh(
+      new THREE.IcosahedronGeometry(0.55, 1),
+      new THREE.MeshStandardMaterial({ color: 0xff1493, emissive: 0x8b0a50, emissiveIntensity: 0.5, flatShading: true, transparent: true })
+    )
+    body.scale.set(1.0, 0.8, 1.5)
+    body.name = 'alebrije-body'
+    group.add(body)
+
+    const head = new THREE.Mesh(
+      new THREE.IcosahedronGeometry(0.35, 1),
+      new THREE.MeshStandardMaterial({ color: 0x00ced1, emissive: 0x006b6d, emissiveIntensity: 0.5, flatShading: true, transparent: true })
+    )
+    head.position.set(0, 0.25, 0.85)
+    head.name = 'alebrije-head'
+    group.add(head)
+
+    const tail = new THREE.Mesh(
+      new THREE.ConeGeometry(0.2, 0.9, 6),
+      new THREE.MeshStandardMaterial({ color: 0xffa500, emissive: 0x804000, emissiveIntensity: 0.5, flatShading: true, transparent: true })
+    )
+    tail.rotation.x = -Math.PI / 2
+    tail.position.set(0, 0.1, -1.1)
+    group.add(tail)
+
+    const wingMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffd700,
+      emissive: 0x806b00,
+      emissiveIntensity: 0.5,
+      side: THREE.DoubleSide,
+      flatShading: true,
+      transparent: true
+    })
+
+    for (const side of [-1, 1]) {
+      const wing = new THREE.Mesh(new THREE.CircleGeometry(0.6, 3), wingMaterial)
+      wing.rotation.x = -Math.PI / 2
+      wing.position.set(side * 0.6, 0.3, 0)
+      wing.name = side < 0 ? 'alebrije-wing-left' : 'alebrije-wing-right'
+      group.add(wing)
+    }
+
+    group.visible = false
+    return group
+  }
+
+  /**
+   * Place the alebrije and pick its first wander target
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {Object} options - { fieldSize, altarAvoidRadius }
+   */
+  spawn(position, options = {}) {
+    super.spawn(position, options)
+
+    if (options.altarAvoidRadius !== undefined) {
+      this.altarAvoidRadius = options.altarAvoidRadius
+    }
+
+    this.wingPhase = 0
+    this.pickWanderTarget()
+  }
+
+  /**
+   * Pick a new point of the field to wander to (away from the altar)
+   */
+  pickWanderTarget() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      this.wanderTarget.set(
+        (this.random.next() - 0.5) * this.fieldSize.x * 1.8,
+        this.position.y,
+        (this.random.next() - 0.5) * this.fieldSize.z * 1.8
+      )
+
+      if (Math.hypot(this.wanderTarget.x, this.wanderTarget.z) >= this.altarAvoidRadius) {
+        return
+      }
+    }
+
+    // Push the last attempt out of the altar area
+    const angle = Math.atan2(this.wanderTarget.z, this.wanderTarget.x)
+    this.wanderTarget.x = Math.cos(angle) * this.altarAvoidRadius
+    this.wanderTarget.z = Math.sin(angle) * this.altarAvoidRadius
+  }
+
+  /**
+   * Walk towards the wander target, picking a new one on arrival
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateMovement(deltaTime) {
+    const dx = this.wanderTarget.x - this.position.x
+    const dz = this.wanderTarget.z - this.position.z
+    const distance = Math.hypot(dx, dz)
+
+    if (distance < 0.5) {
+      this.pickWanderTarget()
+      return
+    }
+
+    const step = Math.min(distance, this.speed * deltaTime)
+    this.position.x += (dx / distance) * step
+    this.position.z += (dz / distance) * step
+
+    if (!this.mesh) return
+
+    // Face the walking direction and flap the wings
+    this.mesh.rotation.y = Math.atan2(dx, dz)
+    this.wingPhase += deltaTime * 10
+    const flap = Math.sin(this.wingPhase) * 0.5
+    const leftWing = this.mesh.getObjectByName('alebrije-wing-left')
+    const rightWing = this.mesh.getObjectByName('alebrije-wing-right')
+    if (leftWing) leftWing.rotation.z = flap
+    if (rightWing) rightWing.rotation.z = -flap
+
+    // Flicker while it can't be touched
+    const opacity = this.cooldown > 0 ? 0.4 + Math.abs(Math.sin(this.age * 20)) * 0.3 : 1.0
+    this.mesh.traverse(child => {
+      if (child.material) child.material.opacity = opacity
+    })
+  }
+
+  /**
+   * Reset the alebrije to initial state (for object pooling)
+   */
+  reset() {
+    super.reset()
+    this.wingPhase = 0
+  }
+}
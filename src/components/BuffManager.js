@@ -0,0 +1,306 @@
+/**
+ * BuffManager - Timed effects granted by power-ups, with their durations and stacking rules
+ * Buff definitions live in a static registry (they double as the power-up types that
+ * PowerUpManager spawns); each manager instance tracks the buffs active in one run.
+ * GameEngine turns the active buffs into effects (skull speed, magnet radius, frozen timer).
+ *
+ * Stacking rules (what picking up a buff that is already active does):
+ * - 'refresh': the duration restarts
+ * - 'extend': the duration is added to what is left, up to maxDuration
+ * - 'stack': one more stack (up to maxStacks) and the duration restarts
+ *
+ * It runs on the simulation clock (update is called once per fixed step), so replays and the
+ * headless ScoreValidator see exactly the same buffs as the live run.
+ *
+ * Events (passed to every buff callback):
+ * { type: 'apply' | 'refresh' | 'expire' | 'clear', buffId, stacks, remaining, duration }
+ *
+ * Usage example:
+ * const buffs = new BuffManager()
+ * buffs.addBuffCallback(event => console.log(event.type, event.buffId))
+ * buffs.apply('speed')
+ * buffs.update(deltaTime)
+ * const stacks = buffs.getStacks('speed')
+ */
+
+const STACKING_RULES = ['refresh', 'extend', 'stack']
+
+const DEFAULT_DEFINITION = {
+  name: '',
+  color: 0xffffff,
+  duration: 5, // Seconds the buff lasts
+  stacking: 'refresh',
+  maxDuration: 10, // Longest duration an 'extend' buff can build up
+  maxStacks: 1, // Most stacks a 'stack' buff can build up
+  spawnWeight: 1 // Relative chance of the power-up on spawn (0 = never spawns)
+}
+
+const definitions = new Map()
+
+export class BuffManager {
+  constructor() {
+    this.buffs = new Map() // Active buffs by id: { remaining, duration, stacks }
+
+    // Buff events (effects, HUD, sound)
+    this.buffCallbacks = []
+  }
+
+  /**
+   * Register (or replace) a buff
+   * Missing fields are filled with the defaults
+   * @param {Object} definition - Buff definition with at least an id
+   * @returns {Object} Registered definition
+   */
+  static registerBuff(definition) {
+    if (!definition || typeof definition.id !== 'string' || definition.id.length === 0) {
+      throw new Error('Buff definition requires an id')
+    }
+
+    const registered = { ...DEFAULT_DEFINITION, ...definition }
+
+    if (!STACKING_RULES.includes(registered.stacking)) {
+      console.warn(`Unknown stacking rule for buff ${registered.id}: ${registered.stacking}`)
+      registered.stacking = 'refresh'
+    }
+
+    registered.maxStacks = Math.max(1, Math.floor(registered.maxStacks))
+    registered.maxDuration = Math.max(registered.duration, registered.maxDuration)
+    definitions.set(registered.id, Object.freeze(registered))
+    return registered
+  }
+
+  /**
+   * Get a buff definition
+   * @param {string} id - Buff id
+   * @returns {Object|null} Definition or null if unknown
+   */
+  static getBuff(id) {
+    return definitions.get(id) || null
+  }
+
+  /**
+   * Check if a buff is registered
+   * @param {string} id - Buff id
+   * @returns {boolean} True if registered
+   */
+  static hasBuff(id) {
+    return definitions.has(id)
+  }
+
+  /**
+   * Get every registered buff, in registration order
+   * @returns {Array<Object>} Buff definitions
+   */
+  static getBuffs() {
+    return Array.from(definitions.values())
+  }
+
+  /**
+   * Get the longest a buff can stay active in one go
+   * @param {string} id - Buff id
+   * @returns {number} Seconds (0 if unknown)
+   */
+  static getMaxDuration(id) {
+    const definition = BuffManager.getBuff(id)
+    if (!definition) return 0
+    return definition.stacking === 'extend' ? definition.maxDuration : definition.duration
+  }
+
+  /**
+   * Apply a buff, following its stacking rule if it is already active
+   * @param {string} id - Buff id
+   * @returns {Object|null} Active buff state or null if the buff is unknown
+   */
+  apply(id) {
+    const definition = BuffManager.getBuff(id)
+    if (!definition) {
+      console.warn(`Unknown buff: ${id}`)
+      return null
+    }
+
+    const active = this.buffs.get(id)
+
+    if (!active) {
+      const buff = { remaining: definition.duration, duration: definition.duration, stacks: 1 }
+      this.buffs.set(id, buff)
+      this.triggerBuffCallbacks('apply', id, buff)
+      return { ...buff }
+    }
+
+    switch (definition.stacking) {
+      case 'extend':
+        active.remaining = Math.min(definition.maxDuration, active.remaining + definition.duration)
+        active.duration = Math.max(active.duration, active.remaining)
+        break
+      case 'stack':
+        active.stacks = Math.min(definition.maxStacks, active.stacks + 1)
+        active.remaining = definition.duration
+        active.duration = definition.duration
+        break
+      default:
+        active.remaining = definition.duration
+        active.duration = definition.duration
+    }
+
+    this.triggerBuffCallbacks('refresh', id, active)
+    return { ...active }
+  }
+
+  /**
+   * Run down the active buffs, removing the ones that expired
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    for (const [id, buff] of this.buffs) {
+      buff.remaining -= deltaTime
+
+      if (buff.remaining <= 0) {
+        buff.remaining = 0
+        this.buffs.delete(id)
+        this.triggerBuffCallbacks('expire', id, buff)
+      }
+    }
+  }
+
+  /**
+   * Check if a buff is active
+   * @param {string} id - Buff id
+   * @returns {boolean} True if active
+   */
+  isActive(id) {
+    return this.buffs.has(id)
+  }
+
+  /**
+   * Get the stacks of a buff
+   * @param {string} id - Buff id
+   * @returns {number} Stacks (0 if not active)
+   */
+  getStacks(id) {
+    const buff = this.buffs.get(id)
+    return buff ? buff.stacks : 0
+  }
+
+  /**
+   * Get the seconds left on a buff
+   * @param {string} id - Buff id
+   * @returns {number} Seconds left (0 if not active)
+   */
+  getRemaining(id) {
+    const buff = this.buffs.get(id)
+    return buff ? buff.remaining : 0
+  }
+
+  /**
+   * Get the active buffs for display
+   * @returns {Array<Object>} { id, name, color, remaining, duration, stacks }
+   */
+  getActiveBuffs() {
+    return Array.from(this.buffs.entries()).map(([id, buff]) => {
+      const definition = BuffManager.getBuff(id)
+      return {
+        id: id,
+        name: definition ? definition.name : id,
+        color: definition ? definition.color : DEFAULT_DEFINITION.color,
+        remaining: buff.remaining,
+        duration: buff.duration,
+        stacks: buff.stacks
+      }
+    })
+  }
+
+  /**
+   * Remove every active buff (e.g. when a new game starts)
+   */
+  clear() {
+    const cleared = Array.from(this.buffs.entries())
+    this.buffs.clear()
+
+    for (const [id, buff] of cleared) {
+      this.triggerBuffCallbacks('clear', id, buff)
+    }
+  }
+
+  /**
+   * Add buff callback function
+   * @param {Function} callback - Callback function to call when a buff changes
+   */
+  addBuffCallback(callback) {
+    if (typeof callback === 'function') {
+      this.buffCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove buff callback function
+   * @param {Function} callback - Callback function to remove
+   */
+  removeBuffCallback(callback) {
+    const index = this.buffCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.buffCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Trigger all buff callbacks
+   * @param {string} type - 'apply', 'refresh', 'expire' or 'clear'
+   * @param {string} buffId - Buff id
+   * @param {Object} buff - Buff state
+   */
+  triggerBuffCallbacks(type, buffId, buff) {
+    const event = {
+      type: type,
+      buffId: buffId,
+      stacks: buff.stacks,
+      remaining: buff.remaining,
+      duration: buff.duration
+    }
+
+    for (const callback of this.buffCallbacks) {
+      try {
+        callback(event)
+      } catch (error) {
+        console.error('Error in buff callback:', error)
+      }
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.buffs.clear()
+    this.buffCallbacks.length = 0
+  }
+}
+
+// Built-in buffs (also the power-ups that spawn on the field)
+BuffManager.registerBuff({
+  id: 'magnet',
+  name: 'Imán',
+  color: 0xff3366,
+  duration: 6,
+  stacking: 'refresh',
+  spawnWeight: 40
+})
+
+BuffManager.registerBuff({
+  id: 'speed',
+  name: 'Velocidad',
+  color: 0x00e5ff,
+  duration: 5,
+  stacking: 'stack',
+  maxStacks: 2,
+  spawnWeight: 40
+})
+
+BuffManager.registerBuff({
+  id: 'pan-de-muerto',
+  name: 'Pan de muerto',
+  color: 0xe8a33d,
+  duration: 3,
+  stacking: 'extend',
+  maxDuration: 6,
+  spawnWeight: 20
+})
@@ -2,7 +2,11 @@ import * as THREE from 'three'
 
 /**
  * CollisionDetector handles collision detection between player skull and souls
+ * A second channel reports contacts with hazards (see checkHazardCollisions)
+ * and a third one power-up pickups (see checkPowerUpCollisions)
  * Uses distance-based collision detection for performance
+ * Every event names the player it belongs to (playerIndex, playerController), so in
+ * two-player mode each skull is checked on its own and collections are attributed to it
  */
 export class CollisionDetector {
   constructor() {
@@ -14,8 +18,16 @@ export class CollisionDetector {
     this.tempVector1 = new THREE.Vector3()
     this.tempVector2 = new THREE.Vector3()
     
+    // Altar trigger zone (souls are delivered when the skull enters it)
+    this.altarCenter = new THREE.Vector3(0, 0, 0)
+    this.altarZoneRadius = 3.0
+    this.playersInAltarZone = new Set() // Player controllers inside the zone at the last check
+    
     // Collision events
     this.collisionCallbacks = []
+    this.altarCallbacks = []
+    this.hazardCallbacks = []
+    this.powerUpCallbacks = []
     
     console.log('CollisionDetector initialized')
   }
@@ -58,6 +70,7 @@ export class CollisionDetector {
           this.triggerCollisionCallbacks({
             soulId: soulId,
             soul: soul,
+            ...this.getPlayerData(playerController),
             playerPosition: playerPosition.clone(),
             soulPosition: soulPosition.clone(),
             distance: distance
@@ -83,6 +96,18 @@ export class CollisionDetector {
     return this.tempVector1.distanceTo(this.tempVector2)
   }
 
+  /**
+   * Get the player fields shared by every collision event
+   * @param {PlayerController} playerController - Player controller
+   * @returns {Object} { playerIndex, playerController }
+   */
+  getPlayerData(playerController) {
+    return {
+      playerIndex: playerController.getPlayerIndex ? playerController.getPlayerIndex() : 0,
+      playerController: playerController
+    }
+  }
+
   /**
    * Check collision between two spherical objects
    * @param {THREE.Vector3} pos1 - Position of first object
@@ -263,6 +288,7 @@ export class CollisionDetector {
           this.triggerCollisionCallbacks({
             soulId: soul.getId(),
             soul: soul,
+            ...this.getPlayerData(playerController),
             playerPosition: playerPosition.clone(),
             soulPosition: soulPosition.clone(),
             distance: distance
@@ -274,6 +300,271 @@ export class CollisionDetector {
     return collectedSouls
   }
 
+  /**
+   * Check whether the player has entered the altar trigger zone
+   * Uses horizontal distance only, since the skull floats above the altar
+   * @param {PlayerController} playerController - Player controller
+   * @returns {boolean} True if the player entered the zone on this check
+   */
+  checkAltarZone(playerController) {
+    if (!playerController) {
+      return false
+    }
+
+    const playerPosition = playerController.getPosition()
+    const dx = playerPosition.x - this.altarCenter.x
+    const dz = playerPosition.z - this.altarCenter.z
+    const horizontalDistance = Math.sqrt(dx * dx + dz * dz)
+    
+    const wasInZone = this.playersInAltarZone.has(playerController)
+    const isInZone = horizontalDistance <= this.altarZoneRadius
+    const entered = isInZone && !wasInZone
+    
+    if (isInZone) {
+      this.playersInAltarZone.add(playerController)
+    } else {
+      this.playersInAltarZone.delete(playerController)
+    }
+    
+    // Deliver whenever the player is inside the zone carrying souls, so souls
+    // collected right next to the altar are delivered without leaving it
+    const carriedSouls = playerController.getCarriedSoulCount()
+    if (isInZone && carriedSouls > 0) {
+      this.triggerAltarCallbacks({
+        ...this.getPlayerData(playerController),
+        playerPosition: playerPosition.clone(),
+        altarPosition: this.altarCenter.clone(),
+        carriedSouls: carriedSouls,
+        entered: entered
+      })
+    }
+
+    return entered
+  }
+
+  /**
+   * Set the altar trigger zone
+   * @param {THREE.Vector3} center - Altar center position
+   * @param {number} radius - Trigger zone radius
+   */
+  setAltarZone(center, radius) {
+    this.altarCenter.copy(center)
+    this.altarZoneRadius = Math.max(0.1, radius)
+  }
+
+  /**
+   * Get altar trigger zone radius
+   * @returns {number} Altar zone radius
+   */
+  getAltarZoneRadius() {
+    return this.altarZoneRadius
+  }
+
+  /**
+   * Check if a player was inside the altar zone at the last check
+   * @param {PlayerController} playerController - Player controller
+   * @returns {boolean} True if inside the zone
+   */
+  isPlayerInAltarZone(playerController) {
+    return this.playersInAltarZone.has(playerController)
+  }
+
+  /**
+   * Reset altar zone tracking (e.g. when a new game starts)
+   */
+  resetAltarZone() {
+    this.playersInAltarZone.clear()
+  }
+
+  /**
+   * Add altar zone callback function
+   * @param {Function} callback - Callback function to call when the altar zone is triggered
+   */
+  addAltarCallback(callback) {
+    if (typeof callback === 'function') {
+      this.altarCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove altar zone callback function
+   * @param {Function} callback - Callback function to remove
+   */
+  removeAltarCallback(callback) {
+    const index = this.altarCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.altarCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Trigger all altar zone callbacks
+   * @param {Object} altarData - Data about the altar zone event
+   */
+  triggerAltarCallbacks(altarData) {
+    for (const callback of this.altarCallbacks) {
+      try {
+        callback(altarData)
+      } catch (error) {
+        console.error('Error in altar callback:', error)
+      }
+    }
+  }
+
+  /**
+   * Check contacts between the player skull and active hazards (second collision channel)
+   * Uses horizontal distance only, since the skull floats above the hazards. Hazards on
+   * cooldown are skipped; what a contact costs is decided by the hazard callbacks.
+   * @param {PlayerController} playerController - Player controller
+   * @param {HazardManager} hazardManager - Hazard manager
+   * @returns {Array<string>} IDs of the hazards touching the skull
+   */
+  checkHazardCollisions(playerController, hazardManager) {
+    if (!playerController || !hazardManager) {
+      return []
+    }
+    
+    const touchedHazards = []
+    const playerPosition = playerController.getPosition()
+    
+    for (const [hazardId, hazard] of hazardManager.getActiveHazards()) {
+      if (!hazard.canAffectPlayer()) {
+        continue
+      }
+      
+      const hazardPosition = hazard.getPosition()
+      const dx = playerPosition.x - hazardPosition.x
+      const dz = playerPosition.z - hazardPosition.z
+      const distance = Math.sqrt(dx * dx + dz * dz)
+      
+      if (distance <= this.skullCollisionRadius + hazard.getCollisionRadius()) {
+        touchedHazards.push(hazardId)
+        
+        this.triggerHazardCallbacks({
+          hazardId: hazardId,
+          hazard: hazard,
+          kind: hazard.getKind(),
+          ...this.getPlayerData(playerController),
+          playerPosition: playerPosition.clone(),
+          hazardPosition: hazardPosition.clone(),
+          distance: distance
+        })
+      }
+    }
+    
+    return touchedHazards
+  }
+
+  /**
+   * Add hazard contact callback function
+   * @param {Function} callback - Callback function to call when the skull touches a hazard
+   */
+  addHazardCallback(callback) {
+    if (typeof callback === 'function') {
+      this.hazardCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove hazard contact callback function
+   * @param {Function} callback - Callback function to remove
+   */
+  removeHazardCallback(callback) {
+    const index = this.hazardCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.hazardCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Trigger all hazard contact callbacks
+   * @param {Object} hazardData - Data about the hazard contact
+   */
+  triggerHazardCallbacks(hazardData) {
+    for (const callback of this.hazardCallbacks) {
+      try {
+        callback(hazardData)
+      } catch (error) {
+        console.error('Error in hazard callback:', error)
+      }
+    }
+  }
+
+  /**
+   * Check pickups between the player skull and active power-ups
+   * @param {PlayerController} playerController - Player controller
+   * @param {PowerUpManager} powerUpManager - Power-up manager
+   * @returns {Array<string>} IDs of the collected power-ups
+   */
+  checkPowerUpCollisions(playerController, powerUpManager) {
+    if (!playerController || !powerUpManager) {
+      return []
+    }
+
+    const collectedPowerUps = []
+    const playerPosition = playerController.getPosition()
+
+    for (const [powerUpId, powerUp] of powerUpManager.getActivePowerUps()) {
+      if (powerUp.getIsCollected()) {
+        continue
+      }
+
+      const powerUpPosition = powerUp.getPosition()
+      const distance = this.calculateDistance(playerPosition, powerUpPosition)
+      
+      if (distance <= this.skullCollisionRadius + powerUp.getCollisionRadius() && powerUpManager.collectPowerUp(powerUpId)) {
+        collectedPowerUps.push(powerUpId)
+        
+        this.triggerPowerUpCallbacks({
+          powerUpId: powerUpId,
+          powerUp: powerUp,
+          type: powerUp.getType(),
+          ...this.getPlayerData(playerController),
+          playerPosition: playerPosition.clone(),
+          powerUpPosition: powerUpPosition.clone(),
+          distance: distance
+        })
+      }
+    }
+
+    return collectedPowerUps
+  }
+
+  /**
+   * Add power-up pickup callback function
+   * @param {Function} callback - Callback function to call when the skull picks up a power-up
+   */
+  addPowerUpCallback(callback) {
+    if (typeof callback === 'function') {
+      this.powerUpCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove power-up pickup callback function
+   * @param {Function} callback - Callback function to remove
+   */
+  removePowerUpCallback(callback) {
+    const index = this.powerUpCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.powerUpCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Trigger all power-up pickup callbacks
+   * @param {Object} powerUpData - Data about the pickup
+   */
+  triggerPowerUpCallbacks(powerUpData) {
+    for (const callback of this.powerUpCallbacks) {
+      try {
+        callback(powerUpData)
+      } catch (error) {
+        console.error('Error in power-up callback:', error)
+      }
+    }
+  }
+
   /**
    * Visualize collision boundaries (for debugging)
    * @param {THREE.Scene} scene - Three.js scene
@@ -335,6 +626,9 @@ export class CollisionDetector {
    */
   clearCollisionCallbacks() {
     this.collisionCallbacks.length = 0
+    this.altarCallbacks.length = 0
+    this.hazardCallbacks.length = 0
+    this.powerUpCallbacks.length = 0
   }
 
   /**
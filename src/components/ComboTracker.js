@@ -0,0 +1,210 @@
+/**
+ * ComboTracker - Builds a score multiplier from souls collected in quick succession
+ * Every collection within the combo window of the previous one adds to the combo, and every
+ * few hits the multiplier goes up a step. When the window lapses without a collection the
+ * multiplier decays one step (and the window restarts); the combo breaks below the first step.
+ *
+ * It runs on the simulation clock (update is called once per fixed step), so replays and the
+ * headless ScoreValidator see exactly the same combos as the live run.
+ *
+ * Events (passed to every combo callback):
+ * { type: 'hit' | 'decay' | 'break' | 'reset', combo, multiplier, previousMultiplier, maxCombo }
+ *
+ * Usage example:
+ * const comboTracker = new ComboTracker({ window: 2.0, hitsPerStep: 4, multiplierStep: 0.5, maxMultiplier: 2.5 })
+ * comboTracker.addComboCallback(event => console.log(`x${event.multiplier}`))
+ * const multiplier = comboTracker.registerHit()
+ * comboTracker.update(deltaTime)
+ */
+
+const DEFAULT_COMBO_CONFIG = {
+  window: 2.0, // Seconds allowed between collections to keep the combo going
+  hitsPerStep: 4, // Collections needed for each multiplier step
+  multiplierStep: 0.5, // Multiplier added per step
+  maxMultiplier: 2.5 // Highest multiplier a combo can reach
+}
+
+export class ComboTracker {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_COMBO_CONFIG }
+    this.setConfig(config)
+
+    this.combo = 0
+    this.maxCombo = 0
+    this.timeLeft = 0
+
+    // Combo events (UI counter, sound chimes)
+    this.comboCallbacks = []
+  }
+
+  /**
+   * Change the combo rules (the current combo is kept)
+   * @param {Object} config - { window, hitsPerStep, multiplierStep, maxMultiplier }
+   */
+  setConfig(config = {}) {
+    for (const [key, value] of Object.entries(config)) {
+      if (key in DEFAULT_COMBO_CONFIG && typeof value === 'number' && value > 0) {
+        this.config[key] = value
+      }
+    }
+
+    this.config.hitsPerStep = Math.max(1, Math.floor(this.config.hitsPerStep))
+    this.config.maxMultiplier = Math.max(1, this.config.maxMultiplier)
+  }
+
+  /**
+   * Get the combo rules
+   * @returns {Object} Combo configuration
+   */
+  getConfig() {
+    return { ...this.config }
+  }
+
+  /**
+   * Register a collection, extending the combo
+   * @returns {number} Multiplier earned by this collection
+   */
+  registerHit() {
+    const previousMultiplier = this.getMultiplier()
+
+    this.combo++
+    this.maxCombo = Math.max(this.maxCombo, this.combo)
+    this.timeLeft = this.config.window
+
+    const multiplier = this.getMultiplier()
+    this.triggerComboCallbacks('hit', previousMultiplier)
+
+    return multiplier
+  }
+
+  /**
+   * Advance the combo window
+   * @param {number} deltaTime - Simulation time since last update
+   */
+  update(deltaTime) {
+    if (this.combo === 0) return
+
+    this.timeLeft -= deltaTime
+    if (this.timeLeft > 0) return
+
+    const previousMultiplier = this.getMultiplier()
+
+    // Drop to the start of the previous step; the combo is over once no step is left
+    this.combo = Math.max(0, this.getStep() - 1) * this.config.hitsPerStep
+
+    if (this.combo === 0) {
+      this.timeLeft = 0
+      this.triggerComboCallbacks('break', previousMultiplier)
+      return
+    }
+
+    // Give the player another window before the next step is lost
+    this.timeLeft = this.config.window
+    this.triggerComboCallbacks('decay', previousMultiplier)
+  }
+
+  /**
+   * Get the multiplier step reached by the current combo
+   * @returns {number} Step (0 = no multiplier)
+   */
+  getStep() {
+    const maxStep = Math.round((this.config.maxMultiplier - 1) / this.config.multiplierStep)
+    return Math.min(Math.floor(this.combo / this.config.hitsPerStep), maxStep)
+  }
+
+  /**
+   * Get the current multiplier
+   * @returns {number} Multiplier (1 = no combo)
+   */
+  getMultiplier() {
+    return Math.min(1 + this.getStep() * this.config.multiplierStep, this.config.maxMultiplier)
+  }
+
+  /**
+   * Get the current combo
+   * @returns {number} Collections in the current combo
+   */
+  getCombo() {
+    return this.combo
+  }
+
+  /**
+   * Get the longest combo since the last reset
+   * @returns {number} Longest combo
+   */
+  getMaxCombo() {
+    return this.maxCombo
+  }
+
+  /**
+   * Get the share of the combo window still left
+   * @returns {number} 0 to 1
+   */
+  getWindowProgress() {
+    return this.combo > 0 ? Math.max(0, this.timeLeft / this.config.window) : 0
+  }
+
+  /**
+   * Clear the combo and the longest combo (new run)
+   */
+  reset() {
+    const previousMultiplier = this.getMultiplier()
+
+    this.combo = 0
+    this.maxCombo = 0
+    this.timeLeft = 0
+    this.triggerComboCallbacks('reset', previousMultiplier)
+  }
+
+  /**
+   * Add combo callback function
+   * @param {Function} callback - Called with the combo event on hits, decays, breaks and resets
+   */
+  addComboCallback(callback) {
+    if (typeof callback === 'function') {
+      this.comboCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove combo callback function
+   * @param {Function} callback - Callback function to remove
+   */
+  removeComboCallback(callback) {
+    const index = this.comboCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.comboCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Trigger all combo callbacks
+   * @param {string} type - 'hit', 'decay', 'break' or 'reset'
+   * @param {number} previousMultiplier - Multiplier before the change
+   */
+  triggerComboCallbacks(type, previousMultiplier) {
+    const event = {
+      type,
+      combo: this.combo,
+      multiplier: this.getMultiplier(),
+      previousMultiplier,
+      maxCombo: this.maxCombo
+    }
+
+    for (const callback of this.comboCallbacks) {
+      try {
+        callback(event)
+      } catch (error) {
+        console.error('Error in combo callback:', error)
+      }
+    }
+  }
+
+  /**
+   * Clean up combo tracker resources
+   */
+  dispose() {
+    this.comboCallbacks = []
+    this.reset()
+  }
+}
@@ -0,0 +1,226 @@
+import { InputBindings } from '../utils/InputBindings.js'
+
+/**
+ * ControlRemapScreen - Lets players rebind the keyboard and gamepad controls
+ * Lists every action of InputBindings with its keys and gamepad buttons side by side.
+ * Clicking a binding waits for the next key or button press (see InputManager.startRebind);
+ * InputBindings saves the result, so the remap survives a reload.
+ *
+ * Usage example:
+ * const controlRemapScreen = new ControlRemapScreen(inputManager)
+ * controlRemapScreen.init()
+ * controlRemapScreen.open()
+ */
+export class ControlRemapScreen {
+  /**
+   * @param {InputManager} inputManager - Input manager that captures the presses
+   */
+  constructor(inputManager) {
+    this.inputManager = inputManager
+    this.bindings = inputManager.getBindings()
+
+    // DOM elements
+    this.modal = null
+    this.listElement = null
+    this.vibrationToggle = null
+    this.resetButton = null
+    this.closeButton = null
+    this.openButton = null
+
+    // State
+    this.isOpen = false
+    this.wasMovementEnabled = true
+
+    // Event listeners
+    this.boundOpen = this.open.bind(this)
+    this.boundClose = this.close.bind(this)
+    this.boundReset = this.handleReset.bind(this)
+    this.boundVibrationChange = this.handleVibrationChange.bind(this)
+    this.boundListClick = this.handleListClick.bind(this)
+    this.boundBindingsChange = () => this.render()
+  }
+
+  /**
+   * Find the screen's elements and hook up its buttons
+   * @returns {boolean} True if the screen is available
+   */
+  init() {
+    this.modal = document.getElementById('controls-modal')
+    this.listElement = document.getElementById('controls-list')
+    this.vibrationToggle = document.getElementById('controls-vibration')
+    this.resetButton = document.getElementById('controls-reset-button')
+    this.closeButton = document.getElementById('controls-close-button')
+    this.openButton = document.getElementById('open-controls-button')
+
+    if (!this.modal || !this.listElement) {
+      console.warn('ControlRemapScreen: controls modal not found')
+      return false
+    }
+
+    this.listElement.addEventListener('click', this.boundListClick)
+
+    if (this.vibrationToggle) {
+      this.vibrationToggle.addEventListener('change', this.boundVibrationChange)
+    }
+    if (this.resetButton) {
+      this.resetButton.addEventListener('click', this.boundReset)
+    }
+    if (this.closeButton) {
+      this.closeButton.addEventListener('click', this.boundClose)
+    }
+    if (this.openButton) {
+      this.openButton.addEventListener('click', this.boundOpen)
+    }
+
+    this.bindings.addChangeCallback(this.boundBindingsChange)
+
+    console.log('ControlRemapScreen initialized')
+    return true
+  }
+
+  /**
+   * Show the screen (movement is ignored while it is open)
+   */
+  open() {
+    if (!this.modal) return
+
+    this.isOpen = true
+    this.render()
+    this.modal.classList.remove('hidden')
+
+    this.wasMovementEnabled = this.inputManager.isMovementEnabled()
+    this.inputManager.setMovementEnabled(false)
+    this.inputManager.disableTouchControls()
+
+    if (this.closeButton) {
+      this.closeButton.focus()
+    }
+  }
+
+  /**
+   * Hide the screen, dropping a remap in progress (movement is restored to how it was)
+   */
+  close() {
+    if (!this.modal || !this.isOpen) return
+
+    this.isOpen = false
+    this.inputManager.cancelRebind()
+    this.modal.classList.add('hidden')
+
+    this.inputManager.setMovementEnabled(this.wasMovementEnabled)
+    this.inputManager.enableTouchControls()
+  }
+
+  /**
+   * List every action with its keyboard and gamepad bindings
+   */
+  render() {
+    if (!this.listElement) return
+
+    this.listElement.innerHTML = ''
+
+    for (const action of this.bindings.getActions()) {
+      const row = document.createElement('div')
+      row.className = 'controls-row'
+
+      const name = document.createElement('span')
+      name.className = 'controls-action'
+      name.textContent = action.name
+      row.appendChild(name)
+
+      row.appendChild(this.createBindingButton(action.id, 'keyboard', action.keys.map(code => InputBindings.getKeyName(code))))
+      row.appendChild(this.createBindingButton(action.id, 'gamepad', action.buttons.map(button => InputBindings.getButtonName(button))))
+
+      this.listElement.appendChild(row)
+    }
+
+    if (this.vibrationToggle) {
+      this.vibrationToggle.checked = this.bindings.getGamepadSettings().vibration
+    }
+  }
+
+  /**
+   * Create the button showing (and remapping) one binding
+   * @param {string} actionId - Action ID
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {Array<string>} names - Display names of the bound keys or buttons
+   * @returns {HTMLButtonElement} Binding button
+   */
+  createBindingButton(actionId, device, names) {
+    const button = document.createElement('button')
+    button.className = `controls-binding controls-${device}`
+    button.dataset.action = actionId
+    button.dataset.device = device
+    button.textContent = names.length > 0 ? names.join(' / ') : '—'
+    button.title = device === 'keyboard' ? 'Cambiar tecla' : 'Cambiar botón del control'
+    return button
+  }
+
+  /**
+   * Start remapping the binding that was clicked
+   * @param {MouseEvent} event - Click event
+   */
+  handleListClick(event) {
+    const button = event.target.closest('.controls-binding')
+    if (!button) return
+
+    const { action, device } = button.dataset
+    const started = this.inputManager.startRebind(action, device, () => this.render())
+
+    if (started) {
+      button.classList.add('waiting')
+      button.textContent = device === 'keyboard' ? 'Presiona una tecla… (Esc cancela)' : 'Presiona un botón… (Esc cancela)'
+    }
+  }
+
+  /**
+   * Turn gamepad rumble on or off
+   */
+  handleVibrationChange() {
+    this.bindings.setGamepadSettings({ vibration: this.vibrationToggle.checked })
+  }
+
+  /**
+   * Restore the default controls
+   */
+  handleReset() {
+    this.inputManager.cancelRebind()
+    this.bindings.resetToDefaults()
+  }
+
+  /**
+   * Remove listeners and drop element references
+   */
+  dispose() {
+    if (this.isOpen) {
+      this.inputManager.cancelRebind()
+    }
+
+    if (this.listElement) {
+      this.listElement.removeEventListener('click', this.boundListClick)
+    }
+    if (this.vibrationToggle) {
+      this.vibrationToggle.removeEventListener('change', this.boundVibrationChange)
+    }
+    if (this.resetButton) {
+      this.resetButton.removeEventListener('click', this.boundReset)
+    }
+    if (this.closeButton) {
+      this.closeButton.removeEventListener('click', this.boundClose)
+    }
+    if (this.openButton) {
+      this.openButton.removeEventListener('click', this.boundOpen)
+    }
+
+    this.bindings.removeChangeCallback(this.boundBindingsChange)
+
+    this.modal = null
+    this.listElement = null
+    this.vibrationToggle = null
+    this.resetButton = null
+    this.closeButton = null
+    this.openButton = null
+
+    console.log('ControlRemapScreen disposed')
+  }
+}
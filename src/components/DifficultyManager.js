@@ -0,0 +1,238 @@
+/**
+ * DifficultyManager - Keyframed difficulty curves and the selectable presets
+ * A curve maps the elapsed round time (or the current score) to a value, interpolating
+ * linearly between keyframes and holding the first/last value outside of them.
+ * GameEngine evaluates the curves every simulation step and feeds the result to SoulManager,
+ * so the same seed and difficulty always play out the same (replays, ScoreValidator).
+ *
+ * Curve parameters:
+ * - spawnRate: souls per second (falls back to SOUL_SPAWN_RATE)
+ * - maxSouls: souls on the field at once (falls back to SOUL_COUNT)
+ * - soulSpeed: multiplier over the soul float, drift and rotation speed (falls back to 1)
+ * - erraticIntensity: multiplier over the soul erratic movement (falls back to 1)
+ *
+ * Usage example:
+ * const difficulty = new DifficultyManager()
+ * difficulty.configure('dificil', null, { spawnRate: 1.5, maxSouls: 10 })
+ * difficulty.configure('normal', { spawnRate: { by: 'score', keyframes: [{ at: 0, value: 1 }, { at: 40, value: 3 }] } })
+ * const values = difficulty.evaluate(gameTime, score) // { spawnRate, maxSouls, soulSpeed, erraticIntensity }
+ */
+
+export const DEFAULT_DIFFICULTY = 'normal'
+export const DIFFICULTY_PARAMETERS = ['spawnRate', 'maxSouls', 'soulSpeed', 'erraticIntensity']
+
+const DEFAULT_VALUES = {
+  spawnRate: 1.5,
+  maxSouls: 10,
+  soulSpeed: 1.0,
+  erraticIntensity: 1.0
+}
+
+const presets = new Map()
+
+export class DifficultyManager {
+  constructor() {
+    this.presetId = DEFAULT_DIFFICULTY
+    this.curves = {}
+    this.baseValues = { ...DEFAULT_VALUES }
+    this.values = { ...DEFAULT_VALUES }
+  }
+
+  /**
+   * Register (or replace) a difficulty preset
+   * @param {Object} preset - { id, name, curves } (curves by parameter name)
+   * @returns {Object} Registered preset
+   */
+  static registerPreset(preset) {
+    if (!preset || typeof preset.id !== 'string' || preset.id.length === 0) {
+      throw new Error('Difficulty preset requires an id')
+    }
+
+    const registered = {
+      id: preset.id,
+      name: preset.name || preset.id,
+      curves: DifficultyManager.normalizeCurves(preset.curves)
+    }
+
+    presets.set(registered.id, Object.freeze(registered))
+    return registered
+  }
+
+  /**
+   * Get a difficulty preset
+   * @param {string} id - Preset id
+   * @returns {Object|null} Preset or null if unknown
+   */
+  static getPreset(id) {
+    return presets.get(id) || null
+  }
+
+  /**
+   * Check if a difficulty preset is registered
+   * @param {string} id - Preset id
+   * @returns {boolean} True if registered
+   */
+  static hasPreset(id) {
+    return presets.has(id)
+  }
+
+  /**
+   * Get every registered preset, in registration order
+   * @returns {Array<Object>} Presets
+   */
+  static getPresets() {
+    return Array.from(presets.values())
+  }
+
+  /**
+   * Keep the valid curves of a curve table (keyframes sorted by position)
+   * @param {Object} curves - Curves by parameter name
+   * @returns {Object} Valid curves
+   */
+  static normalizeCurves(curves) {
+    const normalized = {}
+
+    for (const [parameter, curve] of Object.entries(curves || {})) {
+      if (!DIFFICULTY_PARAMETERS.includes(parameter)) {
+        console.warn(`Unknown difficulty parameter: ${parameter}`)
+        continue
+      }
+
+      const keyframes = curve && Array.isArray(curve.keyframes)
+        ? curve.keyframes.filter(keyframe => Number.isFinite(keyframe.at) && Number.isFinite(keyframe.value))
+        : []
+
+      if (keyframes.length === 0) {
+        console.warn(`Difficulty curve for ${parameter} has no valid keyframes`)
+        continue
+      }
+
+      normalized[parameter] = Object.freeze({
+        by: curve.by === 'score' ? 'score' : 'time',
+        keyframes: keyframes
+          .map(keyframe => ({ at: keyframe.at, value: keyframe.value }))
+          .sort((a, b) => a.at - b.at)
+      })
+    }
+
+    return normalized
+  }
+
+  /**
+   * Evaluate a curve
+   * @param {Object} curve - { by, keyframes: [{ at, value }] } with sorted keyframes
+   * @param {number} input - Elapsed seconds or score, depending on the curve
+   * @returns {number} Interpolated value
+   */
+  static evaluateCurve(curve, input) {
+    const keyframes = curve.keyframes
+    const first = keyframes[0]
+    const last = keyframes[keyframes.length - 1]
+
+    if (input <= first.at) return first.value
+    if (input >= last.at) return last.value
+
+    for (let i = 1; i < keyframes.length; i++) {
+      const next = keyframes[i]
+      if (input <= next.at) {
+        const previous = keyframes[i - 1]
+        const t = (input - previous.at) / (next.at - previous.at)
+        return previous.value + (next.value - previous.value) * t
+      }
+    }
+
+    return last.value
+  }
+
+  /**
+   * Select the curves to play with
+   * @param {string} presetId - Difficulty preset (unknown ids fall back to the default one)
+   * @param {Object|null} customCurves - Curves that replace the preset's, by parameter name
+   * @param {Object} baseValues - Values used for parameters without a curve { spawnRate, maxSouls, ... }
+   */
+  configure(presetId, customCurves = null, baseValues = {}) {
+    const preset = DifficultyManager.getPreset(presetId) || DifficultyManager.getPreset(DEFAULT_DIFFICULTY)
+
+    if (presetId && preset.id !== presetId) {
+      console.warn(`Unknown difficulty preset: ${presetId}, using ${preset.id}`)
+    }
+
+    this.presetId = preset.id
+    this.curves = { ...preset.curves, ...DifficultyManager.normalizeCurves(customCurves) }
+
+    for (const parameter of DIFFICULTY_PARAMETERS) {
+      if (typeof baseValues[parameter] === 'number') {
+        this.baseValues[parameter] = baseValues[parameter]
+      }
+    }
+
+    this.evaluate(0, 0)
+  }
+
+  /**
+   * Evaluate every parameter for the current point of the round
+   * @param {number} gameTime - Seconds since the round started
+   * @param {number} score - Current score
+   * @returns {Object} { spawnRate, maxSouls, soulSpeed, erraticIntensity }
+   */
+  evaluate(gameTime, score) {
+    for (const parameter of DIFFICULTY_PARAMETERS) {
+      const curve = this.curves[parameter]
+      this.values[parameter] = curve
+        ? DifficultyManager.evaluateCurve(curve, curve.by === 'score' ? score : gameTime)
+        : this.baseValues[parameter]
+    }
+
+    return { ...this.values }
+  }
+
+  /**
+   * Get the selected preset id
+   * @returns {string} Preset id
+   */
+  getPresetId() {
+    return this.presetId
+  }
+
+  /**
+   * Get the values from the last evaluation
+   * @returns {Object} { spawnRate, maxSouls, soulSpeed, erraticIntensity }
+   */
+  getValues() {
+    return { ...this.values }
+  }
+}
+
+// Built-in presets (the round lasts 30 seconds plus bonus time; curves hold their last value after that)
+DifficultyManager.registerPreset({
+  id: 'facil',
+  name: 'Fácil',
+  curves: {
+    spawnRate: { by: 'time', keyframes: [{ at: 0, value: 1.8 }, { at: 30, value: 2.0 }] },
+    maxSouls: { by: 'time', keyframes: [{ at: 0, value: 12 }] },
+    soulSpeed: { by: 'time', keyframes: [{ at: 0, value: 0.75 }, { at: 30, value: 0.9 }] },
+    erraticIntensity: { by: 'score', keyframes: [{ at: 0, value: 0.7 }, { at: 40, value: 0.9 }] }
+  }
+})
+
+DifficultyManager.registerPreset({
+  id: 'normal',
+  name: 'Normal',
+  curves: {
+    spawnRate: { by: 'time', keyframes: [{ at: 0, value: 1.5 }, { at: 30, value: 1.9 }] },
+    maxSouls: { by: 'time', keyframes: [{ at: 0, value: 10 }, { at: 30, value: 12 }] },
+    soulSpeed: { by: 'time', keyframes: [{ at: 0, value: 1.0 }, { at: 30, value: 1.25 }] },
+    erraticIntensity: { by: 'score', keyframes: [{ at: 0, value: 1.0 }, { at: 50, value: 1.4 }] }
+  }
+})
+
+DifficultyManager.registerPreset({
+  id: 'dificil',
+  name: 'Difícil',
+  curves: {
+    spawnRate: { by: 'time', keyframes: [{ at: 0, value: 1.2 }, { at: 30, value: 1.6 }] },
+    maxSouls: { by: 'time', keyframes: [{ at: 0, value: 8 }, { at: 30, value: 10 }] },
+    soulSpeed: { by: 'time', keyframes: [{ at: 0, value: 1.2 }, { at: 15, value: 1.4 }, { at: 30, value: 1.7 }] },
+    erraticIntensity: { by: 'score', keyframes: [{ at: 0, value: 1.3 }, { at: 50, value: 2.0 }] }
+  }
+})
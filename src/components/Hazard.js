@@ -0,0 +1,211 @@
+import * as THREE from 'three'
+import { SeededRandom } from '../utils/SeededRandom.js'
+
+/**
+ * Hazard - Base class for the playfield obstacles managed by HazardManager
+ * A hazard is pooled, moves on the simulation clock and reports contact with the skull through
+ * CollisionDetector's hazard channel. Subclasses build the mesh and the movement;
+ * GameEngine decides what a contact costs (see GameEngine.handleHazardContact).
+ *
+ * Subclasses implement:
+ * - createMesh(): THREE.Object3D for the hazard
+ * - updateMovement(deltaTime): move this.position
+ * - isExpired(): true once the hazard should be removed (optional)
+ */
+export class Hazard {
+  constructor(kind, random = new SeededRandom()) {
+    this.id = null
+    this.kind = kind
+    this.position = new THREE.Vector3()
+    this.previousPosition = new THREE.Vector3() // Position at the previous simulation step
+
+    // Seeded random generator shared with HazardManager for reproducible runs
+    this.random = random
+
+    // Three.js objects
+    this.mesh = null
+
+    // Hazard state
+    this.isActive = false
+    this.age = 0
+    this.collisionRadius = 1.0
+    this.cooldown = 0 // Seconds until the hazard can affect the skull again
+    this.contactCount = 0
+    this.fieldSize = { x: 10, z: 10 }
+  }
+
+  /**
+   * Create the hazard mesh (called once, the mesh is reused by the pool)
+   */
+  init() {
+    this.mesh = this.createMesh()
+    this.mesh.name = `hazard-${this.kind}`
+  }
+
+  /**
+   * Build the hazard mesh
+   * @returns {THREE.Object3D} Hazard mesh
+   */
+  createMesh() {
+    throw new Error(`${this.constructor.name} must implement createMesh()`)
+  }
+
+  /**
+   * Place the hazard on the field (pooled hazards are spawned many times)
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {Object} options - Spawn options, e.g. { fieldSize }
+   */
+  spawn(position, options = {}) {
+    this.position.copy(position)
+    this.previousPosition.copy(position)
+    this.isActive = true
+    this.age = 0
+    this.cooldown = 0
+    this.contactCount = 0
+
+    if (options.fieldSize) {
+      this.fieldSize = { ...options.fieldSize }
+    }
+
+    if (this.mesh) {
+      this.mesh.position.copy(position)
+      this.mesh.visible = true
+    }
+  }
+
+  /**
+   * Update the hazard
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (!this.isActive) return
+
+    this.previousPosition.copy(this.position)
+    this.age += deltaTime
+    this.cooldown = Math.max(0, this.cooldown - deltaTime)
+
+    this.updateMovement(deltaTime)
+
+    if (this.mesh) {
+      this.mesh.position.copy(this.position)
+    }
+  }
+
+  /**
+   * Move the hazard (subclasses)
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateMovement(deltaTime) {}
+
+  /**
+   * Interpolate the rendered position between the last two simulation steps
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   */
+  interpolate(alpha) {
+    if (!this.mesh || !this.isActive) return
+
+    this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha)
+  }
+
+  /**
+   * Register a contact with the skull
+   * @returns {boolean} True if this is the first contact since the hazard spawned
+   */
+  registerContact() {
+    this.contactCount++
+    return this.contactCount === 1
+  }
+
+  /**
+   * Stop the hazard from affecting the skull for a while (e.g. right after it cost time)
+   * @param {number} seconds - Cooldown duration
+   */
+  startCooldown(seconds) {
+    this.cooldown = Math.max(this.cooldown, seconds)
+  }
+
+  /**
+   * Check if a contact with the skull should have an effect right now
+   * @returns {boolean} True if the hazard can affect the skull
+   */
+  canAffectPlayer() {
+    return this.isActive && this.cooldown <= 0
+  }
+
+  /**
+   * Check if the hazard should be removed from the field
+   * @returns {boolean} True once expired
+   */
+  isExpired() {
+    return false
+  }
+
+  /**
+   * Get hazard position
+   * @returns {THREE.Vector3} Current position
+   */
+  getPosition() {
+    return this.position.clone()
+  }
+
+  /**
+   * Get hazard ID
+   * @returns {string} Hazard ID
+   */
+  getId() {
+    return this.id
+  }
+
+  /**
+   * Get hazard kind
+   * @returns {string} 'alebrije' or 'wind-gust'
+   */
+  getKind() {
+    return this.kind
+  }
+
+  /**
+   * Get the contact radius (horizontal, the skull floats above the hazards)
+   * @returns {number} Collision radius
+   */
+  getCollisionRadius() {
+    return this.collisionRadius
+  }
+
+  /**
+   * Get the mesh
+   * @returns {THREE.Object3D} Hazard mesh
+   */
+  getMesh() {
+    return this.mesh
+  }
+
+  /**
+   * Reset the hazard to initial state (for object pooling)
+   */
+  reset() {
+    this.isActive = false
+    this.age = 0
+    this.cooldown = 0
+    this.contactCount = 0
+
+    if (this.mesh) {
+      this.mesh.visible = false
+    }
+  }
+
+  /**
+   * Clean up hazard resources
+   */
+  dispose() {
+    if (this.mesh) {
+      this.mesh.traverse(child => {
+        if (child.geometry) child.geometry.dispose()
+        if (child.material) child.material.dispose()
+      })
+      this.mesh = null
+    }
+
+    this.isActive = false
+  }
+}
@@ -0,0 +1,300 @@
+import * as THREE from 'three'
+import { Alebrije } from './Alebrije.js'
+import { WindGust } from './WindGust.js'
+import { HazardPool } from '../utils/ObjectPool.js'
+import { SeededRandom } from '../utils/SeededRandom.js'
+
+// Hazards draw from their own sequence so adding them doesn't change the soul spawns of a seed
+const HAZARD_SEED_OFFSET = 0x9e3779b9
+
+/**
+ * HazardManager handles spawning, lifecycle and pooling of the playfield hazards
+ * Runs alongside SoulManager: alebrijes wander the field (up to a fixed count, after a short
+ * grace period) and cempasúchil wind gusts sweep across it at a regular interval.
+ * Contacts with the skull are detected by CollisionDetector.checkHazardCollisions.
+ *
+ * Usage example:
+ * const hazardManager = new HazardManager(renderEngine)
+ * hazardManager.setSeed(seed)
+ * hazardManager.resumeSpawning()
+ * hazardManager.update(deltaTime)
+ */
+export class HazardManager {
+  constructor(renderEngine, random = new SeededRandom()) {
+    this.renderEngine = renderEngine
+
+    // Seeded random generator shared with hazards for reproducible runs
+    this.random = random
+
+    // Hazard management (one pool per hazard kind)
+    this.activeHazards = new Map()
+    this.pools = {
+      alebrije: new HazardPool(Alebrije, renderEngine, 1, random),
+      'wind-gust': new HazardPool(WindGust, renderEngine, 1, random)
+    }
+    this.nextHazardId = 0
+
+    // Spawning configuration
+    this.alebrijeCount = 1 // Alebrijes on the field at once
+    this.alebrijeSpawnDelay = 3.0 // Grace period before alebrijes appear
+    this.gustInterval = 6.0 // Seconds between wind gusts (0 = no gusts)
+    this.gustStrength = 6.0 // Push in units per second
+    this.spawnTimer = 0
+    this.gustTimer = 0
+    this.isSpawningPaused = true
+
+    // Game field boundaries
+    this.fieldSize = { x: 10, z: 10 }
+    this.altarAvoidRadius = 4.0
+
+    console.log('HazardManager initialized')
+  }
+
+  /**
+   * Update hazard spawning and lifecycle
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (!this.isSpawningPaused) {
+      this.spawnTimer += deltaTime
+
+      if (this.spawnTimer >= this.alebrijeSpawnDelay && this.getActiveHazardCount('alebrije') < this.alebrijeCount) {
+        this.spawnAlebrije()
+      }
+
+      if (this.gustInterval > 0) {
+        this.gustTimer += deltaTime
+        if (this.gustTimer >= this.gustInterval) {
+          this.spawnWindGust()
+          this.gustTimer = 0
+        }
+      }
+    }
+
+    const expiredHazards = []
+
+    for (const [id, hazard] of this.activeHazards) {
+      hazard.update(deltaTime)
+
+      if (hazard.isExpired()) {
+        expiredHazards.push(id)
+      }
+    }
+
+    for (const id of expiredHazards) {
+      this.removeHazard(id)
+    }
+  }
+
+  /**
+   * Interpolate rendered hazard positions between simulation steps
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   */
+  interpolate(alpha) {
+    for (const hazard of this.activeHazards.values()) {
+      hazard.interpolate(alpha)
+    }
+  }
+
+  /**
+   * Spawn an alebrije at a random point of the field edge
+   * @returns {Alebrije} Spawned alebrije
+   */
+  spawnAlebrije() {
+    const position = this.generateEdgePosition()
+    position.y = 1.2
+
+    return this.addHazard(this.pools.alebrije.acquireHazard(position, {
+      fieldSize: this.fieldSize,
+      altarAvoidRadius: this.altarAvoidRadius
+    }))
+  }
+
+  /**
+   * Spawn a wind gust at the field edge, blowing across the field
+   * @returns {WindGust} Spawned wind gust
+   */
+  spawnWindGust() {
+    const position = this.generateEdgePosition()
+    position.y = 2.0
+
+    // Aim at a random point near the center so the gust crosses the field
+    const target = new THREE.Vector3(
+      (this.random.next() - 0.5) * this.fieldSize.x,
+      position.y,
+      (this.random.next() - 0.5) * this.fieldSize.z
+    )
+
+    return this.addHazard(this.pools['wind-gust'].acquireHazard(position, {
+      fieldSize: this.fieldSize,
+      direction: target.sub(position),
+      strength: this.gustStrength
+    }))
+  }
+
+  /**
+   * Track a spawned hazard
+   * @param {Hazard} hazard - Spawned hazard
+   * @returns {Hazard} The hazard
+   */
+  addHazard(hazard) {
+    hazard.id = `hazard-${this.nextHazardId++}`
+    this.activeHazards.set(hazard.getId(), hazard)
+    return hazard
+  }
+
+  /**
+   * Generate a random position on the edge of the field
+   * @returns {THREE.Vector3} Edge position
+   */
+  generateEdgePosition() {
+    const side = this.random.int(0, 3)
+    const along = (this.random.next() - 0.5) * 2
+
+    switch (side) {
+      case 0:
+        return new THREE.Vector3(along * this.fieldSize.x, 0, -this.fieldSize.z)
+      case 1:
+        return new THREE.Vector3(this.fieldSize.x, 0, along * this.fieldSize.z)
+      case 2:
+        return new THREE.Vector3(along * this.fieldSize.x, 0, this.fieldSize.z)
+      default:
+        return new THREE.Vector3(-this.fieldSize.x, 0, along * this.fieldSize.z)
+    }
+  }
+
+  /**
+   * Remove a hazard from the game
+   * @param {string} hazardId - ID of hazard to remove
+   */
+  removeHazard(hazardId) {
+    const hazard = this.activeHazards.get(hazardId)
+    if (!hazard) return
+
+    this.activeHazards.delete(hazardId)
+    this.pools[hazard.getKind()].releaseHazard(hazard)
+  }
+
+  /**
+   * Get all active hazards
+   * @returns {Map<string, Hazard>} Map of active hazards
+   */
+  getActiveHazards() {
+    return this.activeHazards
+  }
+
+  /**
+   * Get the number of active hazards
+   * @param {string|null} kind - Only count this kind (all kinds if omitted)
+   * @returns {number} Active hazard count
+   */
+  getActiveHazardCount(kind = null) {
+    if (!kind) return this.activeHazards.size
+
+    let count = 0
+    for (const hazard of this.activeHazards.values()) {
+      if (hazard.getKind() === kind) count++
+    }
+    return count
+  }
+
+  /**
+   * Set how many alebrijes wander the field at once
+   * @param {number} count - Alebrije count (0 = none)
+   */
+  setAlebrijeCount(count) {
+    this.alebrijeCount = Math.max(0, Math.floor(count))
+  }
+
+  /**
+   * Configure the wind gusts
+   * @param {number} interval - Seconds between gusts (0 = no gusts)
+   * @param {number} strength - Push in units per second
+   */
+  setWindGusts(interval, strength) {
+    this.gustInterval = Math.max(0, interval)
+    this.gustStrength = Math.max(0, strength)
+  }
+
+  /**
+   * Set the game field size for spawning
+   * @param {number} sizeX - Field size in X direction
+   * @param {number} sizeZ - Field size in Z direction
+   */
+  setFieldSize(sizeX, sizeZ) {
+    this.fieldSize.x = Math.max(1, sizeX)
+    this.fieldSize.z = Math.max(1, sizeZ)
+  }
+
+  /**
+   * Set how far alebrijes keep from the field center (the altar)
+   * @param {number} radius - Avoid radius
+   */
+  setAltarAvoidRadius(radius) {
+    this.altarAvoidRadius = Math.max(0, radius)
+  }
+
+  /**
+   * Remove all hazards from the game
+   */
+  clearAllHazards() {
+    for (const hazard of this.activeHazards.values()) {
+      this.pools[hazard.getKind()].releaseHazard(hazard)
+    }
+
+    this.activeHazards.clear()
+    this.spawnTimer = 0
+    this.gustTimer = 0
+  }
+
+  /**
+   * Reseed the random generator and restart hazard IDs so a run can be reproduced
+   * Should be called after clearing hazards, right before a new run starts
+   * @param {number} seed - Seed for the run
+   */
+  setSeed(seed) {
+    this.random.setSeed((seed ^ HAZARD_SEED_OFFSET) >>> 0)
+    this.nextHazardId = 0
+  }
+
+  /**
+   * Pause hazard spawning (active hazards stay on the field)
+   */
+  pauseSpawning() {
+    this.isSpawningPaused = true
+  }
+
+  /**
+   * Resume hazard spawning
+   */
+  resumeSpawning() {
+    this.isSpawningPaused = false
+  }
+
+  /**
+   * Get performance statistics
+   * @returns {Object} Performance stats
+   */
+  getPerformanceStats() {
+    return {
+      activeHazards: this.activeHazards.size,
+      alebrijes: this.getActiveHazardCount('alebrije'),
+      windGusts: this.getActiveHazardCount('wind-gust'),
+      isSpawningPaused: this.isSpawningPaused
+    }
+  }
+
+  /**
+   * Clean up all resources
+   */
+  dispose() {
+    this.clearAllHazards()
+
+    for (const pool of Object.values(this.pools)) {
+      pool.dispose()
+    }
+
+    this.pools = {}
+    console.log('HazardManager disposed')
+  }
+}
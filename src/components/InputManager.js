@@ -1,19 +1,43 @@
+import { InputBindings, PLAYER_MOVEMENT_ACTIONS } from '../utils/InputBindings.js'
+
+// Touch sensitivity at which a drag of maxTouchDistance pixels reaches full speed
+export const DEFAULT_TOUCH_SENSITIVITY = 0.003
+
 /**
- * InputManager handles all user input for keyboard and touch controls
+ * InputManager handles all user input for keyboard, gamepad and touch controls
  * Provides cross-platform input normalization and virtual joystick for mobile
+ * Keys and gamepad buttons come from InputBindings, so players can remap them
+ * In two-player mode each player reads their own vector (see getPlayerInputVector)
  */
 export class InputManager {
-  constructor() {
+  /**
+   * @param {InputBindings|null} bindings - Key and button bindings (defaults are used if omitted)
+   */
+  constructor(bindings = null) {
     // Input state
+    this.bindings = bindings || new InputBindings()
     this.keys = {}
     this.inputVector = { x: 0, z: 0 }
+    this.playerInputVectors = PLAYER_MOVEMENT_ACTIONS.map(() => ({ x: 0, z: 0 }))
     this.isTouch = false
+    this.lastInputSource = 'keyboard' // 'keyboard', 'gamepad' or 'touch'
+    this.movementEnabled = true // Off while a menu (like the remapping screen) takes the input
+    
+    // Gamepads (one per player, in connection order), polled every animation frame while connected
+    this.gamepadVectors = []
+    this.gamepadButtons = [] // Buttons held at the last poll, per gamepad
+    this.lastGamepadIndex = 0
+    this.gamepadPollId = null
+    
+    // Start/pause and other command actions, and the binding being remapped
+    this.actionCallbacks = []
+    this.pendingRebind = null
     
     // Touch controls
     this.touchStartPos = { x: 0, y: 0 }
     this.touchCurrentPos = { x: 0, y: 0 }
     this.touchActive = false
-    this.touchSensitivity = 0.003
+    this.touchSensitivity = DEFAULT_TOUCH_SENSITIVITY
     this.maxTouchDistance = 100
     
     // Control state
@@ -33,6 +57,8 @@ export class InputManager {
     this.boundMouseDown = this.handleMouseDown.bind(this)
     this.boundMouseMove = this.handleMouseMove.bind(this)
     this.boundMouseUp = this.handleMouseUp.bind(this)
+    this.boundGamepadConnected = this.handleGamepadConnected.bind(this)
+    this.boundBindingsChange = () => this.updateInputVector()
     
     // Device detection
     this.isMobile = this.detectMobile()
@@ -46,6 +72,8 @@ export class InputManager {
   init() {
     this.setupKeyboardControls()
     this.setupTouchControls()
+    this.setupGamepadControls()
+    this.bindings.addChangeCallback(this.boundBindingsChange)
     
     if (this.isMobile) {
       this.createVirtualJoystick()
@@ -71,10 +99,9 @@ export class InputManager {
     document.addEventListener('keydown', this.boundKeyDown, false)
     document.addEventListener('keyup', this.boundKeyUp, false)
     
-    // Prevent default behavior for game keys (but not when typing in input fields)
+    // Prevent default behavior for movement keys (but not when typing in input fields)
     document.addEventListener('keydown', (event) => {
-      const gameKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyA', 'KeyS', 'KeyD']
-      if (gameKeys.includes(event.code) && !this.isTypingInInputField()) {
+      if (this.bindings.isMovementKey(event.code) && !this.isTypingInInputField()) {
         event.preventDefault()
       }
     }, false)
@@ -95,18 +122,54 @@ export class InputManager {
     document.addEventListener('mouseup', this.boundMouseUp, false)
   }
 
+  /**
+   * Set up gamepad listeners (the Gamepad API has no button events, so gamepads are polled)
+   */
+  setupGamepadControls() {
+    if (typeof window === 'undefined') return
+    
+    window.addEventListener('gamepadconnected', this.boundGamepadConnected, false)
+    
+    // Gamepads already connected (and used) before the page loaded
+    if (this.getConnectedGamepads().length > 0) {
+      this.startGamepadPolling()
+    }
+  }
+
   /**
    * Handle keyboard key down events
    * @param {KeyboardEvent} event - Keyboard event
    */
   handleKeyDown(event) {
+    // The remapping screen is waiting for a press (Escape cancels)
+    if (this.pendingRebind && (this.pendingRebind.device === 'keyboard' || event.code === 'Escape')) {
+      event.preventDefault()
+      if (event.code === 'Escape') {
+        this.cancelRebind()
+      } else {
+        this.completeRebind(event.code)
+      }
+      return
+    }
+    
     // Don't capture input if user is typing in an input field
     if (this.isTypingInInputField()) {
       return
     }
     
+    const isNewPress = !event.repeat && !this.keys[event.code]
+    
     this.keys[event.code] = true
+    this.lastInputSource = 'keyboard'
     this.updateInputVector()
+    
+    if (isNewPress) {
+      for (const actionId of this.bindings.getActionsForKey(event.code)) {
+        if (!this.bindings.isMovementAction(actionId)) {
+          this.triggerActionCallbacks({ action: actionId, source: 'keyboard', playerIndex: null })
+        }
+      }
+    }
   }
 
   /**
@@ -191,6 +254,7 @@ export class InputManager {
       this.touchCurrentPos.y = touch.clientY
       this.touchActive = true
       this.isTouch = true
+      this.lastInputSource = 'touch'
       
       this.updateVirtualJoystick(touch.clientX, touch.clientY, true)
     }
@@ -311,35 +375,45 @@ export class InputManager {
    * Update input vector based on keyboard input
    */
   updateInputVector() {
-    this.inputVector.x = 0
-    this.inputVector.z = 0
-    
-    // Horizontal movement (A/D or Left/Right arrows)
-    if (this.keys['KeyA'] || this.keys['ArrowLeft']) {
-      this.inputVector.x -= 1
-    }
-    if (this.keys['KeyD'] || this.keys['ArrowRight']) {
-      this.inputVector.x += 1
-    }
+    // In single-player any player's keys move the skull (WASD or arrows by default)
+    const isDirectionDown = (direction) => PLAYER_MOVEMENT_ACTIONS.some(movement => this.isActionKeyDown(movement[direction]))
     
-    // Vertical movement (W/S or Up/Down arrows)
-    if (this.keys['KeyW'] || this.keys['ArrowUp']) {
-      this.inputVector.z -= 1
-    }
-    if (this.keys['KeyS'] || this.keys['ArrowDown']) {
-      this.inputVector.z += 1
-    }
+    this.inputVector.x = (isDirectionDown('right') ? 1 : 0) - (isDirectionDown('left') ? 1 : 0)
+    this.inputVector.z = (isDirectionDown('down') ? 1 : 0) - (isDirectionDown('up') ? 1 : 0)
+    this.normalizeVector(this.inputVector)
     
-    // Normalize diagonal movement
-    if (this.inputVector.x !== 0 && this.inputVector.z !== 0) {
-      const length = Math.sqrt(this.inputVector.x * this.inputVector.x + this.inputVector.z * this.inputVector.z)
-      this.inputVector.x /= length
-      this.inputVector.z /= length
-    }
+    // Each player's own keys, for two-player mode
+    PLAYER_MOVEMENT_ACTIONS.forEach((movement, index) => {
+      const vector = this.playerInputVectors[index]
+      vector.x = (this.isActionKeyDown(movement.right) ? 1 : 0) - (this.isActionKeyDown(movement.left) ? 1 : 0)
+      vector.z = (this.isActionKeyDown(movement.down) ? 1 : 0) - (this.isActionKeyDown(movement.up) ? 1 : 0)
+      this.normalizeVector(vector)
+    })
     
     this.isTouch = false
   }
 
+  /**
+   * Check if any key bound to an action is held
+   * @param {string} actionId - Action ID (see InputBindings)
+   * @returns {boolean} True if held
+   */
+  isActionKeyDown(actionId) {
+    return this.bindings.getKeys(actionId).some(code => this.keys[code])
+  }
+
+  /**
+   * Normalize diagonal movement so it isn't faster than straight movement
+   * @param {Object} vector - Input vector {x, z}, changed in place
+   */
+  normalizeVector(vector) {
+    if (vector.x !== 0 && vector.z !== 0) {
+      const length = Math.sqrt(vector.x * vector.x + vector.z * vector.z)
+      vector.x /= length
+      vector.z /= length
+    }
+  }
+
   /**
    * Update input vector based on touch input
    */
@@ -347,14 +421,17 @@ export class InputManager {
     const deltaX = this.touchCurrentPos.x - this.touchStartPos.x
     const deltaY = this.touchCurrentPos.y - this.touchStartPos.y
     
-    // Calculate distance and clamp to max touch distance
+    // Higher sensitivity reaches full speed with a shorter drag
+    const fullSpeedDistance = this.maxTouchDistance * DEFAULT_TOUCH_SENSITIVITY / this.touchSensitivity
+    
+    // Calculate distance and clamp to the full speed distance
     const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY)
-    const clampedDistance = Math.min(distance, this.maxTouchDistance)
+    const clampedDistance = Math.min(distance, fullSpeedDistance)
     
     if (distance > 0) {
       // Normalize and apply sensitivity
-      this.inputVector.x = (deltaX / distance) * (clampedDistance / this.maxTouchDistance)
-      this.inputVector.z = (deltaY / distance) * (clampedDistance / this.maxTouchDistance)
+      this.inputVector.x = (deltaX / distance) * (clampedDistance / fullSpeedDistance)
+      this.inputVector.z = (deltaY / distance) * (clampedDistance / fullSpeedDistance)
     } else {
       this.inputVector.x = 0
       this.inputVector.z = 0
@@ -451,12 +528,347 @@ export class InputManager {
 
   /**
    * Get current normalized input vector
+   * Keyboard and touch come first; otherwise the first gamepad being moved
    * @returns {Object} Input vector with x and z components
    */
   getInputVector() {
+    if (!this.movementEnabled) {
+      return { x: 0, z: 0 }
+    }
+    
+    if (this.inputVector.x !== 0 || this.inputVector.z !== 0) {
+      return {
+        x: this.inputVector.x,
+        z: this.inputVector.z
+      }
+    }
+    
+    const gamepadVector = this.gamepadVectors.find(vector => vector && (vector.x !== 0 || vector.z !== 0))
+    return {
+      x: gamepadVector ? gamepadVector.x : 0,
+      z: gamepadVector ? gamepadVector.z : 0
+    }
+  }
+
+  /**
+   * Get the input vector of one player in two-player mode
+   * Their keys (WASD for player one, arrows for player two by default), or else their gamepad
+   * @param {number} playerIndex - Player index (0 or 1)
+   * @returns {Object} Input vector with x and z components
+   */
+  getPlayerInputVector(playerIndex) {
+    if (!this.movementEnabled) {
+      return { x: 0, z: 0 }
+    }
+    
+    const keyboardVector = this.playerInputVectors[playerIndex]
+    
+    if (keyboardVector && (keyboardVector.x !== 0 || keyboardVector.z !== 0)) {
+      return {
+        x: keyboardVector.x,
+        z: keyboardVector.z
+      }
+    }
+    
+    return this.getGamepadInputVector(playerIndex)
+  }
+
+  /**
+   * Get the movement of a connected gamepad at the last poll
+   * @param {number} gamepadIndex - Index among the connected gamepads
+   * @returns {Object} Input vector with x and z components (zero without a gamepad)
+   */
+  getGamepadInputVector(gamepadIndex) {
+    const vector = this.gamepadVectors[gamepadIndex]
+    
     return {
-      x: this.inputVector.x,
-      z: this.inputVector.z
+      x: vector ? vector.x : 0,
+      z: vector ? vector.z : 0
+    }
+  }
+
+  /**
+   * Get the connected gamepads, in connection order
+   * @returns {Array<Gamepad>} Gamepads (empty without Gamepad API support)
+   */
+  getConnectedGamepads() {
+    if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+      return []
+    }
+    
+    return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected)
+  }
+
+  /**
+   * Handle a gamepad being connected
+   * @param {GamepadEvent} event - Gamepad event
+   */
+  handleGamepadConnected(event) {
+    console.log(`InputManager: Gamepad connected - ${event.gamepad ? event.gamepad.id : 'unknown'}`)
+    this.startGamepadPolling()
+  }
+
+  /**
+   * Poll the gamepads every animation frame until none is connected
+   */
+  startGamepadPolling() {
+    if (this.gamepadPollId !== null || typeof requestAnimationFrame !== 'function') return
+    
+    const poll = () => {
+      this.pollGamepads()
+      this.gamepadPollId = this.getConnectedGamepads().length > 0 ? requestAnimationFrame(poll) : null
+    }
+    
+    this.gamepadPollId = requestAnimationFrame(poll)
+  }
+
+  /**
+   * Stop polling the gamepads
+   */
+  stopGamepadPolling() {
+    if (this.gamepadPollId !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this.gamepadPollId)
+    }
+    
+    this.gamepadPollId = null
+  }
+
+  /**
+   * Read every connected gamepad: stick and d-pad movement, and newly pressed buttons
+   */
+  pollGamepads() {
+    const gamepads = this.getConnectedGamepads()
+    const settings = this.bindings.getGamepadSettings()
+    
+    gamepads.forEach((gamepad, index) => {
+      // Every gamepad beyond the second moves like the first player's
+      const movement = this.bindings.getPlayerMovementActions(index) || this.bindings.getPlayerMovementActions(0)
+      const pressed = gamepad.buttons.map(button => button.pressed)
+      const isButtonDown = (actionId) => this.bindings.getButtons(actionId).some(button => pressed[button])
+      
+      // The d-pad (or whatever the movement is bound to) wins over the stick
+      const vector = {
+        x: (isButtonDown(movement.right) ? 1 : 0) - (isButtonDown(movement.left) ? 1 : 0),
+        z: (isButtonDown(movement.down) ? 1 : 0) - (isButtonDown(movement.up) ? 1 : 0)
+      }
+      
+      if (vector.x !== 0 || vector.z !== 0) {
+        this.normalizeVector(vector)
+      } else {
+        Object.assign(vector, this.readStick(gamepad, settings))
+      }
+      
+      if (vector.x !== 0 || vector.z !== 0) {
+        this.lastGamepadIndex = index
+        this.lastInputSource = 'gamepad'
+      }
+      
+      this.gamepadVectors[index] = vector
+      
+      // Buttons that went down since the last poll
+      const previous = this.gamepadButtons[index] || []
+      pressed.forEach((isPressed, button) => {
+        if (isPressed && !previous[button]) {
+          this.handleGamepadButton(index, button)
+        }
+      })
+      
+      this.gamepadButtons[index] = pressed
+    })
+    
+    // Forget gamepads that were disconnected
+    this.gamepadVectors.length = gamepads.length
+    this.gamepadButtons.length = gamepads.length
+  }
+
+  /**
+   * Read a gamepad's left stick with the deadzone and response curve applied
+   * Travel past the deadzone is rescaled to 0-1, so movement starts smoothly at its edge
+   * @param {Gamepad} gamepad - Gamepad
+   * @param {Object} settings - Gamepad settings { deadzone, responseCurve }
+   * @returns {Object} Input vector with x and z components (never longer than 1)
+   */
+  readStick(gamepad, settings) {
+    if (gamepad.axes.length < 2) {
+      return { x: 0, z: 0 }
+    }
+    
+    const x = gamepad.axes[0]
+    const z = gamepad.axes[1]
+    const magnitude = Math.sqrt(x * x + z * z)
+    
+    if (magnitude <= settings.deadzone) {
+      return { x: 0, z: 0 }
+    }
+    
+    const travel = Math.min(1, (magnitude - settings.deadzone) / (1 - settings.deadzone))
+    const strength = Math.pow(travel, settings.responseCurve)
+    
+    return {
+      x: (x / magnitude) * strength,
+      z: (z / magnitude) * strength
+    }
+  }
+
+  /**
+   * Handle a gamepad button press
+   * @param {number} gamepadIndex - Index among the connected gamepads
+   * @param {number} button - Button index (standard mapping)
+   */
+  handleGamepadButton(gamepadIndex, button) {
+    // The remapping screen is waiting for a button
+    if (this.pendingRebind && this.pendingRebind.device === 'gamepad') {
+      this.completeRebind(button)
+      return
+    }
+    
+    this.lastGamepadIndex = gamepadIndex
+    this.lastInputSource = 'gamepad'
+    
+    for (const action of this.bindings.getActions()) {
+      if (action.buttons.includes(button) && !this.bindings.isMovementAction(action.id)) {
+        this.triggerActionCallbacks({ action: action.id, source: 'gamepad', playerIndex: gamepadIndex })
+      }
+    }
+  }
+
+  /**
+   * Rumble a gamepad, where the browser and the gamepad support it
+   * @param {number|null} playerIndex - Gamepad of this player, or null for the one last used
+   * @param {number} duration - Milliseconds
+   * @param {number} strength - Intensity (0-1)
+   * @returns {boolean} True if a rumble was requested
+   */
+  vibrate(playerIndex = null, duration = 80, strength = 0.6) {
+    if (!this.bindings.getGamepadSettings().vibration) return false
+    
+    // In single-player only rumble for someone actually playing with a gamepad
+    if (playerIndex === null && this.lastInputSource !== 'gamepad') return false
+    
+    const gamepad = this.getConnectedGamepads()[playerIndex !== null ? playerIndex : this.lastGamepadIndex]
+    if (!gamepad) return false
+    
+    const actuator = gamepad.vibrationActuator
+    if (actuator && typeof actuator.playEffect === 'function') {
+      Promise.resolve(actuator.playEffect('dual-rumble', {
+        startDelay: 0,
+        duration,
+        weakMagnitude: strength,
+        strongMagnitude: strength / 2
+      })).catch(() => {})
+      return true
+    }
+    
+    // Older Firefox haptics
+    const haptic = gamepad.hapticActuators && gamepad.hapticActuators[0]
+    if (haptic && typeof haptic.pulse === 'function') {
+      Promise.resolve(haptic.pulse(strength, duration)).catch(() => {})
+      return true
+    }
+    
+    return false
+  }
+
+  /**
+   * Wait for the next key or button press and bind it to an action
+   * Escape cancels the remap
+   * @param {string} actionId - Action ID (see InputBindings)
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {Function} callback - Receives the updated action, or null if cancelled
+   * @returns {boolean} True if waiting for the press
+   */
+  startRebind(actionId, device, callback = null) {
+    if (!this.bindings.getAction(actionId) || (device !== 'keyboard' && device !== 'gamepad')) {
+      return false
+    }
+    
+    this.cancelRebind()
+    this.pendingRebind = { actionId, device, callback }
+    
+    if (device === 'gamepad') {
+      // Ignore buttons held while the remap started
+      this.pollGamepads()
+      this.startGamepadPolling()
+    }
+    
+    return true
+  }
+
+  /**
+   * Stop waiting for a remap press
+   */
+  cancelRebind() {
+    const pending = this.pendingRebind
+    this.pendingRebind = null
+    
+    if (pending && pending.callback) {
+      pending.callback(null)
+    }
+  }
+
+  /**
+   * Bind the pressed key or button to the action being remapped
+   * @param {string|number} input - KeyboardEvent.code or button index
+   */
+  completeRebind(input) {
+    const { actionId, device, callback } = this.pendingRebind
+    this.pendingRebind = null
+    
+    const changed = device === 'keyboard' ? this.bindings.setKey(actionId, input) : this.bindings.setButton(actionId, input)
+    
+    if (callback) {
+      callback(changed ? this.bindings.getAction(actionId) : null)
+    }
+  }
+
+  /**
+   * Check if the remapping screen is waiting for a press
+   * @returns {boolean} True while remapping
+   */
+  isRebinding() {
+    return this.pendingRebind !== null
+  }
+
+  /**
+   * Get the key and button bindings
+   * @returns {InputBindings} Bindings
+   */
+  getBindings() {
+    return this.bindings
+  }
+
+  /**
+   * Add a callback for command actions (start, pause) from the keyboard or a gamepad
+   * @param {Function} callback - Receives { action, source, playerIndex }
+   */
+  addActionCallback(callback) {
+    if (typeof callback === 'function') {
+      this.actionCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove an action callback
+   * @param {Function} callback - Callback to remove
+   */
+  removeActionCallback(callback) {
+    const index = this.actionCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.actionCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Trigger all action callbacks
+   * @param {Object} data - { action, source, playerIndex }
+   */
+  triggerActionCallbacks(data) {
+    for (const callback of this.actionCallbacks) {
+      try {
+        callback(data)
+      } catch (error) {
+        console.error('Error in action callback:', error)
+      }
     }
   }
 
@@ -465,7 +877,24 @@ export class InputManager {
    * @returns {boolean} True if movement input is detected
    */
   hasMovementInput() {
-    return this.inputVector.x !== 0 || this.inputVector.z !== 0
+    const vector = this.getInputVector()
+    return vector.x !== 0 || vector.z !== 0
+  }
+
+  /**
+   * Let movement input through, or ignore it while a menu takes the input
+   * @param {boolean} enabled - True to move the skulls
+   */
+  setMovementEnabled(enabled) {
+    this.movementEnabled = Boolean(enabled)
+  }
+
+  /**
+   * Check if movement input gets through
+   * @returns {boolean} True unless a menu takes the input
+   */
+  isMovementEnabled() {
+    return this.movementEnabled
   }
 
   /**
@@ -540,7 +969,19 @@ export class InputManager {
    * @returns {boolean} True if restart key is pressed
    */
   isRestartPressed() {
-    return this.keys['KeyR'] || this.keys['Enter'] || this.keys['Space']
+    return this.isActionPressed('start')
+  }
+
+  /**
+   * Check if a key or gamepad button bound to an action is held
+   * @param {string} actionId - Action ID (see InputBindings)
+   * @returns {boolean} True if held
+   */
+  isActionPressed(actionId) {
+    if (this.isActionKeyDown(actionId)) return true
+    
+    const buttons = this.bindings.getButtons(actionId)
+    return this.gamepadButtons.some(pressed => pressed && buttons.some(button => pressed[button]))
   }
 
   /**
@@ -575,6 +1016,15 @@ export class InputManager {
     document.removeEventListener('mousemove', this.boundMouseMove)
     document.removeEventListener('mouseup', this.boundMouseUp)
     
+    // Stop gamepad polling and forget the bindings listener
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('gamepadconnected', this.boundGamepadConnected)
+    }
+    this.stopGamepadPolling()
+    this.bindings.removeChangeCallback(this.boundBindingsChange)
+    this.pendingRebind = null
+    this.actionCallbacks = []
+    
     // Remove virtual joystick from DOM
     if (this.joystickContainer && this.joystickContainer.parentNode) {
       this.joystickContainer.parentNode.removeChild(this.joystickContainer)
@@ -583,6 +1033,9 @@ export class InputManager {
     // Reset state
     this.keys = {}
     this.inputVector = { x: 0, z: 0 }
+    this.playerInputVectors = PLAYER_MOVEMENT_ACTIONS.map(() => ({ x: 0, z: 0 }))
+    this.gamepadVectors = []
+    this.gamepadButtons = []
     this.touchActive = false
     this.joystickActive = false
     
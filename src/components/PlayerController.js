@@ -1,15 +1,30 @@
 import * as THREE from 'three'
 
+// Skull color of each player: beige bone for player one, cempasúchil orange for player two
+export const PLAYER_COLORS = [0xf5f5dc, 0xffb347]
+
 /**
  * PlayerController manages the player skull character
  * Handles skull model creation, movement, animation, and constraints
+ * In two-player mode there is one controller per player, each with its own bone color
  */
 export class PlayerController {
-  constructor(renderEngine) {
+  /**
+   * @param {RenderEngine} renderEngine - Render engine
+   * @param {Object} options - { playerIndex, color, model } (player one in its PLAYER_COLORS color by default;
+   *   model is a loaded skull model, see AssetLoader.getModel, the procedural skull is built without one)
+   */
+  constructor(renderEngine, options = {}) {
     this.renderEngine = renderEngine
     this.scene = renderEngine.getScene()
+    this.resources = renderEngine.getResourceRegistry ? renderEngine.getResourceRegistry() : null
+    
+    // Which player controls this skull
+    this.playerIndex = options.playerIndex || 0
+    this.color = options.color !== undefined ? options.color : PLAYER_COLORS[this.playerIndex % PLAYER_COLORS.length]
     
     // Player state
+    this.spawnPosition = new THREE.Vector3(0, 2.5, 0)
     this.position = new THREE.Vector3(0, 2.5, 0)
     this.velocity = new THREE.Vector3(0, 0, 0)
     this.targetPosition = new THREE.Vector3(0, 2.5, 0)
@@ -21,6 +36,7 @@ export class PlayerController {
     this.boundarySize = 10 // game field boundary
     
     // Skull model and materials
+    this.model = options.model || null
     this.skullMesh = null
     this.glowMaterial = null
     this.isInitialized = false
@@ -30,6 +46,13 @@ export class PlayerController {
     this.bobSpeed = 2.0
     this.bobRange = 0.2
     this.rotationSpeed = 1.0
+    
+    // Carried souls trailing behind the skull (queued until delivered at the altar)
+    this.carriedSouls = []
+    this.deliveringSouls = []
+    this.trailSpacing = 0.9 // distance between trailing souls
+    this.trailFollowFactor = 0.2 // how quickly each soul catches up with the one ahead
+    this.deliveryDuration = 0.6 // seconds for delivered souls to fly into the altar
   }
 
   /**
@@ -43,15 +66,68 @@ export class PlayerController {
   }
 
   /**
-   * Create the luminous skull 3D model
+   * Create the luminous skull 3D model (from the loaded model, or built from primitives)
    */
   createSkullModel() {
+    const skullGroup = this.model ? this.createSkullFromModel(this.model) : this.createProceduralSkull()
+    
+    // Set initial position and angle the skull to look slightly upward
+    skullGroup.position.copy(this.position)
+    skullGroup.rotation.x = -0.3 // Tilt the skull back about 17 degrees to show the face
+    skullGroup.name = 'player-skull'
+    
+    this.skullMesh = skullGroup
+  }
+
+  /**
+   * Wrap a loaded skull model
+   * The mesh named 'skull-cranium' (or else the first mesh) holds the bone material tinted in the
+   * player color; meshes named 'left-eye-glow' and 'right-eye-glow' glow like the procedural eyes
+   * @param {THREE.Object3D} model - Skull model
+   * @returns {THREE.Group} Skull group
+   */
+  createSkullFromModel(model) {
+    const skullGroup = new THREE.Group()
+    
+    let boneMesh = model.getObjectByName('skull-cranium')
+    model.traverse((child) => {
+      if (!child.isMesh) return
+      
+      child.castShadow = true
+      child.receiveShadow = true
+      if (!boneMesh || !boneMesh.isMesh) {
+        boneMesh = child
+      }
+    })
+    
+    if (boneMesh && boneMesh.isMesh && !Array.isArray(boneMesh.material) && boneMesh.material.color) {
+      this.glowMaterial = boneMesh.material
+      this.glowMaterial.color.setHex(this.color)
+    }
+    
+    // The eyes fade in and out (see animateEyeGlow)
+    for (const name of ['left-eye-glow', 'right-eye-glow']) {
+      const eye = model.getObjectByName(name)
+      if (eye && eye.material && !Array.isArray(eye.material)) {
+        eye.material.transparent = true
+      }
+    }
+    
+    skullGroup.add(model)
+    return skullGroup
+  }
+
+  /**
+   * Build the skull from primitives (used when no skull model is loaded)
+   * @returns {THREE.Group} Skull group
+   */
+  createProceduralSkull() {
     // Create skull geometry - using a combination of shapes for realistic skull
     const skullGroup = new THREE.Group()
     
     // Create luminous material for the skull
     this.glowMaterial = new THREE.MeshPhongMaterial({
-      color: 0xf5f5dc, // Beige bone color
+      color: this.color,
       emissive: 0x2a2a2a, // Subtle glow
       shininess: 20,
       transparent: false,
@@ -236,12 +312,7 @@ export class PlayerController {
     glow.name = 'skull-glow'
     skullGroup.add(glow)
     
-    // Set initial position and angle the skull to look slightly upward
-    skullGroup.position.copy(this.position)
-    skullGroup.rotation.x = -0.3 // Tilt the skull back about 17 degrees to show the face
-    skullGroup.name = 'player-skull'
-    
-    this.skullMesh = skullGroup
+    return skullGroup
   }
 
   /**
@@ -250,6 +321,11 @@ export class PlayerController {
   addToScene() {
     if (this.skullMesh && this.scene) {
       this.scene.add(this.skullMesh)
+      
+      // Keep the skull's GPU resources for context loss recovery
+      if (this.resources) {
+        this.resources.trackObject(this.skullMesh)
+      }
     }
   }
 
@@ -306,6 +382,216 @@ export class PlayerController {
     
     // Animate eye glow
     this.animateEyeGlow(deltaTime)
+    
+    // Update carried soul trail and delivery animations
+    this.updateCarriedSouls(deltaTime)
+    this.updateDeliveringSouls(deltaTime)
+  }
+
+  /**
+   * Create the small glowing mesh used for a carried soul
+   * @param {number} color - Soul color
+   * @returns {THREE.Mesh} Carried soul mesh
+   */
+  createCarriedSoulMesh(color) {
+    const geometry = new THREE.SphereGeometry(0.25, 12, 8)
+    const material = new THREE.MeshBasicMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.8
+    })
+    
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.name = 'carried-soul'
+    return mesh
+  }
+
+  /**
+   * Add a collected soul to the queue trailing behind the skull
+   * @param {Object} soulData - Collected soul data
+   * @param {string} soulData.soulId - ID of the collected soul
+   * @param {THREE.Vector3} soulData.position - Position where the soul was collected
+   * @param {number} soulData.color - Soul color (optional)
+   * @param {number} soulData.value - Points the soul is worth when delivered (optional, default 1)
+   * @param {number} soulData.multiplier - Combo multiplier when the soul was collected (optional, default 1)
+   * @returns {number} Number of souls being carried
+   */
+  addCarriedSoul(soulData) {
+    const position = soulData.position ? soulData.position.clone() : this.position.clone()
+    const mesh = this.createCarriedSoulMesh(soulData.color !== undefined ? soulData.color : 0x7b68ee)
+    mesh.position.copy(position)
+    
+    if (this.scene) {
+      this.scene.add(mesh)
+      
+      if (this.resources) {
+        this.resources.trackObject(mesh)
+      }
+    }
+    
+    this.carriedSouls.push({
+      soulId: soulData.soulId,
+      value: soulData.value !== undefined ? soulData.value : 1,
+      multiplier: soulData.multiplier !== undefined ? soulData.multiplier : 1,
+      mesh: mesh,
+      position: position,
+      previousPosition: position.clone(),
+      bobOffset: this.carriedSouls.length * 0.8
+    })
+    
+    return this.carriedSouls.length
+  }
+
+  /**
+   * Update trailing positions of carried souls (each follows the one ahead)
+   * @param {number} deltaTime - Time since last update
+   */
+  updateCarriedSouls(deltaTime) {
+    let leader = this.position
+    
+    for (const carried of this.carriedSouls) {
+      carried.previousPosition.copy(carried.position)
+      
+      // Follow the leader, keeping a fixed spacing
+      const offset = new THREE.Vector3().subVectors(carried.position, leader)
+      const distance = offset.length()
+      
+      if (distance > this.trailSpacing) {
+        offset.multiplyScalar(this.trailSpacing / distance)
+        const target = new THREE.Vector3().addVectors(leader, offset)
+        carried.position.lerp(target, this.trailFollowFactor * 2)
+      }
+      
+      carried.position.y += (this.position.y - 0.3 - carried.position.y) * this.trailFollowFactor
+      
+      // Gentle bobbing so the queue looks alive
+      carried.bobOffset += deltaTime * 3.0
+      carried.mesh.position.copy(carried.position)
+      carried.mesh.position.y += Math.sin(carried.bobOffset) * 0.1
+      
+      leader = carried.position
+    }
+  }
+
+  /**
+   * Release all carried souls and animate them towards a target (the altar)
+   * @param {THREE.Vector3} targetPosition - Position souls fly towards
+   * @returns {Array<string>} IDs of the delivered souls
+   */
+  releaseCarriedSouls(targetPosition) {
+    const deliveredIds = []
+    
+    for (const carried of this.carriedSouls) {
+      deliveredIds.push(carried.soulId)
+      this.deliveringSouls.push({
+        mesh: carried.mesh,
+        start: carried.position.clone(),
+        target: targetPosition.clone(),
+        progress: 0
+      })
+    }
+    
+    this.carriedSouls = []
+    return deliveredIds
+  }
+
+  /**
+   * Animate delivered souls flying into the altar and fading out
+   * @param {number} deltaTime - Time since last update
+   */
+  updateDeliveringSouls(deltaTime) {
+    if (this.deliveringSouls.length === 0) return
+    
+    const finished = []
+    
+    for (const delivering of this.deliveringSouls) {
+      delivering.progress = Math.min(1, delivering.progress + deltaTime / this.deliveryDuration)
+      const t = delivering.progress
+      
+      // Arc towards the altar
+      delivering.mesh.position.lerpVectors(delivering.start, delivering.target, t)
+      delivering.mesh.position.y += Math.sin(t * Math.PI) * 1.5
+      delivering.mesh.material.opacity = 0.8 * (1 - t)
+      delivering.mesh.scale.setScalar(1 + t)
+      
+      if (t >= 1) {
+        finished.push(delivering)
+      }
+    }
+    
+    for (const delivering of finished) {
+      this.disposeCarriedSoulMesh(delivering.mesh)
+      this.deliveringSouls.splice(this.deliveringSouls.indexOf(delivering), 1)
+    }
+  }
+
+  /**
+   * Remove a carried soul mesh from the scene and free its resources
+   * @param {THREE.Mesh} mesh - Carried soul mesh
+   */
+  disposeCarriedSoulMesh(mesh) {
+    if (this.scene) {
+      this.scene.remove(mesh)
+    }
+    mesh.geometry.dispose()
+    mesh.material.dispose()
+  }
+
+  /**
+   * Drop all carried and delivering souls without scoring them
+   */
+  clearCarriedSouls() {
+    for (const carried of this.carriedSouls) {
+      this.disposeCarriedSoulMesh(carried.mesh)
+    }
+    for (const delivering of this.deliveringSouls) {
+      this.disposeCarriedSoulMesh(delivering.mesh)
+    }
+    
+    this.carriedSouls = []
+    this.deliveringSouls = []
+  }
+
+  /**
+   * Get the number of souls currently carried
+   * @returns {number} Carried soul count
+   */
+  getCarriedSoulCount() {
+    return this.carriedSouls.length
+  }
+
+  /**
+   * Get the total points of the souls currently carried
+   * @returns {number} Sum of carried soul values
+   */
+  getCarriedSoulValue() {
+    return this.carriedSouls.reduce((total, carried) => total + carried.value, 0)
+  }
+
+  /**
+   * Get the extra points the combo multipliers add to the souls currently carried
+   * @returns {number} Combo bonus (rounded to whole points)
+   */
+  getCarriedComboBonus() {
+    const bonus = this.carriedSouls.reduce((total, carried) => total + carried.value * (carried.multiplier - 1), 0)
+    return Math.round(bonus)
+  }
+
+  /**
+   * Interpolate rendered positions between the last two simulation steps
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   */
+  interpolate(alpha) {
+    if (!this.isInitialized || !this.skullMesh) return
+    
+    const bobY = Math.sin(this.bobOffset) * this.bobRange
+    this.skullMesh.position.lerpVectors(this.lastPosition, this.position, alpha)
+    this.skullMesh.position.y = this.position.y + bobY
+    
+    for (const carried of this.carriedSouls) {
+      carried.mesh.position.lerpVectors(carried.previousPosition, carried.position, alpha)
+      carried.mesh.position.y += Math.sin(carried.bobOffset) * 0.1
+    }
   }
 
   /**
@@ -353,6 +639,74 @@ export class PlayerController {
     this.constrainTargetToBounds()
   }
 
+  /**
+   * Get the index of the player controlling this skull
+   * @returns {number} Player index (0 = player one)
+   */
+  getPlayerIndex() {
+    return this.playerIndex
+  }
+
+  /**
+   * Get the skull color
+   * @returns {number} Color as a hex number
+   */
+  getColor() {
+    return this.color
+  }
+
+  /**
+   * Tint the skull
+   * @param {number} color - Color as a hex number
+   */
+  setColor(color) {
+    this.color = color
+    
+    if (this.glowMaterial) {
+      this.glowMaterial.color.setHex(color)
+    }
+  }
+
+  /**
+   * Set where the skull starts a run (applied on reset)
+   * @param {number} x - Start position in X direction
+   * @param {number} z - Start position in Z direction
+   */
+  setSpawnPosition(x, z) {
+    this.spawnPosition.set(x, 2.5, z)
+  }
+
+  /**
+   * Set the movement speed (e.g. while a speed power-up is active)
+   * @param {number} speed - Units per second
+   */
+  setMoveSpeed(speed) {
+    this.moveSpeed = Math.max(0, speed)
+  }
+
+  /**
+   * Get the movement speed
+   * @returns {number} Units per second
+   */
+  getMoveSpeed() {
+    return this.moveSpeed
+  }
+
+  /**
+   * Push the skull by a displacement (e.g. a wind gust), keeping it inside the field
+   * @param {number} deltaX - Displacement in X direction
+   * @param {number} deltaZ - Displacement in Z direction
+   */
+  applyPush(deltaX, deltaZ) {
+    this.position.x += deltaX
+    this.position.z += deltaZ
+    this.targetPosition.x += deltaX
+    this.targetPosition.z += deltaZ
+    
+    this.constrainToBounds()
+    this.constrainTargetToBounds()
+  }
+
   /**
    * Constrain player position within game field boundaries
    */
@@ -407,12 +761,15 @@ export class PlayerController {
    * Reset player to initial position
    */
   reset() {
-    this.position.set(0, 2.5, 0)
-    this.targetPosition.set(0, 2.5, 0)
-    this.lastPosition.set(0, 2.5, 0)
+    this.position.copy(this.spawnPosition)
+    this.targetPosition.copy(this.spawnPosition)
+    this.lastPosition.copy(this.spawnPosition)
     this.velocity.set(0, 0, 0)
     this.bobOffset = 0
     
+    // Drop any souls still being carried
+    this.clearCarriedSouls()
+    
     if (this.skullMesh) {
       this.skullMesh.position.copy(this.position)
       this.skullMesh.rotation.set(0, 0, 0)
@@ -423,6 +780,8 @@ export class PlayerController {
    * Clean up resources
    */
   dispose() {
+    this.clearCarriedSouls()
+    
     if (this.skullMesh) {
       this.removeFromScene()
       
@@ -0,0 +1,209 @@
+import * as THREE from 'three'
+import { BuffManager } from './BuffManager.js'
+
+/**
+ * PowerUp - Pickup that grants a buff when the skull touches it
+ * Floats and spins at skull height; the type (a BuffManager buff id) is set on every spawn,
+ * so one pooled pickup can be any power-up. It blinks before vanishing at the end of its lifetime.
+ */
+export class PowerUp {
+  constructor() {
+    this.id = null
+    this.type = null
+    this.position = new THREE.Vector3()
+    this.previousPosition = new THREE.Vector3() // Position at the previous simulation step
+    this.baseY = 0
+
+    // Three.js objects
+    this.mesh = null
+
+    // Pickup state
+    this.isActive = false
+    this.isCollected = false
+    this.age = 0
+    this.lifetime = 8.0 // Seconds on the field before vanishing
+    this.collisionRadius = 0.8
+  }
+
+  /**
+   * Create the pickup mesh (called once, the mesh is reused by the pool)
+   */
+  init() {
+    const group = new THREE.Group()
+
+    const core = new THREE.Mesh(
+      new THREE.OctahedronGeometry(0.45, 0),
+      new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xffffff, emissiveIntensity: 0.6, flatShading: true, transparent: true })
+    )
+    core.name = 'power-up-core'
+    group.add(core)
+
+    const ring = new THREE.Mesh(
+      new THREE.TorusGeometry(0.7, 0.05, 8, 24),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.7 })
+    )
+    ring.rotation.x = Math.PI / 2
+    ring.name = 'power-up-ring'
+    group.add(ring)
+
+    group.name = 'power-up'
+    group.visible = false
+    this.mesh = group
+  }
+
+  /**
+   * Place the pickup on the field
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {string} type - Buff id granted on pickup
+   * @param {number} lifetime - Seconds before it vanishes (optional)
+   */
+  spawn(position, type, lifetime = null) {
+    this.type = type
+    this.position.copy(position)
+    this.previousPosition.copy(position)
+    this.baseY = position.y
+    this.isActive = true
+    this.isCollected = false
+    this.age = 0
+
+    if (lifetime !== null) {
+      this.lifetime = lifetime
+    }
+
+    if (this.mesh) {
+      const definition = BuffManager.getBuff(type)
+      const color = definition ? definition.color : 0xffffff
+
+      this.mesh.traverse(child => {
+        if (child.material) {
+          child.material.color.setHex(color)
+          if (child.material.emissive) child.material.emissive.setHex(color)
+          child.material.opacity = child.name === 'power-up-ring' ? 0.7 : 1.0
+        }
+      })
+
+      this.mesh.position.copy(position)
+      this.mesh.visible = true
+    }
+  }
+
+  /**
+   * Update the pickup (bobbing, spinning and blinking before it vanishes)
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (!this.isActive) return
+
+    this.previousPosition.copy(this.position)
+    this.age += deltaTime
+    this.position.y = this.baseY + Math.sin(this.age * 3) * 0.2
+
+    if (!this.mesh) return
+
+    this.mesh.position.copy(this.position)
+    this.mesh.rotation.y += deltaTime * 2
+
+    // Blink during the last two seconds
+    const timeLeft = this.lifetime - this.age
+    this.mesh.visible = timeLeft > 2 || Math.floor(this.age * 8) % 2 === 0
+  }
+
+  /**
+   * Interpolate the rendered position between the last two simulation steps
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   */
+  interpolate(alpha) {
+    if (!this.mesh || !this.isActive) return
+
+    this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha)
+  }
+
+  /**
+   * Mark the pickup as collected
+   * @returns {boolean} True if it was collected now (false if already collected)
+   */
+  collect() {
+    if (this.isCollected || !this.isActive) return false
+
+    this.isCollected = true
+    return true
+  }
+
+  /**
+   * Check if the pickup should be removed from the field
+   * @returns {boolean} True once collected or out of time
+   */
+  isExpired() {
+    return this.isCollected || this.age >= this.lifetime
+  }
+
+  /**
+   * Get pickup position
+   * @returns {THREE.Vector3} Current position
+   */
+  getPosition() {
+    return this.position.clone()
+  }
+
+  /**
+   * Get pickup ID
+   * @returns {string} Pickup ID
+   */
+  getId() {
+    return this.id
+  }
+
+  /**
+   * Get the buff granted on pickup
+   * @returns {string} Buff id
+   */
+  getType() {
+    return this.type
+  }
+
+  /**
+   * Check if the pickup was collected
+   * @returns {boolean} True if collected
+   */
+  getIsCollected() {
+    return this.isCollected
+  }
+
+  /**
+   * Get collision radius
+   * @returns {number} Collision radius
+   */
+  getCollisionRadius() {
+    return this.collisionRadius
+  }
+
+  /**
+   * Reset the pickup to initial state (for object pooling)
+   */
+  reset() {
+    this.type = null
+    this.isActive = false
+    this.isCollected = false
+    this.age = 0
+
+    if (this.mesh) {
+      this.mesh.visible = false
+      this.mesh.rotation.set(0, 0, 0)
+    }
+  }
+
+  /**
+   * Clean up pickup resources
+   */
+  dispose() {
+    if (this.mesh) {
+      this.mesh.traverse(child => {
+        if (child.geometry) child.geometry.dispose()
+        if (child.material) child.material.dispose()
+      })
+      this.mesh = null
+    }
+
+    this.isActive = false
+  }
+}
@@ -0,0 +1,245 @@
+import * as THREE from 'three'
+import { PowerUp } from './PowerUp.js'
+import { BuffManager } from './BuffManager.js'
+import { PowerUpPool } from '../utils/ObjectPool.js'
+import { SeededRandom } from '../utils/SeededRandom.js'
+
+// Power-ups draw from their own sequence so adding them doesn't change the soul spawns of a seed
+const POWER_UP_SEED_OFFSET = 0x85ebca6b
+
+/**
+ * PowerUpManager handles spawning, lifecycle and pooling of the power-up pickups
+ * Spawns like SoulManager: on a timer, at a random point of the field, with the type picked
+ * from the buffs' spawn weights (see BuffManager). Pickups are detected by
+ * CollisionDetector.checkPowerUpCollisions; GameEngine applies the buff.
+ *
+ * Usage example:
+ * const powerUpManager = new PowerUpManager(renderEngine)
+ * powerUpManager.setSeed(seed)
+ * powerUpManager.resumeSpawning()
+ * powerUpManager.update(deltaTime)
+ */
+export class PowerUpManager {
+  constructor(renderEngine, random = new SeededRandom()) {
+    this.renderEngine = renderEngine
+
+    // Seeded random generator for reproducible runs
+    this.random = random
+
+    // Pickup management
+    this.activePowerUps = new Map()
+    this.powerUpPool = new PowerUpPool(PowerUp, renderEngine, 2)
+    this.nextPowerUpId = 0
+
+    // Spawning configuration
+    this.maxPowerUps = 1 // Pickups on the field at once
+    this.spawnInterval = 8.0 // Seconds between spawns (0 = no power-ups)
+    this.lifetime = 8.0 // Seconds a pickup stays on the field
+    this.spawnTimer = 0
+    this.isSpawningPaused = true
+
+    // Game field boundaries (pickups float at skull height)
+    this.fieldSize = { x: 10, z: 10 }
+    this.spawnHeight = 2.5
+
+    console.log('PowerUpManager initialized')
+  }
+
+  /**
+   * Update pickup spawning and lifecycle
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (!this.isSpawningPaused && this.spawnInterval > 0) {
+      this.spawnTimer += deltaTime
+
+      if (this.spawnTimer >= this.spawnInterval && this.activePowerUps.size < this.maxPowerUps) {
+        this.spawnPowerUp()
+        this.spawnTimer = 0
+      }
+    }
+
+    const expiredPowerUps = []
+
+    for (const [id, powerUp] of this.activePowerUps) {
+      powerUp.update(deltaTime)
+
+      if (powerUp.isExpired()) {
+        expiredPowerUps.push(id)
+      }
+    }
+
+    for (const id of expiredPowerUps) {
+      this.removePowerUp(id)
+    }
+  }
+
+  /**
+   * Interpolate rendered pickup positions between simulation steps
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   */
+  interpolate(alpha) {
+    for (const powerUp of this.activePowerUps.values()) {
+      powerUp.interpolate(alpha)
+    }
+  }
+
+  /**
+   * Spawn a pickup of a weighted random type at a random position
+   * @returns {PowerUp|null} The spawned pickup or null if no power-up can spawn
+   */
+  spawnPowerUp() {
+    const type = this.pickType()
+    if (!type) return null
+
+    // Keep pickups a little inside the field so they can always be reached
+    const position = new THREE.Vector3(
+      (this.random.next() - 0.5) * this.fieldSize.x * 1.6,
+      this.spawnHeight,
+      (this.random.next() - 0.5) * this.fieldSize.z * 1.6
+    )
+
+    const powerUp = this.powerUpPool.acquirePowerUp(position, type, this.lifetime)
+    powerUp.id = `power-up-${this.nextPowerUpId++}`
+    this.activePowerUps.set(powerUp.getId(), powerUp)
+
+    return powerUp
+  }
+
+  /**
+   * Pick a power-up type from the buffs' spawn weights
+   * Buffs are walked in registration order so the pick only depends on the random value
+   * @returns {string|null} Buff id or null if no buff spawns
+   */
+  pickType() {
+    const candidates = BuffManager.getBuffs().filter(buff => buff.spawnWeight > 0)
+    const totalWeight = candidates.reduce((total, buff) => total + buff.spawnWeight, 0)
+
+    if (totalWeight <= 0) return null
+
+    let roll = this.random.next() * totalWeight
+    for (const buff of candidates) {
+      roll -= buff.spawnWeight
+      if (roll < 0) {
+        return buff.id
+      }
+    }
+
+    return candidates[candidates.length - 1].id
+  }
+
+  /**
+   * Collect a pickup
+   * @param {string} powerUpId - ID of pickup to collect
+   * @returns {boolean} True if the pickup was collected now
+   */
+  collectPowerUp(powerUpId) {
+    const powerUp = this.activePowerUps.get(powerUpId)
+    return powerUp ? powerUp.collect() : false
+  }
+
+  /**
+   * Remove a pickup from the game
+   * @param {string} powerUpId - ID of pickup to remove
+   */
+  removePowerUp(powerUpId) {
+    const powerUp = this.activePowerUps.get(powerUpId)
+    if (!powerUp) return
+
+    this.activePowerUps.delete(powerUpId)
+    this.powerUpPool.releasePowerUp(powerUp)
+  }
+
+  /**
+   * Get all active pickups
+   * @returns {Map<string, PowerUp>} Map of active pickups
+   */
+  getActivePowerUps() {
+    return this.activePowerUps
+  }
+
+  /**
+   * Configure pickup spawning
+   * @param {number} interval - Seconds between spawns (0 = no power-ups)
+   * @param {number} lifetime - Seconds a pickup stays on the field
+   */
+  setSpawning(interval, lifetime) {
+    this.spawnInterval = Math.max(0, interval)
+    this.lifetime = Math.max(1, lifetime)
+  }
+
+  /**
+   * Set the game field size for spawning
+   * @param {number} sizeX - Field size in X direction
+   * @param {number} sizeZ - Field size in Z direction
+   */
+  setFieldSize(sizeX, sizeZ) {
+    this.fieldSize.x = Math.max(1, sizeX)
+    this.fieldSize.z = Math.max(1, sizeZ)
+  }
+
+  /**
+   * Remove all pickups from the game
+   */
+  clearAllPowerUps() {
+    for (const powerUp of this.activePowerUps.values()) {
+      this.powerUpPool.releasePowerUp(powerUp)
+    }
+
+    this.activePowerUps.clear()
+    this.spawnTimer = 0
+  }
+
+  /**
+   * Reseed the random generator and restart pickup IDs so a run can be reproduced
+   * Should be called after clearing pickups, right before a new run starts
+   * @param {number} seed - Seed for the run
+   */
+  setSeed(seed) {
+    this.random.setSeed((seed ^ POWER_UP_SEED_OFFSET) >>> 0)
+    this.nextPowerUpId = 0
+  }
+
+  /**
+   * Pause pickup spawning (pickups on the field stay)
+   */
+  pauseSpawning() {
+    this.isSpawningPaused = true
+  }
+
+  /**
+   * Resume pickup spawning
+   */
+  resumeSpawning() {
+    this.isSpawningPaused = false
+  }
+
+  /**
+   * Get performance statistics
+   * @returns {Object} Performance stats
+   */
+  getPerformanceStats() {
+    const poolStats = this.powerUpPool.getStats()
+
+    return {
+      activePowerUps: this.activePowerUps.size,
+      poolSize: poolStats.poolSize,
+      spawnInterval: this.spawnInterval,
+      isSpawningPaused: this.isSpawningPaused
+    }
+  }
+
+  /**
+   * Clean up all resources
+   */
+  dispose() {
+    this.clearAllPowerUps()
+
+    if (this.powerUpPool) {
+      this.powerUpPool.dispose()
+      this.powerUpPool = null
+    }
+
+    console.log('PowerUpManager disposed')
+  }
+}
@@ -0,0 +1,239 @@
+import { Localization } from '../utils/Localization.js'
+
+/**
+ * SettingsScreen - Lets players change the UserSettings from the start screen or the pause menu
+ * Every control in the settings modal names its setting in data-setting; changes are saved as
+ * they are made and main.js applies them live (volume while dragging, quality, language...).
+ * The controls remapping screen opens from here through the controls callback, and the quality
+ * tier currently in use (see QualityManager) is shown under the quality setting.
+ *
+ * Usage example:
+ * const settingsScreen = new SettingsScreen(userSettings, inputManager)
+ * settingsScreen.init()
+ * settingsScreen.setControlsCallback(() => controlRemapScreen.open())
+ * settingsScreen.open()
+ */
+export class SettingsScreen {
+  /**
+   * @param {UserSettings} settings - Settings to edit
+   * @param {InputManager} inputManager - Input manager (movement is ignored while the screen is open)
+   */
+  constructor(settings, inputManager) {
+    this.settings = settings
+    this.inputManager = inputManager
+
+    // DOM elements
+    this.modal = null
+    this.controls = []
+    this.resetButton = null
+    this.closeButton = null
+    this.controlsButton = null
+    this.openButton = null
+    this.qualityTierLabel = null
+
+    // State
+    this.isOpen = false
+    this.wasMovementEnabled = true
+    this.qualityTier = null
+
+    // Callbacks
+    this.onControlsCallback = null
+
+    // Event listeners
+    this.boundOpen = this.open.bind(this)
+    this.boundClose = this.close.bind(this)
+    this.boundReset = this.handleReset.bind(this)
+    this.boundControls = this.handleControls.bind(this)
+    this.boundControlChange = this.handleControlChange.bind(this)
+    this.boundSettingsChange = () => this.render()
+  }
+
+  /**
+   * Find the screen's elements and hook up its controls
+   * @returns {boolean} True if the screen is available
+   */
+  init() {
+    this.modal = document.getElementById('settings-modal')
+    this.resetButton = document.getElementById('settings-reset-button')
+    this.closeButton = document.getElementById('settings-close-button')
+    this.controlsButton = document.getElementById('settings-controls-button')
+    this.openButton = document.getElementById('open-settings-button')
+    this.qualityTierLabel = document.getElementById('settings-quality-tier')
+
+    if (!this.modal) {
+      console.warn('SettingsScreen: settings modal not found')
+      return false
+    }
+
+    // Sliders apply while dragging ('input'); selects and checkboxes on 'change'
+    this.controls = Array.from(this.modal.querySelectorAll('[data-setting]'))
+    for (const control of this.controls) {
+      control.addEventListener(control.type === 'range' ? 'input' : 'change', this.boundControlChange)
+    }
+
+    if (this.resetButton) {
+      this.resetButton.addEventListener('click', this.boundReset)
+    }
+    if (this.closeButton) {
+      this.closeButton.addEventListener('click', this.boundClose)
+    }
+    if (this.controlsButton) {
+      this.controlsButton.addEventListener('click', this.boundControls)
+    }
+    if (this.openButton) {
+      this.openButton.addEventListener('click', this.boundOpen)
+    }
+
+    this.settings.addChangeCallback(this.boundSettingsChange)
+
+    console.log('SettingsScreen initialized')
+    return true
+  }
+
+  /**
+   * Show the screen (movement is ignored while it is open)
+   */
+  open() {
+    if (!this.modal || this.isOpen) return
+
+    this.isOpen = true
+    this.render()
+    this.modal.classList.remove('hidden')
+
+    this.wasMovementEnabled = this.inputManager.isMovementEnabled()
+    this.inputManager.setMovementEnabled(false)
+    this.inputManager.disableTouchControls()
+
+    if (this.closeButton) {
+      this.closeButton.focus()
+    }
+  }
+
+  /**
+   * Hide the screen (movement is restored to how it was)
+   */
+  close() {
+    if (!this.modal || !this.isOpen) return
+
+    this.isOpen = false
+    this.modal.classList.add('hidden')
+
+    this.inputManager.setMovementEnabled(this.wasMovementEnabled)
+    this.inputManager.enableTouchControls()
+  }
+
+  /**
+   * Show the current value of every setting
+   */
+  render() {
+    const values = this.settings.getAll()
+
+    for (const control of this.controls) {
+      const value = values[control.dataset.setting]
+      if (value === undefined) continue
+
+      if (control.type === 'checkbox') {
+        control.checked = value
+      } else {
+        control.value = String(value)
+      }
+    }
+
+    this.renderQualityTier()
+  }
+
+  /**
+   * Show the quality tier in use, in the current language
+   */
+  renderQualityTier() {
+    if (!this.qualityTierLabel || !this.qualityTier) return
+
+    const language = this.settings.get('language')
+    this.qualityTierLabel.textContent = Localization.translate(`settings.quality.${this.qualityTier}`, language)
+  }
+
+  /**
+   * Set the quality tier in use (with automatic quality it changes with the frame rate)
+   * @param {string} tierName - Tier name
+   */
+  setQualityTier(tierName) {
+    this.qualityTier = tierName
+    this.renderQualityTier()
+  }
+
+  /**
+   * Save the setting of the control that changed
+   * @param {Event} event - Input or change event
+   */
+  handleControlChange(event) {
+    const control = event.target
+    const key = control.dataset.setting
+
+    if (control.type === 'checkbox') {
+      this.settings.set(key, control.checked)
+    } else if (control.type === 'range') {
+      this.settings.set(key, Number(control.value))
+    } else {
+      this.settings.set(key, control.value)
+    }
+  }
+
+  /**
+   * Restore the default settings
+   */
+  handleReset() {
+    this.settings.resetToDefaults()
+  }
+
+  /**
+   * Open the controls remapping screen
+   */
+  handleControls() {
+    if (this.onControlsCallback) {
+      this.onControlsCallback()
+    }
+  }
+
+  /**
+   * Set callback for the controls button
+   * @param {Function} callback - Opens the controls remapping screen
+   */
+  setControlsCallback(callback) {
+    this.onControlsCallback = callback
+  }
+
+  /**
+   * Remove listeners and drop element references
+   */
+  dispose() {
+    for (const control of this.controls) {
+      control.removeEventListener(control.type === 'range' ? 'input' : 'change', this.boundControlChange)
+    }
+
+    if (this.resetButton) {
+      this.resetButton.removeEventListener('click', this.boundReset)
+    }
+    if (this.closeButton) {
+      this.closeButton.removeEventListener('click', this.boundClose)
+    }
+    if (this.controlsButton) {
+      this.controlsButton.removeEventListener('click', this.boundControls)
+    }
+    if (this.openButton) {
+      this.openButton.removeEventListener('click', this.boundOpen)
+    }
+
+    this.settings.removeChangeCallback(this.boundSettingsChange)
+
+    this.modal = null
+    this.controls = []
+    this.resetButton = null
+    this.closeButton = null
+    this.controlsButton = null
+    this.openButton = null
+    this.qualityTierLabel = null
+    this.onControlsCallback = null
+
+    console.log('SettingsScreen disposed')
+  }
+}
@@ -1,203 +1,226 @@
 import * as THREE from 'three'
+import { SeededRandom } from '../utils/SeededRandom.js'
+import { SoulTypeRegistry, MAX_SOUL_PARTICLES } from './SoulTypeRegistry.js'
+
+// Souls (and the anchor of fleeing souls) stay within this distance of the field center
+const MAX_SOUL_DISTANCE = 9.0
+
+// Share of each type's particles that is drawn, set by the graphics quality tier
+let particleDensity = 1
 
 /**
  * Soul class represents a collectible soul entity
  * Features translucent sphere geometry with glowing material and floating animation
+ * Look, movement and reward come from its type (see SoulTypeRegistry)
+ * The soul holds no meshes of its own: it keeps a transform and its render state (glow, opacity,
+ * particles), and SoulInstances draws it in the instance slot SoulPool/SoulManager gave it
  */
 export class Soul {
-  constructor(id = null, position = new THREE.Vector3()) {
+  /**
+   * @param {string|null} id - Soul ID (pooled souls are created without one and initialized later)
+   * @param {THREE.Vector3} position - Initial position
+   * @param {SeededRandom} random - Random generator shared with SoulManager
+   * @param {string|null} type - Soul type id (common if omitted)
+   */
+  constructor(id = null, position = new THREE.Vector3(), random = new SeededRandom(), type = null) {
     this.id = id
+    this.type = SoulTypeRegistry.get(type) || SoulTypeRegistry.getDefault()
     this.position = position.clone()
     this.initialPosition = position.clone()
+    this.previousPosition = position.clone() // Position at the previous simulation step
+    
+    // Seeded random generator shared with SoulManager for reproducible runs
+    this.random = random
+    
+    // Animation, movement and visual properties
+    this.erraticDirection = new THREE.Vector3()
+    this.randomizeBehavior()
+    
+    // Difficulty multipliers over the movement (see setMovementScale)
+    this.speedScale = 1.0
+    this.erraticScale = 1.0
+    
+    // Render state, drawn by SoulInstances in the soul's instance slot
+    this.transform = null
+    this.instanceSlot = -1
+    this.emissiveIntensity = 0.3
+    this.opacity = 0.7
+    this.innerGlowOpacity = 0.4
+    this.outerGlowOpacity = 0.15
+    this.outerGlowScale = 1.0
+    
+    // Particles: offsets around the soul, colors, and how they are drawn
+    this.particleOffsets = null
+    this.particleColors = null
+    this.particleCount = 0
+    this.particleSize = 0.1
+    this.particleOpacity = 0.8
+    this.particleScale = 1.0
+    this.particleRotation = 0
+    
+    this.isCollected = false
+    this.collectionAnimation = 0
+    
+    // Only create render state if we have an ID (for object pooling compatibility)
+    if (this.id !== null) {
+      this.init()
+    }
+  }
+
+  /**
+   * Randomize movement, animation and color properties
+   * Called on creation and whenever a pooled soul is spawned again
+   */
+  randomizeBehavior() {
+    const random = this.random
+    const movement = this.type.movement
     
     // Animation properties
-    this.floatOffset = Math.random() * Math.PI * 2 // Random phase offset
-    this.floatSpeed = 1.8 + Math.random() * 1.2 // 1.8-3.0 speed variation (much faster)
-    this.floatRange = 0.5 + Math.random() * 0.4 // 0.5-0.9 range variation (more movement)
-    this.rotationSpeed = 1.2 + Math.random() * 0.8 // Even faster rotation
+    this.floatOffset = random.next() * Math.PI * 2 // Random phase offset
+    this.floatSpeed = (1.8 + random.next() * 1.2) * movement.speed // 1.8-3.0 speed variation (much faster)
+    this.floatRange = (0.5 + random.next() * 0.4) * movement.range // 0.5-0.9 range variation (more movement)
+    this.rotationSpeed = (1.2 + random.next() * 0.8) * movement.speed // Even faster rotation
     
     // Horizontal drift properties for more erratic movement
-    this.driftOffset = Math.random() * Math.PI * 2
-    this.driftSpeed = 1.0 + Math.random() * 1.2 // 1.0-2.2 speed (much faster)
-    this.driftRange = 1.5 + Math.random() * 1.0 // 1.5-2.5 range (wider movement)
+    this.driftOffset = random.next() * Math.PI * 2
+    this.driftSpeed = (1.0 + random.next() * 1.2) * movement.speed // 1.0-2.2 speed (much faster)
+    this.driftRange = (1.5 + random.next() * 1.0) * movement.range // 1.5-2.5 range (wider movement)
     
     // Erratic movement properties
     this.erraticTimer = 0
-    this.erraticInterval = 0.3 + Math.random() * 0.8 // Change direction every 0.3-1.1 seconds (more frequent)
-    this.erraticDirection = new THREE.Vector3(
-      (Math.random() - 0.5) * 2,
-      (Math.random() - 0.5) * 0.5,
-      (Math.random() - 0.5) * 2
+    this.erraticInterval = 0.3 + random.next() * 0.8 // Change direction every 0.3-1.1 seconds (more frequent)
+    this.erraticDirection.set(
+      (random.next() - 0.5) * 2,
+      (random.next() - 0.5) * 0.5,
+      (random.next() - 0.5) * 2
     ).normalize()
-    this.erraticSpeed = 1.5 + Math.random() * 2.5 // 1.5-4.0 speed multiplier (faster)
-    this.erraticIntensity = 0.4 + Math.random() * 0.5 // 0.4-0.9 intensity (more intense)
+    this.erraticSpeed = (1.5 + random.next() * 2.5) * movement.erratic // 1.5-4.0 speed multiplier (faster)
+    this.erraticIntensity = 0.4 + random.next() * 0.5 // 0.4-0.9 intensity (more intense)
     
     // Visual properties
-    this.glowIntensity = 0.7 + Math.random() * 0.3
-    this.pulseSpeed = 1.5 + Math.random() * 0.5
+    this.glowIntensity = 0.7 + random.next() * 0.3
+    this.pulseSpeed = 1.5 + random.next() * 0.5
+    this.setColor(random.pick(this.type.colors))
+  }
+
+  /**
+   * Set the share of each soul type's particles that is drawn, for every soul
+   * Souls already created pick it up on their next applyParticleProfile
+   * @param {number} density - Share of particles (0 to 1)
+   */
+  static setParticleDensity(density) {
+    particleDensity = Math.max(0, Math.min(1, density))
+  }
+
+  /**
+   * Get the share of each soul type's particles that is drawn
+   * @returns {number} Share of particles (0 to 1)
+   */
+  static getParticleDensity() {
+    return particleDensity
+  }
+
+  /**
+   * Change the soul type (pooled souls get a new type on every spawn)
+   * Applies the type's scale and particle profile; movement and color are drawn by randomizeBehavior
+   * @param {string} typeId - Soul type id (unknown ids fall back to the common soul)
+   */
+  setType(typeId) {
+    this.type = SoulTypeRegistry.get(typeId) || SoulTypeRegistry.getDefault()
     
-    // Three.js objects
-    this.mesh = null
-    this.particleSystem = null
-    this.isCollected = false
-    this.collectionAnimation = 0
+    if (this.transform) {
+      this.transform.scale.setScalar(this.type.scale)
+    }
     
-    // Only create mesh if we have an ID (for object pooling compatibility)
-    if (this.id !== null) {
-      this.init()
+    this.applyParticleProfile()
+  }
+
+  /**
+   * Apply the type's particle count, size, opacity and colors to the soul's particles
+   */
+  applyParticleProfile() {
+    if (!this.particleColors) return
+    
+    const profile = this.type.particles
+    const colors = this.particleColors
+    const color = new THREE.Color()
+    
+    // Colors cycle through the palette so retyping a soul never consumes random values
+    for (let i = 0; i < MAX_SOUL_PARTICLES; i++) {
+      color.setHex(profile.palette[i % profile.palette.length])
+      colors[i * 3] = color.r
+      colors[i * 3 + 1] = color.g
+      colors[i * 3 + 2] = color.b
     }
+    
+    this.particleCount = Math.round(profile.count * particleDensity)
+    this.particleSize = profile.size
+    this.particleOpacity = profile.opacity
+  }
+
+  /**
+   * Set the soul color (SoulInstances picks it up on the next frame)
+   * @param {number} color - Soul color as hex
+   */
+  setColor(color) {
+    this.baseColor = color
   }
 
   /**
-   * Initialize the soul (create mesh and effects)
+   * Initialize the soul (create its transform and particles)
    * This method is called by the object pool or constructor
    */
   init() {
-    this.createSoulMesh()
+    this.createSoulBody()
     this.createParticleEffects()
+    this.setType(this.type.id)
   }
 
   /**
-   * Create the translucent sphere geometry with glowing material
+   * Create the transform the soul's body, glows and particles are drawn with
+   * The body shape itself is shared by every soul (see SoulInstances)
    */
-  createSoulMesh() {
-    // Create soul geometry - slightly irregular sphere for organic feel
-    const geometry = new THREE.SphereGeometry(0.4, 16, 12)
-    
-    // Slightly deform the sphere for more organic appearance
-    const vertices = geometry.attributes.position.array
-    for (let i = 0; i < vertices.length; i += 3) {
-      const x = vertices[i]
-      const y = vertices[i + 1]
-      const z = vertices[i + 2]
-      
-      // Add subtle random deformation
-      const deformation = 1.0 + (Math.random() - 0.5) * 0.1
-      vertices[i] = x * deformation
-      vertices[i + 1] = y * deformation
-      vertices[i + 2] = z * deformation
-    }
-    geometry.attributes.position.needsUpdate = true
-    geometry.computeVertexNormals()
-
-    // Create glowing material with blue/violet colors
-    const soulColors = [
-      0x4169e1, // Royal blue
-      0x6a5acd, // Slate blue
-      0x9370db, // Medium purple
-      0x8a2be2, // Blue violet
-      0x7b68ee  // Medium slate blue
-    ]
-    
-    const baseColor = soulColors[Math.floor(Math.random() * soulColors.length)]
-    
-    const material = new THREE.MeshPhongMaterial({
-      color: baseColor,
-      emissive: baseColor,
-      emissiveIntensity: 0.3,
-      transparent: true,
-      opacity: 0.7,
-      shininess: 100,
-      side: THREE.DoubleSide
-    })
-
-    // Create the main soul mesh
-    this.mesh = new THREE.Mesh(geometry, material)
-    this.mesh.position.copy(this.position)
-    this.mesh.name = `soul-${this.id}`
-    
-    // Add inner glow sphere
-    const innerGlowGeometry = new THREE.SphereGeometry(0.3, 12, 8)
-    const innerGlowMaterial = new THREE.MeshBasicMaterial({
-      color: baseColor,
-      transparent: true,
-      opacity: 0.4,
-      side: THREE.BackSide
-    })
-    
-    const innerGlow = new THREE.Mesh(innerGlowGeometry, innerGlowMaterial)
-    innerGlow.name = 'inner-glow'
-    this.mesh.add(innerGlow)
-    
-    // Add outer glow sphere
-    const outerGlowGeometry = new THREE.SphereGeometry(0.6, 12, 8)
-    const outerGlowMaterial = new THREE.MeshBasicMaterial({
-      color: baseColor,
-      transparent: true,
-      opacity: 0.15,
-      side: THREE.BackSide
-    })
-    
-    const outerGlow = new THREE.Mesh(outerGlowGeometry, outerGlowMaterial)
-    outerGlow.name = 'outer-glow'
-    this.mesh.add(outerGlow)
+  createSoulBody() {
+    this.transform = new THREE.Object3D()
+    this.transform.position.copy(this.position)
+    this.transform.name = `soul-${this.id}`
   }
 
   /**
-   * Create particle effects for blue/violet glow
+   * Create particle effects for the soul glow
+   * Room for the largest particle profile is allocated once; each type draws as many as it needs,
+   * scaled by the particle density (so every soul draws the same random values at any quality)
    */
   createParticleEffects() {
-    const particleCount = 20
-    const geometry = new THREE.BufferGeometry()
+    const particleCount = MAX_SOUL_PARTICLES
     const positions = new Float32Array(particleCount * 3)
-    const colors = new Float32Array(particleCount * 3)
-    const sizes = new Float32Array(particleCount)
     
     // Create particles around the soul
     for (let i = 0; i < particleCount; i++) {
       const i3 = i * 3
       
       // Random position around soul
-      const radius = 0.8 + Math.random() * 0.4
-      const theta = Math.random() * Math.PI * 2
-      const phi = Math.random() * Math.PI
+      const radius = 0.8 + this.random.next() * 0.4
+      const theta = this.random.next() * Math.PI * 2
+      const phi = this.random.next() * Math.PI
       
       positions[i3] = radius * Math.sin(phi) * Math.cos(theta)
       positions[i3 + 1] = radius * Math.cos(phi)
       positions[i3 + 2] = radius * Math.sin(phi) * Math.sin(theta)
-      
-      // Blue/violet particle colors
-      const colorVariation = Math.random()
-      if (colorVariation < 0.5) {
-        // Blue particles
-        colors[i3] = 0.2 + Math.random() * 0.3     // R
-        colors[i3 + 1] = 0.4 + Math.random() * 0.4 // G
-        colors[i3 + 2] = 0.8 + Math.random() * 0.2 // B
-      } else {
-        // Violet particles
-        colors[i3] = 0.5 + Math.random() * 0.3     // R
-        colors[i3 + 1] = 0.2 + Math.random() * 0.3 // G
-        colors[i3 + 2] = 0.7 + Math.random() * 0.3 // B
-      }
-      
-      sizes[i] = 0.05 + Math.random() * 0.1
     }
     
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1))
-    
-    // Create particle material
-    const material = new THREE.PointsMaterial({
-      size: 0.1,
-      transparent: true,
-      opacity: 0.8,
-      vertexColors: true,
-      blending: THREE.AdditiveBlending,
-      sizeAttenuation: true
-    })
-    
-    this.particleSystem = new THREE.Points(geometry, material)
-    this.particleSystem.name = 'soul-particles'
-    this.mesh.add(this.particleSystem)
+    // Colors are filled in by applyParticleProfile
+    this.particleOffsets = positions
+    this.particleColors = new Float32Array(particleCount * 3)
   }
 
   /**
    * Update soul animation and floating movement
    * @param {number} deltaTime - Time since last update in seconds
+   * @param {THREE.Vector3|null} playerPosition - Skull position, for types that flee from it
    */
-  update(deltaTime) {
-    if (!this.mesh) return
+  update(deltaTime, playerPosition = null) {
+    if (!this.transform) return
     
     // Handle collection animation first
     if (this.collectionAnimation > 0) {
@@ -207,42 +230,47 @@ export class Soul {
     // Skip normal animations if collected
     if (this.isCollected) return
     
+    this.previousPosition.copy(this.position)
+    
     // Update erratic movement timer
     this.erraticTimer += deltaTime
     
     // Change erratic direction periodically
     if (this.erraticTimer >= this.erraticInterval) {
       this.erraticTimer = 0
-      this.erraticInterval = 0.2 + Math.random() * 0.9 // New random interval (more frequent changes)
+      this.erraticInterval = 0.2 + this.random.next() * 0.9 // New random interval (more frequent changes)
       
       // Generate new random direction
       this.erraticDirection.set(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 0.8,
-        (Math.random() - 0.5) * 2
+        (this.random.next() - 0.5) * 2,
+        (this.random.next() - 0.5) * 0.8,
+        (this.random.next() - 0.5) * 2
       ).normalize()
       
       // Vary the speed randomly (faster speeds)
-      this.erraticSpeed = 1.2 + Math.random() * 3.0 // 1.2-4.2 speed range
+      this.erraticSpeed = (1.2 + this.random.next() * 3.0) * this.type.movement.erratic // 1.2-4.2 speed range
       
       // Brief glow pulse when changing direction
-      if (this.mesh && this.mesh.material) {
-        this.mesh.material.emissiveIntensity = Math.min(1.0, this.mesh.material.emissiveIntensity + 0.3)
-      }
+      this.emissiveIntensity = Math.min(1.0, this.emissiveIntensity + 0.3)
+    }
+    
+    // Shy souls move their anchor away from the skull
+    if (playerPosition && this.type.movement.fleeRadius > 0) {
+      this.updateFlee(deltaTime, playerPosition)
     }
     
     // Update float animation (vertical bobbing)
-    this.floatOffset += deltaTime * this.floatSpeed
+    this.floatOffset += deltaTime * this.floatSpeed * this.speedScale
     const floatY = Math.sin(this.floatOffset) * this.floatRange
     
     // Update horizontal drift for organic movement
-    this.driftOffset += deltaTime * this.driftSpeed
+    this.driftOffset += deltaTime * this.driftSpeed * this.speedScale
     const driftX = Math.sin(this.driftOffset) * this.driftRange
     const driftZ = Math.cos(this.driftOffset * 0.7) * this.driftRange * 0.6
     
     // Add erratic movement on top of drift
     const erraticMovement = this.erraticDirection.clone()
-    erraticMovement.multiplyScalar(this.erraticSpeed * this.erraticIntensity * deltaTime)
+    erraticMovement.multiplyScalar(this.erraticSpeed * this.erraticIntensity * this.erraticScale * deltaTime)
     
     // Apply position updates with erratic movement
     this.position.x = this.initialPosition.x + driftX + erraticMovement.x
@@ -250,7 +278,7 @@ export class Soul {
     this.position.z = this.initialPosition.z + driftZ + erraticMovement.z
     
     // Keep souls within reasonable bounds (prevent them from going too far)
-    const maxDistance = 9.0 // Increased from 8.0 to accommodate faster movement
+    const maxDistance = MAX_SOUL_DISTANCE // Increased from 8.0 to accommodate faster movement
     const distanceFromCenter = Math.sqrt(this.position.x * this.position.x + this.position.z * this.position.z)
     if (distanceFromCenter > maxDistance) {
       const scale = maxDistance / distanceFromCenter
@@ -261,41 +289,92 @@ export class Soul {
     // Keep souls at reasonable height
     this.position.y = Math.max(0.5, Math.min(6.0, this.position.y))
     
-    this.mesh.position.copy(this.position)
+    this.transform.position.copy(this.position)
     
     // Rotate the soul slowly
-    this.mesh.rotation.y += deltaTime * this.rotationSpeed
-    this.mesh.rotation.x += deltaTime * this.rotationSpeed * 0.3
+    this.transform.rotation.y += deltaTime * this.rotationSpeed * this.speedScale
+    this.transform.rotation.x += deltaTime * this.rotationSpeed * 0.3 * this.speedScale
     
     // Animate glow intensity (pulsing effect)
     const pulseIntensity = this.glowIntensity + Math.sin(Date.now() * 0.001 * this.pulseSpeed) * 0.2
-    this.mesh.material.emissiveIntensity = Math.max(0.1, pulseIntensity)
+    this.emissiveIntensity = Math.max(0.1, pulseIntensity)
     
     // Animate inner and outer glow
-    const innerGlow = this.mesh.getObjectByName('inner-glow')
-    const outerGlow = this.mesh.getObjectByName('outer-glow')
+    this.innerGlowOpacity = 0.3 + Math.sin(Date.now() * 0.002) * 0.1
+    this.outerGlowOpacity = 0.1 + Math.sin(Date.now() * 0.0015) * 0.05
+    this.outerGlowScale = 1.0 + Math.sin(Date.now() * 0.001) * 0.1
     
-    if (innerGlow) {
-      innerGlow.material.opacity = 0.3 + Math.sin(Date.now() * 0.002) * 0.1
+    // Animate particles
+    this.animateParticles(deltaTime)
+  }
+
+  /**
+   * Push the soul's anchor away from the skull, faster the closer it gets
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {THREE.Vector3} playerPosition - Skull position
+   */
+  updateFlee(deltaTime, playerPosition) {
+    const { fleeRadius, fleeSpeed } = this.type.movement
+    const awayX = this.position.x - playerPosition.x
+    const awayZ = this.position.z - playerPosition.z
+    const distance = Math.sqrt(awayX * awayX + awayZ * awayZ)
+    
+    if (distance >= fleeRadius || distance < 0.0001) return
+    
+    const push = fleeSpeed * deltaTime * (1 - distance / fleeRadius)
+    this.initialPosition.x += (awayX / distance) * push
+    this.initialPosition.z += (awayZ / distance) * push
+    
+    // Don't let the anchor leave the field, or the soul would stick to the edge forever
+    const anchorLimit = MAX_SOUL_DISTANCE - 1
+    const anchorDistance = Math.sqrt(this.initialPosition.x * this.initialPosition.x + this.initialPosition.z * this.initialPosition.z)
+    if (anchorDistance > anchorLimit) {
+      this.initialPosition.x *= anchorLimit / anchorDistance
+      this.initialPosition.z *= anchorLimit / anchorDistance
     }
+  }
+
+  /**
+   * Pull the soul's anchor towards a point (the skull's magnet)
+   * @param {THREE.Vector3} target - Point to pull towards
+   * @param {number} speed - Units per second
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  pullTowards(target, speed, deltaTime) {
+    if (this.isCollected) return
     
-    if (outerGlow) {
-      outerGlow.material.opacity = 0.1 + Math.sin(Date.now() * 0.0015) * 0.05
-      outerGlow.scale.setScalar(1.0 + Math.sin(Date.now() * 0.001) * 0.1)
-    }
+    const toX = target.x - this.initialPosition.x
+    const toY = target.y - this.initialPosition.y
+    const toZ = target.z - this.initialPosition.z
+    const distance = Math.sqrt(toX * toX + toY * toY + toZ * toZ)
     
-    // Animate particles
-    this.animateParticles(deltaTime)
+    if (distance < 0.0001) return
+    
+    const step = Math.min(distance, speed * deltaTime)
+    this.initialPosition.x += (toX / distance) * step
+    this.initialPosition.y += (toY / distance) * step
+    this.initialPosition.z += (toZ / distance) * step
   }
 
   /**
-   * Animate the particle system
+   * Interpolate the rendered position between the last two simulation steps
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   */
+  interpolate(alpha) {
+    // Collection animation positions the transform itself
+    if (!this.transform || this.isCollected) return
+    
+    this.transform.position.lerpVectors(this.previousPosition, this.position, alpha)
+  }
+
+  /**
+   * Animate the particles around the soul
    * @param {number} deltaTime - Time since last update
    */
   animateParticles(deltaTime) {
-    if (!this.particleSystem) return
+    if (!this.particleOffsets) return
     
-    const positions = this.particleSystem.geometry.attributes.position.array
+    const positions = this.particleOffsets
     const particleCount = positions.length / 3
     
     // Rotate particles around the soul
@@ -318,10 +397,8 @@ export class Soul {
       positions[i3 + 1] = y + Math.sin(Date.now() * 0.001 + i) * 0.05
     }
     
-    this.particleSystem.geometry.attributes.position.needsUpdate = true
-    
-    // Rotate the entire particle system
-    this.particleSystem.rotation.y += deltaTime * 0.3
+    // Rotate the whole cloud of particles
+    this.particleRotation += deltaTime * 0.3
   }
 
   /**
@@ -334,9 +411,7 @@ export class Soul {
     this.collectionAnimation = 1.0 // Start at full intensity
     
     // Increase glow intensity for collection effect
-    if (this.mesh && this.mesh.material) {
-      this.mesh.material.emissiveIntensity = 1.5
-    }
+    this.emissiveIntensity = 1.5
     
     console.log(`Soul ${this.id} collected - starting disappear animation`)
   }
@@ -357,39 +432,31 @@ export class Soul {
     const progress = 1.0 - this.collectionAnimation
     
     // Scale up and fade out
-    const scale = 1.0 + progress * 1.5 // Scale up to 2.5x
+    const scale = (1.0 + progress * 1.5) * this.type.scale // Scale up to 2.5x
     const opacity = this.collectionAnimation * 0.7
     
     // Move upward during collection
     const upwardMovement = progress * 2.0 // Move up 2 units
-    this.mesh.position.y = this.position.y + upwardMovement
+    this.transform.position.y = this.position.y + upwardMovement
     
-    this.mesh.scale.setScalar(scale)
-    this.mesh.material.opacity = opacity
+    this.transform.scale.setScalar(scale)
+    this.opacity = opacity
     
     // Increase glow intensity during collection
-    this.mesh.material.emissiveIntensity = 0.3 + progress * 1.2
+    this.emissiveIntensity = 0.3 + progress * 1.2
     
     // Animate glow spheres
-    const innerGlow = this.mesh.getObjectByName('inner-glow')
-    const outerGlow = this.mesh.getObjectByName('outer-glow')
-    
-    if (innerGlow) {
-      innerGlow.material.opacity = this.collectionAnimation * 0.6
-    }
-    
-    if (outerGlow) {
-      outerGlow.material.opacity = this.collectionAnimation * 0.25
-      outerGlow.scale.setScalar(scale * 1.2)
-    }
+    this.innerGlowOpacity = this.collectionAnimation * 0.6
+    this.outerGlowOpacity = this.collectionAnimation * 0.25
+    this.outerGlowScale = scale * 1.2
     
     // Animate particles during collection - make them spread out
-    if (this.particleSystem) {
-      this.particleSystem.material.opacity = this.collectionAnimation * 1.2
-      this.particleSystem.scale.setScalar(scale * 1.3)
+    if (this.particleOffsets) {
+      this.particleOpacity = this.collectionAnimation * this.type.particles.opacity * 1.5
+      this.particleScale = scale * 1.3
       
       // Add upward particle movement
-      const positions = this.particleSystem.geometry.attributes.position.array
+      const positions = this.particleOffsets
       const particleCount = positions.length / 3
       
       for (let i = 0; i < particleCount; i++) {
@@ -397,8 +464,6 @@ export class Soul {
         // Move particles upward and outward
         positions[i3 + 1] += deltaTime * 2.0 * (1 + i * 0.1) // Upward movement
       }
-      
-      this.particleSystem.geometry.attributes.position.needsUpdate = true
     }
   }
 
@@ -419,11 +484,11 @@ export class Soul {
   }
 
   /**
-   * Get the mesh for rendering and collision detection
-   * @returns {THREE.Mesh} The soul mesh
+   * Get the transform the soul is drawn with (see SoulInstances)
+   * @returns {THREE.Object3D} The soul transform
    */
-  getMesh() {
-    return this.mesh
+  getTransform() {
+    return this.transform
   }
 
   /**
@@ -442,12 +507,46 @@ export class Soul {
     return this.isCollected
   }
 
+  /**
+   * Get the base color of the soul
+   * @returns {number} Soul color as hex
+   */
+  getColor() {
+    return this.baseColor
+  }
+
+  /**
+   * Get the soul type id
+   * @returns {string} Type id
+   */
+  getType() {
+    return this.type.id
+  }
+
+  /**
+   * Get the reward for collecting and delivering this soul
+   * @returns {Object} { points, timeBonus }
+   */
+  getReward() {
+    return { ...this.type.reward }
+  }
+
   /**
    * Get collision radius for detection
    * @returns {number} Collision radius
    */
   getCollisionRadius() {
-    return 0.5 // Reduced from 0.6 to make souls harder to catch
+    return 0.5 * this.type.scale // 0.5 (reduced from 0.6) makes souls harder to catch
+  }
+
+  /**
+   * Scale the soul movement on top of its type (difficulty curves)
+   * @param {number} speed - Multiplier over the float, drift and rotation speed
+   * @param {number} erratic - Multiplier over the erratic movement
+   */
+  setMovementScale(speed = 1.0, erratic = 1.0) {
+    this.speedScale = Math.max(0, speed)
+    this.erraticScale = Math.max(0, erratic)
   }
 
   /**
@@ -456,60 +555,27 @@ export class Soul {
   reset() {
     this.isCollected = false
     this.collectionAnimation = 0
-    
-    // Reset animation properties with new random values
-    this.floatOffset = Math.random() * Math.PI * 2
-    this.floatSpeed = 1.8 + Math.random() * 1.2
-    this.floatRange = 0.5 + Math.random() * 0.4
-    this.rotationSpeed = 1.2 + Math.random() * 0.8
-    this.driftOffset = Math.random() * Math.PI * 2
-    this.driftSpeed = 1.0 + Math.random() * 1.2
-    this.driftRange = 1.5 + Math.random() * 1.0
-    this.glowIntensity = 0.7 + Math.random() * 0.3
-    this.pulseSpeed = 1.5 + Math.random() * 0.5
-    
-    // Reset erratic movement properties
     this.erraticTimer = 0
-    this.erraticInterval = 0.3 + Math.random() * 0.8
-    this.erraticDirection = new THREE.Vector3(
-      (Math.random() - 0.5) * 2,
-      (Math.random() - 0.5) * 0.5,
-      (Math.random() - 0.5) * 2
-    ).normalize()
-    this.erraticSpeed = 1.5 + Math.random() * 2.5
-    this.erraticIntensity = 0.4 + Math.random() * 0.5
-    
-    // Reset mesh properties if mesh exists
-    if (this.mesh) {
-      this.mesh.scale.setScalar(1.0)
-      this.mesh.rotation.set(0, 0, 0)
-      this.mesh.position.copy(this.position) // Reset position
-      
-      if (this.mesh.material) {
-        this.mesh.material.opacity = 0.7
-        this.mesh.material.emissiveIntensity = 0.3
-      }
-      
-      // Reset glow spheres
-      const innerGlow = this.mesh.getObjectByName('inner-glow')
-      const outerGlow = this.mesh.getObjectByName('outer-glow')
-      
-      if (innerGlow) {
-        innerGlow.material.opacity = 0.4
-        innerGlow.scale.setScalar(1.0)
-      }
-      
-      if (outerGlow) {
-        outerGlow.material.opacity = 0.15
-        outerGlow.scale.setScalar(1.0)
-      }
-      
-      // Reset particle system
-      if (this.particleSystem) {
-        this.particleSystem.material.opacity = 0.8
-        this.particleSystem.scale.setScalar(1.0)
-        this.particleSystem.rotation.set(0, 0, 0)
-      }
+    this.speedScale = 1.0
+    this.erraticScale = 1.0
+    
+    // Note: new random behavior is drawn when the soul is spawned again
+    // (see SoulPool.acquireSoul) so the draw order only depends on spawns
+    
+    // Reset the render state
+    this.opacity = 0.7
+    this.emissiveIntensity = 0.3
+    this.innerGlowOpacity = 0.4
+    this.outerGlowOpacity = 0.15
+    this.outerGlowScale = 1.0
+    this.particleOpacity = this.type.particles.opacity
+    this.particleScale = 1.0
+    this.particleRotation = 0
+    
+    if (this.transform) {
+      this.transform.scale.setScalar(this.type.scale)
+      this.transform.rotation.set(0, 0, 0)
+      this.transform.position.copy(this.position) // Reset position
     }
   }
 
@@ -522,30 +588,20 @@ export class Soul {
   setPosition(x, y, z) {
     this.position.set(x, y, z)
     this.initialPosition.copy(this.position)
+    this.previousPosition.copy(this.position)
     
-    if (this.mesh) {
-      this.mesh.position.copy(this.position)
+    if (this.transform) {
+      this.transform.position.copy(this.position)
     }
   }
 
   /**
-   * Clean up resources
+   * Clean up resources (the GPU resources belong to SoulInstances)
    */
   dispose() {
-    if (this.mesh) {
-      // Dispose of geometries and materials
-      this.mesh.traverse((child) => {
-        if (child.geometry) {
-          child.geometry.dispose()
-        }
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => material.dispose())
-          } else {
-            child.material.dispose()
-          }
-        }
-      })
-    }
+    this.transform = null
+    this.particleOffsets = null
+    this.particleColors = null
+    this.instanceSlot = -1
   }
 }
\ No newline at end of file
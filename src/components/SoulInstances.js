@@ -0,0 +1,419 @@
+import * as THREE from 'three'
+import { MAX_SOUL_PARTICLES } from './SoulTypeRegistry.js'
+import { SeededRandom } from '../utils/SeededRandom.js'
+
+/**
+ * SoulInstances draws every soul on the field with a handful of draw calls
+ * The soul bodies and their inner and outer glows are three InstancedMeshes, and the particles of
+ * all souls share one point buffer (MAX_SOUL_PARTICLES points per soul). Each soul gets an instance
+ * slot from SoulPool/SoulManager; update() copies the souls' render state (transform, color, glow
+ * pulse, opacity, particles) into their slots. Free slots are drawn as nothing.
+ *
+ * Usage example:
+ * const instances = new SoulInstances({ capacity: 16, resources })
+ * scene.add(instances.getObject())
+ * soul.instanceSlot = instances.allocate()
+ * instances.update(activeSouls.values()) // every rendered frame
+ * instances.free(soul.instanceSlot)
+ */
+
+const _matrix = new THREE.Matrix4()
+const _zeroMatrix = new THREE.Matrix4().makeScale(0, 0, 0)
+const _color = new THREE.Color()
+const _point = new THREE.Vector3()
+
+// Seed of the organic deformation of the procedural body, so souls look the same on every load
+const BODY_SHAPE_SEED = 1102
+
+/**
+ * Give an instanced material a per-instance opacity (and, for lit materials, a per-instance glow)
+ * read from the soulOpacity and soulGlow instance attributes
+ * @param {THREE.Material} material - Material of an InstancedMesh with instance colors
+ * @param {boolean} withGlow - Whether the emissive light follows the instance color and glow
+ * @returns {THREE.Material} The material
+ */
+function addInstanceAttributes(material, withGlow = false) {
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>
+attribute float soulOpacity;
+varying float vSoulOpacity;
+${withGlow ? 'attribute float soulGlow;\nvarying float vSoulGlow;' : ''}`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>
+vSoulOpacity = soulOpacity;
+${withGlow ? 'vSoulGlow = soulGlow;' : ''}`)
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+varying float vSoulOpacity;
+${withGlow ? 'varying float vSoulGlow;' : ''}`)
+      .replace('#include <color_fragment>', `#include <color_fragment>
+diffuseColor.a *= vSoulOpacity;`)
+
+    if (withGlow) {
+      shader.fragmentShader = shader.fragmentShader
+        .replace('vec3 totalEmissiveRadiance = emissive;', 'vec3 totalEmissiveRadiance = emissive * vColor * vSoulGlow;')
+    }
+  }
+  material.customProgramCacheKey = () => `soul-instances-${withGlow ? 'glow' : 'opacity'}`
+  return material
+}
+
+export class SoulInstances {
+  /**
+   * @param {Object} options - { capacity (slots to start with, doubled when they run out),
+   *   bodyGeometry (soul body shape from a loaded model, see AssetLoader.getModelGeometry),
+   *   resources (ResourceRegistry the GPU resources are tracked in) }
+   */
+  constructor(options = {}) {
+    this.capacity = Math.max(1, options.capacity || 16)
+    this.bodyGeometry = options.bodyGeometry || null
+    this.resources = options.resources || null
+
+    // Slots handed out so far (the instance count) and the ones given back
+    this.slotCount = 0
+    this.freeSlots = []
+
+    // Shared geometries and materials (created once, reused when the slots grow)
+    this.bodyShape = null
+    this.innerGlowGeometry = new THREE.SphereGeometry(0.3, 12, 8)
+    this.outerGlowGeometry = new THREE.SphereGeometry(0.6, 12, 8)
+    this.materials = null
+
+    // Three.js objects
+    this.group = new THREE.Group()
+    this.group.name = 'soul-instances'
+    this.body = null
+    this.innerGlow = null
+    this.outerGlow = null
+    this.particles = null
+
+    this.createMaterials()
+    this.createMeshes()
+  }
+
+  /**
+   * Create the materials shared by every soul (color, glow and opacity come from the instances)
+   */
+  createMaterials() {
+    this.materials = {
+      body: addInstanceAttributes(new THREE.MeshPhongMaterial({
+        color: 0xffffff,
+        emissive: 0xffffff,
+        transparent: true,
+        shininess: 100,
+        side: THREE.DoubleSide
+      }), true),
+      innerGlow: addInstanceAttributes(new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        side: THREE.BackSide
+      })),
+      outerGlow: addInstanceAttributes(new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        side: THREE.BackSide
+      })),
+      particles: new THREE.PointsMaterial({
+        size: 1, // Scaled per point by the particleSize attribute
+        transparent: true,
+        vertexColors: true,
+        blending: THREE.AdditiveBlending,
+        sizeAttenuation: true
+      })
+    }
+
+    this.materials.particles.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nattribute float particleSize;')
+        .replace('gl_PointSize = size;', 'gl_PointSize = size * particleSize;')
+    }
+    this.materials.particles.customProgramCacheKey = () => 'soul-instances-particles'
+  }
+
+  /**
+   * Get the body shape: the model's, or a sphere with an organic deformation
+   * The deformation has its own fixed seed: it is only looks, so it never touches the run's random
+   * @returns {THREE.BufferGeometry} Body geometry (owned by this object)
+   */
+  createBodyShape() {
+    if (this.bodyGeometry) {
+      return this.bodyGeometry.clone()
+    }
+
+    const random = new SeededRandom(BODY_SHAPE_SEED)
+    const geometry = new THREE.SphereGeometry(0.4, 16, 12)
+    const vertices = geometry.attributes.position.array
+    for (let i = 0; i < vertices.length; i += 3) {
+      const deformation = 1.0 + (random.next() - 0.5) * 0.1
+      vertices[i] *= deformation
+      vertices[i + 1] *= deformation
+      vertices[i + 2] *= deformation
+    }
+    geometry.computeVertexNormals()
+    return geometry
+  }
+
+  /**
+   * Create the instanced meshes and the particle buffer for the current capacity
+   */
+  createMeshes() {
+    if (!this.bodyShape) {
+      this.bodyShape = this.createBodyShape()
+    }
+
+    this.body = this.createInstancedMesh(this.bodyShape, this.materials.body, 'soul-bodies', true)
+    this.innerGlow = this.createInstancedMesh(this.innerGlowGeometry, this.materials.innerGlow, 'soul-inner-glows')
+    this.outerGlow = this.createInstancedMesh(this.outerGlowGeometry, this.materials.outerGlow, 'soul-outer-glows')
+
+    // Particles: every slot owns MAX_SOUL_PARTICLES points; unused points are fully transparent
+    const pointCount = this.capacity * MAX_SOUL_PARTICLES
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3).setUsage(THREE.DynamicDrawUsage))
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(pointCount * 4), 4).setUsage(THREE.DynamicDrawUsage))
+    geometry.setAttribute('particleSize', new THREE.BufferAttribute(new Float32Array(pointCount), 1).setUsage(THREE.DynamicDrawUsage))
+    geometry.setDrawRange(0, 0)
+
+    this.particles = new THREE.Points(geometry, this.materials.particles)
+    this.particles.name = 'soul-particles'
+    this.particles.frustumCulled = false
+
+    this.group.add(this.body, this.innerGlow, this.outerGlow, this.particles)
+
+    // Keep the GPU resources for context loss recovery
+    if (this.resources) {
+      this.resources.trackObject(this.group)
+    }
+  }
+
+  /**
+   * Create one of the instanced meshes, with every instance hidden
+   * @param {THREE.BufferGeometry} sourceGeometry - Shape (copied, so the instance attributes stay on the copy)
+   * @param {THREE.Material} material - Shared material
+   * @param {string} name - Mesh name
+   * @param {boolean} withGlow - Whether it has the soulGlow attribute
+   * @returns {THREE.InstancedMesh} Instanced mesh
+   */
+  createInstancedMesh(sourceGeometry, material, name, withGlow = false) {
+    const geometry = sourceGeometry.clone()
+    geometry.setAttribute('soulOpacity', new THREE.InstancedBufferAttribute(new Float32Array(this.capacity), 1).setUsage(THREE.DynamicDrawUsage))
+    if (withGlow) {
+      geometry.setAttribute('soulGlow', new THREE.InstancedBufferAttribute(new Float32Array(this.capacity), 1).setUsage(THREE.DynamicDrawUsage))
+    }
+
+    const mesh = new THREE.InstancedMesh(geometry, material, this.capacity)
+    mesh.name = name
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage)
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(this.capacity * 3), 3).setUsage(THREE.DynamicDrawUsage)
+    mesh.count = 0
+    mesh.castShadow = false
+    mesh.receiveShadow = false
+
+    // Souls move all over the field, so the bounds of the first frame mean nothing
+    mesh.frustumCulled = false
+
+    for (let i = 0; i < this.capacity; i++) {
+      mesh.setMatrixAt(i, _zeroMatrix)
+    }
+    return mesh
+  }
+
+  /**
+   * Hand out a free slot (the slots double when they run out)
+   * @returns {number} Slot index
+   */
+  allocate() {
+    if (this.freeSlots.length > 0) {
+      return this.freeSlots.pop()
+    }
+
+    if (this.slotCount >= this.capacity) {
+      this.grow()
+    }
+    return this.slotCount++
+  }
+
+  /**
+   * Give a slot back (it is hidden until it is handed out again)
+   * @param {number} slot - Slot index
+   */
+  free(slot) {
+    if (slot < 0 || slot >= this.slotCount || this.freeSlots.includes(slot)) return
+
+    this.hideSlot(slot)
+    this.freeSlots.push(slot)
+  }
+
+  /**
+   * Double the number of slots
+   * The meshes are created again; every slot in use is filled in on the next update
+   */
+  grow() {
+    this.disposeMeshes()
+    this.capacity *= 2
+    this.createMeshes()
+
+    // Slots that were free stay hidden (the new buffers start out empty)
+    console.log(`SoulInstances grown to ${this.capacity} slots`)
+  }
+
+  /**
+   * Draw a slot as nothing
+   * @param {number} slot - Slot index
+   */
+  hideSlot(slot) {
+    for (const mesh of [this.body, this.innerGlow, this.outerGlow]) {
+      mesh.setMatrixAt(slot, _zeroMatrix)
+      mesh.instanceMatrix.needsUpdate = true
+    }
+
+    const colors = this.particles.geometry.attributes.color
+    for (let i = slot * MAX_SOUL_PARTICLES; i < (slot + 1) * MAX_SOUL_PARTICLES; i++) {
+      colors.setW(i, 0)
+    }
+    colors.needsUpdate = true
+  }
+
+  /**
+   * Copy the render state of souls into their slots
+   * @param {Iterable<Soul>} souls - Souls with an instance slot
+   */
+  update(souls) {
+    for (const soul of souls) {
+      if (soul.instanceSlot >= 0 && soul.instanceSlot < this.slotCount) {
+        this.writeSoul(soul)
+      }
+    }
+
+    for (const mesh of [this.body, this.innerGlow, this.outerGlow]) {
+      mesh.count = this.slotCount
+      mesh.instanceMatrix.needsUpdate = true
+      mesh.instanceColor.needsUpdate = true
+      mesh.geometry.attributes.soulOpacity.needsUpdate = true
+    }
+    this.body.geometry.attributes.soulGlow.needsUpdate = true
+
+    const particleAttributes = this.particles.geometry.attributes
+    particleAttributes.position.needsUpdate = true
+    particleAttributes.color.needsUpdate = true
+    particleAttributes.particleSize.needsUpdate = true
+    this.particles.geometry.setDrawRange(0, this.slotCount * MAX_SOUL_PARTICLES)
+  }
+
+  /**
+   * Write one soul into its slot
+   * @param {Soul} soul - Soul to draw
+   */
+  writeSoul(soul) {
+    const slot = soul.instanceSlot
+    const transform = soul.transform
+
+    transform.updateMatrix()
+    _color.setHex(soul.baseColor)
+
+    // Body and inner glow follow the soul; the outer glow swells on top of it
+    this.body.setMatrixAt(slot, transform.matrix)
+    this.innerGlow.setMatrixAt(slot, transform.matrix)
+    _matrix.makeScale(soul.outerGlowScale, soul.outerGlowScale, soul.outerGlowScale)
+    this.outerGlow.setMatrixAt(slot, _matrix.premultiply(transform.matrix))
+
+    this.body.setColorAt(slot, _color)
+    this.innerGlow.setColorAt(slot, _color)
+    this.outerGlow.setColorAt(slot, _color)
+
+    this.body.geometry.attributes.soulOpacity.setX(slot, soul.opacity)
+    this.body.geometry.attributes.soulGlow.setX(slot, soul.emissiveIntensity)
+    this.innerGlow.geometry.attributes.soulOpacity.setX(slot, soul.innerGlowOpacity)
+    this.outerGlow.geometry.attributes.soulOpacity.setX(slot, soul.outerGlowOpacity)
+
+    this.writeParticles(soul)
+  }
+
+  /**
+   * Write a soul's particles into its block of the point buffer
+   * The offsets turn with the particle rotation and grow with the particle scale, then follow the
+   * soul's transform (the cloud spins and swells with the soul)
+   * @param {Soul} soul - Soul to draw
+   */
+  writeParticles(soul) {
+    const { position, color, particleSize } = this.particles.geometry.attributes
+    const offsets = soul.particleOffsets
+    const colors = soul.particleColors
+    const first = soul.instanceSlot * MAX_SOUL_PARTICLES
+
+    _matrix.makeRotationY(soul.particleRotation)
+    _matrix.scale(_point.setScalar(soul.particleScale))
+    _matrix.premultiply(soul.transform.matrix)
+
+    for (let i = 0; i < MAX_SOUL_PARTICLES; i++) {
+      const point = first + i
+      const i3 = i * 3
+
+      if (i >= soul.particleCount) {
+        color.setW(point, 0)
+        continue
+      }
+
+      _point.set(offsets[i3], offsets[i3 + 1], offsets[i3 + 2]).applyMatrix4(_matrix)
+      position.setXYZ(point, _point.x, _point.y, _point.z)
+      color.setXYZW(point, colors[i3], colors[i3 + 1], colors[i3 + 2], soul.particleOpacity)
+      particleSize.setX(point, soul.particleSize)
+    }
+  }
+
+  /**
+   * Get the object to add to the scene
+   * @returns {THREE.Group} Group holding the instanced meshes and the particles
+   */
+  getObject() {
+    return this.group
+  }
+
+  /**
+   * Get the number of slots in use
+   * @returns {number} Slots handed out and not given back
+   */
+  getActiveCount() {
+    return this.slotCount - this.freeSlots.length
+  }
+
+  /**
+   * Remove the meshes from the group and free their buffers
+   */
+  disposeMeshes() {
+    for (const object of [this.body, this.innerGlow, this.outerGlow, this.particles]) {
+      if (object) {
+        this.group.remove(object)
+        object.geometry.dispose()
+        if (object.dispose) {
+          object.dispose()
+        }
+      }
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.disposeMeshes()
+    this.body = null
+    this.innerGlow = null
+    this.outerGlow = null
+    this.particles = null
+
+    if (this.bodyShape) {
+      this.bodyShape.dispose()
+      this.bodyShape = null
+    }
+    this.innerGlowGeometry.dispose()
+    this.outerGlowGeometry.dispose()
+
+    for (const material of Object.values(this.materials)) {
+      material.dispose()
+    }
+
+    this.slotCount = 0
+    this.freeSlots = []
+  }
+}
@@ -1,19 +1,42 @@
 import * as THREE from 'three'
 import { Soul } from './Soul.js'
+import { SoulInstances } from './SoulInstances.js'
 import { SoulPool } from '../utils/ObjectPool.js'
+import { SeededRandom } from '../utils/SeededRandom.js'
+import { SoulTypeRegistry, DEFAULT_SOUL_TYPE } from './SoulTypeRegistry.js'
 
 /**
  * SoulManager handles spawning, lifecycle, and management of soul entities
  * Implements object pooling for performance optimization
+ * All souls are drawn by one SoulInstances; each active soul holds one of its instance slots
+ * Each spawn picks a soul type from a weighted table (see setTypeWeights)
  */
 export class SoulManager {
-  constructor(renderEngine) {
+  /**
+   * @param {RenderEngine} renderEngine - Render engine
+   * @param {SeededRandom} random - Random generator shared with the souls
+   * @param {Object} options - { bodyGeometry } (soul body shape from a loaded model, see AssetLoader.getModelGeometry)
+   */
+  constructor(renderEngine, random = new SeededRandom(), options = {}) {
     this.renderEngine = renderEngine
     this.scene = renderEngine.getScene()
+    this.resources = renderEngine.getResourceRegistry ? renderEngine.getResourceRegistry() : null
+    
+    // Seeded random generator shared with souls for reproducible runs
+    this.random = random
+    
+    // Instanced meshes and particle buffer shared by every soul (the body shape comes from
+    // a model if one was loaded, the procedural sphere is used without one)
+    this.instances = new SoulInstances({
+      capacity: 16,
+      bodyGeometry: options.bodyGeometry || null,
+      resources: this.resources
+    })
+    this.scene.add(this.instances.getObject())
     
     // Soul management
     this.activeSouls = new Map() // Active souls in the game
-    this.soulPool = new SoulPool(Soul, renderEngine, 12) // Optimized object pool (reduced from 15)
+    this.soulPool = new SoulPool(Soul, this.instances, 12, random) // Optimized object pool (reduced from 15)
     this.nextSoulId = 0
     
     // Spawning configuration
@@ -22,6 +45,8 @@ export class SoulManager {
     this.spawnTimer = 0
     this.spawnInterval = 1.0 / this.spawnRate
     this.isSpawningPaused = false
+    this.typeWeights = { [DEFAULT_SOUL_TYPE]: 1 } // Relative spawn weight per soul type
+    this.movementScale = { speed: 1.0, erratic: 1.0 } // Difficulty multipliers over soul movement
     
     // Game field boundaries
     this.fieldSize = { x: 10, z: 10 }
@@ -33,8 +58,9 @@ export class SoulManager {
   /**
    * Update soul spawning and lifecycle
    * @param {number} deltaTime - Time since last update in seconds
+   * @param {THREE.Vector3|Array<THREE.Vector3>|null} playerPosition - Skull position, or one per skull in two-player mode (shy souls flee from the nearest)
    */
-  update(deltaTime) {
+  update(deltaTime, playerPosition = null) {
     // Update spawn timer only if spawning is not paused
     if (!this.isSpawningPaused) {
       this.spawnTimer += deltaTime
@@ -50,7 +76,8 @@ export class SoulManager {
     const soulsToRemove = []
     
     for (const [id, soul] of this.activeSouls) {
-      soul.update(deltaTime)
+      const fleeFrom = Array.isArray(playerPosition) ? this.getNearestPosition(soul.position, playerPosition) : playerPosition
+      soul.update(deltaTime, fleeFrom)
       
       // Check if collection animation is complete
       if (soul.isCollectionComplete()) {
@@ -65,7 +92,22 @@ export class SoulManager {
   }
 
   /**
-   * Spawn a new soul at a random position
+   * Interpolate rendered soul positions between simulation steps
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   */
+  interpolate(alpha) {
+    for (const soul of this.activeSouls.values()) {
+      soul.interpolate(alpha)
+    }
+    
+    // Copy the rendered state of every soul into its instance slot
+    if (this.instances) {
+      this.instances.update(this.activeSouls.values())
+    }
+  }
+
+  /**
+   * Spawn a new soul of a weighted random type at a random position
    * @returns {Soul|null} The spawned soul or null if spawn failed
    */
   spawnSoul() {
@@ -73,12 +115,15 @@ export class SoulManager {
       return null
     }
     
+    const type = SoulTypeRegistry.pickWeighted(this.typeWeights, this.random)
+    
     // Generate random spawn position
     const position = this.generateSpawnPosition()
     
     // Get soul from optimized pool
-    const soul = this.soulPool.acquireSoul(position)
+    const soul = this.soulPool.acquireSoul(position, type.id)
     soul.id = `soul-${this.nextSoulId++}`
+    soul.setMovementScale(this.movementScale.speed, this.movementScale.erratic)
     
     // Add to active souls tracking
     this.activeSouls.set(soul.getId(), soul)
@@ -92,9 +137,9 @@ export class SoulManager {
    */
   generateSpawnPosition() {
     // Generate random position within field boundaries
-    const x = (Math.random() - 0.5) * this.fieldSize.x * 2
-    const z = (Math.random() - 0.5) * this.fieldSize.z * 2
-    const y = this.spawnHeight.min + Math.random() * (this.spawnHeight.max - this.spawnHeight.min)
+    const x = (this.random.next() - 0.5) * this.fieldSize.x * 2
+    const z = (this.random.next() - 0.5) * this.fieldSize.z * 2
+    const y = this.spawnHeight.min + this.random.next() * (this.spawnHeight.max - this.spawnHeight.min)
     
     return new THREE.Vector3(x, y, z)
   }
@@ -112,7 +157,7 @@ export class SoulManager {
     // Remove from active souls tracking
     this.activeSouls.delete(soulId)
     
-    // Return to optimized pool (handles scene removal automatically)
+    // Return to optimized pool (frees its instance slot automatically)
     this.soulPool.releaseSoul(soul)
   }
 
@@ -180,9 +225,9 @@ export class SoulManager {
     for (const position of positions) {
       if (this.activeSouls.size >= this.maxSouls) break
       
-      const soul = new Soul(`soul-${this.nextSoulId++}`, position)
+      const soul = new Soul(`soul-${this.nextSoulId++}`, position, this.random)
+      soul.instanceSlot = this.instances.allocate()
       this.activeSouls.set(soul.getId(), soul)
-      this.scene.add(soul.getMesh())
     }
   }
 
@@ -194,6 +239,32 @@ export class SoulManager {
     this.maxSouls = Math.max(1, maxSouls)
   }
 
+  /**
+   * Set the relative spawn weight of each soul type
+   * @param {Object} weights - Weights by type id, e.g. { common: 70, golden: 10 } (unknown types are ignored)
+   */
+  setTypeWeights(weights) {
+    const validWeights = {}
+    
+    for (const [typeId, weight] of Object.entries(weights || {})) {
+      if (SoulTypeRegistry.has(typeId) && weight > 0) {
+        validWeights[typeId] = weight
+      } else if (!SoulTypeRegistry.has(typeId)) {
+        console.warn(`Unknown soul type in spawn table: ${typeId}`)
+      }
+    }
+    
+    this.typeWeights = Object.keys(validWeights).length > 0 ? validWeights : { [DEFAULT_SOUL_TYPE]: 1 }
+  }
+
+  /**
+   * Get the soul type spawn weights
+   * @returns {Object} Weights by type id
+   */
+  getTypeWeights() {
+    return { ...this.typeWeights }
+  }
+
   /**
    * Set the soul spawn rate
    * @param {number} spawnRate - Souls per second
@@ -203,6 +274,79 @@ export class SoulManager {
     this.spawnInterval = 1.0 / this.spawnRate
   }
 
+  /**
+   * Scale the movement of every soul, active and future (difficulty curves)
+   * @param {number} speed - Multiplier over the float, drift and rotation speed
+   * @param {number} erratic - Multiplier over the erratic movement
+   */
+  setMovementScale(speed = 1.0, erratic = 1.0) {
+    if (speed === this.movementScale.speed && erratic === this.movementScale.erratic) return
+    
+    this.movementScale.speed = speed
+    this.movementScale.erratic = erratic
+    
+    for (const soul of this.activeSouls.values()) {
+      soul.setMovementScale(speed, erratic)
+    }
+  }
+
+  /**
+   * Set the share of each soul type's particles that is drawn (a graphics setting, see Soul.setParticleDensity)
+   * @param {number} density - Share of particles (0 to 1)
+   */
+  setParticleDensity(density) {
+    Soul.setParticleDensity(density)
+    
+    // Pooled souls get their profile again on spawn; the ones on the field are updated now
+    for (const soul of this.activeSouls.values()) {
+      soul.applyParticleProfile()
+    }
+  }
+
+  /**
+   * Pull the souls near a point towards it (the skull's magnet)
+   * @param {THREE.Vector3} position - Point to pull towards
+   * @param {number} radius - Souls closer than this are pulled
+   * @param {number} speed - Units per second
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  pullSouls(position, radius, speed, deltaTime) {
+    for (const soul of this.activeSouls.values()) {
+      if (!soul.getIsCollected() && soul.position.distanceTo(position) <= radius) {
+        soul.pullTowards(position, speed, deltaTime)
+      }
+    }
+  }
+
+  /**
+   * Get the point closest to a position
+   * @param {THREE.Vector3} position - Reference position
+   * @param {Array<THREE.Vector3>} positions - Candidate points
+   * @returns {THREE.Vector3|null} Nearest point or null if there are none
+   */
+  getNearestPosition(position, positions) {
+    let nearest = null
+    let nearestDistance = Infinity
+    
+    for (const candidate of positions) {
+      const distance = position.distanceToSquared(candidate)
+      if (distance < nearestDistance) {
+        nearest = candidate
+        nearestDistance = distance
+      }
+    }
+    
+    return nearest
+  }
+
+  /**
+   * Get the soul movement multipliers
+   * @returns {Object} { speed, erratic }
+   */
+  getMovementScale() {
+    return { ...this.movementScale }
+  }
+
   /**
    * Set the game field size for spawning
    * @param {number} sizeX - Field size in X direction
@@ -227,7 +371,7 @@ export class SoulManager {
    * Clear all souls from the game
    */
   clearAllSouls() {
-    // Return all souls to pool (handles scene removal automatically)
+    // Return all souls to pool (frees their instance slots automatically)
     for (const [id, soul] of this.activeSouls) {
       this.soulPool.releaseSoul(soul)
     }
@@ -236,6 +380,24 @@ export class SoulManager {
     this.spawnTimer = 0
   }
 
+  /**
+   * Reseed the random generator and restart soul IDs so a run can be reproduced
+   * Should be called after clearing souls, right before a new run starts
+   * @param {number} seed - Seed for the run
+   */
+  setSeed(seed) {
+    this.random.setSeed(seed)
+    this.nextSoulId = 0
+  }
+
+  /**
+   * Get the random generator used for spawning
+   * @returns {SeededRandom} Random generator
+   */
+  getRandom() {
+    return this.random
+  }
+
   /**
    * Reset the soul manager for a new game
    */
@@ -258,8 +420,10 @@ export class SoulManager {
       poolSize: poolStats.poolSize,
       totalPoolObjects: poolStats.totalObjects,
       activePoolObjects: poolStats.activeObjects,
+      instanceSlots: this.instances.capacity,
       maxSouls: this.maxSouls,
       spawnRate: this.spawnRate,
+      movementScale: { ...this.movementScale },
       isSpawningPaused: this.isSpawningPaused
     }
   }
@@ -295,6 +459,13 @@ export class SoulManager {
       this.soulPool = null
     }
     
+    // Dispose of the instanced meshes
+    if (this.instances) {
+      this.scene.remove(this.instances.getObject())
+      this.instances.dispose()
+      this.instances = null
+    }
+    
     // Reset counters
     this.nextSoulId = 0
     
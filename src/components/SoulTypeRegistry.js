@@ -0,0 +1,189 @@
+/**
+ * SoulTypeRegistry - Data-driven definitions of the soul types
+ * Each type defines its look (mesh tint, scale, particle profile), how it moves
+ * (multipliers over the base soul movement, optional fleeing from the skull)
+ * and its reward (points when delivered at the altar, seconds added when collected).
+ *
+ * Types are picked at spawn time from the weighted table in the game config
+ * (GameEngine config SOUL_TYPE_WEIGHTS), so runs stay reproducible with the same seed.
+ *
+ * Usage example:
+ * SoulTypeRegistry.register({ id: 'cursed', colors: [0x550000], reward: { points: 5 } })
+ * const type = SoulTypeRegistry.pickWeighted({ common: 80, cursed: 20 }, random)
+ */
+
+export const DEFAULT_SOUL_TYPE = 'common'
+export const MAX_SOUL_PARTICLES = 32
+
+const DEFAULT_DEFINITION = {
+  name: '',
+  colors: [0x7b68ee],
+  scale: 1.0,
+  particles: {
+    count: 20,
+    size: 0.1,
+    opacity: 0.8,
+    palette: [0x4d80e6, 0x8c4dd9] // Blue and violet
+  },
+  movement: {
+    speed: 1.0, // Float, drift and rotation speed multiplier
+    range: 1.0, // Float and drift range multiplier
+    erratic: 1.0, // Erratic movement speed multiplier
+    fleeRadius: 0, // Distance at which the soul starts running from the skull (0 = never)
+    fleeSpeed: 0 // Units per second when the skull is right on top of it
+  },
+  reward: {
+    points: 1, // Points when delivered at the altar
+    timeBonus: 0 // Seconds added to the timer when collected
+  }
+}
+
+const types = new Map()
+
+export class SoulTypeRegistry {
+  /**
+   * Register (or replace) a soul type
+   * Missing fields are filled with the common soul values
+   * @param {Object} definition - Type definition with at least an id
+   * @returns {Object} Registered definition
+   */
+  static register(definition) {
+    if (!definition || typeof definition.id !== 'string' || definition.id.length === 0) {
+      throw new Error('Soul type definition requires an id')
+    }
+
+    const registered = {
+      ...DEFAULT_DEFINITION,
+      ...definition,
+      particles: { ...DEFAULT_DEFINITION.particles, ...(definition.particles || {}) },
+      movement: { ...DEFAULT_DEFINITION.movement, ...(definition.movement || {}) },
+      reward: { ...DEFAULT_DEFINITION.reward, ...(definition.reward || {}) }
+    }
+
+    registered.particles.count = Math.min(Math.max(0, registered.particles.count), MAX_SOUL_PARTICLES)
+    types.set(registered.id, Object.freeze(registered))
+    return registered
+  }
+
+  /**
+   * Get a soul type
+   * @param {string} id - Type id
+   * @returns {Object|null} Type definition or null if unknown
+   */
+  static get(id) {
+    return types.get(id) || null
+  }
+
+  /**
+   * Check if a soul type is registered
+   * @param {string} id - Type id
+   * @returns {boolean} True if registered
+   */
+  static has(id) {
+    return types.has(id)
+  }
+
+  /**
+   * Get the type used when none is given (or an unknown one is)
+   * @returns {Object} Common soul definition
+   */
+  static getDefault() {
+    return types.get(DEFAULT_SOUL_TYPE)
+  }
+
+  /**
+   * Get every registered type, in registration order
+   * @returns {Array<Object>} Type definitions
+   */
+  static getAll() {
+    return Array.from(types.values())
+  }
+
+  /**
+   * Pick a type from a weighted table
+   * Types are walked in registration order (not table order) so the pick only depends on the random value
+   * @param {Object} weights - Relative weights by type id, e.g. { common: 70, golden: 10 }
+   * @param {SeededRandom} random - Random generator
+   * @returns {Object} Picked type definition
+   */
+  static pickWeighted(weights, random) {
+    const candidates = SoulTypeRegistry.getAll().filter(type => weights && weights[type.id] > 0)
+    const totalWeight = candidates.reduce((total, type) => total + weights[type.id], 0)
+
+    if (totalWeight <= 0) {
+      return SoulTypeRegistry.getDefault()
+    }
+
+    let roll = random.next() * totalWeight
+    for (const type of candidates) {
+      roll -= weights[type.id]
+      if (roll < 0) {
+        return type
+      }
+    }
+
+    return candidates[candidates.length - 1]
+  }
+
+  /**
+   * Get the highest reward any registered type gives
+   * @returns {Object} { points, timeBonus }
+   */
+  static getMaxReward() {
+    return SoulTypeRegistry.getAll().reduce((max, type) => ({
+      points: Math.max(max.points, type.reward.points),
+      timeBonus: Math.max(max.timeBonus, type.reward.timeBonus)
+    }), { points: 0, timeBonus: 0 })
+  }
+}
+
+// Built-in types
+SoulTypeRegistry.register({
+  id: 'common',
+  name: 'Alma común',
+  colors: [
+    0x4169e1, // Royal blue
+    0x6a5acd, // Slate blue
+    0x9370db, // Medium purple
+    0x8a2be2, // Blue violet
+    0x7b68ee  // Medium slate blue
+  ]
+})
+
+SoulTypeRegistry.register({
+  id: 'golden',
+  name: 'Alma dorada',
+  colors: [0xffd700, 0xffc125, 0xdaa520],
+  scale: 1.15,
+  particles: { count: 28, size: 0.12, opacity: 0.9, palette: [0xffd700, 0xfff3a0] },
+  movement: { speed: 0.8, range: 0.8, erratic: 0.6 },
+  reward: { points: 3 }
+})
+
+SoulTypeRegistry.register({
+  id: 'shy',
+  name: 'Alma tímida',
+  colors: [0xb0c4de, 0xe6e6fa, 0xadd8e6],
+  scale: 0.9,
+  particles: { count: 12, size: 0.08, opacity: 0.5, palette: [0xe6e6fa, 0xb0c4de] },
+  movement: { range: 0.7, erratic: 0.8, fleeRadius: 4.0, fleeSpeed: 3.5 },
+  reward: { points: 2 }
+})
+
+SoulTypeRegistry.register({
+  id: 'fast',
+  name: 'Alma veloz',
+  colors: [0xff4500, 0xff6347],
+  scale: 0.85,
+  particles: { count: 24, size: 0.09, opacity: 0.85, palette: [0xff4500, 0xffa07a] },
+  movement: { speed: 1.8, range: 1.2, erratic: 1.8 },
+  reward: { points: 2 }
+})
+
+SoulTypeRegistry.register({
+  id: 'time-bonus',
+  name: 'Alma del tiempo',
+  colors: [0x32cd32, 0x00fa9a],
+  particles: { count: 24, size: 0.11, opacity: 0.9, palette: [0x7cfc00, 0x00fa9a] },
+  reward: { points: 1, timeBonus: 3 }
+})
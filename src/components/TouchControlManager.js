@@ -17,6 +17,8 @@ export class TouchControlManager {
     this.currentX = 0
     this.currentY = 0
     this.maxDistance = 50 // Maximum distance from center
+    this.sensitivity = 1 // Multiplier of the knob travel (2 = full speed at half the distance)
+    this.joystickSide = 'left'
 
     // Input vector
     this.inputVector = { x: 0, z: 0 }
@@ -443,7 +445,7 @@ export class TouchControlManager {
     const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY)
     
     if (distance > 0) {
-      const normalizedDistance = Math.min(distance / this.maxDistance, 1)
+      const normalizedDistance = Math.min(distance * this.sensitivity / this.maxDistance, 1)
       this.inputVector.x = (deltaX / distance) * normalizedDistance
       this.inputVector.z = (deltaY / distance) * normalizedDistance
     } else {
@@ -468,23 +470,50 @@ export class TouchControlManager {
     const isLandscape = window.innerWidth > window.innerHeight
     const isSmallScreen = window.innerHeight < 500
     
+    // The joystick keeps its margin on whichever side it's on
+    const side = this.joystickSide
+    const otherSide = side === 'right' ? 'left' : 'right'
+    
     if (this.virtualJoystick) {
       if (isLandscape && isSmallScreen) {
         this.virtualJoystick.style.width = '80px'
         this.virtualJoystick.style.height = '80px'
         this.virtualJoystick.style.bottom = '10px'
-        this.virtualJoystick.style.left = '10px'
+        this.virtualJoystick.style[side] = '10px'
         this.maxDistance = 30
       } else {
         this.virtualJoystick.style.width = '120px'
         this.virtualJoystick.style.height = '120px'
         this.virtualJoystick.style.bottom = '20px'
-        this.virtualJoystick.style.left = '20px'
+        this.virtualJoystick.style[side] = '20px'
         this.maxDistance = 50
       }
+      this.virtualJoystick.style[otherSide] = 'auto'
     }
   }
 
+  /**
+   * Set how far the knob has to travel for full speed
+   * @param {number} sensitivity - Multiplier (0.5 = twice the travel, 2 = half of it)
+   */
+  setSensitivity(sensitivity) {
+    this.sensitivity = Math.max(0.5, Math.min(2, sensitivity))
+  }
+
+  /**
+   * Put the joystick in the bottom left or bottom right corner
+   * @param {string} side - 'left' or 'right'
+   */
+  setJoystickSide(side) {
+    this.joystickSide = side === 'right' ? 'right' : 'left'
+    
+    if (this.touchControls) {
+      this.touchControls.classList.toggle('joystick-right', this.joystickSide === 'right')
+    }
+    
+    this.updateLayout()
+  }
+
   /**
    * Check if device is mobile
    * @returns {boolean} - True if mobile device
@@ -1,3 +1,5 @@
+import { LeaderboardPeriod } from '../utils/LeaderboardPeriod.js'
+
 /**
  * UIManager - Manages all user interface elements and HUD components
  * Handles timer display, score counter, and responsive layout
@@ -6,10 +8,29 @@ export class UIManager {
   constructor() {
     this.timerElement = null
     this.scoreElement = null
+    this.carriedElement = null
+    this.comboElement = null
+    this.comboMultiplierElement = null
+    this.timePenaltyElement = null
+    this.timePenaltyTimeout = null
+    this.buffDisplayElement = null
+    this.buffIndicators = new Map() // Buff id -> indicator element
+    this.syncStatusElement = null
+    this.playersDisplayElement = null
+    this.playerScoreElements = [] // One row per player in two-player mode
     this.gameOverModal = null
     this.finalScoreElement = null
+    this.finalPlayersElement = null
     this.restartButton = null
     
+    // Pause menu elements
+    this.pauseButton = null
+    this.pauseModal = null
+    this.resumeButton = null
+    this.pauseRestartButton = null
+    this.pauseSettingsButton = null
+    this.quitButton = null
+    
     // Touch control manager reference
     this.touchControlManager = null
     this.inputManager = null
@@ -24,11 +45,23 @@ export class UIManager {
     
     // Leaderboard modal elements
     this.leaderboardModal = null
+    this.leaderboardTitle = null
     this.playerResultMessage = null
     this.leaderboardList = null
     this.closeLeaderboardButton = null
     this.leaderboardLoadingModal = null
     this.leaderboardLoadingText = null
+    this.leaderboardPeriodsElement = null
+    this.leaderboardPeriodTabs = []
+    this.leaderboardResetCountdown = null
+    this.playerPositionSection = null
+    this.playerPositionSummary = null
+    this.playerPositionList = null
+    
+    // Leaderboard period state
+    this.activeLeaderboardPeriod = null
+    this.leaderboardTimeZone = null
+    this.resetCountdownInterval = null
     
     // Error modal elements
     this.networkErrorModal = null
@@ -44,6 +77,7 @@ export class UIManager {
     this.currentScore = 0
     this.timeRemaining = 30
     this.isGameActive = false
+    this.playerResults = [] // Per-player results of the last two-player run
     
     // Error handling state
     this.currentRetryCallback = null
@@ -54,6 +88,12 @@ export class UIManager {
     this.onNameSubmitCallback = null
     this.onNameCancelCallback = null
     this.onLeaderboardCloseCallback = null
+    this.onLeaderboardPeriodCallback = null
+    this.onPauseCallback = null
+    this.onResumeCallback = null
+    this.onPauseRestartCallback = null
+    this.onSettingsCallback = null
+    this.onQuitCallback = null
   }
 
   /**
@@ -73,6 +113,26 @@ export class UIManager {
         throw new Error('Score display element not found')
       }
 
+      // Get carried souls display (optional)
+      this.carriedElement = document.getElementById('carried-value')
+
+      // Get combo counter (optional)
+      this.comboElement = document.getElementById('combo-value')
+      this.comboMultiplierElement = document.getElementById('combo-multiplier')
+
+      // Get time penalty flash (optional)
+      this.timePenaltyElement = document.getElementById('time-penalty-value')
+
+      // Get active power-up list (optional)
+      this.buffDisplayElement = document.getElementById('buff-display')
+
+      // Get pending score sync indicator (optional)
+      this.syncStatusElement = document.getElementById('sync-status-value')
+
+      // Get per-player scores of two-player mode (optional)
+      this.playersDisplayElement = document.getElementById('players-display')
+      this.finalPlayersElement = document.getElementById('final-players')
+
       // Get game over modal elements
       this.gameOverModal = document.getElementById('game-over-modal')
       this.finalScoreElement = document.getElementById('final-score')
@@ -82,6 +142,14 @@ export class UIManager {
         throw new Error('Game over modal elements not found')
       }
 
+      // Get pause button and pause menu (optional)
+      this.pauseButton = document.getElementById('pause-button')
+      this.pauseModal = document.getElementById('pause-modal')
+      this.resumeButton = document.getElementById('resume-button')
+      this.pauseRestartButton = document.getElementById('pause-restart-button')
+      this.pauseSettingsButton = document.getElementById('pause-settings-button')
+      this.quitButton = document.getElementById('quit-button')
+
       // Get name input modal elements
       this.nameInputModal = document.getElementById('name-input-modal')
       this.nameInputScoreElement = document.getElementById('name-input-score')
@@ -97,11 +165,20 @@ export class UIManager {
 
       // Get leaderboard modal elements
       this.leaderboardModal = document.getElementById('leaderboard-modal')
+      this.leaderboardTitle = document.getElementById('leaderboard-title')
       this.playerResultMessage = document.getElementById('player-result-message')
       this.leaderboardList = document.getElementById('leaderboard-list')
       this.closeLeaderboardButton = document.getElementById('close-leaderboard-button')
       this.leaderboardLoadingModal = document.getElementById('leaderboard-loading-modal')
       this.leaderboardLoadingText = document.getElementById('leaderboard-loading-text')
+      this.leaderboardPeriodsElement = document.getElementById('leaderboard-periods')
+      this.leaderboardResetCountdown = document.getElementById('leaderboard-reset-countdown')
+      this.leaderboardPeriodTabs = this.leaderboardPeriodsElement
+        ? Array.from(this.leaderboardPeriodsElement.querySelectorAll('[data-period]'))
+        : []
+      this.playerPositionSection = document.getElementById('player-position')
+      this.playerPositionSummary = document.getElementById('player-position-summary')
+      this.playerPositionList = document.getElementById('player-position-list')
 
       if (!this.leaderboardModal || !this.playerResultMessage || !this.leaderboardList || !this.closeLeaderboardButton) {
         throw new Error('Leaderboard modal elements not found')
@@ -132,6 +209,47 @@ export class UIManager {
         this.handleRestart()
       })
 
+      // Set up pause button and pause menu event listeners
+      if (this.pauseButton) {
+        this.pauseButton.addEventListener('click', () => {
+          if (this.onPauseCallback) {
+            this.onPauseCallback()
+          }
+        })
+      }
+
+      if (this.resumeButton) {
+        this.resumeButton.addEventListener('click', () => {
+          if (this.onResumeCallback) {
+            this.onResumeCallback()
+          }
+        })
+      }
+
+      if (this.pauseRestartButton) {
+        this.pauseRestartButton.addEventListener('click', () => {
+          if (this.onPauseRestartCallback) {
+            this.onPauseRestartCallback()
+          }
+        })
+      }
+
+      if (this.pauseSettingsButton) {
+        this.pauseSettingsButton.addEventListener('click', () => {
+          if (this.onSettingsCallback) {
+            this.onSettingsCallback()
+          }
+        })
+      }
+
+      if (this.quitButton) {
+        this.quitButton.addEventListener('click', () => {
+          if (this.onQuitCallback) {
+            this.onQuitCallback()
+          }
+        })
+      }
+
       // Set up name input modal event listeners
       this.submitNameButton.addEventListener('click', () => {
         this.handleNameSubmit()
@@ -158,6 +276,12 @@ export class UIManager {
         this.handleLeaderboardClose()
       })
 
+      this.leaderboardPeriodTabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+          this.handleLeaderboardPeriodSelect(tab.dataset.period)
+        })
+      })
+
       // Set up error modal event listeners
       this.retryNetworkButton.addEventListener('click', () => {
         this.handleNetworkRetry()
@@ -238,6 +362,227 @@ export class UIManager {
     }
   }
 
+  /**
+   * Update the carried souls display
+   * @param {number} count - Number of souls trailing the skull
+   */
+  updateCarriedSouls(count) {
+    if (!this.carriedElement) return
+    
+    this.carriedElement.textContent = count.toString()
+    
+    // Highlight when there are souls waiting to be delivered
+    const carriedDisplay = this.carriedElement.parentElement
+    if (count > 0) {
+      carriedDisplay.classList.add('carrying')
+    } else {
+      carriedDisplay.classList.remove('carrying')
+    }
+  }
+
+  /**
+   * Update the per-player scores of two-player mode (hidden with a single player)
+   * @param {Array<Object>} players - Player results (see GameEngine.getPlayerResults)
+   */
+  updatePlayerScores(players) {
+    if (!this.playersDisplayElement) return
+    
+    if (!players || players.length < 2) {
+      this.playersDisplayElement.classList.add('hidden')
+      return
+    }
+    
+    // Rows are only rebuilt when the number of players changes
+    if (this.playerScoreElements.length !== players.length) {
+      this.playersDisplayElement.innerHTML = ''
+      this.playerScoreElements = players.map(player => {
+        const row = document.createElement('div')
+        row.className = 'player-score'
+        row.style.setProperty('--player-color', this.formatPlayerColor(player.color))
+        this.playersDisplayElement.appendChild(row)
+        return row
+      })
+    }
+    
+    players.forEach((player, index) => {
+      const text = `${this.getPlayerName(player.playerIndex)}: ${player.score} · llevando ${player.carriedSouls}`
+      if (this.playerScoreElements[index].textContent !== text) {
+        this.playerScoreElements[index].textContent = text
+      }
+    })
+    
+    this.playersDisplayElement.classList.remove('hidden')
+  }
+
+  /**
+   * Get the display name of a player
+   * @param {number} playerIndex - Player index
+   * @returns {string} Player name
+   */
+  getPlayerName(playerIndex) {
+    return `Jugador ${playerIndex + 1}`
+  }
+
+  /**
+   * Format a skull color for CSS
+   * @param {number|null} color - Color as a hex number
+   * @returns {string} CSS color
+   */
+  formatPlayerColor(color) {
+    if (typeof color !== 'number') return '#ffffff'
+    return `#${color.toString(16).padStart(6, '0')}`
+  }
+
+  /**
+   * Render both players' results on the game over screen and name the winner
+   * @param {HTMLElement} messageElement - Game over message element
+   */
+  renderFinalPlayers(messageElement) {
+    if (!this.finalPlayersElement) return
+    
+    this.finalPlayersElement.innerHTML = ''
+    
+    if (this.playerResults.length < 2) {
+      this.finalPlayersElement.classList.add('hidden')
+      return
+    }
+    
+    const bestScore = Math.max(...this.playerResults.map(player => player.score))
+    const winners = this.playerResults.filter(player => player.score === bestScore)
+    
+    for (const player of this.playerResults) {
+      const row = document.createElement('p')
+      row.className = 'final-player'
+      row.style.setProperty('--player-color', this.formatPlayerColor(player.color))
+      row.textContent = `${this.getPlayerName(player.playerIndex)}: ${player.score} puntos · ${player.soulsDelivered} almas entregadas`
+      
+      if (winners.length === 1 && winners[0] === player) {
+        row.classList.add('winner')
+      }
+      
+      this.finalPlayersElement.appendChild(row)
+    }
+    
+    if (messageElement) {
+      messageElement.textContent = winners.length === 1 ? `¡Gana el ${this.getPlayerName(winners[0].playerIndex)}!` : '¡Empate! Las almas agradecen su guía'
+    }
+    
+    this.finalPlayersElement.classList.remove('hidden')
+  }
+
+  /**
+   * Update the combo counter from a combo event
+   * Hidden until the second collection in a row; pulses when the multiplier steps up
+   * @param {Object} comboEvent - { type, combo, multiplier, previousMultiplier }
+   */
+  updateCombo(comboEvent) {
+    if (!this.comboElement || !comboEvent) return
+    
+    const comboDisplay = this.comboElement.parentElement
+    
+    this.comboElement.textContent = comboEvent.combo.toString()
+    if (this.comboMultiplierElement) {
+      this.comboMultiplierElement.textContent = comboEvent.multiplier.toString()
+    }
+    
+    comboDisplay.classList.toggle('hidden', comboEvent.combo < 2)
+    comboDisplay.classList.toggle('combo-decay', comboEvent.type === 'decay')
+    
+    // Brief highlight when the multiplier steps up
+    if (comboEvent.type === 'hit' && comboEvent.multiplier > comboEvent.previousMultiplier) {
+      comboDisplay.style.transform = 'scale(1.25)'
+      
+      setTimeout(() => {
+        comboDisplay.style.transform = 'scale(1)'
+      }, 200)
+    }
+  }
+
+  /**
+   * Update the active power-up indicators (name, stacks and a bar with the time left)
+   * @param {Array<Object>} buffs - Active buffs { id, name, color, remaining, duration, stacks }
+   */
+  updateBuffs(buffs) {
+    if (!this.buffDisplayElement) return
+    
+    const activeIds = new Set()
+    
+    for (const buff of buffs) {
+      activeIds.add(buff.id)
+      
+      let indicator = this.buffIndicators.get(buff.id)
+      if (!indicator) {
+        indicator = document.createElement('div')
+        indicator.className = 'buff-indicator'
+        indicator.style.color = `#${buff.color.toString(16).padStart(6, '0')}`
+        indicator.innerHTML = '<span class="buff-name"></span><div class="buff-bar"></div>'
+        this.buffDisplayElement.appendChild(indicator)
+        this.buffIndicators.set(buff.id, indicator)
+      }
+      
+      const label = buff.stacks > 1 ? `${buff.name} x${buff.stacks}` : buff.name
+      indicator.querySelector('.buff-name').textContent = `${label} ${Math.ceil(buff.remaining)}s`
+      indicator.querySelector('.buff-bar').style.width = `${Math.max(0, Math.min(1, buff.remaining / buff.duration)) * 100}%`
+    }
+    
+    // Remove indicators of buffs that wore off
+    for (const [id, indicator] of this.buffIndicators) {
+      if (!activeIds.has(id)) {
+        indicator.remove()
+        this.buffIndicators.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Show whether the timer is standing still (pan de muerto)
+   * @param {boolean} isFrozen - True while the timer is frozen
+   */
+  setTimerFrozen(isFrozen) {
+    if (!this.timerElement) return
+    
+    const timerDisplay = this.timerElement.parentElement
+    timerDisplay.classList.toggle('frozen', isFrozen)
+    
+    if (isFrozen) {
+      timerDisplay.style.color = '#e8a33d'
+      timerDisplay.style.animation = 'none'
+    }
+  }
+
+  /**
+   * Briefly show the seconds lost to a hazard below the timer
+   * @param {number} seconds - Seconds lost
+   */
+  showTimePenalty(seconds) {
+    if (!this.timePenaltyElement) return
+    
+    const penaltyDisplay = this.timePenaltyElement.parentElement
+    
+    this.timePenaltyElement.textContent = Math.ceil(seconds).toString()
+    penaltyDisplay.classList.remove('hidden')
+    
+    if (this.timePenaltyTimeout) {
+      clearTimeout(this.timePenaltyTimeout)
+    }
+    
+    this.timePenaltyTimeout = setTimeout(() => {
+      penaltyDisplay.classList.add('hidden')
+      this.timePenaltyTimeout = null
+    }, 1200)
+  }
+
+  /**
+   * Update the indicator of scores waiting to be synced with the server
+   * @param {number} count - Number of pending scores
+   */
+  updatePendingSync(count) {
+    if (!this.syncStatusElement) return
+    
+    this.syncStatusElement.textContent = count.toString()
+    this.syncStatusElement.parentElement.classList.toggle('hidden', count === 0)
+  }
+
   /**
    * Show the game over screen with final score
    */
@@ -265,6 +610,9 @@ export class UIManager {
         messageElement.textContent = message
       }
       
+      // Two-player runs show both results and the winner
+      this.renderFinalPlayers(messageElement)
+      
       // Show the modal with fade-in effect
       this.gameOverModal.classList.remove('hidden')
       this.gameOverModal.style.opacity = '0'
@@ -323,6 +671,7 @@ export class UIManager {
     
     this.updateTimerDisplay(this.timeRemaining)
     this.updateScoreDisplay(this.currentScore)
+    this.updateCarriedSouls(0)
     
     // Reset timer styling
     if (this.timerElement) {
@@ -533,6 +882,18 @@ export class UIManager {
     if (gameState.timeRemaining !== undefined) {
       this.updateTimerDisplay(gameState.timeRemaining)
     }
+    if (gameState.carriedSouls !== undefined) {
+      this.updateCarriedSouls(gameState.carriedSouls)
+    }
+    if (gameState.players !== undefined) {
+      this.updatePlayerScores(gameState.players)
+    }
+    if (gameState.buffs !== undefined) {
+      this.updateBuffs(gameState.buffs)
+    }
+    if (gameState.isTimerFrozen !== undefined) {
+      this.setTimerFrozen(gameState.isTimerFrozen)
+    }
   }
 
   /**
@@ -559,6 +920,7 @@ export class UIManager {
     if (gameState.score !== undefined) {
       this.currentScore = gameState.score
     }
+    this.playerResults = gameState.players || []
     this.showGameOverScreen()
   }
 
@@ -570,6 +932,102 @@ export class UIManager {
     this.isGameActive = false
   }
 
+  /**
+   * Show or hide the pause button (only shown during a run)
+   * @param {boolean} visible - True to show it
+   */
+  setPauseButtonVisible(visible) {
+    if (this.pauseButton) {
+      this.pauseButton.classList.toggle('hidden', !visible)
+    }
+  }
+
+  /**
+   * Show the pause menu
+   */
+  showPauseMenu() {
+    if (!this.pauseModal) return
+    
+    // Disable touch controls to prevent interference with modal
+    if (this.touchControlManager) {
+      this.touchControlManager.disableControls()
+    }
+    if (this.inputManager) {
+      this.inputManager.disableTouchControls()
+    }
+    
+    this.pauseModal.classList.remove('hidden')
+    
+    if (this.resumeButton) {
+      this.resumeButton.focus()
+    }
+  }
+
+  /**
+   * Hide the pause menu
+   */
+  hidePauseMenu() {
+    if (!this.pauseModal) return
+    
+    this.pauseModal.classList.add('hidden')
+    
+    // Re-enable touch controls when modal is hidden
+    if (this.touchControlManager) {
+      this.touchControlManager.enableControls()
+    }
+    if (this.inputManager) {
+      this.inputManager.enableTouchControls()
+    }
+  }
+
+  /**
+   * Check if the pause menu is showing
+   * @returns {boolean} True if visible
+   */
+  isPauseMenuVisible() {
+    return this.pauseModal ? !this.pauseModal.classList.contains('hidden') : false
+  }
+
+  /**
+   * Set callback for the pause button
+   * @param {Function} callback - Function to call when the player pauses
+   */
+  setPauseCallback(callback) {
+    this.onPauseCallback = callback
+  }
+
+  /**
+   * Set callback for the pause menu's resume button
+   * @param {Function} callback - Function to call when the player resumes
+   */
+  setResumeCallback(callback) {
+    this.onResumeCallback = callback
+  }
+
+  /**
+   * Set callback for the pause menu's restart button
+   * @param {Function} callback - Function to call when the player restarts the run
+   */
+  setPauseRestartCallback(callback) {
+    this.onPauseRestartCallback = callback
+  }
+
+  /**
+   * Set callback for the pause menu's settings button
+   * @param {Function} callback - Function to call when the player opens the settings
+   */
+  setSettingsCallback(callback) {
+    this.onSettingsCallback = callback
+  }
+
+  /**
+   * Set callback for the pause menu's quit button
+   * @param {Function} callback - Function to call when the player quits to the menu
+   */
+  setQuitCallback(callback) {
+    this.onQuitCallback = callback
+  }
+
   /**
    * Show name input modal for leaderboard submission
    * @param {number} score - Player's final score
@@ -769,6 +1227,10 @@ export class UIManager {
    * @param {number|null} leaderboardData.playerRank - Player's rank (1-10) or null if not in top 10
    * @param {Array} leaderboardData.topScores - Array of top 10 player records
    * @param {string} leaderboardData.message - Display message for player
+   * @param {string} [leaderboardData.period] - Ranking period shown ('daily', 'weekly', 'all-time'); enables the tabs
+   * @param {string} [leaderboardData.timeZone] - Time zone of the period boundaries (for the reset countdown)
+   * @param {string} [leaderboardData.categoryName] - Name of the game mode the ranking belongs to
+   * @param {Object} [leaderboardData.playerPosition] - Rank, percentile and neighbours when outside the top 10
    */
   showLeaderboardModal(leaderboardData) {
     if (!this.leaderboardModal || !this.playerResultMessage || !this.leaderboardList) {
@@ -784,45 +1246,77 @@ export class UIManager {
       this.inputManager.disableTouchControls()
     }
 
-    const { playerName, playerScore, playerRank, topScores, message } = leaderboardData
+    const { message, isLocal, categoryName } = leaderboardData
+
+    // Local ranking (offline) is labelled so it isn't mistaken for the global one;
+    // each game mode has its own ranking, so the mode is named too
+    if (this.leaderboardTitle) {
+      const title = isLocal ? 'Tu Ranking Local' : 'Ranking de Almas'
+      this.leaderboardTitle.textContent = categoryName ? `${title} · ${categoryName}` : title
+    }
 
     // Update player result message
     this.playerResultMessage.textContent = message
 
-    // Clear previous leaderboard entries
-    this.leaderboardList.innerHTML = ''
+    this.setActiveLeaderboardPeriod(leaderboardData.period, leaderboardData.timeZone)
+    this.renderLeaderboardList(leaderboardData)
+    this.renderPlayerPosition(leaderboardData)
 
-    // Populate leaderboard list
-    if (topScores && topScores.length > 0) {
-      topScores.forEach((player, index) => {
-        const rank = index + 1
-        const isCurrentPlayer = player.name === playerName && player.score === playerScore
+    // Show the modal with fade-in effect
+    this.leaderboardModal.classList.remove('hidden')
+    this.leaderboardModal.style.opacity = '0'
+    this.leaderboardModal.style.transition = 'opacity 0.3s ease'
 
-        const leaderboardItem = document.createElement('div')
-        leaderboardItem.className = `leaderboard-item${isCurrentPlayer ? ' highlighted-player' : ''}`
+    setTimeout(() => {
+      this.leaderboardModal.style.opacity = '1'
+    }, 10)
 
-        // Create rank element with special styling for top 3
-        const rankElement = document.createElement('div')
-        rankElement.className = `leaderboard-rank rank-${rank}`
-        rankElement.textContent = `${rank}`
+    // Focus on close button for accessibility
+    setTimeout(() => {
+      if (this.closeLeaderboardButton) {
+        this.closeLeaderboardButton.focus()
+      }
+    }, 400)
 
-        // Create name element
-        const nameElement = document.createElement('div')
-        nameElement.className = 'leaderboard-name'
-        nameElement.textContent = player.name
-        nameElement.title = player.name // Tooltip for long names
+    console.log('Leaderboard modal shown:', leaderboardData)
+  }
+
+  /**
+   * Replace the ranking shown in the open leaderboard modal (after switching periods)
+   * @param {Object} leaderboardData - Leaderboard display data (same shape as showLeaderboardModal)
+   */
+  updateLeaderboardPeriod(leaderboardData) {
+    if (!this.leaderboardModal || !this.playerResultMessage || !this.leaderboardList) {
+      return
+    }
+
+    if (leaderboardData.message) {
+      this.playerResultMessage.textContent = leaderboardData.message
+    }
 
-        // Create score element
-        const scoreElement = document.createElement('div')
-        scoreElement.className = 'leaderboard-score'
-        scoreElement.textContent = player.score.toString()
+    this.setActiveLeaderboardPeriod(leaderboardData.period, leaderboardData.timeZone)
+    this.renderLeaderboardList(leaderboardData)
+    this.renderPlayerPosition(leaderboardData)
+  }
+
+  /**
+   * Fill the leaderboard list
+   * @param {Object} leaderboardData - Leaderboard display data
+   */
+  renderLeaderboardList(leaderboardData) {
+    const { playerName, playerScore } = leaderboardData
+    
+    // Scores waiting to be synced are listed with the ranking until the server confirms them
+    const topScores = this.mergePendingScores(leaderboardData.topScores || [], leaderboardData.pendingScores || [])
 
-        // Assemble the item
-        leaderboardItem.appendChild(rankElement)
-        leaderboardItem.appendChild(nameElement)
-        leaderboardItem.appendChild(scoreElement)
+    // Clear previous leaderboard entries
+    this.leaderboardList.innerHTML = ''
 
-        this.leaderboardList.appendChild(leaderboardItem)
+    // Populate leaderboard list
+    if (topScores && topScores.length > 0) {
+      topScores.forEach((player, index) => {
+        const isCurrentPlayer = player.name === playerName && player.score === playerScore
+        this.leaderboardList.appendChild(this.createLeaderboardItem(player, index + 1, isCurrentPlayer))
       })
     } else {
       // Show empty state
@@ -834,30 +1328,221 @@ export class UIManager {
       emptyMessage.textContent = 'No hay datos de ranking disponibles'
       this.leaderboardList.appendChild(emptyMessage)
     }
+  }
 
-    // Show the modal with fade-in effect
-    this.leaderboardModal.classList.remove('hidden')
-    this.leaderboardModal.style.opacity = '0'
-    this.leaderboardModal.style.transition = 'opacity 0.3s ease'
+  /**
+   * Create a leaderboard row
+   * @param {Object} player - Entry { name, score, pending }
+   * @param {number} rank - Rank shown
+   * @param {boolean} isCurrentPlayer - Highlight the row
+   * @returns {HTMLElement} Row element
+   */
+  createLeaderboardItem(player, rank, isCurrentPlayer) {
+    const leaderboardItem = document.createElement('div')
+    leaderboardItem.className = `leaderboard-item${isCurrentPlayer ? ' highlighted-player' : ''}${player.pending ? ' pending-sync' : ''}`
+
+    // Create rank element with special styling for top 3
+    const rankElement = document.createElement('div')
+    rankElement.className = `leaderboard-rank rank-${rank}`
+    rankElement.textContent = `${rank}`
+
+    // Create name element
+    const nameElement = document.createElement('div')
+    nameElement.className = 'leaderboard-name'
+    nameElement.textContent = player.name
+    nameElement.title = player.name // Tooltip for long names
+    
+    if (player.pending) {
+      const pendingBadge = document.createElement('span')
+      pendingBadge.className = 'pending-sync-badge'
+      pendingBadge.textContent = 'pendiente'
+      pendingBadge.title = 'Se sincronizará cuando haya conexión'
+      nameElement.appendChild(pendingBadge)
+    }
 
-    setTimeout(() => {
-      this.leaderboardModal.style.opacity = '1'
-    }, 10)
+    // Create score element
+    const scoreElement = document.createElement('div')
+    scoreElement.className = 'leaderboard-score'
+    scoreElement.textContent = player.score.toString()
 
-    // Focus on close button for accessibility
-    setTimeout(() => {
-      if (this.closeLeaderboardButton) {
-        this.closeLeaderboardButton.focus()
-      }
-    }, 400)
+    // Assemble the item
+    leaderboardItem.appendChild(rankElement)
+    leaderboardItem.appendChild(nameElement)
+    leaderboardItem.appendChild(scoreElement)
 
-    console.log('Leaderboard modal shown:', leaderboardData)
+    return leaderboardItem
+  }
+
+  /**
+   * Fill the "your position" section (only shown when the player is outside the top list)
+   * @param {Object} leaderboardData - Leaderboard display data
+   */
+  renderPlayerPosition(leaderboardData) {
+    if (!this.playerPositionSection || !this.playerPositionSummary || !this.playerPositionList) {
+      return
+    }
+
+    const position = leaderboardData ? leaderboardData.playerPosition : null
+    const isVisible = Boolean(position) && !leaderboardData.playerRank
+
+    this.playerPositionSection.classList.toggle('hidden', !isVisible)
+    this.playerPositionList.innerHTML = ''
+
+    if (!isVisible) {
+      this.playerPositionSummary.textContent = ''
+      return
+    }
+
+    this.playerPositionSummary.textContent =
+      `Puesto #${position.rank} de ${position.total} · Superaste al ${position.percentile}% de los jugadores`
+
+    const player = { name: leaderboardData.playerName, score: leaderboardData.playerScore }
+
+    position.above.forEach(entry => {
+      this.playerPositionList.appendChild(this.createLeaderboardItem(entry, entry.rank, false))
+    })
+    this.playerPositionList.appendChild(this.createLeaderboardItem(player, position.rank, true))
+    position.below.forEach(entry => {
+      this.playerPositionList.appendChild(this.createLeaderboardItem(entry, entry.rank, false))
+    })
+  }
+
+  /**
+   * Highlight the tab of the period shown and restart the reset countdown
+   * @param {string|undefined} period - Period shown, or undefined to hide the tabs
+   * @param {string} timeZone - Time zone of the period boundaries
+   */
+  setActiveLeaderboardPeriod(period, timeZone) {
+    this.activeLeaderboardPeriod = LeaderboardPeriod.isValidPeriod(period) ? period : null
+    this.leaderboardTimeZone = timeZone || null
+
+    if (this.leaderboardPeriodsElement) {
+      this.leaderboardPeriodsElement.classList.toggle('hidden', !this.activeLeaderboardPeriod)
+    }
+
+    this.leaderboardPeriodTabs.forEach(tab => {
+      const isActive = tab.dataset.period === this.activeLeaderboardPeriod
+      tab.classList.toggle('active', isActive)
+      tab.setAttribute('aria-selected', isActive ? 'true' : 'false')
+    })
+
+    this.startResetCountdown()
+  }
+
+  /**
+   * Handle a period tab click
+   * @param {string} period - Selected period
+   */
+  handleLeaderboardPeriodSelect(period) {
+    if (period === this.activeLeaderboardPeriod) return
+
+    // Show the selection right away; the list follows once the ranking is fetched
+    this.setActiveLeaderboardPeriod(period, this.leaderboardTimeZone)
+
+    if (this.onLeaderboardPeriodCallback) {
+      this.onLeaderboardPeriodCallback(period)
+    }
+  }
+
+  /**
+   * Set callback for leaderboard period changes
+   * @param {Function} callback - Function to call with the selected period
+   */
+  setLeaderboardPeriodCallback(callback) {
+    this.onLeaderboardPeriodCallback = callback
+  }
+
+  /**
+   * Start (or restart) the countdown to the next reset of the active period
+   */
+  startResetCountdown() {
+    this.stopResetCountdown()
+
+    if (!this.leaderboardResetCountdown) return
+
+    // All-time rankings never reset
+    if (!this.activeLeaderboardPeriod || this.activeLeaderboardPeriod === 'all-time') {
+      this.leaderboardResetCountdown.classList.add('hidden')
+      return
+    }
+
+    this.leaderboardResetCountdown.classList.remove('hidden')
+    this.updateResetCountdown()
+    this.resetCountdownInterval = setInterval(() => {
+      this.updateResetCountdown()
+    }, 1000)
+  }
+
+  /**
+   * Stop the reset countdown
+   */
+  stopResetCountdown() {
+    if (this.resetCountdownInterval) {
+      clearInterval(this.resetCountdownInterval)
+      this.resetCountdownInterval = null
+    }
+  }
+
+  /**
+   * Refresh the reset countdown text
+   */
+  updateResetCountdown() {
+    if (!this.leaderboardResetCountdown || !this.activeLeaderboardPeriod) return
+
+    const now = new Date()
+    const nextReset = LeaderboardPeriod.getNextReset(this.activeLeaderboardPeriod, now, this.leaderboardTimeZone || undefined)
+    if (!nextReset) return
+
+    this.leaderboardResetCountdown.textContent = `Se reinicia en ${this.formatCountdown(nextReset.getTime() - now.getTime())}`
+  }
+
+  /**
+   * Format a duration for the reset countdown
+   * @param {number} milliseconds - Time left
+   * @returns {string} Formatted time (e.g. '3d 04:12:09' or '04:12:09')
+   */
+  formatCountdown(milliseconds) {
+    const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000))
+    const days = Math.floor(totalSeconds / 86400)
+    const hours = Math.floor((totalSeconds % 86400) / 3600)
+    const minutes = Math.floor((totalSeconds % 3600) / 60)
+    const seconds = totalSeconds % 60
+    const pad = value => String(value).padStart(2, '0')
+
+    const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`
+    return days > 0 ? `${days}d ${clock}` : clock
+  }
+
+  /**
+   * Merge scores waiting for sync into a ranking, marking them as pending
+   * @param {Array} topScores - Ranking entries
+   * @param {Array} pendingScores - Pending entries from the submission queue
+   * @returns {Array} Ranking with pending entries (max 10)
+   */
+  mergePendingScores(topScores, pendingScores) {
+    if (pendingScores.length === 0) {
+      return topScores
+    }
+
+    const pendingIds = new Set(pendingScores.map(entry => entry.id))
+    const rankedIds = new Set(topScores.map(entry => entry.id))
+
+    const merged = topScores.map(entry => pendingIds.has(entry.id) ? { ...entry, pending: true } : entry)
+    pendingScores
+      .filter(entry => !rankedIds.has(entry.id))
+      .forEach(entry => merged.push({ ...entry, pending: true }))
+
+    return merged
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10)
   }
 
   /**
    * Hide leaderboard modal
    */
   hideLeaderboardModal() {
+    this.stopResetCountdown()
+
     if (this.leaderboardModal) {
       // Re-enable touch controls when modal is hidden
       if (this.touchControlManager) {
@@ -1187,6 +1872,14 @@ export class UIManager {
 
     const { playerName, playerScore, message } = playerData
 
+    if (this.leaderboardTitle) {
+      this.leaderboardTitle.textContent = 'Ranking de Almas'
+    }
+
+    // No ranking to switch between
+    this.setActiveLeaderboardPeriod(null)
+    this.renderPlayerPosition(null)
+
     // Update player result message
     this.playerResultMessage.textContent = message || `¡Bien hecho ${playerName}! Tu puntuación: ${playerScore}. Ranking no disponible sin conexión.`
 
@@ -1232,6 +1925,8 @@ export class UIManager {
    * Clean up resources and event listeners
    */
   dispose() {
+    this.stopResetCountdown()
+
     if (this.restartButton) {
       this.restartButton.removeEventListener('click', this.handleRestart)
     }
@@ -1269,11 +1964,33 @@ export class UIManager {
       this.skipLeaderboardButton.removeEventListener('click', this.handleSkipLeaderboard)
     }
     
+    if (this.timePenaltyTimeout) {
+      clearTimeout(this.timePenaltyTimeout)
+      this.timePenaltyTimeout = null
+    }
+    
+    this.buffIndicators.clear()
+    
     this.timerElement = null
     this.scoreElement = null
+    this.carriedElement = null
+    this.comboElement = null
+    this.comboMultiplierElement = null
+    this.timePenaltyElement = null
+    this.buffDisplayElement = null
+    this.syncStatusElement = null
+    this.playersDisplayElement = null
+    this.playerScoreElements = [] // One row per player in two-player mode
     this.gameOverModal = null
     this.finalScoreElement = null
+    this.finalPlayersElement = null
     this.restartButton = null
+    this.pauseButton = null
+    this.pauseModal = null
+    this.resumeButton = null
+    this.pauseRestartButton = null
+    this.pauseSettingsButton = null
+    this.quitButton = null
     this.nameInputModal = null
     this.nameInputScoreElement = null
     this.playerNameInput = null
@@ -1281,9 +1998,16 @@ export class UIManager {
     this.cancelNameButton = null
     this.nameValidationError = null
     this.leaderboardModal = null
+    this.leaderboardTitle = null
     this.playerResultMessage = null
     this.leaderboardList = null
     this.closeLeaderboardButton = null
+    this.leaderboardPeriodsElement = null
+    this.leaderboardPeriodTabs = []
+    this.leaderboardResetCountdown = null
+    this.playerPositionSection = null
+    this.playerPositionSummary = null
+    this.playerPositionList = null
     this.networkErrorModal = null
     this.networkErrorMessage = null
     this.retryNetworkButton = null
@@ -1300,6 +2024,12 @@ export class UIManager {
     this.onNameSubmitCallback = null
     this.onNameCancelCallback = null
     this.onLeaderboardCloseCallback = null
+    this.onLeaderboardPeriodCallback = null
+    this.onPauseCallback = null
+    this.onResumeCallback = null
+    this.onPauseRestartCallback = null
+    this.onSettingsCallback = null
+    this.onQuitCallback = null
     
     console.log('UIManager disposed')
   }
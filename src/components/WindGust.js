@@ -0,0 +1,105 @@
+import * as THREE from 'three'
+import { Hazard } from './Hazard.js'
+import { SeededRandom } from '../utils/SeededRandom.js'
+
+const PETAL_COUNT = 60
+
+/**
+ * WindGust - Swirl of cempasúchil petals that sweeps across the field
+ * While the skull is inside the swirl it is pushed along the gust direction
+ * (GameEngine config WIND_GUST_STRENGTH). The gust is removed once it leaves the field.
+ */
+export class WindGust extends Hazard {
+  constructor(random = new SeededRandom()) {
+    super('wind-gust', random)
+
+    this.collisionRadius = 2.5
+    this.speed = 4.0 // Units per second
+    this.strength = 6.0 // Push in units per second
+    this.direction = new THREE.Vector3(1, 0, 0)
+    this.swirl = 0
+  }
+
+  /**
+   * Build the petal swirl (petals laid out on a golden-angle spiral, no randomness needed)
+   * @returns {THREE.Points} Gust mesh
+   */
+  createMesh() {
+    const positions = new Float32Array(PETAL_COUNT * 3)
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5))
+
+    for (let i = 0; i < PETAL_COUNT; i++) {
+      const radius = this.collisionRadius * Math.sqrt((i + 0.5) / PETAL_COUNT)
+      const angle = i * goldenAngle
+      positions[i * 3] = Math.cos(angle) * radius
+      positions[i * 3 + 1] = Math.sin(i * 1.7) * 0.4
+      positions[i * 3 + 2] = Math.sin(angle) * radius
+    }
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+
+    const material = new THREE.PointsMaterial({
+      color: 0xffa500, // Cempasúchil orange
+      size: 0.25,
+      transparent: true,
+      opacity: 0.85,
+      depthWrite: false
+    })
+
+    const points = new THREE.Points(geometry, material)
+    points.visible = false
+    return points
+  }
+
+  /**
+   * Place the gust at the edge of the field
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {Object} options - { fieldSize, direction (THREE.Vector3), strength }
+   */
+  spawn(position, options = {}) {
+    super.spawn(position, options)
+
+    if (options.direction) {
+      this.direction.copy(options.direction).setY(0).normalize()
+    }
+
+    if (options.strength !== undefined) {
+      this.strength = options.strength
+    }
+
+    this.swirl = 0
+  }
+
+  /**
+   * Sweep across the field and spin the petals
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateMovement(deltaTime) {
+    this.position.addScaledVector(this.direction, this.speed * deltaTime)
+    this.swirl += deltaTime * 4
+
+    if (this.mesh) {
+      this.mesh.rotation.y = this.swirl
+    }
+  }
+
+  /**
+   * Get how far the gust pushes the skull in one step
+   * @param {number} deltaTime - Step duration in seconds
+   * @returns {THREE.Vector3} Push displacement
+   */
+  getPush(deltaTime) {
+    return this.direction.clone().multiplyScalar(this.strength * deltaTime)
+  }
+
+  /**
+   * Check if the gust has left the field
+   * @returns {boolean} True once outside the field
+   */
+  isExpired() {
+    const margin = this.collisionRadius + 1
+    return Math.abs(this.position.x) > this.fieldSize.x + margin ||
+      Math.abs(this.position.z) > this.fieldSize.z + margin
+  }
+}
@@ -1,15 +1,45 @@
 import * as THREE from 'three'
+import { SeededRandom } from '../utils/SeededRandom.js'
 
 /**
  * EnvironmentBuilder creates the Day of the Dead themed 3D environment
  * Handles ground plane, lighting, altar, and decorative elements
  */
 export class EnvironmentBuilder {
-  constructor(renderEngine) {
+  /**
+   * @param {RenderEngine} renderEngine - Render engine
+   * @param {SeededRandom} random - Random generator for the decorations
+   * @param {Object} options - { altarModel } (a loaded altar model, see AssetLoader.getModel;
+   *   the altar is built from primitives without one)
+   */
+  constructor(renderEngine, random = new SeededRandom(), options = {}) {
     this.renderEngine = renderEngine
     this.scene = renderEngine.getScene()
+    this.resources = renderEngine.getResourceRegistry ? renderEngine.getResourceRegistry() : null
+    this.random = random
+    this.altarModel = options.altarModel || null
     this.textureLoader = new THREE.TextureLoader()
     this.decorativeElements = []
+    
+    // Quality tier controls: lights whose shadows it sets, and decorations it thins out
+    // (every decoration is built once; lower tiers hide some so the shared random isn't drawn again)
+    this.directionalLight = null
+    this.candleLights = []
+    this.marigolds = []
+    this.banners = []
+    this.decorationDensity = 1
+    
+    // Altar delivery zone
+    this.altarGroup = null
+    this.altarZoneRing = null
+    this.altarZoneRadius = 3.0
+    this.altarPulse = 0 // 0-1 glow intensity after a delivery
+    
+    // Animation clock in seconds, advanced only by updateAnimations so it stops while paused
+    this.animationTime = 0
+    
+    // Reduced motion holds the decorations still and keeps the altar ring from swelling
+    this.reducedMotion = false
   }
 
   /**
@@ -24,6 +54,18 @@ export class EnvironmentBuilder {
     console.log('Day of the Dead environment created')
   }
 
+  /**
+   * Add an object to the scene, tracking its GPU resources for context loss recovery
+   * @param {THREE.Object3D} object - Object to add
+   */
+  addToScene(object) {
+    this.scene.add(object)
+    
+    if (this.resources) {
+      this.resources.trackObject(object)
+    }
+  }
+
   /**
    * Create the ground plane with marigold petal texture
    */
@@ -51,9 +93,9 @@ export class EnvironmentBuilder {
     // Add petal-like spots
     ctx.fillStyle = '#ff8c00'
     for (let i = 0; i < 50; i++) {
-      const x = Math.random() * 512
-      const y = Math.random() * 512
-      const radius = Math.random() * 20 + 10
+      const x = this.random.next() * 512
+      const y = this.random.next() * 512
+      const radius = this.random.next() * 20 + 10
       ctx.beginPath()
       ctx.arc(x, y, radius, 0, Math.PI * 2)
       ctx.fill()
@@ -62,9 +104,9 @@ export class EnvironmentBuilder {
     // Add darker spots for depth
     ctx.fillStyle = '#b8560f'
     for (let i = 0; i < 30; i++) {
-      const x = Math.random() * 512
-      const y = Math.random() * 512
-      const radius = Math.random() * 15 + 5
+      const x = this.random.next() * 512
+      const y = this.random.next() * 512
+      const radius = this.random.next() * 15 + 5
       ctx.beginPath()
       ctx.arc(x, y, radius, 0, Math.PI * 2)
       ctx.fill()
@@ -83,7 +125,7 @@ export class EnvironmentBuilder {
     ground.receiveShadow = true
     ground.name = 'ground'
     
-    this.scene.add(ground)
+    this.addToScene(ground)
   }
 
   /**
@@ -92,7 +134,7 @@ export class EnvironmentBuilder {
   setupLighting() {
     // Ambient light with warm orange tone
     const ambientLight = new THREE.AmbientLight(0xff9966, 0.4)
-    this.scene.add(ambientLight)
+    this.addToScene(ambientLight)
     
     // Main directional light (simulating candlelight)
     const directionalLight = new THREE.DirectionalLight(0xffaa44, 0.8)
@@ -109,7 +151,8 @@ export class EnvironmentBuilder {
     directionalLight.shadow.camera.top = 15
     directionalLight.shadow.camera.bottom = -15
     
-    this.scene.add(directionalLight)
+    this.directionalLight = directionalLight
+    this.addToScene(directionalLight)
     
     // Add point lights to simulate candles around the altar
     const candleLights = [
@@ -127,14 +170,47 @@ export class EnvironmentBuilder {
       )
       pointLight.position.set(...lightConfig.position)
       pointLight.castShadow = true
-      this.scene.add(pointLight)
+      this.candleLights.push(pointLight)
+      this.addToScene(pointLight)
     })
   }
 
   /**
-   * Create the central altar as the focal point
+   * Create the central altar as the focal point (from the loaded model, or built from primitives)
    */
   createCentralAltar() {
+    const altarGroup = this.altarModel ? this.createAltarFromModel(this.altarModel) : this.createProceduralAltar()
+    altarGroup.name = 'central-altar'
+    
+    this.altarGroup = altarGroup
+    this.addToScene(altarGroup)
+    
+    this.createAltarZone()
+  }
+
+  /**
+   * Wrap a loaded altar model (it sits on the ground at the field center)
+   * @param {THREE.Object3D} model - Altar model
+   * @returns {THREE.Group} Altar group
+   */
+  createAltarFromModel(model) {
+    model.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true
+        child.receiveShadow = true
+      }
+    })
+    
+    const altarGroup = new THREE.Group()
+    altarGroup.add(model)
+    return altarGroup
+  }
+
+  /**
+   * Build the altar from primitives (used when no altar model is loaded)
+   * @returns {THREE.Group} Altar group
+   */
+  createProceduralAltar() {
     // Create altar base
     const altarBaseGeometry = new THREE.BoxGeometry(4, 1, 4)
     const altarBaseMaterial = new THREE.MeshLambertMaterial({
@@ -164,9 +240,69 @@ export class EnvironmentBuilder {
     const altarGroup = new THREE.Group()
     altarGroup.add(altarBase)
     altarGroup.add(altarTop)
-    altarGroup.name = 'central-altar'
     
-    this.scene.add(altarGroup)
+    return altarGroup
+  }
+
+  /**
+   * Create the glowing ring that marks the altar delivery zone
+   */
+  createAltarZone() {
+    const ringGeometry = new THREE.RingGeometry(this.altarZoneRadius - 0.15, this.altarZoneRadius, 48)
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffd700, // Golden marigold glow
+      transparent: true,
+      opacity: 0.35,
+      side: THREE.DoubleSide
+    })
+    
+    this.altarZoneRing = new THREE.Mesh(ringGeometry, ringMaterial)
+    this.altarZoneRing.rotation.x = -Math.PI / 2
+    this.altarZoneRing.position.y = 0.02 // Just above the ground to avoid z-fighting
+    this.altarZoneRing.name = 'altar-zone'
+    
+    this.addToScene(this.altarZoneRing)
+  }
+
+  /**
+   * Trigger the altar glow effect when souls are delivered
+   * @param {number} soulCount - Number of souls delivered
+   */
+  playAltarDeliveryEffect(soulCount = 1) {
+    // Bigger deliveries make the altar glow brighter
+    this.altarPulse = Math.min(1, 0.4 + soulCount * 0.15)
+  }
+
+  /**
+   * Get the altar center position
+   * @returns {THREE.Vector3} Altar position
+   */
+  getAltarPosition() {
+    return this.altarGroup ? this.altarGroup.position.clone() : new THREE.Vector3()
+  }
+
+  /**
+   * Get the altar delivery zone radius
+   * @returns {number} Zone radius
+   */
+  getAltarZoneRadius() {
+    return this.altarZoneRadius
+  }
+
+  /**
+   * Animate the altar zone ring and delivery glow
+   * @param {number} deltaTime - Time since last update
+   * @param {number} time - Elapsed time in seconds
+   */
+  updateAltarZone(deltaTime, time) {
+    if (!this.altarZoneRing) return
+    
+    // Fade out the delivery pulse
+    this.altarPulse = Math.max(0, this.altarPulse - deltaTime * 1.5)
+    
+    const idleGlow = this.reducedMotion ? 0.3 : 0.3 + Math.sin(time * 2.0) * 0.05
+    this.altarZoneRing.material.opacity = idleGlow + this.altarPulse * 0.6
+    this.altarZoneRing.scale.setScalar(this.reducedMotion ? 1.0 : 1.0 + this.altarPulse * 0.15)
   }
 
   /**
@@ -261,12 +397,13 @@ export class EnvironmentBuilder {
       // Add floating animation data
       marigold.userData = {
         originalY: position[1],
-        floatSpeed: 0.5 + Math.random() * 0.5,
-        floatRange: 0.5 + Math.random() * 0.3
+        floatSpeed: 0.5 + this.random.next() * 0.5,
+        floatRange: 0.5 + this.random.next() * 0.3
       }
       
       this.decorativeElements.push(marigold)
-      this.scene.add(marigold)
+      this.marigolds.push(marigold)
+      this.addToScene(marigold)
     })
   }
 
@@ -320,7 +457,8 @@ export class EnvironmentBuilder {
       }
       
       bannerGroup.name = `papel-picado-${index}`
-      this.scene.add(bannerGroup)
+      this.banners.push(bannerGroup)
+      this.addToScene(bannerGroup)
     })
   }
 
@@ -329,24 +467,91 @@ export class EnvironmentBuilder {
    * @param {number} deltaTime - Time since last update
    */
   updateAnimations(deltaTime) {
-    const time = Date.now() * 0.001
+    this.animationTime += deltaTime
+    const time = this.animationTime
+    
+    // Decorations hold still with reduced motion
+    if (!this.reducedMotion) {
+      this.decorativeElements.forEach(element => {
+        // Decorations hidden by the quality tier (or in a hidden banner) aren't animated
+        if (!element.visible || (element.parent && !element.parent.visible)) return
+        
+        if (element.userData.floatSpeed !== undefined) {
+          // Floating marigolds
+          const floatOffset = Math.sin(time * element.userData.floatSpeed) * element.userData.floatRange
+          element.position.y = element.userData.originalY + floatOffset
+          element.rotation.y += deltaTime * 0.5 // Slow rotation
+        }
+        
+        if (element.userData.waveSpeed !== undefined) {
+          // Waving papel picado
+          const waveOffset = Math.sin(time * element.userData.waveSpeed + element.userData.waveOffset) * 0.3
+          element.position.y = element.userData.originalPosition.y + waveOffset
+        }
+      })
+    }
+    
+    this.updateAltarZone(deltaTime, time)
+  }
+
+  /**
+   * Turn reduced motion on or off (decorations settle back to where they were built)
+   * @param {boolean} enabled - Whether to reduce motion
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = Boolean(enabled)
+    
+    if (!this.reducedMotion) return
     
     this.decorativeElements.forEach(element => {
-      if (element.userData.floatSpeed !== undefined) {
-        // Floating marigolds
-        const floatOffset = Math.sin(time * element.userData.floatSpeed) * element.userData.floatRange
-        element.position.y = element.userData.originalY + floatOffset
-        element.rotation.y += deltaTime * 0.5 // Slow rotation
+      if (element.userData.originalY !== undefined) {
+        element.position.y = element.userData.originalY
       }
-      
-      if (element.userData.waveSpeed !== undefined) {
-        // Waving papel picado
-        const waveOffset = Math.sin(time * element.userData.waveSpeed + element.userData.waveOffset) * 0.3
-        element.position.y = element.userData.originalPosition.y + waveOffset
+      if (element.userData.originalPosition !== undefined) {
+        element.position.y = element.userData.originalPosition.y
       }
     })
   }
 
+  /**
+   * Set the shadow quality of the lights
+   * @param {Object} quality - { shadowMapSize, pointLightShadows }
+   */
+  setShadowQuality(quality = {}) {
+    const light = this.directionalLight
+    
+    if (light && quality.shadowMapSize && light.shadow.mapSize.width !== quality.shadowMapSize) {
+      light.shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize)
+      
+      // The shadow map is created again at the new size on the next render
+      if (light.shadow.map) {
+        light.shadow.map.dispose()
+        light.shadow.map = null
+      }
+    }
+    
+    if (quality.pointLightShadows !== undefined) {
+      this.candleLights.forEach(candleLight => {
+        candleLight.castShadow = Boolean(quality.pointLightShadows)
+      })
+    }
+  }
+
+  /**
+   * Show a share of the floating decorations (the first ones built, which are laid out symmetrically)
+   * @param {number} density - Share of marigolds and papel picado banners to show (0 to 1)
+   */
+  setDecorationDensity(density) {
+    this.decorationDensity = Math.max(0, Math.min(1, density))
+    
+    for (const group of [this.marigolds, this.banners]) {
+      const visibleCount = Math.round(group.length * this.decorationDensity)
+      group.forEach((decoration, index) => {
+        decoration.visible = index < visibleCount
+      })
+    }
+  }
+
   /**
    * Get all decorative elements for external animation updates
    * @returns {Array} Array of decorative elements
@@ -371,6 +576,18 @@ export class EnvironmentBuilder {
     })
     
     this.decorativeElements = []
+    this.marigolds = []
+    this.banners = []
+    this.directionalLight = null
+    this.candleLights = []
+    
+    if (this.altarZoneRing) {
+      this.scene.remove(this.altarZoneRing)
+      this.altarZoneRing.geometry.dispose()
+      this.altarZoneRing.material.dispose()
+      this.altarZoneRing = null
+    }
+    
     console.log('Environment disposed')
   }
 }
\ No newline at end of file
@@ -1,4 +1,11 @@
 import * as THREE from 'three'
+import { SeededRandom } from '../utils/SeededRandom.js'
+import { ReplayRecorder } from '../utils/ReplayRecorder.js'
+import { GAME_VERSION } from '../utils/SessionEnvelope.js'
+import { ComboTracker } from '../components/ComboTracker.js'
+import { DifficultyManager, DEFAULT_DIFFICULTY } from '../components/DifficultyManager.js'
+import { BuffManager } from '../components/BuffManager.js'
+import { GameMode, DEFAULT_GAME_MODE } from './GameMode.js'
 
 /**
  * GameEngine manages the core game logic and state
@@ -9,52 +16,153 @@ import * as THREE from 'three'
  * gameEngine.init({
  *   renderEngine,
  *   playerController,
+ *   playerControllers, // optional, one per player for two-player mode (the first is playerController)
  *   soulManager,
+ *   hazardManager, // optional, alebrijes and wind gusts
+ *   powerUpManager, // optional, magnet, speed and pan de muerto pickups
  *   collisionDetector,
  *   inputManager,
- *   uiManager // optional
+ *   touchControlManager, // optional, mobile joystick input
+ *   uiManager, // optional
+ *   environmentBuilder // optional, for altar delivery effects
  * })
  * gameEngine.startGameLoop()
  */
 export class GameEngine {
   constructor() {
     // Game state management
-    this.currentState = 'menu' // 'menu', 'playing', 'game-over', 'name-input', 'leaderboard-display'
+    this.currentState = 'menu' // 'menu', 'playing', 'paused', 'game-over', 'name-input', 'leaderboard-display'
     this.previousState = null
     
     // Game systems references
     this.renderEngine = null
     this.playerController = null
+    this.playerControllers = [] // Every skull; the game mode decides how many play
     this.soulManager = null
+    this.hazardManager = null
+    this.powerUpManager = null
     this.collisionDetector = null
     this.inputManager = null
+    this.touchControlManager = null
     this.uiManager = null
     this.soundManager = null
     this.leaderboardManager = null
+    this.environmentBuilder = null
     
-    // Game timing
+    // Game timing (fixed-step simulation, interpolated rendering)
     this.lastTime = 0
     this.deltaTime = 0
     this.gameTime = 0
     this.isRunning = false
     this.animationId = null
+    this.fixedTimestep = 1 / 60 // Simulation runs at 60 Hz regardless of frame rate
+    this.accumulator = 0
+    this.maxFrameTime = 0.25 // Ignore longer frames (e.g. tab in background) to avoid catching up forever
+    this.maxStepsPerFrame = 8
+    this.interpolationAlpha = 0
+    this.simulationTick = 0
+    
+    // Seed of the current run (same seed reproduces the same soul spawns and movement)
+    this.seed = null
+    
+    // Input recording and replay (every run is recorded; replays feed recorded input back)
+    this.replayRecorder = new ReplayRecorder()
+    this.isReplaying = false
+    this.lastReplayResult = null
+    
+    // Session log sent with score submissions so the server can verify the run
+    this.sessionId = null
+    this.sessionLog = {
+      collections: [],
+      deliveries: [],
+      hazards: [],
+      powerUps: []
+    }
     
     // Timer and scoring system
     this.score = 0
     this.timeRemaining = 30 // seconds
+    this.bonusTime = 0 // Seconds added by time-bonus souls this run
+    this.penaltyTime = 0 // Seconds taken by alebrijes this run
+    this.frozenTime = 0 // Seconds the timer stood still (pan de muerto) this run
+    this.scoreBreakdown = {
+      base: 0, // Points from soul values and delivery bonuses
+      comboBonus: 0 // Extra points from combo multipliers
+    }
     this.gameTimer = null
     this.timerUpdateInterval = 100 // Update timer every 100ms for smooth display
     
+    // Altar delivery statistics
+    this.deliveryStats = {
+      soulsCollected: 0,
+      soulsDelivered: 0,
+      deliveries: 0,
+      largestDelivery: 0
+    }
+    
+    // Results of each player (one entry per skull in play)
+    this.playerStats = []
+    
     // Game configuration
     this.config = {
+      GAME_MODE: DEFAULT_GAME_MODE, // 'timed', 'endless' or 'two-player' (see GameMode)
       GAME_DURATION: 30, // seconds
       FIELD_SIZE: { x: 10, z: 10 },
       SOUL_COUNT: 10, // Reduced from 15 to 10
       SOUL_SPAWN_RATE: 1.5, // Reduced from 2 to 1.5 souls per second
       PLAYER_SPEED: 8,
-      COLLISION_RADIUS: 1.5
+      PLAYER_SPAWN_SPACING: 4, // Distance between the skulls when a two-player run starts
+      COLLISION_RADIUS: 1.5,
+      ALTAR_POSITION: { x: 0, z: 0 },
+      ALTAR_ZONE_RADIUS: 3.0,
+      DELIVERY_BONUS_PER_EXTRA_SOUL: 1, // Extra points per soul beyond the first in a single delivery
+      MAX_BONUS_TIME: 15, // Most seconds time-bonus souls can add in one run
+      COMBO_WINDOW: 2.0, // Seconds between collections to keep a combo going
+      COMBO_HITS_PER_STEP: 4, // Collections needed for each multiplier step
+      COMBO_MULTIPLIER_STEP: 0.5, // Multiplier added per step
+      COMBO_MAX_MULTIPLIER: 2.5, // Highest combo multiplier
+      DIFFICULTY: DEFAULT_DIFFICULTY, // Difficulty preset: 'facil', 'normal' or 'dificil' (see DifficultyManager)
+      DIFFICULTY_CURVES: null, // Keyframed curves replacing the preset's, e.g. { spawnRate: { by: 'time', keyframes: [...] } }
+      ALEBRIJE_COUNT: 1, // Alebrijes wandering the field at once (0 = none)
+      ALEBRIJE_TIME_PENALTY: 3, // Seconds lost when the skull touches an alebrije
+      WIND_GUST_INTERVAL: 6, // Seconds between cempasúchil wind gusts (0 = none)
+      WIND_GUST_STRENGTH: 6, // How hard a gust pushes the skull (units per second)
+      POWER_UP_INTERVAL: 8, // Seconds between power-up spawns (0 = none)
+      POWER_UP_LIFETIME: 8, // Seconds a power-up stays on the field
+      MAGNET_RADIUS: 5, // Souls closer than this are pulled towards the skull while the magnet lasts
+      MAGNET_PULL_SPEED: 5, // How fast the magnet pulls souls (units per second)
+      MAGNET_COLLISION_BONUS: 0.6, // Added to the skull collision radius while the magnet lasts
+      SPEED_BOOST_PER_STACK: 0.4, // Extra skull speed per speed power-up stack (0.4 = +40%)
+      ENDLESS_START_TIME: 20, // Seconds on the clock when an endless run starts
+      ENDLESS_TIME_PER_SOUL: 1, // Seconds each collected soul adds in endless mode
+      ENDLESS_MAX_TIME: 30, // Most seconds the endless timer can hold
+      ENDLESS_DRAIN_RAMP: 0.01, // Extra drain per second survived (0.01 = the timer runs twice as fast after 100 s)
+      ENDLESS_MAX_DRAIN: 3, // Fastest the endless timer can drain (timer seconds per second)
+      ENDLESS_MAX_DURATION: 900, // Endless runs are cut here so every session ends
+      // Relative chance of each soul type on spawn (see SoulTypeRegistry)
+      SOUL_TYPE_WEIGHTS: {
+        common: 70,
+        golden: 8,
+        shy: 10,
+        fast: 8,
+        'time-bonus': 4
+      }
     }
     
+    // Combo multiplier built by collecting souls in quick succession
+    this.comboTracker = new ComboTracker(this.getComboConfig())
+    
+    // Spawn rate, max souls and soul movement change over the round
+    this.difficultyManager = new DifficultyManager()
+    this.configureDifficulty()
+    
+    // Timed power-up effects (magnet, speed, frozen timer)
+    this.buffManager = new BuffManager()
+    this.baseSkullCollisionRadius = null // Read from the collision detector on init
+    
+    // Timer rules, end condition and leaderboard category of the runs
+    this.gameMode = GameMode.get(this.config.GAME_MODE)
+    
     // Bind methods to preserve context
     this.update = this.update.bind(this)
     this.handleStateChange = this.handleStateChange.bind(this)
@@ -73,13 +181,18 @@ export class GameEngine {
     
     // Store references to game systems
     this.renderEngine = systems.renderEngine
-    this.playerController = systems.playerController
+    this.playerControllers = (systems.playerControllers || [systems.playerController]).filter(Boolean)
+    this.playerController = systems.playerController || this.playerControllers[0]
     this.soulManager = systems.soulManager
+    this.hazardManager = systems.hazardManager
+    this.powerUpManager = systems.powerUpManager
     this.collisionDetector = systems.collisionDetector
     this.inputManager = systems.inputManager
+    this.touchControlManager = systems.touchControlManager
     this.uiManager = systems.uiManager
     this.soundManager = systems.soundManager
     this.leaderboardManager = systems.leaderboardManager
+    this.environmentBuilder = systems.environmentBuilder
     
     // Validate required systems
     this.validateSystems()
@@ -126,18 +239,62 @@ export class GameEngine {
       this.soulManager.setMaxSouls(this.config.SOUL_COUNT)
       this.soulManager.setSpawnRate(this.config.SOUL_SPAWN_RATE)
       this.soulManager.setFieldSize(this.config.FIELD_SIZE.x, this.config.FIELD_SIZE.z)
+      this.soulManager.setTypeWeights(this.config.SOUL_TYPE_WEIGHTS)
+    }
+    
+    if (this.hazardManager) {
+      this.hazardManager.setFieldSize(this.config.FIELD_SIZE.x, this.config.FIELD_SIZE.z)
+      this.hazardManager.setAltarAvoidRadius(this.config.ALTAR_ZONE_RADIUS + 1)
+      this.hazardManager.setAlebrijeCount(this.config.ALEBRIJE_COUNT)
+      this.hazardManager.setWindGusts(this.config.WIND_GUST_INTERVAL, this.config.WIND_GUST_STRENGTH)
+    }
+    
+    if (this.powerUpManager) {
+      this.powerUpManager.setFieldSize(this.config.FIELD_SIZE.x, this.config.FIELD_SIZE.z)
+      this.powerUpManager.setSpawning(this.config.POWER_UP_INTERVAL, this.config.POWER_UP_LIFETIME)
     }
     
-    if (this.playerController) {
-      this.playerController.setBoundarySize(this.config.FIELD_SIZE.x)
+    for (const player of this.playerControllers) {
+      player.setBoundarySize(this.config.FIELD_SIZE.x)
     }
     
-    // Set up collision callback
+    // Only the skulls of the selected mode stay on the field
+    this.setupPlayers()
+    
+    // Set up collision and altar delivery callbacks
     if (this.collisionDetector) {
+      this.collisionDetector.setAltarZone(this.getAltarPosition(), this.config.ALTAR_ZONE_RADIUS)
+      
       this.collisionDetector.addCollisionCallback((collisionData) => {
         this.handleSoulCollection(collisionData)
       })
+      
+      this.collisionDetector.addAltarCallback((altarData) => {
+        this.handleAltarDelivery(altarData)
+      })
+      
+      this.collisionDetector.addHazardCallback((hazardData) => {
+        this.handleHazardContact(hazardData)
+      })
+      
+      this.collisionDetector.addPowerUpCallback((powerUpData) => {
+        this.handlePowerUpPickup(powerUpData)
+      })
+      
+      // Buffs scale the skull collision radius from its normal size
+      this.baseSkullCollisionRadius = this.collisionDetector.getSkullCollisionRadius()
     }
+    
+    // Apply buff effects whenever buffs start, stack, expire or are cleared
+    this.buffManager.addBuffCallback((buffEvent) => {
+      this.handleBuffEvent(buffEvent)
+    })
+    this.applyBuffEffects()
+    
+    // Forward combo changes to the HUD counter and the combo chimes
+    this.comboTracker.addComboCallback((comboEvent) => {
+      this.handleComboEvent(comboEvent)
+    })
   }
 
   /**
@@ -148,6 +305,7 @@ export class GameEngine {
     
     this.isRunning = true
     this.lastTime = performance.now()
+    this.accumulator = 0
     this.update(this.lastTime)
     
     console.log('Game loop started')
@@ -169,7 +327,7 @@ export class GameEngine {
   }
 
   /**
-   * Main update loop with delta time calculation
+   * Main update loop: advances the simulation in fixed steps and interpolates rendering
    * @param {number} currentTime - Current timestamp from requestAnimationFrame
    */
   update(currentTime) {
@@ -178,12 +336,50 @@ export class GameEngine {
     // Schedule next update
     this.animationId = requestAnimationFrame(this.update)
     
-    // Calculate delta time
-    this.deltaTime = (currentTime - this.lastTime) / 1000
+    // Calculate real frame time, clamped to prevent large jumps
+    let frameTime = (currentTime - this.lastTime) / 1000
     this.lastTime = currentTime
+    frameTime = Math.max(0, Math.min(frameTime, this.maxFrameTime))
+    
+    // A paused run doesn't step at all, so the timer, spawning and animations hold
+    // (and the tick count, which replays and session logs rely on, doesn't move)
+    if (this.currentState === 'paused') {
+      this.accumulator = 0
+      return
+    }
     
-    // Clamp delta time to prevent large jumps
-    this.deltaTime = Math.min(this.deltaTime, 1/30) // Max 30 FPS minimum
+    // Run as many fixed simulation steps as the elapsed time allows
+    this.accumulator += frameTime
+    let steps = 0
+    
+    while (this.accumulator >= this.fixedTimestep && steps < this.maxStepsPerFrame) {
+      this.step(this.fixedTimestep)
+      this.accumulator -= this.fixedTimestep
+      steps++
+    }
+    
+    // Drop leftover time if the device can't keep up (avoids a spiral of death)
+    if (steps >= this.maxStepsPerFrame) {
+      this.accumulator = Math.min(this.accumulator, this.fixedTimestep)
+    }
+    
+    // Interpolate rendered positions between the last two simulation steps
+    this.interpolationAlpha = this.accumulator / this.fixedTimestep
+    this.interpolate(this.interpolationAlpha)
+  }
+
+  /**
+   * Advance the simulation by one fixed step
+   * @param {number} deltaTime - Step duration in seconds (defaults to the fixed timestep)
+   */
+  step(deltaTime = this.fixedTimestep) {
+    this.deltaTime = deltaTime
+    this.simulationTick++
+    
+    // Update environment animations on the same clock as gameplay
+    if (this.environmentBuilder) {
+      this.environmentBuilder.updateAnimations(deltaTime)
+    }
     
     // Update based on current game state
     switch (this.currentState) {
@@ -205,13 +401,35 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Interpolate rendered objects between simulation steps
+   * @param {number} alpha - Interpolation factor between previous (0) and current (1) step
+   */
+  interpolate(alpha) {
+    // The players only move while playing, so only interpolate then
+    if (this.currentState === 'playing') {
+      for (const player of this.getActivePlayers()) {
+        player.interpolate(alpha)
+      }
+    }
+    
+    if (this.soulManager) {
+      this.soulManager.interpolate(alpha)
+    }
+    
+    if (this.hazardManager) {
+      this.hazardManager.interpolate(alpha)
+    }
+    
+    if (this.powerUpManager) {
+      this.powerUpManager.interpolate(alpha)
+    }
+  }
+
   /**
    * Update logic for menu state
    */
   updateMenuState() {
-    // Update environment animations even in menu
-    // Note: Environment animations are handled by the main update loop in main.js
-    
     // Check for input to start game (only if not in a modal state)
     if (this.inputManager && !this.isInModalState()) {
       const inputVector = this.inputManager.getInputVector()
@@ -228,42 +446,76 @@ export class GameEngine {
     // Update game time
     this.gameTime += this.deltaTime
     
+    // Run down power-up buffs (pan de muerto holds the countdown)
+    this.updateBuffs()
+    
     // Update timer countdown
     this.updateTimer()
     
-    // Check if time is up
-    if (this.timeRemaining <= 0) {
+    // Check if the round is over (time is up, or the mode's own end condition)
+    if (this.gameMode.isOver(this)) {
       this.endGame()
       return
     }
     
-    // Update environment animations
-    // Note: Environment animations are handled by the main update loop in main.js
+    const activePlayers = this.getActivePlayers()
     
-    // Update player movement
-    if (this.playerController && this.inputManager) {
-      const inputVector = this.inputManager.getInputVector()
-      if (inputVector.x !== 0 || inputVector.z !== 0) {
-        this.playerController.move(inputVector.x, inputVector.z, this.deltaTime)
-      }
-      this.playerController.update(this.deltaTime)
+    // Update player movement (each skull reads its own input)
+    if (this.inputManager) {
+      activePlayers.forEach((player, playerIndex) => {
+        const inputVector = this.getTickInput(playerIndex)
+        if (inputVector.x !== 0 || inputVector.z !== 0) {
+          player.move(inputVector.x, inputVector.z, this.deltaTime)
+        }
+        player.update(this.deltaTime)
+      })
     }
     
-    // Update soul manager
+    // Follow the difficulty curves
+    this.updateDifficulty()
+    
+    // Update soul manager (shy souls flee from the nearest skull)
     if (this.soulManager) {
-      this.soulManager.update(this.deltaTime)
+      this.soulManager.update(this.deltaTime, activePlayers.map(player => player.getPosition()))
     }
     
-    // Check collisions
-    if (this.collisionDetector && this.playerController && this.soulManager) {
-      const collectedSouls = this.collisionDetector.checkCollisionsOptimized(
-        this.playerController, 
-        this.soulManager
-      )
-      
-      // Handle collected souls (callback will be triggered automatically)
-      if (collectedSouls.length > 0) {
-        console.log(`Collected ${collectedSouls.length} soul(s) this frame`)
+    // The magnet pulls nearby souls towards the skulls
+    if (this.soulManager && this.buffManager.isActive('magnet')) {
+      for (const player of activePlayers) {
+        this.soulManager.pullSouls(player.getPosition(), this.config.MAGNET_RADIUS, this.config.MAGNET_PULL_SPEED, this.deltaTime)
+      }
+    }
+    
+    if (this.hazardManager) {
+      this.hazardManager.update(this.deltaTime)
+    }
+    
+    if (this.powerUpManager) {
+      this.powerUpManager.update(this.deltaTime)
+    }
+    
+    // Run down the combo window (collections below restart it)
+    this.comboTracker.update(this.deltaTime)
+    
+    // Check collisions, player by player (the callbacks know whose skull it was)
+    if (this.collisionDetector && this.soulManager) {
+      for (const player of activePlayers) {
+        const collectedSouls = this.collisionDetector.checkCollisionsOptimized(
+          player, 
+          this.soulManager
+        )
+        
+        // Handle collected souls (callback will be triggered automatically)
+        if (collectedSouls.length > 0) {
+          console.log(`Collected ${collectedSouls.length} soul(s) this frame`)
+        }
+        
+        // Deliver carried souls if the player is at the altar
+        this.collisionDetector.checkAltarZone(player)
+        
+        // Hazard contacts and power-up pickups (callbacks will be triggered automatically)
+        this.collisionDetector.checkHazardCollisions(player, this.hazardManager)
+        this.collisionDetector.checkPowerUpCollisions(player, this.powerUpManager)
       }
     }
     
@@ -273,13 +525,43 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Get the movement input for the current simulation tick
+   * Feeds recorded input back while replaying, otherwise records the live input
+   * @param {number} playerIndex - Player whose input to read (two-player mode)
+   * @returns {Object} Input vector {x, z}
+   */
+  getTickInput(playerIndex = 0) {
+    if (this.isReplaying) {
+      return this.replayRecorder.nextInput()
+    }
+    
+    // A replay holds one input vector per tick, so two-player runs are not recorded
+    if (this.gameMode.playerCount > 1) {
+      return this.inputManager.getPlayerInputVector(playerIndex)
+    }
+    
+    return this.replayRecorder.recordInput(this.getLiveInputVector())
+  }
+
+  /**
+   * Get live input from the keyboard/joystick, falling back to the touch controls
+   * @returns {Object} Input vector {x, z}
+   */
+  getLiveInputVector() {
+    const inputVector = this.inputManager.getInputVector()
+    
+    if (inputVector.x === 0 && inputVector.z === 0 && this.touchControlManager) {
+      return this.touchControlManager.getInputVector()
+    }
+    
+    return inputVector
+  }
+
   /**
    * Update logic for game over state
    */
   updateGameOverState() {
-    // Update environment animations
-    // Note: Environment animations are handled by the main update loop in main.js
-    
     // Keep souls and player visible but don't update gameplay
     if (this.soulManager) {
       // Update soul animations but don't spawn new ones
@@ -297,9 +579,6 @@ export class GameEngine {
    * Update logic for name input state
    */
   updateNameInputState() {
-    // Update environment animations
-    // Note: Environment animations are handled by the main update loop in main.js
-    
     // Keep souls and player visible but don't update gameplay
     if (this.soulManager) {
       // Update soul animations but don't spawn new ones
@@ -315,9 +594,6 @@ export class GameEngine {
    * Update logic for leaderboard display state
    */
   updateLeaderboardDisplayState() {
-    // Update environment animations
-    // Note: Environment animations are handled by the main update loop in main.js
-    
     // Keep souls and player visible but don't update gameplay
     if (this.soulManager) {
       // Update soul animations but don't spawn new ones
@@ -331,9 +607,12 @@ export class GameEngine {
 
   /**
    * Start a new game session
+   * @param {number|null} seed - Optional seed to reproduce a previous run (random if omitted)
    */
-  async startGame() {
-    console.log('Starting new game session')
+  async startGame(seed = null) {
+    this.seed = seed !== null && seed !== undefined ? Number(seed) >>> 0 : SeededRandom.generateSeed()
+    this.sessionId = this.createSessionId()
+    console.log(`Starting new game session - Mode: ${this.gameMode.id}, Seed: ${this.seed}`)
     
     // Ensure audio context is resumed before playing sounds (mobile requirement)
     if (this.soundManager) {
@@ -351,15 +630,40 @@ export class GameEngine {
     this.resetTimerAndScore()
     this.startTimer()
     
-    // Reset player position
-    if (this.playerController) {
-      this.playerController.reset()
+    // Place the skulls of this mode (also drops carried souls)
+    this.setupPlayers()
+    
+    if (this.collisionDetector) {
+      this.collisionDetector.resetAltarZone()
     }
     
-    // Clear existing souls and resume spawning
+    // Clear existing souls, reseed and resume spawning at the start of the difficulty curves
     if (this.soulManager) {
       this.soulManager.clearAllSouls()
-      this.soulManager.resumeSpawning(this.config.SOUL_SPAWN_RATE)
+      this.soulManager.setSeed(this.seed)
+      this.updateDifficulty()
+      this.soulManager.resumeSpawning()
+    }
+    
+    // Hazards draw from their own seeded sequence
+    if (this.hazardManager) {
+      this.hazardManager.clearAllHazards()
+      this.hazardManager.setSeed(this.seed)
+      this.hazardManager.resumeSpawning()
+    }
+    
+    if (this.powerUpManager) {
+      this.powerUpManager.clearAllPowerUps()
+      this.powerUpManager.setSeed(this.seed)
+      this.powerUpManager.resumeSpawning()
+    }
+    
+    // Record this run's input so it can be replayed (single-player runs only)
+    if (!this.isReplaying && this.gameMode.playerCount === 1) {
+      this.replayRecorder.startRecording(this.seed, {
+        tickRate: Math.round(1 / this.fixedTimestep),
+        config: { ...this.config }
+      })
     }
     
     // Update UI
@@ -372,7 +676,7 @@ export class GameEngine {
    * End the current game session
    */
   endGame() {
-    console.log(`Ending game session - Final Score: ${this.score}`)
+    console.log(`Ending game session (${this.gameMode.id}) - Final Score: ${this.score}, survived ${this.gameTime.toFixed(1)}s`)
     
     // Play game over sound
     if (this.soundManager) {
@@ -382,6 +686,15 @@ export class GameEngine {
     // Stop the timer
     this.stopTimer()
     
+    // Souls still being carried are lost when time runs out
+    const lostSouls = this.getCarriedSoulCount()
+    if (lostSouls > 0) {
+      console.log(`${lostSouls} carried soul(s) were not delivered to the altar`)
+    }
+    for (const player of this.getActivePlayers()) {
+      player.clearCarriedSouls()
+    }
+    
     // Change state to game over
     this.changeState('game-over')
     
@@ -390,8 +703,33 @@ export class GameEngine {
       this.soulManager.pauseSpawning()
     }
     
-    // Trigger leaderboard flow if LeaderboardManager is available
-    if (this.leaderboardManager) {
+    // Hazards leave the field when the round ends
+    if (this.hazardManager) {
+      this.hazardManager.pauseSpawning()
+      this.hazardManager.clearAllHazards()
+    }
+    
+    // Power-ups vanish and their buffs wear off
+    if (this.powerUpManager) {
+      this.powerUpManager.pauseSpawning()
+      this.powerUpManager.clearAllPowerUps()
+    }
+    this.buffManager.clear()
+    
+    // Replays never reach the leaderboard
+    if (this.isReplaying) {
+      this.finishReplay()
+      return
+    }
+    
+    this.replayRecorder.stopRecording({
+      score: this.score,
+      soulsCollected: this.deliveryStats.soulsCollected,
+      soulsDelivered: this.deliveryStats.soulsDelivered
+    })
+    
+    // Trigger leaderboard flow if LeaderboardManager is available (two-player runs aren't ranked)
+    if (this.leaderboardManager && this.gameMode.isRanked()) {
       try {
         // Don't show game over UI, go directly to leaderboard flow
         this.leaderboardManager.handleGameEnd(this.score)
@@ -410,24 +748,199 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Pause the run in progress
+   * @returns {boolean} True if the game was paused
+   */
+  pauseGame() {
+    if (this.currentState !== 'playing') return false
+    
+    this.changeState('paused')
+    return true
+  }
+
+  /**
+   * Resume a paused run where it left off
+   * @returns {boolean} True if the game was resumed
+   */
+  resumeGame() {
+    if (this.currentState !== 'paused') return false
+    
+    // Nothing can be drawn until a lost WebGL context is restored
+    if (this.renderEngine && this.renderEngine.isContextLost && this.renderEngine.isContextLost()) return false
+    
+    this.changeState('playing')
+    return true
+  }
+
+  /**
+   * Pause the run in progress, or resume it if paused
+   * @returns {boolean} True if the state changed
+   */
+  togglePause() {
+    return this.currentState === 'paused' ? this.resumeGame() : this.pauseGame()
+  }
+
+  /**
+   * Check if the run is paused
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this.currentState === 'paused'
+  }
+
+  /**
+   * Abandon the run in progress and go back to the menu
+   * The run is not scored, ranked or kept for replay
+   * @returns {boolean} True if a run was abandoned
+   */
+  quitToMenu() {
+    if (this.currentState !== 'playing' && this.currentState !== 'paused') return false
+    
+    console.log(`Quitting game session (${this.gameMode.id}) to the menu`)
+    
+    this.stopTimer()
+    
+    // Discard the recording (or the replay being played)
+    this.replayRecorder.stopRecording()
+    if (this.isReplaying) {
+      this.isReplaying = false
+      this.replayRecorder.stopPlayback()
+    }
+    
+    for (const player of this.getActivePlayers()) {
+      player.clearCarriedSouls()
+    }
+    
+    // Clear the field for the next run
+    if (this.soulManager) {
+      this.soulManager.clearAllSouls()
+    }
+    
+    if (this.hazardManager) {
+      this.hazardManager.pauseSpawning()
+      this.hazardManager.clearAllHazards()
+    }
+    
+    if (this.powerUpManager) {
+      this.powerUpManager.pauseSpawning()
+      this.powerUpManager.clearAllPowerUps()
+    }
+    this.buffManager.clear()
+    
+    this.changeState('menu')
+    return true
+  }
+
   /**
    * Restart the game
+   * @param {number|null} seed - Optional seed for the new session
    */
-  restartGame() {
+  restartGame(seed = null) {
     console.log('Restarting game')
     
+    // A restart always goes back to live input
+    if (this.isReplaying) {
+      this.isReplaying = false
+      this.replayRecorder.stopPlayback()
+    }
+    
     // Start a new game session
-    this.startGame()
+    this.startGame(seed)
+  }
+
+  /**
+   * Replay a recorded run, feeding its input back instead of live input
+   * @param {Object|string} replay - Replay data or its JSON export
+   * @returns {Promise} Resolves once the replayed run has started
+   */
+  startReplay(replay) {
+    if (this.gameMode.playerCount > 1) {
+      throw new Error('Replays can only be played in single-player modes')
+    }
+    
+    const replayData = ReplayRecorder.fromJSON(replay)
+    
+    if (replayData.tickRate && replayData.tickRate !== Math.round(1 / this.fixedTimestep)) {
+      console.warn(`Replay was recorded at ${replayData.tickRate} Hz, simulation runs at ${Math.round(1 / this.fixedTimestep)} Hz`)
+    }
+    
+    if (replayData.config && (replayData.config.GAME_DURATION !== this.config.GAME_DURATION ||
+        (replayData.config.DIFFICULTY || DEFAULT_DIFFICULTY) !== this.config.DIFFICULTY ||
+        (replayData.config.GAME_MODE || DEFAULT_GAME_MODE) !== this.config.GAME_MODE)) {
+      console.warn('Replay was recorded with a different game configuration, the result may differ')
+    }
+    
+    // Discard a recording in progress
+    this.replayRecorder.stopRecording()
+    
+    this.isReplaying = true
+    this.lastReplayResult = null
+    this.replayRecorder.startPlayback(replayData)
+    
+    return this.startGame(replayData.seed)
+  }
+
+  /**
+   * Finish a replayed run and compare it against the recorded result
+   */
+  finishReplay() {
+    const replay = this.replayRecorder.stopPlayback()
+    this.isReplaying = false
+    
+    const expectedScore = replay && replay.result ? replay.result.score : undefined
+    this.lastReplayResult = {
+      seed: this.seed,
+      score: this.score,
+      expectedScore: expectedScore,
+      matches: expectedScore === undefined || expectedScore === this.score
+    }
+    
+    if (this.lastReplayResult.matches) {
+      console.log(`Replay finished - Score: ${this.score}`)
+    } else {
+      console.warn(`Replay diverged - Score: ${this.score}, recorded: ${expectedScore}`)
+    }
+    
+    if (this.uiManager) {
+      this.uiManager.showGameOverUI(this.getGameState())
+    }
+  }
+
+  /**
+   * Export the last recorded run as JSON
+   * @returns {string|null} Replay JSON or null if no run has been recorded
+   */
+  exportReplay() {
+    const replay = this.replayRecorder.getLastReplay()
+    return replay ? ReplayRecorder.toJSON(replay) : null
+  }
+
+  /**
+   * Import and validate a replay exported with exportReplay
+   * @param {string} json - Replay JSON
+   * @returns {Object} Replay data, ready for startReplay
+   */
+  importReplay(json) {
+    return ReplayRecorder.fromJSON(json)
+  }
+
+  /**
+   * Get the outcome of the last finished replay
+   * @returns {Object|null} Replay result {seed, score, expectedScore, matches}
+   */
+  getLastReplayResult() {
+    return this.lastReplayResult
   }
 
   /**
    * Change the current game state
-   * @param {string} newState - New game state ('menu', 'playing', 'game-over')
+   * @param {string} newState - New game state ('menu', 'playing', 'paused', 'game-over')
    */
   changeState(newState) {
     if (this.currentState === newState) return
     
-    const validStates = ['menu', 'playing', 'game-over', 'name-input', 'leaderboard-display']
+    const validStates = ['menu', 'playing', 'paused', 'game-over', 'name-input', 'leaderboard-display']
     if (!validStates.includes(newState)) {
       console.warn(`Invalid game state: ${newState}`)
       return
@@ -448,6 +961,21 @@ export class GameEngine {
    * @param {string} previousState - Previous state
    */
   handleStateChange(newState, previousState) {
+    // Leaving the pause menu (resume, restart or quit)
+    if (previousState === 'paused' && this.uiManager && this.uiManager.hidePauseMenu) {
+      this.uiManager.hidePauseMenu()
+    }
+    
+    // The pause button only shows during a run
+    if (this.uiManager && this.uiManager.setPauseButtonVisible) {
+      this.uiManager.setPauseButtonVisible(newState === 'playing')
+    }
+    
+    // The ambient drone plays under a run (not while paused or between runs)
+    if (this.soundManager && this.soundManager.setAmbiencePlaying) {
+      this.soundManager.setAmbiencePlaying(newState === 'playing')
+    }
+    
     // Perform state-specific initialization
     switch (newState) {
       case 'menu':
@@ -456,6 +984,9 @@ export class GameEngine {
       case 'playing':
         this.onEnterPlayingState(previousState)
         break
+      case 'paused':
+        this.onEnterPausedState(previousState)
+        break
       case 'game-over':
         this.onEnterGameOverState(previousState)
         break
@@ -489,8 +1020,9 @@ export class GameEngine {
    * @param {string} previousState - Previous state
    */
   onEnterPlayingState(previousState) {
-    // Resume soul spawning
-    if (this.soulManager) {
+    // Resume soul spawning (a resumed run keeps its spawn timers untouched, so it plays
+    // exactly like it would have without the pause)
+    if (this.soulManager && previousState !== 'paused') {
       this.soulManager.resumeSpawning(this.config.SOUL_SPAWN_RATE)
     }
     
@@ -500,6 +1032,18 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Handle entering paused state
+   * Nothing is torn down: the loop just stops stepping until the run resumes
+   * @param {string} previousState - Previous state
+   */
+  onEnterPausedState(previousState) {
+    // Show pause menu
+    if (this.uiManager && this.uiManager.showPauseMenu) {
+      this.uiManager.showPauseMenu()
+    }
+  }
+
   /**
    * Handle entering game over state
    * @param {string} previousState - Previous state
@@ -554,21 +1098,469 @@ export class GameEngine {
 
   /**
    * Handle soul collection event
+   * Collected souls follow the skull until delivered at the altar
    * @param {Object} collisionData - Collision data from collision detector
    */
   handleSoulCollection(collisionData) {
     // Only count souls collected during gameplay
     if (this.currentState !== 'playing') return
     
+    const player = collisionData.playerController || this.playerController
+    const playerIndex = collisionData.playerIndex || 0
+    
     // Play collection sound effect
     if (this.soundManager) {
       this.soundManager.playSoulCollected()
     }
     
-    // Increment score
-    this.incrementScore()
+    // Rumble the collecting player's gamepad (in single-player, the gamepad in use)
+    if (this.inputManager && this.inputManager.vibrate) {
+      this.inputManager.vibrate(this.gameMode.playerCount > 1 ? playerIndex : null)
+    }
+    
+    const soul = collisionData.soul
+    const soulType = soul && soul.getType ? soul.getType() : 'common'
+    const reward = soul && soul.getReward ? soul.getReward() : { points: 1, timeBonus: 0 }
+    
+    // The soul keeps the multiplier it was collected with until it is delivered
+    const multiplier = this.comboTracker.registerHit()
+    
+    // Add the soul to the queue trailing behind the skull (points are awarded on delivery)
+    let carriedCount = 0
+    if (player) {
+      carriedCount = player.addCarriedSoul({
+        soulId: collisionData.soulId,
+        position: collisionData.soulPosition,
+        color: soul && soul.getColor ? soul.getColor() : undefined,
+        value: reward.points,
+        multiplier: multiplier
+      })
+    }
+    
+    // Time-bonus souls pay out right away (endless mode also replenishes the timer)
+    this.gameMode.onSoulCollected(this, reward)
+    
+    this.deliveryStats.soulsCollected++
+    this.getPlayerStats(playerIndex).soulsCollected++
+    
+    const soulPosition = collisionData.soulPosition
+    this.sessionLog.collections.push({
+      tick: this.getSessionTick(),
+      time: this.roundSessionValue(this.gameTime),
+      soulId: collisionData.soulId,
+      type: soulType,
+      combo: this.comboTracker.getCombo(),
+      multiplier: multiplier,
+      x: this.roundSessionValue(soulPosition.x),
+      y: this.roundSessionValue(soulPosition.y),
+      z: this.roundSessionValue(soulPosition.z)
+    })
+    
+    if (this.uiManager && this.uiManager.updateCarriedSouls) {
+      this.uiManager.updateCarriedSouls(this.getCarriedSoulCount())
+    }
+    
+    console.log(`Soul collected by player ${playerIndex + 1} (${soulType}, x${multiplier})! Carrying: ${carriedCount} | Position: ${collisionData.soulPosition.x.toFixed(2)}, ${collisionData.soulPosition.y.toFixed(2)}, ${collisionData.soulPosition.z.toFixed(2)}`)
+  }
+
+  /**
+   * Handle altar delivery event (player entered the altar zone carrying souls)
+   * @param {Object} altarData - Altar zone data from collision detector
+   */
+  handleAltarDelivery(altarData) {
+    const player = altarData.playerController || this.playerController
+    if (this.currentState !== 'playing' || !player) return
+    
+    const playerIndex = altarData.playerIndex || 0
+    
+    // Souls fly from the trail into the top of the altar
+    const altarTarget = altarData.altarPosition.clone()
+    altarTarget.y = 1.5
+    const soulValue = player.getCarriedSoulValue()
+    const comboBonus = player.getCarriedComboBonus()
+    const deliveredSouls = player.releaseCarriedSouls(altarTarget)
+    const soulCount = deliveredSouls.length
+    
+    if (soulCount === 0) return
+    
+    const basePoints = this.calculateDeliveryPoints(soulCount, soulValue)
+    const points = basePoints + comboBonus
+    
+    this.scoreBreakdown.base += basePoints
+    this.scoreBreakdown.comboBonus += comboBonus
+    
+    // Update delivery statistics
+    this.deliveryStats.soulsDelivered += soulCount
+    this.deliveryStats.deliveries++
+    this.deliveryStats.largestDelivery = Math.max(this.deliveryStats.largestDelivery, soulCount)
+    
+    const playerStats = this.getPlayerStats(playerIndex)
+    playerStats.score += points
+    playerStats.soulsDelivered += soulCount
+    playerStats.deliveries++
+    
+    this.sessionLog.deliveries.push({
+      tick: this.getSessionTick(),
+      time: this.roundSessionValue(this.gameTime),
+      souls: soulCount,
+      value: soulValue,
+      comboBonus: comboBonus,
+      points: points
+    })
+    
+    // Delivery feedback
+    if (this.soundManager && this.soundManager.playSoulDelivered) {
+      this.soundManager.playSoulDelivered(soulCount)
+    }
+    
+    if (this.environmentBuilder && this.environmentBuilder.playAltarDeliveryEffect) {
+      this.environmentBuilder.playAltarDeliveryEffect(soulCount)
+    }
+    
+    this.incrementScore(points)
+    
+    if (this.uiManager && this.uiManager.updateCarriedSouls) {
+      this.uiManager.updateCarriedSouls(this.getCarriedSoulCount())
+    }
+    
+    console.log(`Player ${playerIndex + 1} delivered ${soulCount} soul(s) to the altar for ${points} points (combo bonus: ${comboBonus})`)
+  }
+
+  /**
+   * Handle hazard contact event
+   * Alebrijes cost seconds (then can't be touched for a moment); wind gusts push the skull
+   * @param {Object} hazardData - Hazard contact data from collision detector
+   */
+  handleHazardContact(hazardData) {
+    if (this.currentState !== 'playing') return
+    
+    const hazard = hazardData.hazard
+    const isFirstContact = hazard.registerContact()
+    
+    if (hazardData.kind === 'alebrije') {
+      const penalty = this.applyTimePenalty(this.config.ALEBRIJE_TIME_PENALTY)
+      hazard.startCooldown(hazard.contactCooldown)
+      
+      this.sessionLog.hazards.push({
+        tick: this.getSessionTick(),
+        time: this.roundSessionValue(this.gameTime),
+        hazardId: hazardData.hazardId,
+        kind: hazardData.kind,
+        penalty: this.roundSessionValue(penalty)
+      })
+      
+      if (this.uiManager && this.uiManager.showTimePenalty) {
+        this.uiManager.showTimePenalty(penalty)
+      }
+      
+      if (this.soundManager && this.soundManager.playHazardHit) {
+        this.soundManager.playHazardHit()
+      }
+      
+      console.log(`Alebrije ${hazardData.hazardId} took ${penalty}s! Time remaining: ${this.timeRemaining.toFixed(1)}s`)
+    } else if (hazardData.kind === 'wind-gust') {
+      const player = hazardData.playerController || this.playerController
+      if (player) {
+        const push = hazard.getPush(this.deltaTime)
+        player.applyPush(push.x, push.z)
+      }
+      
+      if (isFirstContact && this.soundManager && this.soundManager.playWindGust) {
+        this.soundManager.playWindGust()
+      }
+    }
+  }
+
+  /**
+   * Handle power-up pickup event
+   * @param {Object} powerUpData - Pickup data from collision detector
+   */
+  handlePowerUpPickup(powerUpData) {
+    if (this.currentState !== 'playing') return
+    
+    const buff = this.buffManager.apply(powerUpData.type)
+    if (!buff) return
+    
+    this.sessionLog.powerUps.push({
+      tick: this.getSessionTick(),
+      time: this.roundSessionValue(this.gameTime),
+      powerUpId: powerUpData.powerUpId,
+      type: powerUpData.type
+    })
+    
+    if (this.soundManager && this.soundManager.playPowerUp) {
+      this.soundManager.playPowerUp(powerUpData.type)
+    }
+    
+    console.log(`Power-up collected: ${powerUpData.type} (${buff.remaining.toFixed(1)}s, x${buff.stacks})`)
+  }
+
+  /**
+   * Handle buff changes (applied, stacked, expired or cleared)
+   * @param {Object} buffEvent - Buff event from the buff manager
+   */
+  handleBuffEvent(buffEvent) {
+    this.applyBuffEffects()
+    
+    // The HUD follows the buffs every step while playing; this also covers buffs cleared at the end
+    if (this.uiManager && this.uiManager.updateBuffs) {
+      this.uiManager.updateBuffs(this.buffManager.getActiveBuffs())
+      this.uiManager.setTimerFrozen(this.isTimerFrozen())
+    }
+    
+    if (buffEvent.type === 'expire' && this.soundManager && this.soundManager.playPowerUpExpired) {
+      this.soundManager.playPowerUpExpired()
+    }
+  }
+
+  /**
+   * Apply the active buffs to the skull speed and collision radius (buffs are shared by every player)
+   */
+  applyBuffEffects() {
+    const speedBoost = this.buffManager.getStacks('speed') * this.config.SPEED_BOOST_PER_STACK
+    for (const player of this.playerControllers) {
+      if (player.setMoveSpeed) {
+        player.setMoveSpeed(this.config.PLAYER_SPEED * (1 + speedBoost))
+      }
+    }
+    
+    if (this.collisionDetector && this.baseSkullCollisionRadius !== null) {
+      const magnetBonus = this.buffManager.isActive('magnet') ? this.config.MAGNET_COLLISION_BONUS : 0
+      this.collisionDetector.setSkullCollisionRadius(this.baseSkullCollisionRadius + magnetBonus)
+    }
+  }
+
+  /**
+   * Run down the active buffs for this simulation step
+   * While pan de muerto lasts the timer stands still (counted in frozenTime)
+   */
+  updateBuffs() {
+    if (this.isTimerFrozen()) {
+      this.frozenTime += Math.min(this.deltaTime, this.buffManager.getRemaining('pan-de-muerto'))
+    }
+    
+    this.buffManager.update(this.deltaTime)
+  }
+
+  /**
+   * Check if the timer is standing still (pan de muerto)
+   * @returns {boolean} True while frozen
+   */
+  isTimerFrozen() {
+    return this.buffManager.isActive('pan-de-muerto')
+  }
+
+  /**
+   * Handle combo changes (hits, decays, breaks and resets)
+   * @param {Object} comboEvent - Combo event from the combo tracker
+   */
+  handleComboEvent(comboEvent) {
+    if (this.uiManager && this.uiManager.updateCombo) {
+      this.uiManager.updateCombo(comboEvent)
+    }
+    
+    // Chime from the second hit on, rising with the combo
+    if (comboEvent.type === 'hit' && comboEvent.combo > 1 && this.soundManager && this.soundManager.playComboChime) {
+      this.soundManager.playComboChime(comboEvent.combo, comboEvent.multiplier > comboEvent.previousMultiplier)
+    }
+  }
+
+  /**
+   * Apply the difficulty curves for the current point of the round to the soul manager
+   */
+  updateDifficulty() {
+    const values = this.difficultyManager.evaluate(this.gameTime, this.score)
     
-    console.log(`Soul collected! Score: ${this.score} | Position: ${collisionData.soulPosition.x.toFixed(2)}, ${collisionData.soulPosition.y.toFixed(2)}, ${collisionData.soulPosition.z.toFixed(2)}`)
+    if (this.soulManager) {
+      this.soulManager.setSpawnRate(values.spawnRate)
+      this.soulManager.setMaxSouls(Math.round(values.maxSouls))
+      this.soulManager.setMovementScale(values.soulSpeed, values.erraticIntensity)
+    }
+  }
+
+  /**
+   * Select the difficulty curves from the game config (preset, custom curves and base values)
+   */
+  configureDifficulty() {
+    this.difficultyManager.configure(this.config.DIFFICULTY, this.config.DIFFICULTY_CURVES, {
+      spawnRate: this.config.SOUL_SPAWN_RATE,
+      maxSouls: this.config.SOUL_COUNT
+    })
+    this.config.DIFFICULTY = this.difficultyManager.getPresetId()
+  }
+
+  /**
+   * Select a difficulty preset for the next runs
+   * @param {string} presetId - 'facil', 'normal' or 'dificil'
+   * @returns {boolean} True if the preset exists
+   */
+  setDifficulty(presetId) {
+    if (!DifficultyManager.hasPreset(presetId)) {
+      console.warn(`Unknown difficulty preset: ${presetId}`)
+      return false
+    }
+    
+    this.updateConfig({ DIFFICULTY: presetId })
+    return true
+  }
+
+  /**
+   * Get the selected difficulty preset
+   * @returns {string} Preset id
+   */
+  getDifficulty() {
+    return this.config.DIFFICULTY
+  }
+
+  /**
+   * Select the game mode for the next runs
+   * @param {string} modeId - 'timed', 'endless' or 'two-player'
+   * @returns {boolean} True if the mode exists and there is a skull for each of its players
+   */
+  setGameMode(modeId) {
+    if (!GameMode.has(modeId)) {
+      console.warn(`Unknown game mode: ${modeId}`)
+      return false
+    }
+    
+    const playerCount = GameMode.get(modeId).playerCount
+    if (playerCount > this.playerControllers.length) {
+      console.warn(`Game mode ${modeId} needs ${playerCount} players, only ${this.playerControllers.length} available`)
+      return false
+    }
+    
+    this.updateConfig({ GAME_MODE: modeId })
+    return true
+  }
+
+  /**
+   * Get the selected game mode
+   * @returns {GameMode} Game mode
+   */
+  getGameMode() {
+    return this.gameMode
+  }
+
+  /**
+   * Get the skulls playing in the selected mode
+   * @returns {Array<PlayerController>} One controller per player
+   */
+  getActivePlayers() {
+    return this.playerControllers.slice(0, this.gameMode.playerCount)
+  }
+
+  /**
+   * Place the skulls of the selected mode at their start positions and take the rest off the field
+   */
+  setupPlayers() {
+    const activePlayers = this.getActivePlayers()
+    
+    this.playerControllers.forEach((player, playerIndex) => {
+      if (playerIndex < activePlayers.length) {
+        const spawnPosition = this.getSpawnPosition(playerIndex, activePlayers.length)
+        player.setSpawnPosition(spawnPosition.x, spawnPosition.z)
+        player.addToScene()
+      } else {
+        player.removeFromScene()
+      }
+      
+      player.reset()
+    })
+  }
+
+  /**
+   * Get where a skull starts a run (side by side around the altar; a single skull starts on it)
+   * @param {number} playerIndex - Player index
+   * @param {number} playerCount - Skulls in play
+   * @returns {Object} Position {x, z}
+   */
+  getSpawnPosition(playerIndex, playerCount) {
+    return {
+      x: this.config.ALTAR_POSITION.x + (playerIndex - (playerCount - 1) / 2) * this.config.PLAYER_SPAWN_SPACING,
+      z: this.config.ALTAR_POSITION.z
+    }
+  }
+
+  /**
+   * Get the results of one player
+   * @param {number} playerIndex - Player index
+   * @returns {Object} { score, soulsCollected, soulsDelivered, deliveries }
+   */
+  getPlayerStats(playerIndex) {
+    if (!this.playerStats[playerIndex]) {
+      this.playerStats[playerIndex] = this.createPlayerStats()
+    }
+    
+    return this.playerStats[playerIndex]
+  }
+
+  /**
+   * Create empty results for a player
+   * @returns {Object} { score, soulsCollected, soulsDelivered, deliveries }
+   */
+  createPlayerStats() {
+    return {
+      score: 0,
+      soulsCollected: 0,
+      soulsDelivered: 0,
+      deliveries: 0
+    }
+  }
+
+  /**
+   * Get the results of every player in play, for the HUD and the game over screen
+   * @returns {Array<Object>} { playerIndex, color, carriedSouls, score, soulsCollected, soulsDelivered, deliveries } per player
+   */
+  getPlayerResults() {
+    return this.getActivePlayers().map((player, playerIndex) => ({
+      playerIndex: playerIndex,
+      color: player.getColor ? player.getColor() : null,
+      carriedSouls: player.getCarriedSoulCount(),
+      ...this.getPlayerStats(playerIndex)
+    }))
+  }
+
+  /**
+   * Get how many souls the skulls in play are carrying
+   * @returns {number} Carried souls
+   */
+  getCarriedSoulCount() {
+    return this.getActivePlayers().reduce((total, player) => total + player.getCarriedSoulCount(), 0)
+  }
+
+  /**
+   * Get the combo rules from the game config
+   * @returns {Object} ComboTracker configuration
+   */
+  getComboConfig() {
+    return {
+      window: this.config.COMBO_WINDOW,
+      hitsPerStep: this.config.COMBO_HITS_PER_STEP,
+      multiplierStep: this.config.COMBO_MULTIPLIER_STEP,
+      maxMultiplier: this.config.COMBO_MAX_MULTIPLIER
+    }
+  }
+
+  /**
+   * Calculate points for delivering souls at once
+   * Each soul is worth its type's points, plus a bonus for every extra soul carried
+   * @param {number} soulCount - Number of souls delivered
+   * @param {number} soulValue - Sum of the delivered souls' points (defaults to one point each)
+   * @returns {number} Points awarded
+   */
+  calculateDeliveryPoints(soulCount, soulValue = soulCount) {
+    if (soulCount <= 0) return 0
+    
+    const bonus = (soulCount - 1) * this.config.DELIVERY_BONUS_PER_EXTRA_SOUL
+    return soulValue + bonus
+  }
+
+  /**
+   * Get the altar position from config
+   * @returns {THREE.Vector3} Altar position
+   */
+  getAltarPosition() {
+    return new THREE.Vector3(this.config.ALTAR_POSITION.x, 0, this.config.ALTAR_POSITION.z)
   }
 
   /**
@@ -582,11 +1574,93 @@ export class GameEngine {
       deltaTime: this.deltaTime,
       isRunning: this.isRunning,
       score: this.score,
+      seed: this.seed,
+      mode: this.gameMode.id,
+      isReplaying: this.isReplaying,
       timeRemaining: Math.max(0, this.timeRemaining),
+      carriedSouls: this.getCarriedSoulCount(),
+      players: this.getPlayerResults(),
+      combo: this.comboTracker.getCombo(),
+      comboMultiplier: this.comboTracker.getMultiplier(),
+      buffs: this.buffManager.getActiveBuffs(),
+      isTimerFrozen: this.isTimerFrozen(),
       config: { ...this.config }
     }
   }
 
+  /**
+   * Get the data describing the last session, used to build a verifiable score submission
+   * @returns {Object} Session data (seed, version, mode, duration, collections, deliveries, hazard hits, power-ups, input log)
+   */
+  getSessionData() {
+    const replay = this.replayRecorder.getLastReplay()
+    
+    return {
+      sessionId: this.sessionId,
+      seed: this.seed,
+      gameVersion: GAME_VERSION,
+      mode: this.gameMode.id,
+      difficulty: this.config.DIFFICULTY,
+      duration: this.roundSessionValue(this.gameTime),
+      bonusTime: this.bonusTime,
+      penaltyTime: this.penaltyTime,
+      frozenTime: this.roundSessionValue(this.frozenTime),
+      score: this.score,
+      scoreBreakdown: this.getScoreBreakdown(),
+      collections: this.sessionLog.collections.map(entry => ({ ...entry })),
+      deliveries: this.sessionLog.deliveries.map(entry => ({ ...entry })),
+      hazards: this.sessionLog.hazards.map(entry => ({ ...entry })),
+      powerUps: this.sessionLog.powerUps.map(entry => ({ ...entry })),
+      replay: replay && replay.seed === this.seed ? replay : null
+    }
+  }
+
+  /**
+   * Get how the score was made up
+   * @returns {Object} { base, comboBonus, maxCombo }
+   */
+  getScoreBreakdown() {
+    return {
+      base: this.scoreBreakdown.base,
+      comboBonus: this.scoreBreakdown.comboBonus,
+      maxCombo: this.comboTracker.getMaxCombo()
+    }
+  }
+
+  /**
+   * Create a unique identifier for a new session
+   * @returns {string} Session ID
+   */
+  createSessionId() {
+    const randomPart = Math.floor(Math.random() * 0xffffffff).toString(36)
+    return `${Date.now().toString(36)}-${this.seed.toString(36)}-${randomPart}`
+  }
+
+  /**
+   * Get the simulation tick within the current session
+   * @returns {number} Ticks since the session started
+   */
+  getSessionTick() {
+    return Math.round(this.gameTime / this.fixedTimestep)
+  }
+
+  /**
+   * Round a logged value so the session log stays compact
+   * @param {number} value - Value to round
+   * @returns {number} Value rounded to 3 decimals
+   */
+  roundSessionValue(value) {
+    return Math.round(value * 1000) / 1000
+  }
+
+  /**
+   * Get the seed of the current run
+   * @returns {number|null} Current seed or null if no game has started
+   */
+  getSeed() {
+    return this.seed
+  }
+
   /**
    * Get current game state name
    * @returns {string} Current state
@@ -603,6 +1677,14 @@ export class GameEngine {
     return this.isRunning
   }
 
+  /**
+   * Get the number of simulation steps run since the game loop was created
+   * @returns {number} Simulation tick count
+   */
+  getSimulationTick() {
+    return this.simulationTick
+  }
+
   /**
    * Get game time elapsed
    * @returns {number} Game time in seconds
@@ -612,7 +1694,7 @@ export class GameEngine {
   }
 
   /**
-   * Get delta time for current frame
+   * Get delta time of the current simulation step
    * @returns {number} Delta time in seconds
    */
   getDeltaTime() {
@@ -626,8 +1708,16 @@ export class GameEngine {
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig }
     
+    if (newConfig.GAME_MODE !== undefined) {
+      this.gameMode = GameMode.get(newConfig.GAME_MODE) || GameMode.get(DEFAULT_GAME_MODE)
+      this.config.GAME_MODE = this.gameMode.id
+    }
+    
     // Apply configuration changes to systems
     if (this.soulManager) {
+      if (newConfig.SOUL_TYPE_WEIGHTS !== undefined) {
+        this.soulManager.setTypeWeights(newConfig.SOUL_TYPE_WEIGHTS)
+      }
       if (newConfig.SOUL_COUNT !== undefined) {
         this.soulManager.setMaxSouls(newConfig.SOUL_COUNT)
       }
@@ -639,8 +1729,50 @@ export class GameEngine {
       }
     }
     
-    if (this.playerController && newConfig.FIELD_SIZE !== undefined) {
-      this.playerController.setBoundarySize(newConfig.FIELD_SIZE.x)
+    if (['DIFFICULTY', 'DIFFICULTY_CURVES', 'SOUL_SPAWN_RATE', 'SOUL_COUNT'].some(key => newConfig[key] !== undefined)) {
+      this.configureDifficulty()
+    }
+    
+    if (this.hazardManager) {
+      if (newConfig.ALEBRIJE_COUNT !== undefined) {
+        this.hazardManager.setAlebrijeCount(newConfig.ALEBRIJE_COUNT)
+      }
+      if (newConfig.WIND_GUST_INTERVAL !== undefined || newConfig.WIND_GUST_STRENGTH !== undefined) {
+        this.hazardManager.setWindGusts(this.config.WIND_GUST_INTERVAL, this.config.WIND_GUST_STRENGTH)
+      }
+      if (newConfig.FIELD_SIZE !== undefined) {
+        this.hazardManager.setFieldSize(newConfig.FIELD_SIZE.x, newConfig.FIELD_SIZE.z)
+      }
+      if (newConfig.ALTAR_ZONE_RADIUS !== undefined) {
+        this.hazardManager.setAltarAvoidRadius(newConfig.ALTAR_ZONE_RADIUS + 1)
+      }
+    }
+    
+    if (this.powerUpManager) {
+      if (newConfig.POWER_UP_INTERVAL !== undefined || newConfig.POWER_UP_LIFETIME !== undefined) {
+        this.powerUpManager.setSpawning(this.config.POWER_UP_INTERVAL, this.config.POWER_UP_LIFETIME)
+      }
+      if (newConfig.FIELD_SIZE !== undefined) {
+        this.powerUpManager.setFieldSize(newConfig.FIELD_SIZE.x, newConfig.FIELD_SIZE.z)
+      }
+    }
+    
+    if (['PLAYER_SPEED', 'SPEED_BOOST_PER_STACK', 'MAGNET_COLLISION_BONUS'].some(key => newConfig[key] !== undefined)) {
+      this.applyBuffEffects()
+    }
+    
+    if (['COMBO_WINDOW', 'COMBO_HITS_PER_STEP', 'COMBO_MULTIPLIER_STEP', 'COMBO_MAX_MULTIPLIER'].some(key => newConfig[key] !== undefined)) {
+      this.comboTracker.setConfig(this.getComboConfig())
+    }
+    
+    if (newConfig.FIELD_SIZE !== undefined) {
+      for (const player of this.playerControllers) {
+        player.setBoundarySize(newConfig.FIELD_SIZE.x)
+      }
+    }
+    
+    if (this.collisionDetector && (newConfig.ALTAR_POSITION !== undefined || newConfig.ALTAR_ZONE_RADIUS !== undefined)) {
+      this.collisionDetector.setAltarZone(this.getAltarPosition(), this.config.ALTAR_ZONE_RADIUS)
     }
     
     console.log('Game configuration updated:', newConfig)
@@ -659,10 +1791,32 @@ export class GameEngine {
    */
   resetTimerAndScore() {
     this.score = 0
-    this.timeRemaining = this.config.GAME_DURATION
+    this.timeRemaining = this.gameMode.getStartTime(this.config)
+    this.bonusTime = 0
+    this.penaltyTime = 0
+    this.frozenTime = 0
     this.gameTime = 0
+    this.scoreBreakdown = {
+      base: 0,
+      comboBonus: 0
+    }
+    this.comboTracker.reset()
+    this.buffManager.clear()
+    this.deliveryStats = {
+      soulsCollected: 0,
+      soulsDelivered: 0,
+      deliveries: 0,
+      largestDelivery: 0
+    }
+    this.playerStats = this.getActivePlayers().map(() => this.createPlayerStats())
+    this.sessionLog = {
+      collections: [],
+      deliveries: [],
+      hazards: [],
+      powerUps: []
+    }
     
-    console.log(`Timer and score reset - Duration: ${this.config.GAME_DURATION}s`)
+    console.log(`Timer and score reset - Mode: ${this.gameMode.id}, starting time: ${this.timeRemaining}s`)
   }
 
   /**
@@ -692,14 +1846,13 @@ export class GameEngine {
   }
 
   /**
-   * Update the timer countdown
+   * Update the timer countdown (how it runs down depends on the game mode)
    */
   updateTimer() {
     if (this.currentState === 'playing') {
       const previousTime = this.timeRemaining
       
-      // Calculate time remaining based on game time
-      this.timeRemaining = Math.max(0, this.config.GAME_DURATION - this.gameTime)
+      this.gameMode.updateTimer(this, this.deltaTime)
       
       // Play countdown sounds
       if (this.soundManager) {
@@ -795,12 +1948,31 @@ export class GameEngine {
   }
 
   /**
-   * Add bonus time to the timer
+   * Add bonus time to the timer (capped at MAX_BONUS_TIME per run)
    * @param {number} bonusSeconds - Seconds to add
+   * @returns {number} Seconds actually added
    */
   addBonusTime(bonusSeconds) {
-    this.timeRemaining += bonusSeconds
-    console.log(`Bonus time added: ${bonusSeconds}s. New time remaining: ${this.timeRemaining}s`)
+    const added = Math.max(0, Math.min(bonusSeconds, this.config.MAX_BONUS_TIME - this.bonusTime))
+    
+    this.bonusTime += added
+    this.timeRemaining += added
+    console.log(`Bonus time added: ${added}s. New time remaining: ${this.timeRemaining}s`)
+    return added
+  }
+
+  /**
+   * Take seconds off the timer (e.g. touching an alebrije)
+   * @param {number} penaltySeconds - Seconds to take
+   * @returns {number} Seconds actually taken (never more than what is left)
+   */
+  applyTimePenalty(penaltySeconds) {
+    const taken = Math.max(0, Math.min(penaltySeconds, this.timeRemaining))
+    
+    this.penaltyTime += taken
+    this.timeRemaining -= taken
+    console.log(`Time penalty: ${taken}s. New time remaining: ${this.timeRemaining}s`)
+    return taken
   }
 
   /**
@@ -808,14 +1980,29 @@ export class GameEngine {
    * @returns {Object} Game statistics
    */
   getGameStats() {
-    const timeElapsed = this.config.GAME_DURATION - this.timeRemaining
+    const timeElapsed = this.gameTime
     const soulsPerSecond = timeElapsed > 0 ? (this.score / timeElapsed).toFixed(2) : 0
     
     return {
       score: this.score,
+      seed: this.seed,
+      mode: this.gameMode.id,
+      difficulty: this.config.DIFFICULTY,
       timeElapsed: timeElapsed.toFixed(1),
       timeRemaining: this.timeRemaining.toFixed(1),
       soulsPerSecond: parseFloat(soulsPerSecond),
+      soulsCollected: this.deliveryStats.soulsCollected,
+      soulsDelivered: this.deliveryStats.soulsDelivered,
+      deliveries: this.deliveryStats.deliveries,
+      largestDelivery: this.deliveryStats.largestDelivery,
+      baseScore: this.scoreBreakdown.base,
+      comboBonus: this.scoreBreakdown.comboBonus,
+      maxCombo: this.comboTracker.getMaxCombo(),
+      hazardHits: this.sessionLog.hazards.length,
+      penaltyTime: this.penaltyTime,
+      powerUps: this.sessionLog.powerUps.length,
+      frozenTime: this.frozenTime,
+      players: this.getPlayerResults(),
       gameState: this.currentState
     }
   }
@@ -857,15 +2044,26 @@ export class GameEngine {
     this.stopGameLoop()
     this.stopTimer()
     
+    this.replayRecorder.stopRecording()
+    this.replayRecorder.stopPlayback()
+    this.isReplaying = false
+    this.comboTracker.dispose()
+    this.buffManager.dispose()
+    
     // Clear system references
     this.renderEngine = null
     this.playerController = null
+    this.playerControllers = []
     this.soulManager = null
+    this.hazardManager = null
+    this.powerUpManager = null
     this.collisionDetector = null
     this.inputManager = null
+    this.touchControlManager = null
     this.uiManager = null
     this.soundManager = null
     this.leaderboardManager = null
+    this.environmentBuilder = null
     
     // Reset state
     this.currentState = 'menu'
@@ -875,6 +2073,9 @@ export class GameEngine {
     this.deltaTime = 0
     this.score = 0
     this.timeRemaining = 30
+    this.bonusTime = 0
+    this.penaltyTime = 0
+    this.frozenTime = 0
     
     console.log('GameEngine disposed')
   }
@@ -0,0 +1,304 @@
+/**
+ * GameMode - Rules that change from one way of playing to another
+ * GameEngine hands the mode-specific parts of a run to the selected mode: how the timer
+ * starts and runs down, what collecting a soul does to it, when the round is over and which
+ * leaderboard the score ranks in. Modes live in a static registry, like the difficulty presets,
+ * so the client, replays and the headless ScoreValidator all play a session with the same rules.
+ *
+ * Modes:
+ * - 'timed': the classic round of GAME_DURATION seconds (plus time-bonus souls, capped)
+ * - 'endless': survival; every soul adds time, the timer drains faster the longer you last
+ * - 'two-player': a timed round for two skulls on one field; not ranked
+ *
+ * Usage example:
+ * const mode = GameMode.get('endless')
+ * gameEngine.timeRemaining = mode.getStartTime(gameEngine.config)
+ * mode.updateTimer(gameEngine, deltaTime)
+ * if (mode.isOver(gameEngine)) gameEngine.endGame()
+ */
+
+export const DEFAULT_GAME_MODE = 'timed'
+export const DEFAULT_LEADERBOARD_CATEGORY = 'timed'
+
+const modes = new Map()
+
+export class GameMode {
+  /**
+   * @param {Object} definition - { id, name, leaderboardCategory (null = not ranked), playerCount }
+   */
+  constructor(definition = {}) {
+    this.id = definition.id
+    this.name = definition.name || definition.id
+    this.leaderboardCategory = definition.leaderboardCategory !== undefined ? definition.leaderboardCategory : definition.id
+    this.playerCount = Math.max(1, definition.playerCount || 1)
+  }
+
+  /**
+   * Register (or replace) a game mode
+   * @param {GameMode} mode - Mode instance with at least an id
+   * @returns {GameMode} Registered mode
+   */
+  static register(mode) {
+    if (!(mode instanceof GameMode) || typeof mode.id !== 'string' || mode.id.length === 0) {
+      throw new Error('Game mode requires an id')
+    }
+
+    modes.set(mode.id, mode)
+    return mode
+  }
+
+  /**
+   * Get a game mode
+   * @param {string} id - Mode id
+   * @returns {GameMode|null} Mode or null if unknown
+   */
+  static get(id) {
+    return modes.get(id) || null
+  }
+
+  /**
+   * Check if a game mode is registered
+   * @param {string} id - Mode id
+   * @returns {boolean} True if registered
+   */
+  static has(id) {
+    return modes.has(id)
+  }
+
+  /**
+   * Get every registered mode, in registration order
+   * @returns {Array<GameMode>} Modes
+   */
+  static getModes() {
+    return Array.from(modes.values())
+  }
+
+  /**
+   * Check if scores can be ranked in a leaderboard category
+   * @param {string} category - Category name
+   * @returns {boolean} True if a registered mode ranks in it
+   */
+  static isLeaderboardCategory(category) {
+    return typeof category === 'string' && GameMode.getModes().some(mode => mode.leaderboardCategory === category)
+  }
+
+  /**
+   * Get the leaderboard category a session ranks in
+   * Sessions from before game modes were timed runs
+   * @param {Object|null} session - Session data (see GameEngine.getSessionData)
+   * @returns {string} Category name
+   */
+  static getSessionCategory(session) {
+    const mode = session && session.mode !== undefined ? GameMode.get(session.mode) : null
+    return mode ? mode.leaderboardCategory : DEFAULT_LEADERBOARD_CATEGORY
+  }
+
+  /**
+   * Get the display name of a leaderboard category
+   * @param {string} category - Category name
+   * @returns {string} Name of the mode that ranks in it
+   */
+  static getCategoryName(category) {
+    const mode = GameMode.getModes().find(candidate => candidate.leaderboardCategory === category)
+    return mode ? mode.name : category
+  }
+
+  /**
+   * Check if runs of this mode go to a leaderboard
+   * @returns {boolean} True if ranked
+   */
+  isRanked() {
+    return this.leaderboardCategory !== null
+  }
+
+  /**
+   * Get the seconds on the clock when a run starts
+   * @param {Object} config - Game configuration
+   * @returns {number} Seconds
+   */
+  getStartTime(config) {
+    return config.GAME_DURATION
+  }
+
+  /**
+   * Run the timer down for one simulation step (game time has already advanced)
+   * @param {GameEngine} engine - Game engine
+   * @param {number} deltaTime - Step length in seconds
+   */
+  updateTimer(engine, deltaTime) {
+    throw new Error(`${this.constructor.name} must implement updateTimer()`)
+  }
+
+  /**
+   * React to a collected soul (time-bonus souls, replenishing the timer...)
+   * @param {GameEngine} engine - Game engine
+   * @param {Object} reward - Soul reward { points, timeBonus }
+   */
+  onSoulCollected(engine, reward) {
+    if (reward.timeBonus > 0) {
+      engine.addBonusTime(reward.timeBonus)
+    }
+  }
+
+  /**
+   * Check if the round is over
+   * @param {GameEngine} engine - Game engine
+   * @returns {boolean} True when the run should end
+   */
+  isOver(engine) {
+    return engine.timeRemaining <= 0
+  }
+
+  /**
+   * Get the longest a session of this mode can plausibly last
+   * @param {Object} config - Game configuration
+   * @param {Object} log - What the session log allows { collections, bonusTime, frozenTime }
+   * @returns {number} Seconds
+   */
+  getMaxDuration(config, log) {
+    return config.GAME_DURATION + Math.min(log.bonusTime, config.MAX_BONUS_TIME) + log.frozenTime
+  }
+
+  /**
+   * Get the most simulation time a replay of this mode may need (guards against runs that never end)
+   * @param {Object} config - Game configuration
+   * @returns {number} Seconds
+   */
+  getSimulationLimit(config) {
+    return this.getStartTime(config) + config.MAX_BONUS_TIME
+  }
+}
+
+/**
+ * TimedMode - The classic round: GAME_DURATION seconds, plus time-bonus souls (up to
+ * MAX_BONUS_TIME), minus alebrije penalties, held while pan de muerto lasts
+ */
+export class TimedMode extends GameMode {
+  /**
+   * @param {Object} definition - Overrides for modes that play by the timed rules
+   */
+  constructor(definition = {}) {
+    super({ id: 'timed', name: 'Contrarreloj', ...definition })
+  }
+
+  /**
+   * Derive the time left from the game time, so it never drifts from the simulation clock
+   * @param {GameEngine} engine - Game engine
+   * @param {number} deltaTime - Step length in seconds
+   */
+  updateTimer(engine, deltaTime) {
+    engine.timeRemaining = Math.max(0, this.getStartTime(engine.config) + engine.bonusTime - engine.penaltyTime + engine.frozenTime - engine.gameTime)
+  }
+
+  /**
+   * Pan de muerto can hold the timer for part of the run, so allow twice the longest unfrozen run
+   * @param {Object} config - Game configuration
+   * @returns {number} Seconds
+   */
+  getSimulationLimit(config) {
+    return (config.GAME_DURATION + config.MAX_BONUS_TIME) * 2
+  }
+}
+
+/**
+ * EndlessMode - Survival: the round lasts as long as the timer does
+ * Every collected soul adds ENDLESS_TIME_PER_SOUL seconds (plus its time bonus), up to
+ * ENDLESS_MAX_TIME on the clock. The timer drains one second per second at first and
+ * ENDLESS_DRAIN_RAMP faster every second after that, up to ENDLESS_MAX_DRAIN.
+ * Runs are cut at ENDLESS_MAX_DURATION so a session (and its replay) always ends.
+ */
+export class EndlessMode extends GameMode {
+  constructor() {
+    super({ id: 'endless', name: 'Sin fin' })
+  }
+
+  /**
+   * Get the seconds on the clock when a run starts
+   * @param {Object} config - Game configuration
+   * @returns {number} Seconds
+   */
+  getStartTime(config) {
+    return config.ENDLESS_START_TIME
+  }
+
+  /**
+   * Get how many timer seconds pass per second of play
+   * @param {Object} config - Game configuration
+   * @param {number} gameTime - Seconds since the run started
+   * @returns {number} Drain rate
+   */
+  getDrainRate(config, gameTime) {
+    return Math.min(config.ENDLESS_MAX_DRAIN, 1 + gameTime * config.ENDLESS_DRAIN_RAMP)
+  }
+
+  /**
+   * Drain the timer (it stands still while pan de muerto lasts)
+   * @param {GameEngine} engine - Game engine
+   * @param {number} deltaTime - Step length in seconds
+   */
+  updateTimer(engine, deltaTime) {
+    if (engine.isTimerFrozen()) return
+
+    const drain = this.getDrainRate(engine.config, engine.gameTime) * deltaTime
+    engine.timeRemaining = Math.max(0, engine.timeRemaining - drain)
+  }
+
+  /**
+   * Replenish the timer (bonus seconds beyond ENDLESS_MAX_TIME are lost)
+   * @param {GameEngine} engine - Game engine
+   * @param {Object} reward - Soul reward { points, timeBonus }
+   */
+  onSoulCollected(engine, reward) {
+    const seconds = engine.config.ENDLESS_TIME_PER_SOUL + Math.max(0, reward.timeBonus)
+    const added = Math.max(0, Math.min(seconds, engine.config.ENDLESS_MAX_TIME - engine.timeRemaining))
+
+    engine.bonusTime += added
+    engine.timeRemaining += added
+  }
+
+  /**
+   * The round ends when the timer runs out (or at the duration cap)
+   * @param {GameEngine} engine - Game engine
+   * @returns {boolean} True when the run should end
+   */
+  isOver(engine) {
+    return engine.timeRemaining <= 0 || engine.gameTime >= engine.config.ENDLESS_MAX_DURATION
+  }
+
+  /**
+   * The clock never drains slower than one second per second, so a run can't outlast the
+   * starting time plus everything the collections added, plus the frozen time
+   * @param {Object} config - Game configuration
+   * @param {Object} log - What the session log allows { collections, bonusTime, frozenTime }
+   * @returns {number} Seconds
+   */
+  getMaxDuration(config, log) {
+    const addedTime = log.collections * config.ENDLESS_TIME_PER_SOUL + log.bonusTime
+    return Math.min(config.ENDLESS_MAX_DURATION, config.ENDLESS_START_TIME + addedTime + log.frozenTime)
+  }
+
+  /**
+   * Get the most simulation time a replay may need
+   * @param {Object} config - Game configuration
+   * @returns {number} Seconds
+   */
+  getSimulationLimit(config) {
+    return config.ENDLESS_MAX_DURATION
+  }
+}
+
+/**
+ * TwoPlayerMode - A timed round for two skulls sharing the field (and the clock)
+ * Each player scores their own deliveries; runs are not recorded for replay and not ranked,
+ * since a replay only holds one input vector per tick.
+ */
+export class TwoPlayerMode extends TimedMode {
+  constructor() {
+    super({ id: 'two-player', name: 'Dos jugadores', leaderboardCategory: null, playerCount: 2 })
+  }
+}
+
+// Built-in modes
+GameMode.register(new TimedMode())
+GameMode.register(new EndlessMode())
+GameMode.register(new TwoPlayerMode())
@@ -1,12 +1,42 @@
+import { RemoteLeaderboardStore } from '../utils/LeaderboardStore.js'
+import { LeaderboardPeriod, DEFAULT_LEADERBOARD_TIME_ZONE } from '../utils/LeaderboardPeriod.js'
+import { GameMode, DEFAULT_LEADERBOARD_CATEGORY } from './GameMode.js'
+
+// Scores count for every period at once and the daily ranking is the easiest to enter,
+// so it decides whether a score is worth submitting
+const QUALIFYING_PERIOD = 'daily'
+
 /**
  * LeaderboardManager - Orchestrates the leaderboard flow
  * Manages score submission, leaderboard fetching, and player ranking
+ * Scores go to a LeaderboardStore (remote by default); an optional local store
+ * keeps a persistent ranking of this device's scores that is shown while offline.
+ * Scores that can't be sent go to an optional SubmissionQueue and are synced later.
+ * Rankings are shown per period (daily, weekly, all-time); the player can switch between them.
+ * Each game mode ranks separately: the ranking shown is the category of the mode just played.
+ * Players outside the top 10 also get their absolute rank, percentile and neighbours.
  */
 export class LeaderboardManager {
-  constructor(uiManager, apiService) {
+  /**
+   * @param {UIManager} uiManager - UI manager
+   * @param {APIService} apiService - API service (error logging and the default remote store)
+   * @param {Object} options - { store, localStore, submissionQueue, period, timeZone } (all optional)
+   */
+  constructor(uiManager, apiService, options = {}) {
     this.uiManager = uiManager
     this.apiService = apiService
+    this.store = options.store || new RemoteLeaderboardStore(apiService)
+    this.localStore = options.localStore || null
+    this.submissionQueue = options.submissionQueue || null
+    this.period = LeaderboardPeriod.isValidPeriod(options.period) ? options.period : 'daily'
+    this.timeZone = options.timeZone || (apiService && apiService.leaderboardTimeZone) || DEFAULT_LEADERBOARD_TIME_ZONE
+    this.category = DEFAULT_LEADERBOARD_CATEGORY // Leaderboard category of the last game mode played
     this.currentPlayerData = null
+    
+    // Ranking on screen, so period tabs can refetch from the same store
+    this.shownLeaderboardData = null
+    this.shownStore = null
+    this.periodRequestId = 0
     this.isProcessing = false
     this.gameEngine = null // Will be set by GameEngine during initialization
   }
@@ -24,8 +54,15 @@ export class LeaderboardManager {
     this.isProcessing = true
     
     try {
-      // Store the score for later use
-      this.currentPlayerData = { score }
+      // Store the score and the session log (for server-side verification) for later use
+      const session = this.gameEngine && this.gameEngine.getSessionData ? this.gameEngine.getSessionData() : null
+      this.category = GameMode.getSessionCategory(session)
+      this.currentPlayerData = {
+        score,
+        session,
+        // Identifies this score in every store, so retries never create duplicates
+        submissionId: session && session.sessionId ? session.sessionId : this.createSubmissionId()
+      }
       
       console.log('Game ended with score:', score)
       console.log('Leaderboard flow initiated - transitioning to name input')
@@ -54,11 +91,16 @@ export class LeaderboardManager {
       // Show loading modal
       this.uiManager.showLeaderboardLoadingModal('Obteniendo el ranking...')
       
-      // Check network availability first (Requirement 5.1)
-      if (!this.apiService.isNetworkAvailable()) {
-        console.warn('Network not available, showing offline leaderboard')
+      const entry = this.createEntry(playerName, score)
+      
+      // Every score is kept in the local ranking, online or not
+      await this.recordLocalScore(entry)
+      
+      // Check store availability first (Requirement 5.1)
+      if (!this.store.isAvailable()) {
+        console.warn('Leaderboard store not available, showing offline leaderboard')
         this.uiManager.hideLeaderboardLoadingModal()
-        this.showOfflineLeaderboard(playerName, score)
+        await this.showOfflineLeaderboard(playerName, score)
         return
       }
 
@@ -67,7 +109,7 @@ export class LeaderboardManager {
       let fetchError = null
       
       try {
-        topScores = await this.apiService.getTopScoresWithCaching()
+        topScores = await this.store.getTopScores(10, this.getPeriodOptions(QUALIFYING_PERIOD))
         console.log('Fetched current top scores:', topScores)
       } catch (error) {
         console.error('Failed to fetch top scores:', error)
@@ -93,26 +135,30 @@ export class LeaderboardManager {
 
       let submissionError = null
       let updatedTopScores = topScores
+      let period = QUALIFYING_PERIOD
+      let needsRefresh = this.period !== QUALIFYING_PERIOD
 
       // Submit score if player qualifies (Requirement 3.1)
       if (playerQualifies) {
         try {
-          await this.apiService.submitScoreWithRetry(playerName, score)
+          await this.store.submitScore(entry)
           console.log('Score submitted successfully')
           
+          // A retry that succeeds makes any queued copy unnecessary
+          this.dequeueSubmission(entry.id)
+          
           // Fetch updated leaderboard after successful submission (Requirement 3.5)
-          try {
-            updatedTopScores = await this.apiService.getTopScoresWithCaching()
-            console.log('Fetched updated leaderboard:', updatedTopScores)
-          } catch (error) {
-            console.error('Failed to fetch updated leaderboard:', error)
-            // Use previous top scores if update fetch fails
-          }
+          needsRefresh = true
           
         } catch (error) {
           console.error('Failed to submit score:', error)
           submissionError = error
           
+          // Keep the score for background sync unless the server refused it
+          if (error.retryable !== false) {
+            this.queueSubmission(entry)
+          }
+          
           // Handle submission error with retry option (Requirement 5.3)
           if (this.shouldShowRetryForError(error)) {
             this.uiManager.hideLeaderboardLoadingModal()
@@ -129,16 +175,36 @@ export class LeaderboardManager {
         }
       }
 
+      // Show the period the player last chose
+      if (needsRefresh) {
+        try {
+          updatedTopScores = await this.store.getTopScores(10, this.getPeriodOptions(this.period))
+          period = this.period
+          console.log('Fetched updated leaderboard:', updatedTopScores)
+        } catch (error) {
+          console.error('Failed to fetch updated leaderboard:', error)
+          // Use previous top scores if update fetch fails
+        }
+      }
+
       // Find player's position in the leaderboard
       const playerRank = this.findPlayerInLeaderboard(playerName, updatedTopScores)
       
+      // Outside the top 10, find out how far down the full ranking the score is
+      const playerPosition = playerRank ? null : await this.fetchPlayerPosition(this.store, score, period, entry.id)
+      
       // Prepare leaderboard display data
       const leaderboardData = {
         playerName,
         playerScore: score,
         playerRank,
+        playerPosition,
         topScores: updatedTopScores,
-        message: this.determinePlayerMessage(playerName, score, updatedTopScores, playerRank),
+        pendingScores: this.getPendingScores(),
+        period,
+        timeZone: this.timeZone,
+        ...this.getCategoryData(),
+        message: this.determinePlayerMessage(playerName, score, updatedTopScores, playerRank, playerPosition),
         errors: {
           fetchError,
           submissionError
@@ -156,7 +222,7 @@ export class LeaderboardManager {
       }
       
       // Show leaderboard modal
-      this.uiManager.showLeaderboardModal(leaderboardData)
+      this.showLeaderboardData(leaderboardData, this.store)
       
       return leaderboardData
       
@@ -174,6 +240,203 @@ export class LeaderboardManager {
     }
   }
 
+  /**
+   * Build the store entry for the current score
+   * @param {string} playerName - Player's name
+   * @param {number} score - Player's score
+   * @returns {Object} Score entry { id, name, score, category, session }
+   */
+  createEntry(playerName, score) {
+    const playerData = this.currentPlayerData || {}
+    
+    if (!playerData.submissionId) {
+      playerData.submissionId = this.createSubmissionId()
+    }
+    
+    return {
+      id: playerData.submissionId,
+      name: playerName.trim(),
+      score: score,
+      category: this.category,
+      session: playerData.session || null
+    }
+  }
+
+  /**
+   * Create a client-side ID for a score submission
+   * @returns {string} Submission ID
+   */
+  createSubmissionId() {
+    return `${Date.now().toString(36)}-${Math.floor(Math.random() * 0xffffffff).toString(36)}`
+  }
+
+  /**
+   * Save a score in the local ranking (if a local store is configured)
+   * @param {Object} entry - Score entry
+   */
+  async recordLocalScore(entry) {
+    if (!this.localStore || this.localStore === this.store) return
+    
+    try {
+      await this.localStore.submitScore(entry)
+    } catch (error) {
+      // The local ranking is a bonus, never block the flow on it
+      console.warn('Failed to save score in local ranking:', error)
+    }
+  }
+
+  /**
+   * Queue a score that couldn't be submitted, to be synced in the background
+   * @param {Object} entry - Score entry
+   * @returns {boolean} True if the score is (now) waiting for sync
+   */
+  queueSubmission(entry) {
+    if (!this.submissionQueue) return false
+    
+    this.submissionQueue.enqueue(entry)
+    return this.submissionQueue.has(entry.id)
+  }
+
+  /**
+   * Remove a score from the sync queue
+   * @param {string} submissionId - Submission ID
+   */
+  dequeueSubmission(submissionId) {
+    if (this.submissionQueue) {
+      this.submissionQueue.remove(submissionId)
+    }
+  }
+
+  /**
+   * Get the scores still waiting for sync (only the ones of the category shown)
+   * @returns {Array} Pending entries
+   */
+  getPendingScores() {
+    if (!this.submissionQueue) return []
+    
+    return this.submissionQueue.getPendingEntries()
+      .filter(entry => (entry.category || DEFAULT_LEADERBOARD_CATEGORY) === this.category)
+  }
+
+  /**
+   * Get the store query options for a period (of the current category)
+   * @param {string} period - Period name
+   * @returns {Object} { period, timeZone, category }
+   */
+  getPeriodOptions(period) {
+    return { period, timeZone: this.timeZone, category: this.category }
+  }
+
+  /**
+   * Get the category fields of the leaderboard display data
+   * @returns {Object} { category, categoryName }
+   */
+  getCategoryData() {
+    return {
+      category: this.category,
+      categoryName: GameMode.getCategoryName(this.category)
+    }
+  }
+
+  /**
+   * Get the player's absolute rank, percentile and neighbours in a period
+   * @param {LeaderboardStore} store - Store to ask
+   * @param {number} score - Player's score
+   * @param {string} period - Period name
+   * @param {string} submissionId - ID of the player's own entry (not ranked against itself)
+   * @returns {Promise<Object|null>} { rank, total, percentile, above, below } or null if unavailable
+   */
+  async fetchPlayerPosition(store, score, period, submissionId) {
+    try {
+      return await store.getPlayerRank(score, {
+        ...this.getPeriodOptions(period),
+        excludeId: submissionId
+      })
+    } catch (error) {
+      // The top 10 is still worth showing without it
+      console.warn('Failed to fetch player position:', error)
+      return null
+    }
+  }
+
+  /**
+   * Show a ranking and remember where it came from (for period changes)
+   * @param {Object} leaderboardData - Leaderboard display data
+   * @param {LeaderboardStore} store - Store the ranking was read from
+   */
+  showLeaderboardData(leaderboardData, store) {
+    this.shownLeaderboardData = leaderboardData
+    this.shownStore = store
+    this.uiManager.showLeaderboardModal(leaderboardData)
+  }
+
+  /**
+   * Handle a period tab selection from UI
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   */
+  async handlePeriodChange(period) {
+    if (!LeaderboardPeriod.isValidPeriod(period) || !this.shownLeaderboardData || !this.shownStore) {
+      return
+    }
+
+    this.period = period
+    
+    // Only the latest selection is shown when tabs are clicked quickly
+    const requestId = ++this.periodRequestId
+    const previousData = this.shownLeaderboardData
+    
+    try {
+      const topScores = await this.shownStore.getTopScores(10, this.getPeriodOptions(period))
+      if (requestId !== this.periodRequestId || previousData !== this.shownLeaderboardData) return
+      
+      const playerRank = this.findPlayerInLeaderboard(previousData.playerName, topScores)
+      const submissionId = this.currentPlayerData ? this.currentPlayerData.submissionId : null
+      const playerPosition = playerRank
+        ? null
+        : await this.fetchPlayerPosition(this.shownStore, previousData.playerScore, period, submissionId)
+      if (requestId !== this.periodRequestId || previousData !== this.shownLeaderboardData) return
+      
+      const keepsMessage = previousData.isLocal || (previousData.errors && previousData.errors.submissionFailed)
+      
+      this.shownLeaderboardData = {
+        ...previousData,
+        period,
+        topScores,
+        playerRank,
+        playerPosition,
+        pendingScores: this.getPendingScores(),
+        message: keepsMessage
+          ? previousData.message
+          : this.determinePlayerMessage(previousData.playerName, previousData.playerScore, topScores, playerRank, playerPosition)
+      }
+      
+      this.uiManager.updateLeaderboardPeriod(this.shownLeaderboardData)
+    } catch (error) {
+      console.error(`Failed to fetch ${period} leaderboard:`, error)
+      
+      // Go back to the tab that matches the list still on screen
+      if (requestId === this.periodRequestId && previousData === this.shownLeaderboardData) {
+        this.uiManager.updateLeaderboardPeriod(previousData)
+      }
+    }
+  }
+
+  /**
+   * Replace the store scores are submitted to
+   * @param {LeaderboardStore} store - Leaderboard store
+   */
+  setStore(store) {
+    this.store = store
+  }
+
+  /**
+   * Replace the store used for the local ranking
+   * @param {LeaderboardStore|null} localStore - Local leaderboard store
+   */
+  setLocalStore(localStore) {
+    this.localStore = localStore
+  }
+
   /**
    * Find player's position in the leaderboard
    * @param {string} playerName - Player's name
@@ -221,9 +484,10 @@ export class LeaderboardManager {
    * @param {number} playerScore - Player's score
    * @param {Array} topScores - Current top scores
    * @param {number|null} playerRank - Player's rank or null
+   * @param {Object|null} playerPosition - Absolute rank outside the top 10 (from fetchPlayerPosition)
    * @returns {string} Message to display to player
    */
-  determinePlayerMessage(playerName, playerScore, topScores, playerRank) {
+  determinePlayerMessage(playerName, playerScore, topScores, playerRank, playerPosition = null) {
     if (!Array.isArray(topScores) || topScores.length === 0) {
       return `¡Buen trabajo, ${playerName}! Tu puntuación: ${playerScore}. Ranking no disponible.`
     }
@@ -239,6 +503,12 @@ export class LeaderboardManager {
       const highestScore = topScores[0]?.score || 0
       const lowestTopScore = topScores[topScores.length - 1]?.score || 0
       
+      if (playerPosition) {
+        const pointsNeeded = lowestTopScore - playerScore + 1
+        const hint = pointsNeeded > 0 ? ` Necesitas ${pointsNeeded} puntos más para llegar al top 10.` : ''
+        return `¡Buen intento ${playerName}! Quedaste en el puesto #${playerPosition.rank} de ${playerPosition.total} con ${playerScore} puntos.${hint}`
+      }
+      
       if (playerScore > lowestTopScore) {
         return `¡Buen esfuerzo ${playerName}! Tu puntuación: ${playerScore}. ¡Estás cerca del top 10!`
       } else {
@@ -284,6 +554,8 @@ export class LeaderboardManager {
   reset() {
     this.currentPlayerData = null
     this.isProcessing = false
+    this.shownLeaderboardData = null
+    this.shownStore = null
   }
 
   /**
@@ -348,6 +620,8 @@ export class LeaderboardManager {
     console.log('Leaderboard closed, starting new game')
     this.isProcessing = false
     this.currentPlayerData = null
+    this.shownLeaderboardData = null
+    this.shownStore = null
     
     if (this.gameEngine) {
       this.gameEngine.restartGame()
@@ -360,8 +634,8 @@ export class LeaderboardManager {
    * @returns {boolean} True if retry should be offered
    */
   shouldShowRetryForError(error) {
-    // Don't retry for validation errors or client errors
-    if (error.type === 'client_error' || error.type === 'not_found') {
+    // Don't retry for validation errors, client errors or anything marked as not retryable
+    if (error.retryable === false || error.type === 'client_error' || error.type === 'not_found' || error.type === 'rejected') {
       return false
     }
     
@@ -414,16 +688,54 @@ export class LeaderboardManager {
    * @param {string} playerName - Player's name
    * @param {number} score - Player's score
    */
-  showOfflineLeaderboard(playerName, score) {
+  async showOfflineLeaderboard(playerName, score) {
     console.log('Showing offline leaderboard for:', playerName, score)
     
     // Hide loading modal if still visible
     this.uiManager.hideLeaderboardLoadingModal()
     
+    // The score wasn't sent: keep it for background sync
+    const entry = this.createEntry(playerName, score)
+    const isQueued = this.queueSubmission(entry)
+    const syncMessage = isQueued ? ' Se enviará al ranking global cuando vuelvas a tener conexión.' : ''
+    
+    // Show the persistent local ranking when there is one
+    if (this.localStore && this.localStore !== this.store) {
+      try {
+        await this.recordLocalScore(entry)
+        const localScores = await this.localStore.getTopScores(10, this.getPeriodOptions(this.period))
+        const playerRank = this.findPlayerInLeaderboard(playerName, localScores)
+        const playerPosition = playerRank
+          ? null
+          : await this.fetchPlayerPosition(this.localStore, score, this.period, entry.id)
+        
+        if (this.gameEngine) {
+          this.gameEngine.showLeaderboard()
+        }
+        
+        this.showLeaderboardData({
+          playerName,
+          playerScore: score,
+          playerRank,
+          playerPosition,
+          topScores: localScores,
+          pendingScores: this.getPendingScores(),
+          period: this.period,
+          timeZone: this.timeZone,
+          ...this.getCategoryData(),
+          isLocal: true,
+          message: `¡Bien hecho ${playerName}! Tu puntuación: ${score}. Sin conexión: este es tu ranking local.${syncMessage}`
+        }, this.localStore)
+        return
+      } catch (error) {
+        console.warn('Local ranking not available:', error)
+      }
+    }
+    
     const offlineData = {
       playerName,
       playerScore: score,
-      message: `¡Bien hecho ${playerName}! Tu puntuación: ${score}. Conecta a internet para ver el ranking global.`
+      message: `¡Bien hecho ${playerName}! Tu puntuación: ${score}. Conecta a internet para ver el ranking global.${syncMessage}`
     }
 
     // Transition GameEngine to leaderboard display state
@@ -438,7 +750,7 @@ export class LeaderboardManager {
    * Show leaderboard without score submission (fallback scenario)
    * @param {string} playerName - Player's name
    * @param {number} score - Player's score
-   * @param {Array} topScores - Available top scores
+   * @param {Array} topScores - Available top scores (of the qualifying period)
    */
   showLeaderboardWithoutSubmission(playerName, score, topScores) {
     console.log('Showing leaderboard without submission for:', playerName, score)
@@ -446,12 +758,20 @@ export class LeaderboardManager {
     // Hide loading modal if still visible
     this.uiManager.hideLeaderboardLoadingModal()
     
+    const isQueued = this.submissionQueue && this.currentPlayerData && this.submissionQueue.has(this.currentPlayerData.submissionId)
+    
     const leaderboardData = {
       playerName,
       playerScore: score,
       playerRank: null,
       topScores: topScores || [],
-      message: `Tu puntuación: ${score}. No se pudo guardar en el ranking, pero aquí están los mejores puntajes.`,
+      pendingScores: this.getPendingScores(),
+      period: QUALIFYING_PERIOD,
+      timeZone: this.timeZone,
+      ...this.getCategoryData(),
+      message: isQueued
+        ? `Tu puntuación: ${score}. No se pudo guardar todavía; se sincronizará automáticamente cuando sea posible.`
+        : `Tu puntuación: ${score}. No se pudo guardar en el ranking, pero aquí están los mejores puntajes.`,
       errors: {
         submissionFailed: true
       }
@@ -462,7 +782,7 @@ export class LeaderboardManager {
       this.gameEngine.showLeaderboard()
     }
 
-    this.uiManager.showLeaderboardModal(leaderboardData)
+    this.showLeaderboardData(leaderboardData, this.store)
   }
 
   /**
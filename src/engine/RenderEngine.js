@@ -1,11 +1,15 @@
 import * as THREE from 'three'
+import { ResourceRegistry } from '../utils/ResourceRegistry.js'
 
 /**
  * RenderEngine handles all Three.js rendering operations
  * Manages scene, camera, renderer, and the main render loop
  */
 export class RenderEngine {
-  constructor() {
+  /**
+   * @param {Object} options - { resources } (a shared ResourceRegistry; one is created without it)
+   */
+  constructor(options = {}) {
     this.scene = null
     this.camera = null
     this.renderer = null
@@ -13,9 +17,22 @@ export class RenderEngine {
     this.isRunning = false
     this.animationId = null
     
+    // Graphics quality (see setQuality)
+    this.maxPixelRatio = 2
+    this.shadowsEnabled = true
+    
+    // GPU resources re-uploaded after a WebGL context loss
+    this.resources = options.resources || new ResourceRegistry()
+    this.contextLost = false
+    this.pendingContextReset = null
+    this.onContextLostCallback = null
+    this.onContextRestoredCallback = null
+    
     // Bind methods to preserve context
     this.render = this.render.bind(this)
     this.handleResize = this.handleResize.bind(this)
+    this.handleContextLost = this.handleContextLost.bind(this)
+    this.handleContextRestored = this.handleContextRestored.bind(this)
   }
 
   /**
@@ -69,14 +86,13 @@ export class RenderEngine {
     })
     
     // Handle device pixel ratio for crisp rendering
-    const pixelRatio = Math.min(window.devicePixelRatio, 2)
-    this.renderer.setPixelRatio(pixelRatio)
+    this.renderer.setPixelRatio(this.getPixelRatio())
     
     // Set initial size
     this.renderer.setSize(window.innerWidth, window.innerHeight)
     
     // Enable shadows for better visual quality
-    this.renderer.shadowMap.enabled = true
+    this.renderer.shadowMap.enabled = this.shadowsEnabled
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap
     
     // Set tone mapping for better lighting
@@ -92,8 +108,8 @@ export class RenderEngine {
     window.addEventListener('resize', this.handleResize, false)
     
     // Add WebGL context lost/restored handlers
-    this.canvas.addEventListener('webglcontextlost', this.handleContextLost.bind(this), false)
-    this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored.bind(this), false)
+    this.canvas.addEventListener('webglcontextlost', this.handleContextLost, false)
+    this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored, false)
     
     // Initial resize to ensure proper sizing
     this.handleResize()
@@ -101,32 +117,95 @@ export class RenderEngine {
 
   /**
    * Handle WebGL context lost event
+   * Preventing the default lets the browser restore the context later
    */
   handleContextLost(event) {
     console.warn('WebGL context lost')
     event.preventDefault()
+    this.contextLost = true
     this.stopRenderLoop()
+    
+    // A reset asked for by resetContext gets its context back right away
+    if (this.pendingContextReset) {
+      const extension = this.pendingContextReset
+      this.pendingContextReset = null
+      setTimeout(() => extension.restoreContext(), 0)
+    }
+    
+    if (this.onContextLostCallback) {
+      this.onContextLostCallback()
+    }
   }
 
   /**
    * Handle WebGL context restored event
+   * The renderer rebuilds its own GL state on this event; the scene stays as it was and its
+   * geometries, materials and textures are uploaded again from the resource registry
    */
   handleContextRestored(event) {
-    console.log('WebGL context restored, reinitializing...')
+    console.log('WebGL context restored, reuploading scene resources...')
     
     try {
-      // Reinitialize renderer
-      this.initRenderer()
+      this.contextLost = false
+      
+      const restored = this.resources.restore()
+      
+      // Pixel ratio and size may have changed while the context was gone
+      this.handleResize()
       
       // Restart render loop
       this.startRenderLoop()
       
-      console.log('WebGL context successfully restored')
+      console.log(`WebGL context successfully restored (${restored.geometries} geometries, ${restored.materials} materials, ${restored.textures} textures)`)
+      
+      if (this.onContextRestoredCallback) {
+        this.onContextRestoredCallback()
+      }
     } catch (error) {
       console.error('Failed to restore WebGL context:', error)
     }
   }
 
+  /**
+   * Drop the WebGL context and get a new one, keeping the scene
+   * Recovers from WebGL errors without a reload (goes through the lost and restored handlers)
+   * @returns {boolean} True if the reset was started
+   */
+  resetContext() {
+    if (!this.renderer || this.contextLost || this.pendingContextReset) return false
+    
+    const extension = this.renderer.getContext().getExtension('WEBGL_lose_context')
+    if (!extension) return false
+    
+    this.pendingContextReset = extension
+    extension.loseContext()
+    return true
+  }
+
+  /**
+   * Check if the WebGL context is lost (nothing is drawn until it is restored)
+   * @returns {boolean} True if the context is lost
+   */
+  isContextLost() {
+    return this.contextLost
+  }
+
+  /**
+   * Set callback for when the WebGL context is lost
+   * @param {Function} callback - Called when the context is lost
+   */
+  setContextLostCallback(callback) {
+    this.onContextLostCallback = callback
+  }
+
+  /**
+   * Set callback for when the WebGL context is restored and the scene is back
+   * @param {Function} callback - Called after the scene resources are restored
+   */
+  setContextRestoredCallback(callback) {
+    this.onContextRestoredCallback = callback
+  }
+
   /**
    * Handle window resize events
    */
@@ -144,8 +223,59 @@ export class RenderEngine {
     this.renderer.setSize(width, height)
     
     // Update pixel ratio if needed
-    const pixelRatio = Math.min(window.devicePixelRatio, 2)
-    this.renderer.setPixelRatio(pixelRatio)
+    this.renderer.setPixelRatio(this.getPixelRatio())
+  }
+
+  /**
+   * Get the pixel ratio to render at (the device's, capped by the quality setting)
+   * @returns {number} Pixel ratio
+   */
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, this.maxPixelRatio)
+  }
+
+  /**
+   * Change the graphics quality
+   * @param {Object} quality - Any of { maxPixelRatio, shadows }
+   */
+  setQuality(quality = {}) {
+    if (quality.maxPixelRatio !== undefined) {
+      this.maxPixelRatio = Math.max(0.5, Math.min(3, quality.maxPixelRatio))
+    }
+    if (quality.shadows !== undefined) {
+      this.shadowsEnabled = Boolean(quality.shadows)
+    }
+    
+    if (!this.renderer) return
+    
+    this.renderer.setPixelRatio(this.getPixelRatio())
+    
+    if (this.renderer.shadowMap.enabled !== this.shadowsEnabled) {
+      this.renderer.shadowMap.enabled = this.shadowsEnabled
+      
+      // Materials are compiled with or without shadow code, so they have to be rebuilt
+      if (this.scene) {
+        this.scene.traverse((object) => {
+          const materials = Array.isArray(object.material) ? object.material : [object.material]
+          materials.forEach(material => {
+            if (material) {
+              material.needsUpdate = true
+            }
+          })
+        })
+      }
+    }
+  }
+
+  /**
+   * Get the graphics quality
+   * @returns {Object} { maxPixelRatio, shadows }
+   */
+  getQuality() {
+    return {
+      maxPixelRatio: this.maxPixelRatio,
+      shadows: this.shadowsEnabled
+    }
   }
 
   /**
@@ -224,6 +354,14 @@ export class RenderEngine {
     return this.camera
   }
 
+  /**
+   * Get the registry of the scene's GPU resources
+   * @returns {ResourceRegistry} Resource registry
+   */
+  getResourceRegistry() {
+    return this.resources
+  }
+
   /**
    * Get the current renderer
    * @returns {THREE.WebGLRenderer} The current renderer
@@ -240,6 +378,12 @@ export class RenderEngine {
     
     // Remove event listeners
     window.removeEventListener('resize', this.handleResize)
+    if (this.canvas) {
+      this.canvas.removeEventListener('webglcontextlost', this.handleContextLost)
+      this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored)
+    }
+    this.onContextLostCallback = null
+    this.onContextRestoredCallback = null
     
     // Dispose of Three.js resources
     if (this.renderer) {
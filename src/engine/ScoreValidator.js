@@ -0,0 +1,434 @@
+import * as THREE from 'three'
+import { GameEngine } from './GameEngine.js'
+import { GameMode, DEFAULT_GAME_MODE } from './GameMode.js'
+import { PlayerController } from '../components/PlayerController.js'
+import { SoulManager } from '../components/SoulManager.js'
+import { HazardManager } from '../components/HazardManager.js'
+import { PowerUpManager } from '../components/PowerUpManager.js'
+import { BuffManager } from '../components/BuffManager.js'
+import { CollisionDetector } from '../components/CollisionDetector.js'
+import { SoulTypeRegistry } from '../components/SoulTypeRegistry.js'
+import { DifficultyManager, DEFAULT_DIFFICULTY } from '../components/DifficultyManager.js'
+import { SeededRandom } from '../utils/SeededRandom.js'
+import { ReplayRecorder } from '../utils/ReplayRecorder.js'
+import { SessionEnvelope, SESSION_ENVELOPE_VERSION, GAME_VERSION } from '../utils/SessionEnvelope.js'
+
+/**
+ * ScoreValidator checks score submissions against their signed session envelope
+ * Shared between the client and the leaderboard server. It runs without a DOM or WebGL:
+ * when the envelope carries an input log, the run is re-simulated headlessly with the
+ * real game systems and the claimed score must match the simulated one.
+ *
+ * Usage example:
+ * const validator = new ScoreValidator({ signingKey: 'secret' })
+ * const result = await validator.validate({ name, score, session })
+ * if (!result.valid) console.warn(result.reason)
+ */
+export class ScoreValidator {
+  constructor(options = {}) {
+    this.signingKey = options.signingKey || null
+    this.requireSignature = options.requireSignature !== undefined ? options.requireSignature : Boolean(this.signingKey)
+    this.requireReplay = options.requireReplay || false
+    this.supportedVersions = options.supportedVersions || [GAME_VERSION]
+    this.config = { ...new GameEngine().getConfig(), ...(options.config || {}) }
+
+    // Plausibility limits for sessions without an input log
+    this.maxPlayerSpeed = options.maxPlayerSpeed || 8.0 * Math.SQRT2 // Diagonal keyboard input is not normalized
+    this.collectionReach = options.collectionReach || (1.2 + 0.6) * 2 // Skull + soul radius on both collections
+    this.soulDrift = options.soulDrift || 2.0 // Souls wander while the player travels
+    this.durationTolerance = 0.5 // seconds
+  }
+
+  /**
+   * Validate a score submission
+   * @param {Object} submission - Submission body { name, score, session }
+   * @returns {Promise<Object>} Result { valid, reason, score, simulated }
+   */
+  async validate(submission) {
+    if (!submission || typeof submission.score !== 'number') {
+      return this.reject('Missing score')
+    }
+
+    const envelope = submission.session
+    if (!envelope || envelope.version !== SESSION_ENVELOPE_VERSION || !envelope.payload) {
+      return this.reject('Missing or unsupported session envelope')
+    }
+
+    // Signature
+    if (envelope.signature || this.requireSignature) {
+      if (!this.signingKey) {
+        return this.reject('Cannot verify signed session without a signing key')
+      }
+
+      const isAuthentic = await SessionEnvelope.verify(envelope, this.signingKey)
+      if (!isAuthentic) {
+        return this.reject('Invalid session signature')
+      }
+    }
+
+    const session = envelope.payload
+
+    if (session.score !== submission.score) {
+      return this.reject('Submitted score does not match the session')
+    }
+
+    if (submission.breakdown && !this.isSameBreakdown(submission.breakdown, session.scoreBreakdown)) {
+      return this.reject('Submitted score breakdown does not match the session')
+    }
+
+    if (!this.supportedVersions.includes(session.gameVersion)) {
+      return this.reject(`Unsupported game version: ${session.gameVersion}`)
+    }
+
+    const plausibilityError = this.checkPlausibility(session)
+    if (plausibilityError) {
+      return this.reject(plausibilityError)
+    }
+
+    // Re-simulate the run when an input log is attached
+    if (session.replay) {
+      return this.validateReplay(session)
+    }
+
+    if (this.requireReplay) {
+      return this.reject('Input log is required')
+    }
+
+    return { valid: true, reason: null, score: session.score, simulated: false }
+  }
+
+  /**
+   * Check the session log for impossible values
+   * @param {Object} session - Session payload
+   * @returns {string|null} Reason the session is implausible, or null if it looks valid
+   */
+  checkPlausibility(session) {
+    if (!Number.isInteger(session.seed) || session.seed < 0) {
+      return 'Invalid seed'
+    }
+
+    if (!Number.isInteger(session.score) || session.score < 0) {
+      return 'Invalid score'
+    }
+
+    if (!Array.isArray(session.collections) || !Array.isArray(session.deliveries)) {
+      return 'Missing session log'
+    }
+
+    // Sessions from before difficulty presets were played on the default curves
+    if (session.difficulty !== undefined && !DifficultyManager.hasPreset(session.difficulty)) {
+      return 'Unknown difficulty'
+    }
+
+    // Sessions from before game modes were timed runs
+    const mode = GameMode.get(session.mode !== undefined ? session.mode : DEFAULT_GAME_MODE)
+    if (!mode) {
+      return 'Unknown game mode'
+    }
+    
+    if (!mode.isRanked()) {
+      return 'Game mode is not ranked'
+    }
+
+    // Sessions from before hazards have no hazard log; only alebrijes cost time
+    if (session.hazards !== undefined) {
+      if (!Array.isArray(session.hazards)) {
+        return 'Invalid hazard log'
+      }
+
+      for (const hit of session.hazards) {
+        if (hit.kind !== 'alebrije' || typeof hit.penalty !== 'number' ||
+            hit.penalty < 0 || hit.penalty > this.config.ALEBRIJE_TIME_PENALTY) {
+          return 'Invalid hazard hit'
+        }
+      }
+    }
+
+    // Sessions from before power-ups have no power-up log; pan de muerto extends the allowed
+    // duration, speed and the magnet extend how far apart collections can be
+    let frozenTime = 0
+    let maxPlayerSpeed = this.maxPlayerSpeed
+    let collectionReach = this.collectionReach
+
+    if (session.powerUps !== undefined) {
+      if (!Array.isArray(session.powerUps)) {
+        return 'Invalid power-up log'
+      }
+
+      for (const pickup of session.powerUps) {
+        if (!BuffManager.hasBuff(pickup.type)) {
+          return 'Unknown power-up'
+        }
+      }
+
+      const pickedUp = (type) => session.powerUps.some(pickup => pickup.type === type)
+
+      frozenTime = session.powerUps.filter(pickup => pickup.type === 'pan-de-muerto').length * BuffManager.getBuff('pan-de-muerto').duration
+
+      if (pickedUp('speed')) {
+        maxPlayerSpeed *= 1 + BuffManager.getBuff('speed').maxStacks * this.config.SPEED_BOOST_PER_STACK
+      }
+
+      if (pickedUp('magnet')) {
+        collectionReach += this.config.MAGNET_COLLISION_BONUS * 2
+      }
+    }
+
+    // Every collected soul must be a known type; time-bonus souls extend the allowed duration
+    let collectedValue = 0
+    let bonusTime = 0
+
+    for (const collection of session.collections) {
+      const type = SoulTypeRegistry.get(collection.type || 'common')
+      if (!type) {
+        return 'Unknown soul type'
+      }
+
+      collectedValue += type.reward.points
+      bonusTime += type.reward.timeBonus
+    }
+
+    const maxDuration = mode.getMaxDuration(this.config, {
+      collections: session.collections.length,
+      bonusTime: bonusTime,
+      frozenTime: frozenTime
+    })
+    if (typeof session.duration !== 'number' || session.duration < 0 ||
+        session.duration > maxDuration + this.durationTolerance) {
+      return 'Invalid session duration'
+    }
+
+    // Collections: in order, inside the field and reachable from the previous one
+    const fieldLimitX = this.config.FIELD_SIZE.x + 1
+    const fieldLimitZ = this.config.FIELD_SIZE.z + 1
+    let previous = null
+
+    for (const collection of session.collections) {
+      if (typeof collection.time !== 'number' || collection.time < 0 || collection.time > session.duration + this.durationTolerance) {
+        return 'Collection outside of the session'
+      }
+
+      if (Math.abs(collection.x) > fieldLimitX || Math.abs(collection.z) > fieldLimitZ) {
+        return 'Collection outside of the field'
+      }
+
+      if (previous) {
+        const elapsed = collection.time - previous.time
+        if (elapsed < 0) {
+          return 'Collections out of order'
+        }
+
+        const distance = Math.hypot(collection.x - previous.x, collection.z - previous.z)
+        const maxDistance = elapsed * maxPlayerSpeed + collectionReach + this.soulDrift
+        if (distance > maxDistance) {
+          return 'Collections too far apart'
+        }
+      }
+
+      previous = collection
+    }
+
+    // Deliveries: can't deliver more souls (or soul points) than collected, and must add up to the score
+    const maxComboBonusRate = this.config.COMBO_MAX_MULTIPLIER - 1
+    let deliveredSouls = 0
+    let deliveredValue = 0
+    let expectedBase = 0
+    let expectedComboBonus = 0
+
+    for (const delivery of session.deliveries) {
+      if (!Number.isInteger(delivery.souls) || delivery.souls <= 0) {
+        return 'Invalid delivery'
+      }
+
+      // Sessions without soul types logged one point per soul
+      const value = delivery.value !== undefined ? delivery.value : delivery.souls
+      if (!Number.isInteger(value) || value < delivery.souls) {
+        return 'Invalid delivery'
+      }
+
+      // Sessions without combos logged no combo bonus
+      const comboBonus = delivery.comboBonus !== undefined ? delivery.comboBonus : 0
+      if (!Number.isInteger(comboBonus) || comboBonus < 0 || comboBonus > Math.round(value * maxComboBonusRate)) {
+        return 'Invalid combo bonus'
+      }
+
+      deliveredSouls += delivery.souls
+      deliveredValue += value
+      expectedBase += this.calculateDeliveryPoints(delivery.souls, value)
+      expectedComboBonus += comboBonus
+    }
+
+    if (deliveredSouls > session.collections.length) {
+      return 'More souls delivered than collected'
+    }
+
+    if (deliveredValue > collectedValue) {
+      return 'More soul points delivered than collected'
+    }
+
+    if (expectedBase + expectedComboBonus !== session.score) {
+      return 'Deliveries do not add up to the score'
+    }
+
+    const breakdown = session.scoreBreakdown
+    if (breakdown) {
+      if (breakdown.base !== expectedBase || breakdown.comboBonus !== expectedComboBonus) {
+        return 'Score breakdown does not match the deliveries'
+      }
+
+      if (!Number.isInteger(breakdown.maxCombo) || breakdown.maxCombo < 0 || breakdown.maxCombo > session.collections.length) {
+        return 'Invalid max combo'
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Compare two score breakdowns
+   * @param {Object} breakdown - Breakdown sent with the submission
+   * @param {Object} sessionBreakdown - Breakdown in the session log
+   * @returns {boolean} True if both describe the same score
+   */
+  isSameBreakdown(breakdown, sessionBreakdown) {
+    return Boolean(sessionBreakdown) &&
+      breakdown.base === sessionBreakdown.base &&
+      breakdown.comboBonus === sessionBreakdown.comboBonus &&
+      breakdown.maxCombo === sessionBreakdown.maxCombo
+  }
+
+  /**
+   * Re-simulate the attached input log and compare the result
+   * @param {Object} session - Session payload with a replay
+   * @returns {Object} Validation result
+   */
+  validateReplay(session) {
+    let replay
+
+    try {
+      replay = ReplayRecorder.fromJSON(session.replay)
+    } catch (error) {
+      return this.reject(error.message)
+    }
+
+    if (replay.seed !== session.seed) {
+      return this.reject('Input log seed does not match the session')
+    }
+
+    const simulation = this.simulate(replay, session.difficulty || DEFAULT_DIFFICULTY, session.mode || DEFAULT_GAME_MODE)
+
+    if (simulation.score !== session.score) {
+      return this.reject(`Simulated score ${simulation.score} does not match claimed score ${session.score}`)
+    }
+
+    if (session.scoreBreakdown && !this.isSameBreakdown(session.scoreBreakdown, simulation.scoreBreakdown)) {
+      return this.reject('Simulated score breakdown does not match the session')
+    }
+
+    // The game mode decides when a run ends, so the replay must end when the session did
+    if (Math.abs(simulation.duration - session.duration) > this.durationTolerance) {
+      return this.reject('Simulated run length does not match the session')
+    }
+
+    const claimedSouls = session.collections.map(collection => collection.soulId).join(',')
+    const simulatedSouls = simulation.collections.map(collection => collection.soulId).join(',')
+    if (claimedSouls !== simulatedSouls) {
+      return this.reject('Simulated collections do not match the session log')
+    }
+
+    if (session.hazards && session.hazards.length !== simulation.hazards.length) {
+      return this.reject('Simulated hazard hits do not match the session log')
+    }
+
+    const claimedPowerUps = (session.powerUps || []).map(pickup => pickup.powerUpId).join(',')
+    const simulatedPowerUps = simulation.powerUps.map(pickup => pickup.powerUpId).join(',')
+    if (session.powerUps && claimedPowerUps !== simulatedPowerUps) {
+      return this.reject('Simulated power-ups do not match the session log')
+    }
+
+    return { valid: true, reason: null, score: simulation.score, simulated: true }
+  }
+
+  /**
+   * Run a replay headlessly with the real game systems
+   * Only the difficulty and game mode come from the session; everything else is the validator's configuration
+   * @param {Object} replay - Validated replay data
+   * @param {string} difficulty - Difficulty preset the run was played on
+   * @param {string} mode - Game mode the run was played in
+   * @returns {Object} Simulation result { score, scoreBreakdown, duration, collections, deliveries, hazards, powerUps }
+   */
+  simulate(replay, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_GAME_MODE) {
+    const scene = new THREE.Scene()
+    const renderEngine = {
+      getScene: () => scene,
+      addToScene: (object) => scene.add(object),
+      removeFromScene: (object) => scene.remove(object)
+    }
+
+    const playerController = new PlayerController(renderEngine)
+    playerController.init()
+    const soulManager = new SoulManager(renderEngine, new SeededRandom(replay.seed))
+    const hazardManager = new HazardManager(renderEngine, new SeededRandom())
+    const powerUpManager = new PowerUpManager(renderEngine, new SeededRandom())
+    const collisionDetector = new CollisionDetector()
+
+    // Live input is never read during a replay
+    const inputManager = {
+      getInputVector: () => ({ x: 0, z: 0 }),
+      isRestartPressed: () => false
+    }
+
+    const gameEngine = new GameEngine()
+    gameEngine.init({ renderEngine, playerController, soulManager, hazardManager, powerUpManager, collisionDetector, inputManager })
+    gameEngine.updateConfig({ ...this.config, DIFFICULTY: difficulty, GAME_MODE: mode })
+    gameEngine.startReplay(replay)
+
+    // Guard against runs that never end (e.g. a tampered configuration)
+    const maxTicks = Math.ceil((gameEngine.getGameMode().getSimulationLimit(this.config) + 1) / gameEngine.fixedTimestep)
+    let ticks = 0
+
+    while (gameEngine.getCurrentState() === 'playing' && ticks < maxTicks) {
+      gameEngine.step()
+      ticks++
+    }
+
+    const session = gameEngine.getSessionData()
+    const result = {
+      score: gameEngine.getScore(),
+      scoreBreakdown: session.scoreBreakdown,
+      duration: session.duration,
+      collections: session.collections,
+      deliveries: session.deliveries,
+      hazards: session.hazards,
+      powerUps: session.powerUps
+    }
+
+    gameEngine.dispose()
+    playerController.dispose()
+    soulManager.dispose()
+    hazardManager.dispose()
+    powerUpManager.dispose()
+    collisionDetector.dispose()
+
+    return result
+  }
+
+  /**
+   * Points for a single delivery (same formula as GameEngine.calculateDeliveryPoints)
+   * @param {number} soulCount - Souls delivered at once
+   * @param {number} soulValue - Sum of the delivered souls' points
+   * @returns {number} Points
+   */
+  calculateDeliveryPoints(soulCount, soulValue = soulCount) {
+    return soulValue + (soulCount - 1) * this.config.DELIVERY_BONUS_PER_EXTRA_SOUL
+  }
+
+  /**
+   * Build a rejection result
+   * @param {string} reason - Why the submission was rejected
+   * @returns {Object} Validation result
+   */
+  reject(reason) {
+    return { valid: false, reason: reason, score: null, simulated: false }
+  }
+}
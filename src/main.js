@@ -4,14 +4,26 @@ import { RenderEngine } from './engine/RenderEngine.js'
 import { EnvironmentBuilder } from './engine/EnvironmentBuilder.js'
 import { GameEngine } from './engine/GameEngine.js'
 import { PlayerController } from './components/PlayerController.js'
-import { InputManager } from './components/InputManager.js'
+import { InputManager, DEFAULT_TOUCH_SENSITIVITY } from './components/InputManager.js'
 import { SoulManager } from './components/SoulManager.js'
+import { HazardManager } from './components/HazardManager.js'
+import { PowerUpManager } from './components/PowerUpManager.js'
 import { CollisionDetector } from './components/CollisionDetector.js'
 import { UIManager } from './components/UIManager.js'
 import { TouchControlManager } from './components/TouchControlManager.js'
+import { ControlRemapScreen } from './components/ControlRemapScreen.js'
+import { SettingsScreen } from './components/SettingsScreen.js'
 import { AssetLoader } from './utils/AssetLoader.js'
 import { SoundManager } from './utils/SoundManager.js'
 import { APIService } from './utils/APIService.js'
+import { RemoteLeaderboardStore, IndexedDBLeaderboardStore, MemoryLeaderboardStore } from './utils/LeaderboardStore.js'
+import { SubmissionQueue } from './utils/SubmissionQueue.js'
+import { SeededRandom } from './utils/SeededRandom.js'
+import { InputBindings } from './utils/InputBindings.js'
+import { UserSettings } from './utils/UserSettings.js'
+import { QualityManager } from './utils/QualityManager.js'
+import { Localization } from './utils/Localization.js'
+import { ResourceRegistry } from './utils/ResourceRegistry.js'
 import { LeaderboardManager } from './engine/LeaderboardManager.js'
 
 // Global game instances
@@ -19,19 +31,32 @@ let renderEngine = null
 let environmentBuilder = null
 let gameEngine = null
 let playerController = null
+let secondPlayerController = null
 let inputManager = null
+let inputBindings = null
+let controlRemapScreen = null
+let userSettings = null
+let settingsScreen = null
+let qualityManager = null
 let soulManager = null
+let hazardManager = null
+let powerUpManager = null
 let collisionDetector = null
 let uiManager = null
 let touchControlManager = null
 let assetLoader = null
 let soundManager = null
 let apiService = null
+let submissionQueue = null
 let leaderboardManager = null
+let random = null
+let resourceRegistry = null
 
 // Game state
 let isGameInitialized = false
 let initializationError = null
+let hasStartedGame = false
+let pausedByContextLoss = false
 
 // Track if audio has been enabled to avoid redundant calls
 let audioEnabled = false
@@ -157,12 +182,15 @@ async function initGame() {
 
     console.log('Inicializando sistemas del juego...')
 
+    // GPU resources of the scene, kept to restore it after a WebGL context loss
+    resourceRegistry = new ResourceRegistry()
+
     // Initialize asset loader first
-    assetLoader = new AssetLoader()
+    assetLoader = new AssetLoader({ resources: resourceRegistry })
     
-    // Set up asset loading progress callback
-    assetLoader.setProgressCallback((progress, loaded, total, url) => {
-      updateLoadingProgress(progress, `Cargando recursos... (${loaded}/${total})`)
+    // Set up asset loading progress callback (the boot assets fill the bar from 10% to 40%)
+    assetLoader.setProgressCallback((progress, loadedBytes, totalBytes) => {
+      updateLoadingProgress(10 + progress * 0.3, `Cargando recursos... (${formatBytes(loadedBytes)} / ${formatBytes(totalBytes)})`)
     })
 
     // Initialize sound manager
@@ -177,11 +205,30 @@ async function initGame() {
     // Initialize API service for leaderboard communication
     apiService = new APIService()
 
-    // Initialize leaderboard manager
-    leaderboardManager = new LeaderboardManager(uiManager, apiService)
+    // Initialize leaderboard manager (global ranking + persistent local ranking for offline play)
+    const localLeaderboardStore = IndexedDBLeaderboardStore.isSupported()
+      ? new IndexedDBLeaderboardStore()
+      : new MemoryLeaderboardStore()
+    const remoteLeaderboardStore = new RemoteLeaderboardStore(apiService)
+
+    // Scores that couldn't be sent are synced when the connection returns (or on next launch)
+    submissionQueue = new SubmissionQueue(remoteLeaderboardStore)
+    submissionQueue.addChangeCallback((pendingScores) => {
+      if (uiManager) {
+        uiManager.updatePendingSync(pendingScores.length)
+      }
+    })
+    uiManager.updatePendingSync(submissionQueue.getPendingCount())
+    submissionQueue.start()
+
+    leaderboardManager = new LeaderboardManager(uiManager, apiService, {
+      store: remoteLeaderboardStore,
+      localStore: localLeaderboardStore,
+      submissionQueue
+    })
 
-    // Load essential assets before continuing
-    updateLoadingProgress(10, 'Cargando texturas...')
+    // Load the boot assets of the manifest before continuing (missing ones are built procedurally)
+    updateLoadingProgress(10, 'Cargando texturas y modelos...')
     await assetLoader.loadEssentialAssets()
 
     // Initialize touch controls for mobile
@@ -216,23 +263,70 @@ async function initGame() {
     }
 
     // Initialize render engine
-    renderEngine = new RenderEngine()
+    renderEngine = new RenderEngine({ resources: resourceRegistry })
     renderEngine.init(canvas)
 
+    // Gameplay waits while the WebGL context is lost and picks up where it was once the scene is back
+    renderEngine.setContextLostCallback(() => {
+      if (gameEngine && gameEngine.pauseGame()) {
+        pausedByContextLoss = true
+        console.log('Contexto WebGL perdido, juego en pausa')
+      }
+    })
+    renderEngine.setContextRestoredCallback(() => {
+      if (gameEngine && pausedByContextLoss) {
+        gameEngine.resumeGame()
+      }
+      pausedByContextLoss = false
+    })
+
+    // Shared seeded random generator (reseeded by GameEngine on every run)
+    random = new SeededRandom()
+
     // Initialize environment builder
     updateLoadingProgress(40, 'Construyendo entorno...')
-    environmentBuilder = new EnvironmentBuilder(renderEngine)
+    environmentBuilder = new EnvironmentBuilder(renderEngine, random, {
+      altarModel: assetLoader.getModel('altar')
+    })
     environmentBuilder.buildEnvironment()
 
     // Initialize player controller
-    playerController = new PlayerController(renderEngine)
+    playerController = new PlayerController(renderEngine, { model: assetLoader.getModel('skull') })
     playerController.init()
 
-    // Initialize input manager
-    inputManager = new InputManager()
+    // Second skull for two-player mode (GameEngine keeps it off the field in single-player modes)
+    secondPlayerController = new PlayerController(renderEngine, { playerIndex: 1, model: assetLoader.getModel('skull') })
+    secondPlayerController.init()
+
+    // Initialize input manager (with the saved key and gamepad bindings)
+    inputBindings = new InputBindings()
+    inputManager = new InputManager(inputBindings)
+    inputManager.addActionCallback(handleInputAction)
+
+    // Controls remapping screen, opened from the start screen and the settings
+    controlRemapScreen = new ControlRemapScreen(inputManager)
+    controlRemapScreen.init()
+
+    // Settings screen, opened from the start screen and the pause menu
+    userSettings = new UserSettings()
+    settingsScreen = new SettingsScreen(userSettings, inputManager)
+    settingsScreen.init()
+    settingsScreen.setControlsCallback(() => {
+      if (controlRemapScreen) {
+        controlRemapScreen.open()
+      }
+    })
 
     // Initialize soul manager
-    soulManager = new SoulManager(renderEngine)
+    soulManager = new SoulManager(renderEngine, random, {
+      bodyGeometry: assetLoader.getModelGeometry('soul')
+    })
+
+    // Initialize hazard manager (own generator, reseeded from the run seed)
+    hazardManager = new HazardManager(renderEngine, new SeededRandom())
+
+    // Initialize power-up manager (own generator, reseeded from the run seed)
+    powerUpManager = new PowerUpManager(renderEngine, new SeededRandom())
 
     // Initialize collision detector
     collisionDetector = new CollisionDetector()
@@ -243,14 +337,22 @@ async function initGame() {
     gameEngine.init({
       renderEngine,
       playerController,
+      playerControllers: [playerController, secondPlayerController],
       soulManager,
+      hazardManager,
+      powerUpManager,
       collisionDetector,
       inputManager,
+      touchControlManager,
       uiManager,
       soundManager,
-      leaderboardManager
+      leaderboardManager,
+      environmentBuilder
     })
 
+    // Expose replay export/import for debugging player-reported issues
+    setupReplayTools()
+
     // Set up UI restart callback to work with GameEngine
     uiManager.setRestartCallback(() => {
       if (gameEngine) {
@@ -258,6 +360,42 @@ async function initGame() {
       }
     })
 
+    // Set up pause menu callbacks (the pause button, resume, restart, settings and quit)
+    uiManager.setPauseCallback(() => {
+      if (gameEngine) {
+        gameEngine.pauseGame()
+      }
+    })
+    
+    uiManager.setResumeCallback(() => {
+      if (gameEngine) {
+        gameEngine.resumeGame()
+      }
+    })
+    
+    uiManager.setPauseRestartCallback(() => {
+      if (gameEngine) {
+        gameEngine.restartGame()
+      }
+    })
+    
+    uiManager.setSettingsCallback(() => {
+      if (settingsScreen) {
+        settingsScreen.open()
+      }
+    })
+    
+    uiManager.setQuitCallback(quitToMenu)
+
+    // Graphics quality tiers, followed adaptively unless the player picks a fixed quality
+    qualityManager = new QualityManager({ initialTier: getAutoQualityTier() })
+    qualityManager.addChangeCallback(applyQualityTier)
+
+    // Apply the saved settings, and every change made in the settings screen
+    applySettings(userSettings.getAll())
+    userSettings.addChangeCallback(applySettings)
+    applyQualityTier(qualityManager.getTier())
+
     // Set up LeaderboardManager with GameEngine reference
     if (leaderboardManager) {
       leaderboardManager.setGameEngine(gameEngine)
@@ -274,6 +412,10 @@ async function initGame() {
       uiManager.setLeaderboardCloseCallback(() => {
         leaderboardManager.handleLeaderboardClose()
       })
+      
+      uiManager.setLeaderboardPeriodCallback((period) => {
+        leaderboardManager.handlePeriodChange(period)
+      })
     }
 
     // Start the render loop
@@ -286,13 +428,18 @@ async function initGame() {
     updateLoadingProgress(100, 'Listo para jugar!')
     showStartButton()
 
+    // The rest of the manifest streams in while the player is on the menu
+    assetLoader.loadOptionalAssets()
+      .then(applyStreamedAssets)
+      .catch(error => console.warn('Failed to load optional assets:', error))
+
     isGameInitialized = true
     console.log('Atrapa las Almas - Sistemas del juego inicializados correctamente')
     
     // Log performance information
     if (assetLoader) {
       const memoryUsage = assetLoader.getMemoryUsage()
-      console.log(`Assets cargados: ${memoryUsage.textureCount} texturas, ~${memoryUsage.estimatedMemoryMB}MB`)
+      console.log(`Assets cargados: ${memoryUsage.textureCount} texturas, ${memoryUsage.modelCount} modelos, ~${memoryUsage.estimatedMemoryMB}MB`)
     }
     
     return true
@@ -305,64 +452,57 @@ async function initGame() {
 }
 
 /**
- * Performance monitoring and adaptive quality
+ * Performance monitoring for the adaptive quality
  */
-let performanceMonitor = {
-  frameCount: 0,
-  lastFPSCheck: 0,
-  currentFPS: 60,
-  lowFPSCount: 0,
-  qualityReduced: false
-}
+let lastFrameTime = 0
 
 /**
- * Monitor performance and adjust quality if needed
+ * Feed the time of every rendered frame to the quality governor
  */
 function monitorPerformance() {
-  performanceMonitor.frameCount++
   const now = performance.now()
   
-  // Check FPS every second
-  if (now - performanceMonitor.lastFPSCheck >= 1000) {
-    performanceMonitor.currentFPS = performanceMonitor.frameCount
-    performanceMonitor.frameCount = 0
-    performanceMonitor.lastFPSCheck = now
-    
-    // If FPS is consistently low, reduce quality
-    if (performanceMonitor.currentFPS < 30) {
-      performanceMonitor.lowFPSCount++
-      
-      if (performanceMonitor.lowFPSCount >= 3 && !performanceMonitor.qualityReduced) {
-        console.warn('Rendimiento bajo detectado, reduciendo calidad...')
-        reduceQuality()
-        performanceMonitor.qualityReduced = true
-      }
-    } else {
-      performanceMonitor.lowFPSCount = 0
-    }
+  if (lastFrameTime && qualityManager) {
+    qualityManager.recordFrame(now - lastFrameTime, now)
   }
+  lastFrameTime = now
 }
 
 /**
- * Reduce rendering quality for better performance
+ * Get the quality tier automatic quality starts from on this device (see getDeviceOptimizations)
+ * @returns {string} Tier name
  */
-function reduceQuality() {
-  if (renderEngine && renderEngine.getRenderer()) {
-    const renderer = renderEngine.getRenderer()
-    
-    // Reduce pixel ratio
-    renderer.setPixelRatio(1)
-    
-    // Disable shadows
-    renderer.shadowMap.enabled = false
-    
-    // Reduce soul count
-    if (gameEngine) {
-      gameEngine.updateConfig({ SOUL_COUNT: 8 })
-    }
-    
-    console.log('Calidad reducida para mejorar rendimiento')
+function getAutoQualityTier() {
+  const optimizations = window.gameOptimizations || {}
+  return optimizations.textureQuality || 'high'
+}
+
+/**
+ * Apply a quality tier to the systems it affects
+ * @param {Object} tier - Quality tier (see QUALITY_TIERS)
+ */
+function applyQualityTier(tier) {
+  if (renderEngine) {
+    renderEngine.setQuality({ maxPixelRatio: tier.maxPixelRatio, shadows: tier.shadows })
+  }
+  
+  if (environmentBuilder) {
+    environmentBuilder.setShadowQuality({
+      shadowMapSize: tier.shadowMapSize,
+      pointLightShadows: tier.pointLightShadows
+    })
+    environmentBuilder.setDecorationDensity(tier.decorationDensity)
+  }
+  
+  if (soulManager) {
+    soulManager.setParticleDensity(tier.particleDensity)
   }
+  
+  if (settingsScreen) {
+    settingsScreen.setQualityTier(tier.name)
+  }
+  
+  console.log(`Calidad gráfica: ${tier.name}`)
 }
 
 /**
@@ -378,7 +518,8 @@ function updateSystemIntegrations() {
 
 /**
  * Main application update loop (separate from GameEngine loop)
- * Handles integration between systems that GameEngine doesn't manage directly
+ * Handles integration between systems that GameEngine doesn't manage directly.
+ * Gameplay and environment animations run on GameEngine's fixed-step clock.
  */
 function update() {
   // Only run if game is initialized
@@ -391,14 +532,6 @@ function update() {
     // Update additional system integrations
     updateSystemIntegrations()
 
-    // Update environment animations
-    if (environmentBuilder) {
-      environmentBuilder.updateAnimations(0.016) // Approximate 60fps delta
-    }
-
-    // Handle any additional cross-system communication here
-    // (GameEngine handles most of the game logic internally)
-
   } catch (error) {
     console.error('Error in main update loop:', error)
     // Continue running despite errors to maintain stability
@@ -408,6 +541,34 @@ function update() {
   requestAnimationFrame(update)
 }
 
+/**
+ * Expose replay tools on window so runs can be exported and replayed from the console
+ * replayTools.download() saves the last run, replayTools.play(json) replays one
+ */
+function setupReplayTools() {
+  window.replayTools = {
+    export: () => gameEngine ? gameEngine.exportReplay() : null,
+    download: () => {
+      const json = gameEngine ? gameEngine.exportReplay() : null
+      if (!json) {
+        console.warn('No hay ninguna partida grabada todavía')
+        return false
+      }
+      
+      const blob = new Blob([json], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `replay-${gameEngine.getSeed()}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+      return true
+    },
+    play: (json) => gameEngine ? gameEngine.startReplay(gameEngine.importReplay(json)) : null,
+    lastResult: () => gameEngine ? gameEngine.getLastReplayResult() : null
+  }
+}
+
 /**
  * Get device-specific optimizations
  */
@@ -444,6 +605,56 @@ function getDeviceOptimizations(capabilities) {
   return optimizations
 }
 
+/**
+ * Apply settings to the systems they affect
+ * @param {Object} values - Current settings (see UserSettings)
+ * @param {Array<string>} changed - Settings to apply (all of them by default)
+ */
+function applySettings(values, changed = Object.keys(values)) {
+  const hasChanged = (key) => changed.includes(key)
+  
+  if (soundManager) {
+    if (hasChanged('masterVolume')) soundManager.setVolume(values.masterVolume)
+    if (hasChanged('sfxVolume')) soundManager.setSfxVolume(values.sfxVolume)
+    if (hasChanged('ambientVolume')) soundManager.setAmbientVolume(values.ambientVolume)
+  }
+  
+  if (hasChanged('touchSensitivity')) {
+    if (inputManager) {
+      inputManager.setTouchSensitivity(DEFAULT_TOUCH_SENSITIVITY * values.touchSensitivity)
+    }
+    if (touchControlManager) {
+      touchControlManager.setSensitivity(values.touchSensitivity)
+    }
+  }
+  
+  if (hasChanged('joystickSide') && touchControlManager) {
+    touchControlManager.setJoystickSide(values.joystickSide)
+  }
+  
+  if (hasChanged('quality') && qualityManager) {
+    // 'auto' starts from the tier picked for this device and follows the frame time from there
+    if (values.quality === 'auto') {
+      qualityManager.setTier(getAutoQualityTier())
+      qualityManager.setAdaptive(true)
+    } else {
+      qualityManager.setAdaptive(false)
+      qualityManager.setTier(values.quality)
+    }
+  }
+  
+  if (hasChanged('reducedMotion')) {
+    document.body.classList.toggle('reduced-motion', values.reducedMotion)
+    if (environmentBuilder) {
+      environmentBuilder.setReducedMotion(values.reducedMotion)
+    }
+  }
+  
+  if (hasChanged('language')) {
+    Localization.apply(values.language)
+  }
+}
+
 /**
  * Update loading progress display
  */
@@ -460,6 +671,31 @@ function updateLoadingProgress(percentage, message = 'Cargando...') {
   }
 }
 
+/**
+ * Format a byte count for the loading screen
+ * @param {number} bytes - Byte count
+ * @returns {string} Size in KB or MB
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+  return `${Math.round(bytes / 1024)} KB`
+}
+
+/**
+ * Hand the assets streamed in the background to the systems that use them
+ */
+function applyStreamedAssets() {
+  if (!assetLoader || !soundManager) return
+
+  // The recorded ambience replaces the synthesized drone from the next run on
+  const ambience = assetLoader.getAudio('ambience')
+  if (ambience) {
+    soundManager.addSample('ambience', ambience)
+  }
+}
+
 /**
  * Show start button and hide loading spinner
  */
@@ -490,12 +726,121 @@ function showStartButton() {
       }
     }
   }
+  
+  // Moving doesn't start a run hidden behind the start screen
+  if (inputManager) {
+    inputManager.setMovementEnabled(false)
+  }
+}
+
+/**
+ * Show the start screen again after quitting a run
+ */
+function showStartScreen() {
+  const loadingScreen = document.getElementById('loading-screen')
+  if (loadingScreen) {
+    loadingScreen.style.display = ''
+    loadingScreen.style.opacity = '1'
+  }
+  
+  hasStartedGame = false
+  
+  if (inputManager) {
+    inputManager.setMovementEnabled(false)
+  }
+}
+
+/**
+ * Abandon the run from the pause menu and go back to the start screen
+ */
+function quitToMenu() {
+  if (gameEngine && gameEngine.quitToMenu()) {
+    showStartScreen()
+  }
+}
+
+/**
+ * Set up the difficulty preset buttons on the start screen
+ */
+function setupDifficultySelector() {
+  const options = document.querySelectorAll('#difficulty-selector [data-difficulty]')
+  
+  options.forEach(option => {
+    option.addEventListener('click', () => {
+      if (!gameEngine || !gameEngine.setDifficulty(option.dataset.difficulty)) return
+      
+      options.forEach(other => {
+        const isSelected = other === option
+        other.classList.toggle('active', isSelected)
+        other.setAttribute('aria-checked', isSelected.toString())
+      })
+    })
+  })
+}
+
+/**
+ * Set up the game mode buttons on the start screen
+ */
+function setupModeSelector() {
+  const options = document.querySelectorAll('#mode-selector [data-mode]')
+  
+  options.forEach(option => {
+    option.addEventListener('click', () => {
+      if (!gameEngine || !gameEngine.setGameMode(option.dataset.mode)) return
+      
+      options.forEach(other => {
+        const isSelected = other === option
+        other.classList.toggle('active', isSelected)
+        other.setAttribute('aria-checked', isSelected.toString())
+      })
+    })
+  })
+}
+
+/**
+ * Handle start/pause actions from the keyboard or a gamepad
+ * @param {Object} data - { action, source, playerIndex }
+ */
+function handleInputAction(data) {
+  // Pause (Escape by default) closes the controls screen, then the settings screen
+  if (controlRemapScreen && controlRemapScreen.isOpen) {
+    if (data.action === 'pause') {
+      controlRemapScreen.close()
+    }
+    return
+  }
+  
+  if (settingsScreen && settingsScreen.isOpen) {
+    if (data.action === 'pause') {
+      settingsScreen.close()
+    }
+    return
+  }
+  
+  // Pause (Escape, P or the gamepad's Start) pauses and resumes a run
+  if (data.action === 'pause' && gameEngine && gameEngine.togglePause()) {
+    return
+  }
+  
+  // Start (Enter or the gamepad's Start/A) leaves the start screen once it's ready
+  const startButton = document.getElementById('start-game-button')
+  if (data.action === 'start' && !hasStartedGame && startButton && !startButton.classList.contains('hidden')) {
+    startGameOnUserClick()
+  }
 }
 
 /**
  * Start the game when user clicks the start button
  */
 async function startGameOnUserClick() {
+  // The button and the start action can both fire for the same press
+  if (hasStartedGame) return
+  hasStartedGame = true
+  
+  if (inputManager) {
+    inputManager.setMovementEnabled(true)
+  }
+  
   // Enable audio first (required for mobile)
   if (soundManager) {
     await soundManager.resumeAudioContext()
@@ -579,16 +924,50 @@ function cleanup() {
       soulManager = null
     }
     
+    if (hazardManager) {
+      hazardManager.dispose()
+      hazardManager = null
+    }
+    
+    if (powerUpManager) {
+      powerUpManager.dispose()
+      powerUpManager = null
+    }
+    
+    if (settingsScreen) {
+      settingsScreen.dispose()
+      settingsScreen = null
+    }
+    
+    if (qualityManager) {
+      qualityManager.dispose()
+      qualityManager = null
+    }
+    
+    userSettings = null
+    
+    if (controlRemapScreen) {
+      controlRemapScreen.dispose()
+      controlRemapScreen = null
+    }
+    
     if (inputManager) {
       inputManager.dispose()
       inputManager = null
     }
     
+    inputBindings = null
+    
     if (playerController) {
       playerController.dispose()
       playerController = null
     }
     
+    if (secondPlayerController) {
+      secondPlayerController.dispose()
+      secondPlayerController = null
+    }
+    
     if (environmentBuilder) {
       environmentBuilder.dispose()
       environmentBuilder = null
@@ -599,6 +978,11 @@ function cleanup() {
       renderEngine = null
     }
     
+    if (resourceRegistry) {
+      resourceRegistry.clear()
+      resourceRegistry = null
+    }
+    
     if (assetLoader) {
       assetLoader.dispose()
       assetLoader = null
@@ -614,10 +998,17 @@ function cleanup() {
       leaderboardManager = null
     }
 
+    if (submissionQueue) {
+      submissionQueue.dispose()
+      submissionQueue = null
+    }
+
     if (apiService) {
       apiService = null
     }
 
+    random = null
+
     isGameInitialized = false
     console.log('Recursos del juego limpiados correctamente')
     
@@ -642,7 +1033,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Start main update loop
       requestAnimationFrame(update)
       
-      // Set up start button handler
+      // Set up mode and difficulty selectors and start button handlers
+      setupModeSelector()
+      setupDifficultySelector()
       const startButton = document.getElementById('start-game-button')
       if (startButton) {
         startButton.addEventListener('click', startGameOnUserClick)
@@ -672,13 +1065,12 @@ document.addEventListener('visibilitychange', () => {
   if (gameEngine) {
     if (document.hidden) {
       // Page is hidden, pause game if running
-      if (gameEngine.getCurrentState() === 'playing') {
-        console.log('Página oculta, pausando juego...')
-        // Note: GameEngine doesn't have pause/resume, but we could add it
+      if (gameEngine.pauseGame()) {
+        console.log('Página oculta, juego en pausa')
       }
-    } else {
-      // Page is visible again
-      console.log('Página visible, reanudando juego...')
+    } else if (gameEngine.isPaused()) {
+      // Page is visible again; the player resumes from the pause menu
+      console.log('Página visible, juego en pausa')
     }
   }
 })
@@ -720,14 +1112,9 @@ function attemptErrorRecovery(error) {
     if (error.message && error.message.includes('WebGL')) {
       console.log('Error de WebGL detectado, intentando restaurar contexto...')
       
-      if (renderEngine) {
-        // Try to reinitialize the renderer
-        const canvas = document.getElementById('game-canvas')
-        if (canvas) {
-          renderEngine.dispose()
-          renderEngine.init(canvas)
-          console.log('Contexto WebGL restaurado')
-        }
+      // Get a new context for the same scene (the restore handler uploads its resources again)
+      if (renderEngine && renderEngine.resetContext()) {
+        console.log('Reiniciando contexto WebGL')
       }
     }
     
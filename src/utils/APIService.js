@@ -1,18 +1,51 @@
+import { SessionEnvelope } from './SessionEnvelope.js'
+import { BackendConfig } from './BackendConfig.js'
+import { LeaderboardPeriod } from './LeaderboardPeriod.js'
+import { PlayerRank, DEFAULT_RANK_NEIGHBORS } from './PlayerRank.js'
+import { GameMode, DEFAULT_LEADERBOARD_CATEGORY } from '../engine/GameMode.js'
+
 /**
  * APIService - Handles HTTP communication with the leaderboard backend
  * Provides methods for fetching top scores and submitting player scores
  */
 export class APIService {
-  constructor(baseURL = 'https://atrapa-almas-microservice.vercel.app/api', timeout = 10000) {
-    this.baseURL = baseURL
-    this.timeout = timeout
+  /**
+   * @param {string|null} baseURL - Backend base URL (defaults to env/runtime config, see BackendConfig)
+   * @param {number|null} timeout - Request timeout in ms (defaults to env/runtime config)
+   */
+  constructor(baseURL = null, timeout = null) {
+    const config = BackendConfig.resolve()
+    
+    this.timeout = timeout || config.timeout
     this.retryAttempts = 1
     
-    // Hardcoded endpoint URLs
+    // Score submissions carry a signed session envelope so the server can verify them
+    this.sessionSigningKey = config.sessionSigningKey
+    this.attachInputLog = true
+    
+    // Time zone whose midnight starts each daily/weekly ranking
+    this.leaderboardTimeZone = config.leaderboardTimeZone
+    
+    // Endpoint paths, resolved against the base URL
+    this.endpointPaths = { ...config.endpoints }
+    this.endpoints = {}
+    this.setBaseURL(baseURL || config.apiBaseURL)
+  }
+
+  /**
+   * Point the service at a different backend
+   * @param {string} baseURL - Backend base URL (e.g. http://localhost:8787/api)
+   */
+  setBaseURL(baseURL) {
+    this.baseURL = BackendConfig.normalizeBaseURL(baseURL)
+    
     this.endpoints = {
-      topScores: 'https://atrapa-almas-microservice.vercel.app/api/leaderboard/top10',
-      submitScore: 'https://atrapa-almas-microservice.vercel.app/api/leaderboard/submit'
+      topScores: `${this.baseURL}${this.endpointPaths.topScores}`,
+      submitScore: `${this.baseURL}${this.endpointPaths.submitScore}`,
+      playerRank: `${this.baseURL}${this.endpointPaths.playerRank}`
     }
+    
+    console.log(`APIService using backend: ${this.baseURL}`)
   }
 
   /**
@@ -85,15 +118,26 @@ export class APIService {
 
   /**
    * Fetch top 10 scores from leaderboard
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   * @param {string} timeZone - IANA time zone used for the period boundaries
+   * @param {string} category - Leaderboard category of the game mode ('timed', 'endless')
    * @returns {Promise<Array>} Array of player score objects
    */
-  async getTopScores() {
+  async getTopScores(period = 'all-time', timeZone = this.leaderboardTimeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
+    if (!LeaderboardPeriod.isValidPeriod(period)) {
+      throw new Error(`Periodo de ranking inválido: ${period}`)
+    }
+    
+    if (!GameMode.isLeaderboardCategory(category)) {
+      throw new Error(`Categoría de ranking inválida: ${category}`)
+    }
+    
     try {
-      // Use hardcoded endpoint URL with proper headers (CORS now handled by server)
+      // CORS is handled by the server
       const controller = new AbortController()
       const timeoutId = setTimeout(() => controller.abort(), this.timeout)
       
-      const response = await fetch(this.endpoints.topScores, {
+      const response = await fetch(this.getTopScoresURL(period, timeZone, category), {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
@@ -132,13 +176,84 @@ export class APIService {
     }
   }
 
+  /**
+   * Fetch where a score places in the full ranking, with the entries around it
+   * @param {number} score - Player's score
+   * @param {Object} options - { period, timeZone, category, submissionId (excluded from the ranking), neighbors }
+   * @returns {Promise<Object>} { rank, total, percentile, above, below }
+   */
+  async getPlayerRank(score, options = {}) {
+    const period = options.period || 'all-time'
+    const category = options.category || DEFAULT_LEADERBOARD_CATEGORY
+    
+    if (!LeaderboardPeriod.isValidPeriod(period)) {
+      throw new Error(`Periodo de ranking inválido: ${period}`)
+    }
+    
+    if (!GameMode.isLeaderboardCategory(category)) {
+      throw new Error(`Categoría de ranking inválida: ${category}`)
+    }
+    
+    if (typeof score !== 'number' || score < 0) {
+      throw new Error('La puntuación debe ser un número no negativo')
+    }
+    
+    const params = new URLSearchParams({
+      score: String(Math.floor(score)),
+      period,
+      timeZone: options.timeZone || this.leaderboardTimeZone,
+      neighbors: String(options.neighbors !== undefined ? options.neighbors : DEFAULT_RANK_NEIGHBORS)
+    })
+    
+    if (category !== DEFAULT_LEADERBOARD_CATEGORY) {
+      params.set('category', category)
+    }
+    
+    if (options.submissionId) {
+      params.set('submissionId', options.submissionId)
+    }
+    
+    try {
+      const controller = new AbortController()
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout)
+      
+      const response = await fetch(`${this.endpoints.playerRank}?${params.toString()}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        signal: controller.signal
+      })
+      
+      clearTimeout(timeoutId)
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+      }
+      
+      const data = await response.json()
+      
+      if (!PlayerRank.isValid(data)) {
+        throw new Error('Formato de respuesta inválido: posición del jugador')
+      }
+      
+      return data
+      
+    } catch (error) {
+      console.error('Error fetching player rank:', error)
+      throw this.handleNetworkError(error)
+    }
+  }
+
   /**
    * Submit player score to leaderboard
    * @param {string} playerName - Player's name (1-20 characters)
    * @param {number} score - Player's score
+   * @param {Object|null} sessionData - Session data from GameEngine.getSessionData() (optional)
+   * @param {string|null} submissionId - Client-generated ID so the server can ignore resubmissions (optional)
    * @returns {Promise<any>} Response from server
    */
-  async submitScore(playerName, score) {
+  async submitScore(playerName, score, sessionData = null, submissionId = null) {
     // Validate input parameters
     if (!playerName || typeof playerName !== 'string') {
       throw new Error('El nombre del jugador es requerido y debe ser texto')
@@ -163,8 +278,21 @@ export class APIService {
       score: Math.floor(score) // Ensure integer score
     }
     
+    if (submissionId) {
+      payload.submissionId = submissionId
+    }
+    
+    if (sessionData) {
+      payload.session = await this.createSessionEnvelope(sessionData)
+      
+      // Score breakdown shown on the leaderboard (checked against the session by the server)
+      if (sessionData.scoreBreakdown) {
+        payload.breakdown = { ...sessionData.scoreBreakdown }
+      }
+    }
+    
     try {
-      // Use hardcoded endpoint URL with proper headers (CORS now handled by server)
+      // CORS is handled by the server
       const controller = new AbortController()
       const timeoutId = setTimeout(() => controller.abort(), this.timeout)
       
@@ -184,7 +312,7 @@ export class APIService {
       }
       
       const result = await response.json()
-      console.log('Score submitted successfully:', payload)
+      console.log('Score submitted successfully:', { name: payload.name, score: payload.score, signed: Boolean(payload.session && payload.session.signature) })
       return result
       
     } catch (error) {
@@ -193,6 +321,29 @@ export class APIService {
     }
   }
 
+  /**
+   * Build the signed session envelope attached to a score submission
+   * @param {Object} sessionData - Session data from GameEngine.getSessionData()
+   * @returns {Promise<Object>} Session envelope
+   */
+  async createSessionEnvelope(sessionData) {
+    const payload = { ...sessionData }
+    
+    if (!this.attachInputLog || !payload.replay) {
+      delete payload.replay
+    }
+    
+    return SessionEnvelope.create(payload, this.sessionSigningKey)
+  }
+
+  /**
+   * Set the key used to sign session envelopes
+   * @param {string|null} key - Shared HMAC key (null sends unsigned sessions)
+   */
+  setSessionSigningKey(key) {
+    this.sessionSigningKey = key
+  }
+
   /**
    * Handle network errors and provide meaningful error messages
    * @param {Error} error - Original error object
@@ -211,6 +362,8 @@ export class APIService {
     })
 
     let processedError
+    const statusMatch = /HTTP (\d{3})/.exec(error.message || '')
+    const status = statusMatch ? Number(statusMatch[1]) : null
 
     if (error.name === 'AbortError') {
       processedError = new Error('La solicitud tardó demasiado. Verifica tu conexión a internet.')
@@ -232,10 +385,27 @@ export class APIService {
       processedError = new Error('Solicitud inválida. Verifica tu información.')
       processedError.type = 'client_error'
       processedError.retryable = false
+    } else if (error.message.includes('HTTP 422')) {
+      processedError = new Error('La partida no pudo ser verificada por el servidor.')
+      processedError.type = 'rejected'
+      processedError.retryable = false
+    } else if (error.message.includes('HTTP 413')) {
+      processedError = new Error('La partida es demasiado grande para enviarla.')
+      processedError.type = 'too_large'
+      processedError.retryable = false
     } else if (error.message.includes('HTTP 429')) {
       processedError = new Error('Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.')
       processedError.type = 'rate_limit'
       processedError.retryable = true
+    } else if (status === 408) {
+      processedError = new Error('La solicitud tardó demasiado. Verifica tu conexión a internet.')
+      processedError.type = 'timeout'
+      processedError.retryable = true
+    } else if (status >= 400 && status < 500) {
+      // Any other client error (401, 403, 405, 409...) fails the same way every time
+      processedError = new Error('El servidor no aceptó la solicitud.')
+      processedError.type = 'client_error'
+      processedError.retryable = false
     } else {
       processedError = new Error(error.message || 'Ocurrió un error inesperado.')
       processedError.type = 'unknown'
@@ -310,13 +480,59 @@ export class APIService {
     }
   }
 
+  /**
+   * Build the top scores URL for a period and category
+   * The all-time timed ranking keeps the bare URL so backends without period or category support still work
+   * @param {string} period - Period name
+   * @param {string} timeZone - IANA time zone
+   * @param {string} category - Leaderboard category
+   * @returns {string} Request URL
+   */
+  getTopScoresURL(period, timeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
+    const params = new URLSearchParams()
+    
+    if (period !== 'all-time') {
+      params.set('period', period)
+      params.set('timeZone', timeZone)
+    }
+    
+    if (category !== DEFAULT_LEADERBOARD_CATEGORY) {
+      params.set('category', category)
+    }
+    
+    const query = params.toString()
+    return query ? `${this.endpoints.topScores}?${query}` : this.endpoints.topScores
+  }
+
+  /**
+   * Get the session storage key for a cached ranking
+   * Keyed by the current period so yesterday's daily ranking is never used as today's,
+   * and by category so endless scores never show up in the timed ranking
+   * @param {string} period - Period name
+   * @param {string} timeZone - IANA time zone
+   * @param {string} category - Leaderboard category
+   * @returns {string} Storage key
+   */
+  getLeaderboardCacheKey(period = 'all-time', timeZone = this.leaderboardTimeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
+    const categoryKey = category !== DEFAULT_LEADERBOARD_CATEGORY ? `:${category}` : ''
+    
+    if (period === 'all-time') {
+      return `lastKnownLeaderboard${categoryKey}`
+    }
+    
+    return `lastKnownLeaderboard${categoryKey}:${LeaderboardPeriod.getPeriodKey(period, new Date(), timeZone)}:${timeZone}`
+  }
+
   /**
    * Get fallback leaderboard data for offline scenarios
+   * @param {string} period - Period name
+   * @param {string} timeZone - IANA time zone
+   * @param {string} category - Leaderboard category
    * @returns {Array} Empty array or cached data if available
    */
-  getFallbackLeaderboardData() {
+  getFallbackLeaderboardData(period = 'all-time', timeZone = this.leaderboardTimeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
     try {
-      const cached = sessionStorage.getItem('lastKnownLeaderboard')
+      const cached = sessionStorage.getItem(this.getLeaderboardCacheKey(period, timeZone, category))
       if (cached) {
         const data = JSON.parse(cached)
         console.log('Using cached leaderboard data for fallback')
@@ -332,11 +548,14 @@ export class APIService {
   /**
    * Cache leaderboard data for offline fallback
    * @param {Array} leaderboardData - Leaderboard data to cache
+   * @param {string} period - Period name
+   * @param {string} timeZone - IANA time zone
+   * @param {string} category - Leaderboard category
    */
-  cacheLeaderboardData(leaderboardData) {
+  cacheLeaderboardData(leaderboardData, period = 'all-time', timeZone = this.leaderboardTimeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
     try {
       if (Array.isArray(leaderboardData) && leaderboardData.length > 0) {
-        sessionStorage.setItem('lastKnownLeaderboard', JSON.stringify(leaderboardData))
+        sessionStorage.setItem(this.getLeaderboardCacheKey(period, timeZone, category), JSON.stringify(leaderboardData))
         sessionStorage.setItem('leaderboardCacheTime', new Date().toISOString())
         console.log('Leaderboard data cached for offline fallback')
       }
@@ -347,21 +566,24 @@ export class APIService {
 
   /**
    * Enhanced get top scores with caching for offline fallback
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   * @param {string} timeZone - IANA time zone used for the period boundaries
+   * @param {string} category - Leaderboard category of the game mode
    * @returns {Promise<Array>} Array of player score objects
    */
-  async getTopScoresWithCaching() {
+  async getTopScoresWithCaching(period = 'all-time', timeZone = this.leaderboardTimeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
     try {
-      const scores = await this.getTopScoresWithRetry()
+      const scores = await this.getTopScoresWithRetry(period, timeZone, category)
       
       // Cache successful response for offline fallback
-      this.cacheLeaderboardData(scores)
+      this.cacheLeaderboardData(scores, period, timeZone, category)
       
       return scores
     } catch (error) {
       console.error('Failed to fetch top scores, checking for cached data:', error)
       
       // Return cached data if available
-      const fallbackData = this.getFallbackLeaderboardData()
+      const fallbackData = this.getFallbackLeaderboardData(period, timeZone, category)
       if (fallbackData.length > 0) {
         console.log('Using cached leaderboard data due to network error')
         return fallbackData
@@ -461,20 +683,25 @@ export class APIService {
 
   /**
    * Get top scores with retry logic
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   * @param {string} timeZone - IANA time zone used for the period boundaries
+   * @param {string} category - Leaderboard category of the game mode
    * @returns {Promise<Array>} Array of player score objects
    */
-  async getTopScoresWithRetry() {
-    return this.retryOperation(() => this.getTopScores())
+  async getTopScoresWithRetry(period = 'all-time', timeZone = this.leaderboardTimeZone, category = DEFAULT_LEADERBOARD_CATEGORY) {
+    return this.retryOperation(() => this.getTopScores(period, timeZone, category))
   }
 
   /**
    * Submit score with retry logic
    * @param {string} playerName - Player's name
    * @param {number} score - Player's score
+   * @param {Object|null} sessionData - Session data for server-side verification (optional)
+   * @param {string|null} submissionId - Client-generated submission ID (optional)
    * @returns {Promise<any>} Response from server
    */
-  async submitScoreWithRetry(playerName, score) {
-    return this.retryOperation(() => this.submitScore(playerName, score))
+  async submitScoreWithRetry(playerName, score, sessionData = null, submissionId = null) {
+    return this.retryOperation(() => this.submitScore(playerName, score, sessionData, submissionId))
   }
 
   /**
@@ -1,14 +1,46 @@
 import * as THREE from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+
+/**
+ * Loading groups of the asset manifest, in the order they are scheduled
+ * boot blocks the start button; the others stream in the background once the game is playable
+ */
+export const ASSET_GROUPS = ['boot', 'menu', 'gameplay', 'optional']
+
+export const ASSET_TYPES = ['texture', 'model', 'audio']
+
+const DEFAULT_MANIFEST_URL = 'assets/manifest.json'
 
 /**
  * AssetLoader handles loading and caching of game assets with progress tracking
  * Supports textures, models, and other resources with optimization
+ * The assets are listed in a JSON manifest (public/assets/manifest.json): each entry has a type,
+ * a url (relative to the manifest, or null when the asset is always generated), a loading group,
+ * a fallback generator key and an estimated size in bytes for the progress bar.
+ * Every asset is optional: when one is missing or fails to parse, its fallback is used instead
+ * (a canvas texture, or null for models and audio, which the game then builds procedurally).
  */
 export class AssetLoader {
-  constructor() {
+  /**
+   * @param {Object} options - { manifestUrl, resources } (resources is the ResourceRegistry that keeps
+   *   the loaded textures and models across a WebGL context loss)
+   */
+  constructor(options = {}) {
     this.loadingManager = new THREE.LoadingManager()
     this.textureLoader = new THREE.TextureLoader(this.loadingManager)
+    this.gltfLoader = new GLTFLoader(this.loadingManager)
+    this.fileLoader = new THREE.FileLoader(this.loadingManager)
+    this.fileLoader.setResponseType('arraybuffer')
     this.cache = new Map()
+    this.resources = options.resources || null
+    
+    // Loaded models (GLTF scenes), their load requests and extracted geometries
+    this.modelCache = new Map()
+    this.modelRequests = new Map()
+    this.geometryCache = new Map()
+    
+    // Loaded audio files (encoded, decoding is up to the SoundManager)
+    this.audioCache = new Map()
     
     // Progress tracking
     this.totalItems = 0
@@ -18,14 +50,13 @@ export class AssetLoader {
     this.onComplete = null
     this.onError = null
     
-    // Asset manifest - using fallback textures for now
-    this.assetManifest = {
-      textures: {
-        ground: null, // Will use fallback
-        papelPicado: null, // Will use fallback
-        soulGlow: null // Will use fallback
-      }
-    }
+    // Asset manifest entries by key, and the requests made for them
+    this.manifestUrl = options.manifestUrl || DEFAULT_MANIFEST_URL
+    this.baseUrl = ''
+    this.assets = new Map()
+    this.manifestRequest = null
+    this.assetRequests = new Map()
+    this.groupRequests = new Map()
     
     this.setupLoadingManager()
   }
@@ -42,16 +73,10 @@ export class AssetLoader {
       }
     }
 
+    // Byte-based progress is reported per group (see loadGroup); this only counts requests
     this.loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
       this.loadedItems = itemsLoaded
       this.totalItems = itemsTotal
-      const progress = itemsTotal > 0 ? (itemsLoaded / itemsTotal) * 100 : 0
-      
-      console.log(`Loading progress: ${progress.toFixed(1)}% (${itemsLoaded}/${itemsTotal})`)
-      
-      if (this.onProgress) {
-        this.onProgress(progress, itemsLoaded, itemsTotal, url)
-      }
     }
 
     this.loadingManager.onError = (url) => {
@@ -63,33 +88,362 @@ export class AssetLoader {
   }
 
   /**
-   * Load all essential game assets
-   * @returns {Promise} Promise that resolves when all assets are loaded
+   * Load the asset manifest (requested once; later calls share the request)
+   * A manifest that can't be loaded leaves the loader without assets, so everything is procedural
+   * @returns {Promise<Map>} Resolves to the manifest entries by key
+   */
+  loadManifest() {
+    if (!this.manifestRequest) {
+      this.manifestRequest = fetch(this.manifestUrl)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`)
+          }
+          return response.json()
+        })
+        .then((manifest) => this.setManifest(manifest))
+        .catch((error) => {
+          console.warn('Failed to load asset manifest, using procedural fallbacks:', error)
+          return this.setManifest({ assets: {} })
+        })
+    }
+    return this.manifestRequest
+  }
+
+  /**
+   * Use a manifest object (entries with an unknown type are skipped)
+   * @param {Object} manifest - { version, assets: { key: entry } }
+   * @returns {Map} Manifest entries by key
+   */
+  setManifest(manifest) {
+    this.baseUrl = this.manifestUrl.slice(0, this.manifestUrl.lastIndexOf('/') + 1)
+    this.assets.clear()
+
+    for (const [key, entry] of Object.entries((manifest && manifest.assets) || {})) {
+      const normalized = this.normalizeEntry(key, entry)
+      if (normalized) {
+        this.assets.set(key, normalized)
+      }
+    }
+
+    if (!this.manifestRequest) {
+      this.manifestRequest = Promise.resolve(this.assets)
+    }
+    return this.assets
+  }
+
+  /**
+   * Check a manifest entry and fill in its defaults
+   * @param {string} key - Asset key
+   * @param {Object} entry - Entry as written in the manifest
+   * @returns {Object|null} { key, type, url, group, fallback, size, scale } or null if it's invalid
+   */
+  normalizeEntry(key, entry) {
+    if (!entry || !ASSET_TYPES.includes(entry.type)) {
+      console.warn(`Asset ${key} has an unknown type, skipping it`)
+      return null
+    }
+
+    return {
+      key,
+      type: entry.type,
+      url: typeof entry.url === 'string' && entry.url ? this.resolveUrl(entry.url) : null,
+      group: ASSET_GROUPS.includes(entry.group) ? entry.group : 'optional',
+      fallback: typeof entry.fallback === 'string' ? entry.fallback : null,
+      size: Number.isFinite(entry.size) && entry.size > 0 ? entry.size : 0,
+      scale: Number.isFinite(entry.scale) ? entry.scale : 1
+    }
+  }
+
+  /**
+   * Resolve an asset URL relative to the manifest
+   * @param {string} url - URL from the manifest
+   * @returns {string} URL to load
+   */
+  resolveUrl(url) {
+    return /^([a-z]+:|\/)/i.test(url) ? url : this.baseUrl + url
+  }
+
+  /**
+   * Get the manifest entries of a loading group
+   * @param {string} group - Loading group
+   * @returns {Array<Object>} Manifest entries
+   */
+  getGroupAssets(group) {
+    return Array.from(this.assets.values()).filter(entry => entry.group === group)
+  }
+
+  /**
+   * Load all essential game assets (the boot group)
+   * Progress is reported in bytes through the progress callback
+   * @returns {Promise<Object>} Resolves to { key: asset or fallback } once every boot asset has loaded or failed
    */
   async loadEssentialAssets() {
-    return new Promise((resolve, reject) => {
-      this.isLoading = true
-      this.onComplete = resolve
-      this.onError = reject
+    this.isLoading = true
+
+    try {
+      // Assets never fail the load: the missing ones fall back to procedural versions
+      return await this.loadGroup('boot', this.onProgress)
+    } finally {
+      this.isLoading = false
+    }
+  }
+
+  /**
+   * Load every asset of a loading group (each group is requested once)
+   * Sizes come from the manifest estimates until a download reports its real size
+   * @param {string} group - Loading group
+   * @param {Function} onProgress - Called with (percentage, loadedBytes, totalBytes, key)
+   * @returns {Promise<Object>} Resolves to { key: asset or fallback } once every asset has loaded or failed
+   */
+  loadGroup(group, onProgress = null) {
+    if (this.groupRequests.has(group)) {
+      return this.groupRequests.get(group)
+    }
+
+    const request = this.loadManifest().then(() => {
+      const entries = this.getGroupAssets(group)
+      const totalBytes = new Map(entries.map(entry => [entry.key, Math.max(1, entry.size)]))
+      const loadedBytes = new Map()
+
+      const report = (key) => {
+        if (!onProgress) return
+
+        let total = 0
+        let loaded = 0
+        for (const [assetKey, size] of totalBytes) {
+          total += size
+          loaded += Math.min(loadedBytes.get(assetKey) || 0, size)
+        }
+        onProgress(total > 0 ? (loaded / total) * 100 : 100, loaded, total, key)
+      }
+
+      report(null)
+
+      return Promise.all(entries.map((entry) => {
+        const onBytes = (loaded, total) => {
+          if (total > 0) {
+            totalBytes.set(entry.key, total)
+          }
+          loadedBytes.set(entry.key, loaded)
+          report(entry.key)
+        }
+
+        return this.loadAsset(entry.key, onBytes).then((asset) => {
+          loadedBytes.set(entry.key, totalBytes.get(entry.key))
+          report(entry.key)
+          return asset
+        })
+      })).then((assets) => {
+        const result = {}
+        entries.forEach((entry, index) => {
+          result[entry.key] = assets[index]
+        })
+        console.log(`Asset group loaded: ${group} (${entries.length} assets)`)
+        return result
+      })
+    })
+
+    this.groupRequests.set(group, request)
+    return request
+  }
+
+  /**
+   * Load one asset of the manifest (each key is requested once; later calls share the request)
+   * Lets an asset of a later group be loaded as soon as it is needed
+   * @param {string} key - Asset key
+   * @param {Function} onBytes - Called with (loadedBytes, totalBytes) while it downloads (total is 0 if unknown)
+   * @returns {Promise<*>} Resolves to the asset, or its fallback
+   */
+  loadAsset(key, onBytes = null) {
+    if (this.assetRequests.has(key)) {
+      return this.assetRequests.get(key)
+    }
+
+    const entry = this.assets.get(key)
+    if (!entry) {
+      console.warn(`Asset ${key} is not in the manifest`)
+      return Promise.resolve(null)
+    }
+
+    let request
+    switch (entry.type) {
+      case 'texture':
+        request = this.loadTexture(entry)
+        break
+
+      case 'model':
+        request = entry.url
+          ? this.loadModel(key, entry.url, { scale: entry.scale, onProgress: onBytes })
+          : Promise.resolve(this.createFallback(entry))
+        break
+
+      case 'audio':
+        request = this.loadAudio(entry, onBytes)
+        break
+    }
+
+    this.assetRequests.set(key, request)
+    return request
+  }
+
+  /**
+   * Create the fallback of an asset from its fallback generator key
+   * Textures are drawn on a canvas; models and audio have no fallback object, the game builds
+   * them procedurally when the asset is null
+   * @param {Object} entry - Manifest entry
+   * @returns {THREE.Texture|null} Fallback asset
+   */
+  createFallback(entry) {
+    if (entry.type === 'texture') {
+      return this.createFallbackTexture(entry.fallback || entry.key)
+    }
+    return null
+  }
+
+  /**
+   * Load a texture of the manifest, using its fallback when it has no URL or fails to load
+   * @param {Object} entry - Manifest entry
+   * @returns {Promise<THREE.Texture>} Resolves to the texture or its fallback
+   */
+  loadTexture(entry) {
+    return new Promise((resolve) => {
+      const useFallback = () => {
+        const fallbackTexture = this.createFallback(entry)
+        this.cacheTexture(entry.key, fallbackTexture)
+        resolve(fallbackTexture)
+      }
+
+      if (!entry.url) {
+        useFallback()
+        return
+      }
+
+      try {
+        this.textureLoader.load(
+          entry.url,
+          // onLoad
+          (loadedTexture) => {
+            this.optimizeTexture(loadedTexture, entry.key)
+            this.cacheTexture(entry.key, loadedTexture)
+            console.log(`Texture loaded successfully: ${entry.key}`)
+            resolve(loadedTexture)
+          },
+          // onProgress
+          undefined,
+          // onError - create fallback texture
+          (error) => {
+            console.warn(`Failed to load texture ${entry.key}, creating fallback:`, error)
+            useFallback()
+          }
+        )
+      } catch (error) {
+        console.warn(`Error loading texture ${entry.key}, creating fallback:`, error)
+        useFallback()
+      }
+    })
+  }
+
+  /**
+   * Load an audio file of the manifest
+   * @param {Object} entry - Manifest entry
+   * @param {Function} onBytes - Called with (loadedBytes, totalBytes) while it downloads
+   * @returns {Promise<ArrayBuffer|null>} The encoded audio, or null if it is missing (procedural sound)
+   */
+  loadAudio(entry, onBytes = null) {
+    return new Promise((resolve) => {
+      if (!entry.url) {
+        resolve(this.createFallback(entry))
+        return
+      }
 
       try {
-        // Create fallback textures directly since we don't have asset files
-        console.log('Creating fallback textures...')
-        this.cache.set('ground', this.createFallbackTexture('ground'))
-        this.cache.set('papelPicado', this.createFallbackTexture('papelPicado'))
-        this.cache.set('soulGlow', this.createFallbackTexture('soulGlow'))
-
-        // Resolve immediately since we're using fallbacks
-        this.isLoading = false
-        console.log('Fallback textures created successfully')
-        resolve()
+        this.fileLoader.load(
+          entry.url,
+          // onLoad
+          (data) => {
+            this.audioCache.set(entry.key, data)
+            console.log(`Audio loaded successfully: ${entry.key}`)
+            resolve(data)
+          },
+          // onProgress
+          (event) => {
+            if (onBytes) {
+              onBytes(event.loaded, event.lengthComputable ? event.total : 0)
+            }
+          },
+          // onError
+          (error) => {
+            console.warn(`Failed to load audio ${entry.key}, using procedural sound:`, error)
+            resolve(this.createFallback(entry))
+          }
+        )
       } catch (error) {
-        this.isLoading = false
-        reject(error)
+        console.warn(`Error loading audio ${entry.key}, using procedural sound:`, error)
+        resolve(this.createFallback(entry))
       }
     })
   }
 
+  /**
+   * Load a GLTF/GLB model (each key is requested once; later calls share the request)
+   * @param {string} key - Cache key for the model
+   * @param {string} url - URL to load the model from
+   * @param {Object} options - { scale } applied to the model's root, { onProgress } called with (loadedBytes, totalBytes)
+   * @returns {Promise<THREE.Object3D|null>} The model, or null if it is missing or can't be parsed
+   */
+  loadModel(key, url, options = {}) {
+    if (this.modelRequests.has(key)) {
+      return this.modelRequests.get(key)
+    }
+
+    const request = new Promise((resolve) => {
+      const fail = (error) => {
+        console.warn(`Failed to load model ${key}, using procedural fallback:`, error)
+        resolve(null)
+      }
+
+      try {
+        this.gltfLoader.load(
+          url,
+          // onLoad
+          (gltf) => {
+            const model = gltf.scene || (gltf.scenes && gltf.scenes[0])
+            if (!model) {
+              fail(new Error('Model has no scene'))
+              return
+            }
+
+            if (options.scale && options.scale !== 1) {
+              model.scale.multiplyScalar(options.scale)
+            }
+            model.updateMatrixWorld(true)
+
+            this.modelCache.set(key, model)
+            if (this.resources) {
+              this.resources.trackObject(model)
+            }
+            console.log(`Model loaded successfully: ${key}`)
+            resolve(model)
+          },
+          // onProgress
+          (event) => {
+            if (options.onProgress) {
+              options.onProgress(event.loaded, event.lengthComputable ? event.total : 0)
+            }
+          },
+          // onError (missing file or a file that doesn't parse)
+          fail
+        )
+      } catch (error) {
+        fail(error)
+      }
+    })
+
+    this.modelRequests.set(key, request)
+    return request
+  }
+
   /**
    * Load a texture with fallback to procedural generation
    * @param {string} key - Cache key for the texture
@@ -107,7 +461,7 @@ export class AssetLoader {
         // onLoad
         (loadedTexture) => {
           this.optimizeTexture(loadedTexture, key)
-          this.cache.set(key, loadedTexture)
+          this.cacheTexture(key, loadedTexture)
           console.log(`Texture loaded successfully: ${key}`)
         },
         // onProgress
@@ -116,7 +470,7 @@ export class AssetLoader {
         (error) => {
           console.warn(`Failed to load texture ${key}, creating fallback:`, error)
           const fallbackTexture = this.createFallbackTexture(key)
-          this.cache.set(key, fallbackTexture)
+          this.cacheTexture(key, fallbackTexture)
         }
       )
 
@@ -124,11 +478,23 @@ export class AssetLoader {
     } catch (error) {
       console.warn(`Error loading texture ${key}, creating fallback:`, error)
       const fallbackTexture = this.createFallbackTexture(key)
-      this.cache.set(key, fallbackTexture)
+      this.cacheTexture(key, fallbackTexture)
       return fallbackTexture
     }
   }
 
+  /**
+   * Cache a texture, tracking it for context loss recovery
+   * @param {string} key - Cache key for the texture
+   * @param {THREE.Texture} texture - Texture to cache
+   */
+  cacheTexture(key, texture) {
+    this.cache.set(key, texture)
+    if (this.resources && texture) {
+      this.resources.track(texture)
+    }
+  }
+
   /**
    * Create a fallback texture when loading fails
    * @param {string} key - Texture key to determine fallback type
@@ -244,6 +610,75 @@ export class AssetLoader {
     return this.cache.get(key) || null
   }
 
+  /**
+   * Get a copy of a loaded model
+   * Copies share geometry with the cached model but get their own materials, so each can be tinted
+   * @param {string} key - Model cache key
+   * @returns {THREE.Object3D|null} Model copy or null if the model isn't loaded
+   */
+  getModel(key) {
+    const model = this.modelCache.get(key)
+    if (!model) return null
+
+    const copy = model.clone(true)
+    copy.traverse((child) => {
+      if (child.isMesh && child.material) {
+        child.material = Array.isArray(child.material)
+          ? child.material.map(material => material.clone())
+          : child.material.clone()
+      }
+    })
+    return copy
+  }
+
+  /**
+   * Get the geometry of a model's first mesh, with the model's transforms applied
+   * For objects that only take their shape from a model and keep their own material
+   * @param {string} key - Model cache key
+   * @returns {THREE.BufferGeometry|null} Shared geometry or null if the model isn't loaded
+   */
+  getModelGeometry(key) {
+    if (this.geometryCache.has(key)) {
+      return this.geometryCache.get(key)
+    }
+
+    const model = this.modelCache.get(key)
+    if (!model) return null
+
+    let mesh = null
+    model.traverse((child) => {
+      if (!mesh && child.isMesh && child.geometry) {
+        mesh = child
+      }
+    })
+    if (!mesh) return null
+
+    const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrixWorld)
+    this.geometryCache.set(key, geometry)
+    if (this.resources) {
+      this.resources.track(geometry)
+    }
+    return geometry
+  }
+
+  /**
+   * Check if a model is loaded and cached
+   * @param {string} key - Model cache key
+   * @returns {boolean} True if the model is cached
+   */
+  hasModel(key) {
+    return this.modelCache.has(key)
+  }
+
+  /**
+   * Get a loaded audio file
+   * @param {string} key - Audio cache key
+   * @returns {ArrayBuffer|null} Encoded audio or null if it isn't loaded
+   */
+  getAudio(key) {
+    return this.audioCache.get(key) || null
+  }
+
   /**
    * Check if a texture is loaded and cached
    * @param {string} key - Texture cache key
@@ -254,8 +689,8 @@ export class AssetLoader {
   }
 
   /**
-   * Set progress callback
-   * @param {Function} callback - Progress callback function
+   * Set progress callback for the boot group
+   * @param {Function} callback - Called with (percentage, loadedBytes, totalBytes, key)
    */
   setProgressCallback(callback) {
     this.onProgress = callback
@@ -291,12 +726,16 @@ export class AssetLoader {
   }
 
   /**
-   * Preload additional assets that aren't essential
-   * @returns {Promise} Promise that resolves when optional assets are loaded
+   * Load the assets that aren't essential, one group after another (menu, gameplay, optional)
+   * Meant to stream in the background once the game is playable
+   * @returns {Promise<Object>} Resolves to { key: asset or fallback } once every group has loaded
    */
   async loadOptionalAssets() {
-    // This method can be used to load non-essential assets after the game starts
-    return Promise.resolve()
+    const loaded = {}
+    for (const group of ASSET_GROUPS.filter(group => group !== 'boot')) {
+      Object.assign(loaded, await this.loadGroup(group))
+    }
+    return loaded
   }
 
   /**
@@ -311,6 +750,32 @@ export class AssetLoader {
     }
     
     this.cache.clear()
+    
+    // Dispose of cached models and the geometries taken from them
+    for (const model of this.modelCache.values()) {
+      model.traverse((child) => {
+        if (child.geometry) {
+          child.geometry.dispose()
+        }
+        if (child.material) {
+          if (Array.isArray(child.material)) {
+            child.material.forEach(material => material.dispose())
+          } else {
+            child.material.dispose()
+          }
+        }
+      })
+    }
+    for (const geometry of this.geometryCache.values()) {
+      geometry.dispose()
+    }
+    
+    this.modelCache.clear()
+    this.modelRequests.clear()
+    this.geometryCache.clear()
+    this.audioCache.clear()
+    this.assetRequests.clear()
+    this.groupRequests.clear()
     console.log('Asset cache cleared')
   }
 
@@ -334,6 +799,8 @@ export class AssetLoader {
     
     return {
       textureCount,
+      modelCount: this.modelCache.size,
+      audioCount: this.audioCache.size,
       estimatedMemoryMB: (estimatedMemory / (1024 * 1024)).toFixed(2)
     }
   }
@@ -345,6 +812,8 @@ export class AssetLoader {
     this.clearCache()
     this.loadingManager = null
     this.textureLoader = null
+    this.gltfLoader = null
+    this.fileLoader = null
     this.onProgress = null
     this.onComplete = null
     this.onError = null
@@ -0,0 +1,116 @@
+/**
+ * BackendConfig resolves where the leaderboard backend lives
+ * Values are merged in this order (later wins):
+ * 1. Built-in defaults (production backend)
+ * 2. Vite env variables at build time (VITE_LEADERBOARD_API_URL, VITE_API_TIMEOUT, VITE_SESSION_SIGNING_KEY,
+ *    VITE_LEADERBOARD_TIME_ZONE)
+ * 3. Runtime config set before the game loads: window.ATRAPA_ALMAS_CONFIG = { apiBaseURL: '...' }
+ *
+ * Usage example:
+ * const config = BackendConfig.resolve()
+ * const apiService = new APIService(config.apiBaseURL, config.timeout)
+ */
+
+const DEFAULT_BACKEND_CONFIG = {
+  apiBaseURL: 'https://atrapa-almas-microservice.vercel.app/api',
+  timeout: 10000,
+  sessionSigningKey: null, // Unsigned sessions unless a key is configured (see SessionEnvelope)
+  leaderboardTimeZone: 'UTC', // Daily/weekly rankings reset at midnight in this time zone
+  endpoints: {
+    topScores: '/leaderboard/top10',
+    submitScore: '/leaderboard/submit',
+    playerRank: '/leaderboard/rank'
+  }
+}
+
+export class BackendConfig {
+  /**
+   * Resolve the backend configuration
+   * @param {Object} overrides - Values that take precedence over everything else
+   * @returns {Object} Backend configuration { apiBaseURL, timeout, sessionSigningKey, leaderboardTimeZone, endpoints }
+   */
+  static resolve(overrides = {}) {
+    const sources = [
+      BackendConfig.fromEnv(),
+      BackendConfig.fromRuntime(),
+      overrides
+    ]
+
+    const config = {
+      ...DEFAULT_BACKEND_CONFIG,
+      endpoints: { ...DEFAULT_BACKEND_CONFIG.endpoints }
+    }
+
+    for (const source of sources) {
+      for (const [key, value] of Object.entries(source)) {
+        if (value === undefined || value === null || value === '') continue
+
+        if (key === 'endpoints') {
+          config.endpoints = { ...config.endpoints, ...value }
+        } else {
+          config[key] = value
+        }
+      }
+    }
+
+    config.apiBaseURL = BackendConfig.normalizeBaseURL(config.apiBaseURL)
+    config.timeout = Number(config.timeout) || DEFAULT_BACKEND_CONFIG.timeout
+
+    return config
+  }
+
+  /**
+   * Read build-time Vite env variables
+   * @returns {Object} Partial backend configuration
+   */
+  static fromEnv() {
+    // import.meta.env only exists in Vite builds (not when modules run directly in Node)
+    const env = import.meta.env || {}
+
+    return {
+      apiBaseURL: env.VITE_LEADERBOARD_API_URL,
+      timeout: env.VITE_API_TIMEOUT,
+      sessionSigningKey: env.VITE_SESSION_SIGNING_KEY,
+      leaderboardTimeZone: env.VITE_LEADERBOARD_TIME_ZONE
+    }
+  }
+
+  /**
+   * Read the runtime config object, if the page defines one
+   * @returns {Object} Partial backend configuration
+   */
+  static fromRuntime() {
+    if (typeof window === 'undefined' || !window.ATRAPA_ALMAS_CONFIG) {
+      return {}
+    }
+
+    const runtime = window.ATRAPA_ALMAS_CONFIG
+    return {
+      apiBaseURL: runtime.apiBaseURL,
+      timeout: runtime.timeout,
+      sessionSigningKey: runtime.sessionSigningKey,
+      leaderboardTimeZone: runtime.leaderboardTimeZone,
+      endpoints: runtime.endpoints
+    }
+  }
+
+  /**
+   * Remove trailing slashes so endpoint paths can be appended safely
+   * @param {string} baseURL - Base URL
+   * @returns {string} Normalized base URL
+   */
+  static normalizeBaseURL(baseURL) {
+    return String(baseURL).replace(/\/+$/, '')
+  }
+
+  /**
+   * Get the built-in defaults
+   * @returns {Object} Default backend configuration
+   */
+  static getDefaults() {
+    return {
+      ...DEFAULT_BACKEND_CONFIG,
+      endpoints: { ...DEFAULT_BACKEND_CONFIG.endpoints }
+    }
+  }
+}
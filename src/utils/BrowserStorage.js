@@ -0,0 +1,24 @@
+/**
+ * BrowserStorage - Safe access to the browser's localStorage
+ * Shared by everything that persists player data (settings, input bindings, pending submissions).
+ * Storage is missing outside the browser (Node, the headless validator) and reading it can throw
+ * when the player disabled it, so callers get null and keep their data in memory instead.
+ *
+ * Usage example:
+ * const storage = BrowserStorage.getLocalStorage()
+ * if (storage) storage.setItem(key, value)
+ */
+export class BrowserStorage {
+  /**
+   * Get localStorage if the browser allows it
+   * @returns {Storage|null} Storage or null if unavailable
+   */
+  static getLocalStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null
+    } catch (error) {
+      // Access can throw when storage is disabled
+      return null
+    }
+  }
+}
@@ -0,0 +1,352 @@
+import { BrowserStorage } from './BrowserStorage.js'
+
+/**
+ * InputBindings - Keyboard keys and gamepad buttons bound to each game action
+ * One table serves both devices, so the remapping screen edits keyboard and gamepad
+ * bindings side by side. Changes are saved in localStorage and restored on the next launch.
+ * Gamepad buttons use the standard mapping (0 = A, 9 = Start, 12-15 = d-pad).
+ *
+ * Usage example:
+ * const bindings = new InputBindings()
+ * bindings.getAction('p1-up') // { id, name, keys: ['KeyW'], buttons: [12] }
+ * bindings.setKey('p1-up', 'KeyI')
+ * bindings.getActionsForKey('KeyI') // ['p1-up']
+ */
+
+// Movement actions of each player (in single-player both sets move the skull)
+export const PLAYER_MOVEMENT_ACTIONS = [
+  { up: 'p1-up', down: 'p1-down', left: 'p1-left', right: 'p1-right' },
+  { up: 'p2-up', down: 'p2-down', left: 'p2-left', right: 'p2-right' }
+]
+
+// Rebindable actions, in the order the remapping screen lists them
+export const INPUT_ACTIONS = [
+  { id: 'p1-up', name: 'Jugador 1 · Arriba', keys: ['KeyW'], buttons: [12] },
+  { id: 'p1-down', name: 'Jugador 1 · Abajo', keys: ['KeyS'], buttons: [13] },
+  { id: 'p1-left', name: 'Jugador 1 · Izquierda', keys: ['KeyA'], buttons: [14] },
+  { id: 'p1-right', name: 'Jugador 1 · Derecha', keys: ['KeyD'], buttons: [15] },
+  { id: 'p2-up', name: 'Jugador 2 · Arriba', keys: ['ArrowUp'], buttons: [12] },
+  { id: 'p2-down', name: 'Jugador 2 · Abajo', keys: ['ArrowDown'], buttons: [13] },
+  { id: 'p2-left', name: 'Jugador 2 · Izquierda', keys: ['ArrowLeft'], buttons: [14] },
+  { id: 'p2-right', name: 'Jugador 2 · Derecha', keys: ['ArrowRight'], buttons: [15] },
+  { id: 'start', name: 'Empezar / Reiniciar', keys: ['Enter', 'Space', 'KeyR'], buttons: [9, 0] },
+  { id: 'pause', name: 'Pausa', keys: ['Escape', 'KeyP'], buttons: [9] }
+]
+
+// Analog stick tuning and rumble, saved with the bindings
+export const DEFAULT_GAMEPAD_SETTINGS = {
+  deadzone: 0.2, // Stick travel ignored around the center (0-1)
+  responseCurve: 1.5, // Exponent applied past the deadzone (1 = linear, higher = finer control near the center)
+  vibration: true // Rumble on soul collection where the gamepad supports it
+}
+
+export class InputBindings {
+  /**
+   * @param {Object} options - { storageKey, storage }
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'atrapa-almas-input-bindings'
+    this.storage = options.storage !== undefined ? options.storage : BrowserStorage.getLocalStorage()
+
+    this.actions = new Map()
+    this.gamepadSettings = { ...DEFAULT_GAMEPAD_SETTINGS }
+    this.changeCallbacks = []
+
+    this.resetToDefaults(false)
+    this.load()
+  }
+
+  /**
+   * Get the display name of a keyboard key
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string} Key name
+   */
+  static getKeyName(code) {
+    const names = {
+      ArrowUp: '↑',
+      ArrowDown: '↓',
+      ArrowLeft: '←',
+      ArrowRight: '→',
+      Space: 'Espacio',
+      Enter: 'Intro',
+      Escape: 'Esc'
+    }
+
+    if (names[code]) return names[code]
+    if (code.startsWith('Key')) return code.slice(3)
+    if (code.startsWith('Digit')) return code.slice(5)
+    return code
+  }
+
+  /**
+   * Get the display name of a gamepad button (standard mapping)
+   * @param {number} button - Button index
+   * @returns {string} Button name
+   */
+  static getButtonName(button) {
+    const names = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home']
+    return names[button] || `Botón ${button}`
+  }
+
+  /**
+   * Restore the default bindings and gamepad settings
+   * @param {boolean} persist - Save (and notify) the change
+   */
+  resetToDefaults(persist = true) {
+    this.actions.clear()
+
+    for (const action of INPUT_ACTIONS) {
+      this.actions.set(action.id, {
+        id: action.id,
+        name: action.name,
+        keys: [...action.keys],
+        buttons: [...action.buttons]
+      })
+    }
+
+    this.gamepadSettings = { ...DEFAULT_GAMEPAD_SETTINGS }
+
+    if (persist) {
+      this.save()
+      this.notifyChange()
+    }
+  }
+
+  /**
+   * Get an action's bindings
+   * @param {string} actionId - Action ID
+   * @returns {Object|null} { id, name, keys, buttons } or null if unknown
+   */
+  getAction(actionId) {
+    const action = this.actions.get(actionId)
+    return action ? { ...action, keys: [...action.keys], buttons: [...action.buttons] } : null
+  }
+
+  /**
+   * Get every action's bindings, in display order
+   * @returns {Array<Object>} Actions
+   */
+  getActions() {
+    return Array.from(this.actions.keys()).map(actionId => this.getAction(actionId))
+  }
+
+  /**
+   * Get the movement actions of a player
+   * @param {number} playerIndex - Player index (0 or 1)
+   * @returns {Object|null} { up, down, left, right } action IDs
+   */
+  getPlayerMovementActions(playerIndex) {
+    return PLAYER_MOVEMENT_ACTIONS[playerIndex] || null
+  }
+
+  /**
+   * Get the actions a keyboard key is bound to
+   * @param {string} code - KeyboardEvent.code
+   * @returns {Array<string>} Action IDs
+   */
+  getActionsForKey(code) {
+    return Array.from(this.actions.values())
+      .filter(action => action.keys.includes(code))
+      .map(action => action.id)
+  }
+
+  /**
+   * Check if a key moves a skull
+   * @param {string} code - KeyboardEvent.code
+   * @returns {boolean} True if bound to a movement action
+   */
+  isMovementKey(code) {
+    return this.getActionsForKey(code).some(actionId => this.isMovementAction(actionId))
+  }
+
+  /**
+   * Check if a key is bound to an action
+   * @param {string} actionId - Action ID
+   * @param {string} code - KeyboardEvent.code
+   * @returns {boolean} True if bound
+   */
+  isKeyBound(actionId, code) {
+    const action = this.actions.get(actionId)
+    return action ? action.keys.includes(code) : false
+  }
+
+  /**
+   * Get the keyboard keys bound to an action
+   * @param {string} actionId - Action ID
+   * @returns {Array<string>} KeyboardEvent codes
+   */
+  getKeys(actionId) {
+    const action = this.actions.get(actionId)
+    return action ? [...action.keys] : []
+  }
+
+  /**
+   * Check if an action moves a skull (the others are commands like start or pause)
+   * @param {string} actionId - Action ID
+   * @returns {boolean} True for movement actions
+   */
+  isMovementAction(actionId) {
+    return PLAYER_MOVEMENT_ACTIONS.some(movement => Object.values(movement).includes(actionId))
+  }
+
+  /**
+   * Get the gamepad buttons bound to an action
+   * @param {string} actionId - Action ID
+   * @returns {Array<number>} Button indices
+   */
+  getButtons(actionId) {
+    const action = this.actions.get(actionId)
+    return action ? [...action.buttons] : []
+  }
+
+  /**
+   * Bind a keyboard key to an action, replacing its keys
+   * The key is taken from any other action it was bound to, so one key never does two things
+   * @param {string} actionId - Action ID
+   * @param {string} code - KeyboardEvent.code
+   * @returns {boolean} True if the binding changed
+   */
+  setKey(actionId, code) {
+    const action = this.actions.get(actionId)
+    if (!action || typeof code !== 'string' || code.length === 0) return false
+
+    for (const other of this.actions.values()) {
+      if (other !== action) {
+        other.keys = other.keys.filter(key => key !== code)
+      }
+    }
+
+    action.keys = [code]
+    this.save()
+    this.notifyChange()
+    return true
+  }
+
+  /**
+   * Bind a gamepad button to an action, replacing its buttons
+   * Buttons can be shared: each player uses their own gamepad, and start/pause never apply at the same time
+   * @param {string} actionId - Action ID
+   * @param {number} button - Button index
+   * @returns {boolean} True if the binding changed
+   */
+  setButton(actionId, button) {
+    const action = this.actions.get(actionId)
+    if (!action || !Number.isInteger(button) || button < 0) return false
+
+    action.buttons = [button]
+    this.save()
+    this.notifyChange()
+    return true
+  }
+
+  /**
+   * Get the analog stick and rumble settings
+   * @returns {Object} { deadzone, responseCurve, vibration }
+   */
+  getGamepadSettings() {
+    return { ...this.gamepadSettings }
+  }
+
+  /**
+   * Change analog stick or rumble settings
+   * @param {Object} settings - Any of { deadzone, responseCurve, vibration }
+   */
+  setGamepadSettings(settings) {
+    if (settings.deadzone !== undefined) {
+      this.gamepadSettings.deadzone = Math.max(0, Math.min(0.9, Number(settings.deadzone) || 0))
+    }
+    if (settings.responseCurve !== undefined) {
+      this.gamepadSettings.responseCurve = Math.max(0.5, Math.min(3, Number(settings.responseCurve) || 1))
+    }
+    if (settings.vibration !== undefined) {
+      this.gamepadSettings.vibration = Boolean(settings.vibration)
+    }
+
+    this.save()
+    this.notifyChange()
+  }
+
+  /**
+   * Load saved bindings (unknown actions and malformed entries are ignored)
+   */
+  load() {
+    if (!this.storage) return
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey) || 'null')
+      if (!stored || typeof stored !== 'object') return
+
+      for (const saved of Array.isArray(stored.actions) ? stored.actions : []) {
+        const action = saved ? this.actions.get(saved.id) : null
+        if (!action) continue
+
+        if (Array.isArray(saved.keys)) {
+          action.keys = saved.keys.filter(key => typeof key === 'string' && key.length > 0)
+        }
+        if (Array.isArray(saved.buttons)) {
+          action.buttons = saved.buttons.filter(button => Number.isInteger(button) && button >= 0)
+        }
+      }
+
+      if (stored.gamepad && typeof stored.gamepad === 'object') {
+        this.gamepadSettings = { ...DEFAULT_GAMEPAD_SETTINGS, ...stored.gamepad }
+      }
+    } catch (error) {
+      console.warn('Failed to load input bindings:', error)
+    }
+  }
+
+  /**
+   * Save the bindings to storage
+   */
+  save() {
+    if (!this.storage) return
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({
+        actions: Array.from(this.actions.values()).map(action => ({
+          id: action.id,
+          keys: action.keys,
+          buttons: action.buttons
+        })),
+        gamepad: this.gamepadSettings
+      }))
+    } catch (error) {
+      console.warn('Failed to save input bindings:', error)
+    }
+  }
+
+  /**
+   * Add a callback for binding changes
+   * @param {Function} callback - Receives the bindings
+   */
+  addChangeCallback(callback) {
+    if (typeof callback === 'function') {
+      this.changeCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove a binding change callback
+   * @param {Function} callback - Callback to remove
+   */
+  removeChangeCallback(callback) {
+    const index = this.changeCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Notify listeners that the bindings changed
+   */
+  notifyChange() {
+    for (const callback of this.changeCallbacks) {
+      try {
+        callback(this)
+      } catch (error) {
+        console.error('Error in input bindings callback:', error)
+      }
+    }
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * LeaderboardPeriod - Period boundaries for daily, weekly and all-time rankings
+ * Shared by the client (tabs, reset countdown, local ranking) and the mock server (rollover),
+ * so both agree on when a period starts. Boundaries are midnights in the given time zone;
+ * weeks start on Monday.
+ *
+ * Usage example:
+ * LeaderboardPeriod.getPeriodStart('daily', new Date(), 'America/Mexico_City') // Date of last midnight there
+ * LeaderboardPeriod.getNextReset('weekly', new Date(), 'UTC') // Date of next Monday 00:00 UTC
+ */
+
+export const LEADERBOARD_PERIODS = ['daily', 'weekly', 'all-time']
+export const DEFAULT_LEADERBOARD_TIME_ZONE = 'UTC'
+
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 }
+
+export class LeaderboardPeriod {
+  /**
+   * Check if a period name is supported
+   * @param {string} period - Period name
+   * @returns {boolean} True if valid
+   */
+  static isValidPeriod(period) {
+    return LEADERBOARD_PERIODS.includes(period)
+  }
+
+  /**
+   * Check if a time zone is known to the Intl API
+   * @param {string} timeZone - IANA time zone (e.g. 'Europe/Madrid')
+   * @returns {boolean} True if valid
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone })
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Get the first instant of the period containing a date
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   * @param {Date} date - Reference date
+   * @param {string} timeZone - IANA time zone for the boundaries
+   * @returns {Date|null} Period start, or null for all-time
+   */
+  static getPeriodStart(period, date = new Date(), timeZone = DEFAULT_LEADERBOARD_TIME_ZONE) {
+    if (period === 'all-time') return null
+
+    const parts = LeaderboardPeriod.getZonedParts(date, timeZone)
+    const dayOffset = period === 'weekly' ? -parts.weekday : 0
+
+    return LeaderboardPeriod.getZonedMidnight(parts.year, parts.month, parts.day + dayOffset, timeZone)
+  }
+
+  /**
+   * Get the instant the period containing a date ends (the next reset)
+   * @param {string} period - 'daily', 'weekly' or 'all-time'
+   * @param {Date} date - Reference date
+   * @param {string} timeZone - IANA time zone for the boundaries
+   * @returns {Date|null} Next reset, or null for all-time
+   */
+  static getNextReset(period, date = new Date(), timeZone = DEFAULT_LEADERBOARD_TIME_ZONE) {
+    if (period === 'all-time') return null
+
+    const parts = LeaderboardPeriod.getZonedParts(date, timeZone)
+    const dayOffset = period === 'weekly' ? 7 - parts.weekday : 1
+
+    return LeaderboardPeriod.getZonedMidnight(parts.year, parts.month, parts.day + dayOffset, timeZone)
+  }
+
+  /**
+   * Get a stable identifier of the period containing a date (used for caching)
+   * @param {string} period - Period name
+   * @param {Date} date - Reference date
+   * @param {string} timeZone - IANA time zone
+   * @returns {string} Period key, e.g. 'daily:2025-11-02'
+   */
+  static getPeriodKey(period, date = new Date(), timeZone = DEFAULT_LEADERBOARD_TIME_ZONE) {
+    const start = LeaderboardPeriod.getPeriodStart(period, date, timeZone)
+    if (!start) return period
+
+    const parts = LeaderboardPeriod.getZonedParts(start, timeZone)
+    const pad = value => String(value).padStart(2, '0')
+    return `${period}:${parts.year}-${pad(parts.month)}-${pad(parts.day)}`
+  }
+
+  /**
+   * Check if a date falls inside the current period
+   * @param {string|Date} createdAt - Entry date
+   * @param {string} period - Period name
+   * @param {Date} now - Current date
+   * @param {string} timeZone - IANA time zone
+   * @returns {boolean} True if the entry counts for the period
+   */
+  static isInPeriod(createdAt, period, now = new Date(), timeZone = DEFAULT_LEADERBOARD_TIME_ZONE) {
+    const start = LeaderboardPeriod.getPeriodStart(period, now, timeZone)
+    if (!start) return true
+
+    const time = new Date(createdAt).getTime()
+    return time >= start.getTime() && time < LeaderboardPeriod.getNextReset(period, now, timeZone).getTime()
+  }
+
+  /**
+   * Get the calendar fields of a date as seen in a time zone
+   * @param {Date} date - Date
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Monday) }
+   */
+  static getZonedParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    })
+
+    const parts = {}
+    for (const part of formatter.formatToParts(date)) {
+      parts[part.type] = part.value
+    }
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAY_INDEX[parts.weekday]
+    }
+  }
+
+  /**
+   * Get the UTC offset of a time zone at a given instant
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {number} Offset in ms (local time - UTC)
+   */
+  static getTimeZoneOffset(date, timeZone) {
+    const parts = LeaderboardPeriod.getZonedParts(date, timeZone)
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    const instant = Math.floor(date.getTime() / 1000) * 1000
+
+    return asUTC - instant
+  }
+
+  /**
+   * Get the instant of local midnight for a calendar day in a time zone
+   * Day overflow is allowed (e.g. day 32 rolls into the next month)
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of month
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} Midnight instant
+   */
+  static getZonedMidnight(year, month, day, timeZone) {
+    const localMidnight = Date.UTC(year, month - 1, day)
+
+    // The offset may change between our guess and the real instant (DST), so correct once
+    const firstOffset = LeaderboardPeriod.getTimeZoneOffset(new Date(localMidnight), timeZone)
+    let instant = localMidnight - firstOffset
+    const secondOffset = LeaderboardPeriod.getTimeZoneOffset(new Date(instant), timeZone)
+
+    if (secondOffset !== firstOffset) {
+      instant = localMidnight - secondOffset
+    }
+
+    return new Date(instant)
+  }
+}
@@ -0,0 +1,381 @@
+import { LeaderboardPeriod, DEFAULT_LEADERBOARD_TIME_ZONE } from './LeaderboardPeriod.js'
+import { PlayerRank } from './PlayerRank.js'
+import { DEFAULT_LEADERBOARD_CATEGORY } from '../engine/GameMode.js'
+
+/**
+ * LeaderboardStore - Interface for places scores can be ranked and stored
+ * LeaderboardManager works against this interface, so the same flow runs
+ * against the remote backend, a persistent local ranking or an in-memory one.
+ *
+ * Entries: { id, name, score, category, createdAt }
+ * Each game mode ranks in its own category ('timed', 'endless'); entries without one are timed.
+ *
+ * Usage example:
+ * const store = IndexedDBLeaderboardStore.isSupported() ? new IndexedDBLeaderboardStore() : new MemoryLeaderboardStore()
+ * await store.submitScore({ id: 'session-id', name: 'Ana', score: 12 })
+ * const topScores = await store.getTopScores(10)
+ * const dailyScores = await store.getTopScores(10, { period: 'daily', timeZone: 'UTC' })
+ * const endlessScores = await store.getTopScores(10, { category: 'endless' })
+ * const position = await store.getPlayerRank(12, { period: 'daily', excludeId: 'session-id' })
+ */
+export class LeaderboardStore {
+  constructor(type) {
+    this.type = type
+  }
+
+  /**
+   * Get the best scores, highest first
+   * @param {number} limit - Maximum number of entries
+   * @param {Object} options - { period: 'daily' | 'weekly' | 'all-time', timeZone, category }
+   * @returns {Promise<Array>} Score entries
+   */
+  async getTopScores(limit = 10, options = {}) {
+    throw new Error(`${this.constructor.name} must implement getTopScores()`)
+  }
+
+  /**
+   * Get where a score places in the full ranking, with the entries around it
+   * @param {number} score - Player's score
+   * @param {Object} options - { period, timeZone, category, excludeId (the player's own entry), neighbors }
+   * @returns {Promise<Object>} { rank, total, percentile, above, below }
+   */
+  async getPlayerRank(score, options = {}) {
+    throw new Error(`${this.constructor.name} must implement getPlayerRank()`)
+  }
+
+  /**
+   * Store a score
+   * Submitting an entry with an id that is already stored replaces it (no duplicates)
+   * @param {Object} entry - Score entry { id, name, score, category, session }
+   * @returns {Promise<Object>} Store-specific result
+   */
+  async submitScore(entry) {
+    throw new Error(`${this.constructor.name} must implement submitScore()`)
+  }
+
+  /**
+   * Check if the store can be used right now
+   * @returns {boolean} True if the store is reachable
+   */
+  isAvailable() {
+    return true
+  }
+
+  /**
+   * Check if this store only holds scores from this device
+   * @returns {boolean} True for local stores
+   */
+  isLocal() {
+    return this.type !== 'remote'
+  }
+
+  /**
+   * Remove all stored scores
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not support clear()`)
+  }
+
+  /**
+   * Build the entry persisted by local stores (the session log is only needed by the server)
+   * @param {Object} entry - Submitted entry
+   * @returns {Object} Stored entry
+   */
+  createLocalEntry(entry) {
+    return {
+      id: entry.id || `${Date.now().toString(36)}-${Math.floor(Math.random() * 0xffffffff).toString(36)}`,
+      name: entry.name,
+      score: entry.score,
+      category: entry.category || DEFAULT_LEADERBOARD_CATEGORY,
+      createdAt: entry.createdAt || new Date().toISOString()
+    }
+  }
+
+  /**
+   * Keep only the entries of the current period
+   * @param {Array} entries - Score entries
+   * @param {Object} options - { period, timeZone }
+   * @returns {Array} Entries in the period
+   */
+  filterByPeriod(entries, options = {}) {
+    const period = options.period || 'all-time'
+    const timeZone = options.timeZone || DEFAULT_LEADERBOARD_TIME_ZONE
+    const now = new Date()
+
+    return entries.filter(entry => LeaderboardPeriod.isInPeriod(entry.createdAt, period, now, timeZone))
+  }
+
+  /**
+   * Keep only the entries of a leaderboard category (entries stored before categories are timed)
+   * @param {Array} entries - Score entries
+   * @param {Object} options - { category }
+   * @returns {Array} Entries in the category
+   */
+  filterByCategory(entries, options = {}) {
+    const category = options.category || DEFAULT_LEADERBOARD_CATEGORY
+
+    return entries.filter(entry => (entry.category || DEFAULT_LEADERBOARD_CATEGORY) === category)
+  }
+
+  /**
+   * Keep only the entries of the ranking asked for (category and period)
+   * @param {Array} entries - Score entries
+   * @param {Object} options - { period, timeZone, category }
+   * @returns {Array} Ranked entries
+   */
+  filterEntries(entries, options = {}) {
+    return this.filterByPeriod(this.filterByCategory(entries, options), options)
+  }
+
+  /**
+   * Sort entries best first (ties go to the earlier score)
+   * @param {Array} entries - Score entries
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array} Sorted entries
+   */
+  rankEntries(entries, limit) {
+    return entries
+      .slice()
+      .sort((a, b) => b.score - a.score || String(a.createdAt).localeCompare(String(b.createdAt)))
+      .slice(0, limit)
+  }
+}
+
+/**
+ * RemoteLeaderboardStore - Global ranking on the leaderboard backend (through APIService)
+ */
+export class RemoteLeaderboardStore extends LeaderboardStore {
+  constructor(apiService) {
+    super('remote')
+    this.apiService = apiService
+  }
+
+  /**
+   * Fetch the global top scores (falls back to the last cached copy)
+   * @param {number} limit - Maximum number of entries
+   * @param {Object} options - { period, timeZone, category }
+   * @returns {Promise<Array>} Score entries
+   */
+  async getTopScores(limit = 10, options = {}) {
+    const scores = await this.apiService.getTopScoresWithCaching(
+      options.period || 'all-time',
+      options.timeZone || this.apiService.leaderboardTimeZone,
+      options.category || DEFAULT_LEADERBOARD_CATEGORY
+    )
+    return scores.slice(0, limit)
+  }
+
+  /**
+   * Ask the backend where a score places
+   * @param {number} score - Player's score
+   * @param {Object} options - { period, timeZone, category, excludeId, neighbors }
+   * @returns {Promise<Object>} Rank result
+   */
+  async getPlayerRank(score, options = {}) {
+    return this.apiService.getPlayerRank(score, {
+      period: options.period,
+      timeZone: options.timeZone,
+      category: options.category,
+      submissionId: options.excludeId,
+      neighbors: options.neighbors
+    })
+  }
+
+  /**
+   * Submit a score to the backend
+   * @param {Object} entry - Score entry { name, score, session }
+   * @returns {Promise<any>} Server response
+   */
+  async submitScore(entry) {
+    return this.apiService.submitScoreWithRetry(entry.name, entry.score, entry.session || null, entry.id || null)
+  }
+
+  /**
+   * Check if the network is available
+   * @returns {boolean} True if the backend can be reached
+   */
+  isAvailable() {
+    return this.apiService.isNetworkAvailable()
+  }
+}
+
+/**
+ * MemoryLeaderboardStore - In-memory ranking, lost on reload (tests and browsers without IndexedDB)
+ */
+export class MemoryLeaderboardStore extends LeaderboardStore {
+  constructor(initialEntries = []) {
+    super('memory')
+    this.entries = new Map()
+
+    for (const entry of initialEntries) {
+      const stored = this.createLocalEntry(entry)
+      this.entries.set(stored.id, stored)
+    }
+  }
+
+  /**
+   * Get the best stored scores
+   * @param {number} limit - Maximum number of entries
+   * @param {Object} options - { period, timeZone, category }
+   * @returns {Promise<Array>} Score entries
+   */
+  async getTopScores(limit = 10, options = {}) {
+    const entries = this.filterEntries(Array.from(this.entries.values()), options)
+    return this.rankEntries(entries, limit).map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Get where a score places among the stored scores
+   * @param {number} score - Player's score
+   * @param {Object} options - { period, timeZone, category, excludeId, neighbors }
+   * @returns {Promise<Object>} Rank result
+   */
+  async getPlayerRank(score, options = {}) {
+    const entries = this.filterEntries(Array.from(this.entries.values()), options)
+    return PlayerRank.compute(entries, score, options)
+  }
+
+  /**
+   * Store a score
+   * @param {Object} entry - Score entry
+   * @returns {Promise<Object>} Stored entry
+   */
+  async submitScore(entry) {
+    const stored = this.createLocalEntry(entry)
+    this.entries.set(stored.id, stored)
+    return { ...stored }
+  }
+
+  /**
+   * Remove all stored scores
+   */
+  async clear() {
+    this.entries.clear()
+  }
+}
+
+/**
+ * IndexedDBLeaderboardStore - Persistent ranking of the scores played on this device
+ */
+export class IndexedDBLeaderboardStore extends LeaderboardStore {
+  constructor(databaseName = 'atrapa-las-almas', objectStoreName = 'scores') {
+    super('indexeddb')
+    this.databaseName = databaseName
+    this.objectStoreName = objectStoreName
+    this.databaseVersion = 1
+    this.databasePromise = null
+  }
+
+  /**
+   * Check if IndexedDB can be used in this browser
+   * @returns {boolean} True if IndexedDB is available
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  openDatabase() {
+    if (this.databasePromise) {
+      return this.databasePromise
+    }
+
+    this.databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, this.databaseVersion)
+
+      request.onupgradeneeded = () => {
+        const database = request.result
+        if (!database.objectStoreNames.contains(this.objectStoreName)) {
+          database.createObjectStore(this.objectStoreName, { keyPath: 'id' })
+        }
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        // Allow a later call to try again
+        this.databasePromise = null
+        reject(request.error)
+      }
+    })
+
+    return this.databasePromise
+  }
+
+  /**
+   * Run a request inside a transaction on the scores object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequest - Receives the object store, returns an IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async runRequest(mode, createRequest) {
+    const database = await this.openDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.objectStoreName, mode)
+      const request = createRequest(transaction.objectStore(this.objectStoreName))
+
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Get the best stored scores
+   * @param {number} limit - Maximum number of entries
+   * @param {Object} options - { period, timeZone, category }
+   * @returns {Promise<Array>} Score entries
+   */
+  async getTopScores(limit = 10, options = {}) {
+    const entries = await this.runRequest('readonly', store => store.getAll())
+    return this.rankEntries(this.filterEntries(entries || [], options), limit)
+  }
+
+  /**
+   * Get where a score places among the stored scores
+   * @param {number} score - Player's score
+   * @param {Object} options - { period, timeZone, category, excludeId, neighbors }
+   * @returns {Promise<Object>} Rank result
+   */
+  async getPlayerRank(score, options = {}) {
+    const entries = await this.runRequest('readonly', store => store.getAll())
+    return PlayerRank.compute(this.filterEntries(entries || [], options), score, options)
+  }
+
+  /**
+   * Store a score
+   * @param {Object} entry - Score entry
+   * @returns {Promise<Object>} Stored entry
+   */
+  async submitScore(entry) {
+    const stored = this.createLocalEntry(entry)
+    await this.runRequest('readwrite', store => store.put(stored))
+    return stored
+  }
+
+  /**
+   * Remove all stored scores
+   */
+  async clear() {
+    await this.runRequest('readwrite', store => store.clear())
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (!this.databasePromise) return
+
+    try {
+      const database = await this.databasePromise
+      database.close()
+    } catch (error) {
+      // Database never opened, nothing to close
+    }
+
+    this.databasePromise = null
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Localization - Menu text in the languages of the language setting
+ * Static text in index.html is marked with data-i18n (text), data-i18n-title (tooltip) or
+ * data-i18n-label (aria-label) holding a key of TRANSLATIONS; apply() fills it in for a language.
+ * Spanish is the game's own language: keys missing from another language fall back to it.
+ *
+ * Usage example:
+ * Localization.apply('en')
+ * Localization.translate('menu.start', 'en') // 'Start Game'
+ */
+
+export const DEFAULT_LANGUAGE = 'es'
+
+export const TRANSLATIONS = {
+  es: {
+    'menu.description': '¡Es el Día de los Muertos y las almas están perdidas! Guía a tu calavera valiente por el mundo de los espíritus y ayuda a las almas a encontrar su camino al más allá. Recolecta almas y llévalas al altar central antes de que se acabe el tiempo: ¡entre más almas entregues a la vez, más puntos ganas! ¡Que la magia de esta noche especial te acompañe!',
+    'menu.mode': 'Modo de juego',
+    'menu.mode.timed': 'Contrarreloj',
+    'menu.mode.timed.help': 'Entrega todas las almas que puedas en 30 segundos',
+    'menu.mode.endless': 'Sin fin',
+    'menu.mode.endless.help': 'Cada alma te da más tiempo, pero el reloj corre cada vez más rápido',
+    'menu.mode.two-player': 'Dos jugadores',
+    'menu.mode.two-player.help': 'Dos calaveras en el mismo campo: WASD para el jugador 1, flechas para el jugador 2 (o un control cada uno)',
+    'menu.difficulty': 'Dificultad',
+    'menu.difficulty.facil': 'Fácil',
+    'menu.difficulty.normal': 'Normal',
+    'menu.difficulty.dificil': 'Difícil',
+    'menu.start': 'Comenzar Juego',
+    'menu.controls': 'Controles',
+    'menu.settings': 'Ajustes',
+    'menu.hint.desktop': '🖥️ En PC, usa las flechas del teclado o las teclas WASD para guiar la calavera, o conecta un control',
+    'menu.hint.mobile': '📱 En celular, usa la pantalla para guiar la calavera. ¡Es mejor jugar con el celular horizontal!',
+    'pause.button': 'Pausa',
+    'pause.title': 'Pausa',
+    'pause.resume': 'Continuar',
+    'pause.restart': 'Reiniciar',
+    'pause.settings': 'Ajustes',
+    'pause.quit': 'Salir al menú',
+    'gameover.title': '¡Juego Terminado!',
+    'gameover.restart': 'Jugar de Nuevo',
+    'controls.title': 'Controles',
+    'controls.help': 'Haz clic en una tecla o botón y presiona el nuevo.',
+    'controls.action': 'Acción',
+    'controls.keyboard': 'Teclado',
+    'controls.gamepad': 'Control',
+    'controls.vibration': 'Vibración del control',
+    'settings.title': 'Ajustes',
+    'settings.audio': 'Sonido',
+    'settings.masterVolume': 'Volumen general',
+    'settings.sfxVolume': 'Efectos',
+    'settings.ambientVolume': 'Ambiente',
+    'settings.touch': 'Controles táctiles',
+    'settings.touchSensitivity': 'Sensibilidad',
+    'settings.joystickSide': 'Joystick',
+    'settings.joystickSide.left': 'Izquierda',
+    'settings.joystickSide.right': 'Derecha',
+    'settings.display': 'Pantalla',
+    'settings.quality': 'Calidad gráfica',
+    'settings.quality.auto': 'Automática',
+    'settings.quality.low': 'Baja',
+    'settings.quality.medium': 'Media',
+    'settings.quality.high': 'Alta',
+    'settings.quality.current': 'Calidad en uso',
+    'settings.reducedMotion': 'Reducir movimiento',
+    'settings.language': 'Idioma',
+    'settings.controls': 'Controles…',
+    'common.done': 'Listo',
+    'common.reset': 'Restablecer'
+  },
+  en: {
+    'menu.description': 'It\'s the Day of the Dead and the souls are lost! Guide your brave skull through the spirit world and help the souls find their way to the afterlife. Gather souls and bring them to the central altar before time runs out: the more souls you deliver at once, the more points you earn! May the magic of this special night be with you!',
+    'menu.mode': 'Game mode',
+    'menu.mode.timed': 'Time Attack',
+    'menu.mode.timed.help': 'Deliver as many souls as you can in 30 seconds',
+    'menu.mode.endless': 'Endless',
+    'menu.mode.endless.help': 'Every soul gives you more time, but the clock runs faster and faster',
+    'menu.mode.two-player': 'Two players',
+    'menu.mode.two-player.help': 'Two skulls on the same field: WASD for player 1, arrows for player 2 (or a controller each)',
+    'menu.difficulty': 'Difficulty',
+    'menu.difficulty.facil': 'Easy',
+    'menu.difficulty.normal': 'Normal',
+    'menu.difficulty.dificil': 'Hard',
+    'menu.start': 'Start Game',
+    'menu.controls': 'Controls',
+    'menu.settings': 'Settings',
+    'menu.hint.desktop': '🖥️ On PC, use the arrow keys or WASD to guide the skull, or plug in a controller',
+    'menu.hint.mobile': '📱 On mobile, use the screen to guide the skull. It plays best in landscape!',
+    'pause.button': 'Pause',
+    'pause.title': 'Paused',
+    'pause.resume': 'Resume',
+    'pause.restart': 'Restart',
+    'pause.settings': 'Settings',
+    'pause.quit': 'Quit to menu',
+    'gameover.title': 'Game Over!',
+    'gameover.restart': 'Play Again',
+    'controls.title': 'Controls',
+    'controls.help': 'Click a key or button, then press the new one.',
+    'controls.action': 'Action',
+    'controls.keyboard': 'Keyboard',
+    'controls.gamepad': 'Controller',
+    'controls.vibration': 'Controller vibration',
+    'settings.title': 'Settings',
+    'settings.audio': 'Sound',
+    'settings.masterVolume': 'Master volume',
+    'settings.sfxVolume': 'Effects',
+    'settings.ambientVolume': 'Ambience',
+    'settings.touch': 'Touch controls',
+    'settings.touchSensitivity': 'Sensitivity',
+    'settings.joystickSide': 'Joystick',
+    'settings.joystickSide.left': 'Left',
+    'settings.joystickSide.right': 'Right',
+    'settings.display': 'Display',
+    'settings.quality': 'Graphics quality',
+    'settings.quality.auto': 'Automatic',
+    'settings.quality.low': 'Low',
+    'settings.quality.medium': 'Medium',
+    'settings.quality.high': 'High',
+    'settings.quality.current': 'Quality in use',
+    'settings.reducedMotion': 'Reduce motion',
+    'settings.language': 'Language',
+    'settings.controls': 'Controls…',
+    'common.done': 'Done',
+    'common.reset': 'Reset'
+  }
+}
+
+export class Localization {
+  /**
+   * Get the text of a key in a language
+   * @param {string} key - Translation key
+   * @param {string} language - Language code
+   * @returns {string} Text (Spanish if the language lacks it, the key if no language has it)
+   */
+  static translate(key, language = DEFAULT_LANGUAGE) {
+    const strings = TRANSLATIONS[language] || TRANSLATIONS[DEFAULT_LANGUAGE]
+    return strings[key] || TRANSLATIONS[DEFAULT_LANGUAGE][key] || key
+  }
+
+  /**
+   * Fill in every marked element with its text in a language
+   * @param {string} language - Language code
+   * @param {Document|HTMLElement} root - Where to look for marked elements
+   */
+  static apply(language, root = document) {
+    if (!root || typeof root.querySelectorAll !== 'function') return
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = Localization.translate(element.dataset.i18n, language)
+    })
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = Localization.translate(element.dataset.i18nTitle, language)
+    })
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+      element.setAttribute('aria-label', Localization.translate(element.dataset.i18nLabel, language))
+    })
+
+    if (root.documentElement) {
+      root.documentElement.lang = TRANSLATIONS[language] ? language : DEFAULT_LANGUAGE
+    }
+  }
+}
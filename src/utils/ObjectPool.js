@@ -94,12 +94,13 @@ export class ObjectPool {
 
 /**
  * SoulPool specialized for Soul objects
+ * Souls are drawn by SoulInstances, so the pool hands out instance slots instead of adding meshes to the scene
  */
 export class SoulPool extends ObjectPool {
-  constructor(soulClass, renderEngine, initialSize = 15) {
+  constructor(soulClass, instances, initialSize = 15, random = null) {
     const createFn = () => {
       // Create soul without ID initially (for pooling)
-      const soul = new soulClass(null)
+      const soul = random ? new soulClass(null, undefined, random) : new soulClass(null)
       soul.init()
       return soul
     }
@@ -109,32 +110,44 @@ export class SoulPool extends ObjectPool {
       if (soul.reset) {
         soul.reset()
       }
-      // Remove from scene if it's there
-      if (soul.mesh && renderEngine) {
-        renderEngine.removeFromScene(soul.mesh)
+      // Give its instance slot back if it still has one
+      if (soul.instanceSlot >= 0 && instances) {
+        instances.free(soul.instanceSlot)
+        soul.instanceSlot = -1
       }
     }
     
     super(createFn, resetFn, initialSize)
     this.soulClass = soulClass
-    this.renderEngine = renderEngine
+    this.instances = instances
+    this.random = random
   }
 
   /**
-   * Acquire a soul and add it to the scene
+   * Acquire a soul and give it an instance slot
    * @param {THREE.Vector3} position - Initial position for the soul
+   * @param {string|null} type - Soul type id (see SoulTypeRegistry; common if omitted)
    * @returns {Soul} Soul object from pool
    */
-  acquireSoul(position) {
+  acquireSoul(position, type = null) {
     const soul = this.acquire()
     
+    if (soul.setType) {
+      soul.setType(type)
+    }
+    
+    // Draw fresh behavior at spawn time so seeded runs stay reproducible
+    if (soul.randomizeBehavior) {
+      soul.randomizeBehavior()
+    }
+    
     if (soul.setPosition) {
       soul.setPosition(position.x, position.y, position.z)
     }
     
-    // Add to scene
-    if (soul.mesh && this.renderEngine) {
-      this.renderEngine.addToScene(soul.mesh)
+    // Draw it from the next frame on
+    if (this.instances) {
+      soul.instanceSlot = this.instances.allocate()
     }
     
     return soul
@@ -145,15 +158,127 @@ export class SoulPool extends ObjectPool {
    * @param {Soul} soul - Soul to release
    */
   releaseSoul(soul) {
-    // Remove from scene before releasing
-    if (soul.mesh && this.renderEngine) {
-      this.renderEngine.removeFromScene(soul.mesh)
+    // Stop drawing it before releasing
+    if (soul.instanceSlot >= 0 && this.instances) {
+      this.instances.free(soul.instanceSlot)
+      soul.instanceSlot = -1
     }
     
     this.release(soul)
   }
 }
 
+/**
+ * HazardPool specialized for one kind of Hazard (alebrijes, wind gusts)
+ */
+export class HazardPool extends ObjectPool {
+  constructor(hazardClass, renderEngine, initialSize = 2, random = null) {
+    const createFn = () => {
+      const hazard = random ? new hazardClass(random) : new hazardClass()
+      hazard.init()
+      return hazard
+    }
+    
+    const resetFn = (hazard) => {
+      if (hazard.reset) {
+        hazard.reset()
+      }
+      if (hazard.mesh && renderEngine) {
+        renderEngine.removeFromScene(hazard.mesh)
+      }
+    }
+    
+    super(createFn, resetFn, initialSize)
+    this.hazardClass = hazardClass
+    this.renderEngine = renderEngine
+  }
+
+  /**
+   * Acquire a hazard, place it and add it to the scene
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {Object} options - Spawn options passed to the hazard (see Hazard.spawn)
+   * @returns {Hazard} Hazard object from pool
+   */
+  acquireHazard(position, options = {}) {
+    const hazard = this.acquire()
+    hazard.spawn(position, options)
+    
+    if (hazard.mesh && this.renderEngine) {
+      this.renderEngine.addToScene(hazard.mesh)
+    }
+    
+    return hazard
+  }
+
+  /**
+   * Release a hazard back to the pool
+   * @param {Hazard} hazard - Hazard to release
+   */
+  releaseHazard(hazard) {
+    if (hazard.mesh && this.renderEngine) {
+      this.renderEngine.removeFromScene(hazard.mesh)
+    }
+    
+    this.release(hazard)
+  }
+}
+
+/**
+ * PowerUpPool specialized for PowerUp pickups
+ */
+export class PowerUpPool extends ObjectPool {
+  constructor(powerUpClass, renderEngine, initialSize = 2) {
+    const createFn = () => {
+      const powerUp = new powerUpClass()
+      powerUp.init()
+      return powerUp
+    }
+    
+    const resetFn = (powerUp) => {
+      if (powerUp.reset) {
+        powerUp.reset()
+      }
+      if (powerUp.mesh && renderEngine) {
+        renderEngine.removeFromScene(powerUp.mesh)
+      }
+    }
+    
+    super(createFn, resetFn, initialSize)
+    this.powerUpClass = powerUpClass
+    this.renderEngine = renderEngine
+  }
+
+  /**
+   * Acquire a pickup, place it and add it to the scene
+   * @param {THREE.Vector3} position - Spawn position
+   * @param {string} type - Buff id granted on pickup
+   * @param {number} lifetime - Seconds before it vanishes (optional)
+   * @returns {PowerUp} PowerUp object from pool
+   */
+  acquirePowerUp(position, type, lifetime = null) {
+    const powerUp = this.acquire()
+    powerUp.spawn(position, type, lifetime)
+    
+    if (powerUp.mesh && this.renderEngine) {
+      this.renderEngine.addToScene(powerUp.mesh)
+    }
+    
+    return powerUp
+  }
+
+  /**
+   * Release a pickup back to the pool
+   * @param {PowerUp} powerUp - PowerUp to release
+   */
+  releasePowerUp(powerUp) {
+    if (powerUp.mesh && this.renderEngine) {
+      this.renderEngine.removeFromScene(powerUp.mesh)
+    }
+    
+    this.release(powerUp)
+  }
+}
+
 /**
  * ParticlePool for particle system optimization
  */
@@ -0,0 +1,73 @@
+/**
+ * PlayerRank - Where a score places in a full ranking, beyond the top 10
+ * Shared by the local leaderboard stores and the mock server so both report
+ * the same rank, percentile and neighbours.
+ *
+ * A score ties after the entries already stored with the same score (earlier scores win ties,
+ * same as the top 10). The player's own stored entry can be excluded so the result is the same
+ * whether or not the score was submitted.
+ *
+ * Usage example:
+ * const position = PlayerRank.compute(entries, 12, { excludeId: 'submission-id', neighbors: 2 })
+ * // { rank: 57, total: 312, percentile: 82, above: [...], below: [...] }
+ */
+
+export const DEFAULT_RANK_NEIGHBORS = 2
+export const MAX_RANK_NEIGHBORS = 5
+
+export class PlayerRank {
+  /**
+   * Compute the rank of a score among ranking entries
+   * @param {Array} entries - Ranking entries { id, name, score, createdAt }
+   * @param {number} score - Player's score
+   * @param {Object} options - { excludeId, neighbors }
+   * @returns {Object} { rank, total, percentile, above, below } (neighbours carry their rank)
+   */
+  static compute(entries, score, options = {}) {
+    const neighbors = PlayerRank.clampNeighbors(options.neighbors)
+    const others = entries
+      .filter(entry => !options.excludeId || entry.id !== options.excludeId)
+      .sort((a, b) => b.score - a.score || String(a.createdAt).localeCompare(String(b.createdAt)))
+
+    const aboveCount = others.filter(entry => entry.score >= score).length
+    const rank = aboveCount + 1
+    const beaten = others.length - aboveCount
+
+    return {
+      rank,
+      total: others.length + 1,
+      // Share of the other players this score beats (100 when alone)
+      percentile: others.length > 0 ? Math.floor((beaten / others.length) * 100) : 100,
+      above: others
+        .slice(Math.max(0, aboveCount - neighbors), aboveCount)
+        .map((entry, index, list) => ({ ...entry, rank: rank - list.length + index })),
+      below: others
+        .slice(aboveCount, aboveCount + neighbors)
+        .map((entry, index) => ({ ...entry, rank: rank + 1 + index }))
+    }
+  }
+
+  /**
+   * Limit the number of neighbours requested
+   * @param {number} neighbors - Requested entries on each side
+   * @returns {number} Entries on each side (0 to MAX_RANK_NEIGHBORS)
+   */
+  static clampNeighbors(neighbors) {
+    const value = Number.isInteger(neighbors) ? neighbors : DEFAULT_RANK_NEIGHBORS
+    return Math.min(Math.max(value, 0), MAX_RANK_NEIGHBORS)
+  }
+
+  /**
+   * Check the shape of a rank result (e.g. from the backend)
+   * @param {Object} position - Rank result
+   * @returns {boolean} True if valid
+   */
+  static isValid(position) {
+    return Boolean(position) &&
+      Number.isInteger(position.rank) && position.rank >= 1 &&
+      Number.isInteger(position.total) && position.total >= position.rank &&
+      typeof position.percentile === 'number' &&
+      Array.isArray(position.above) &&
+      Array.isArray(position.below)
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * QualityManager - Graphics quality tiers and the governor that moves between them
+ * Each rendered frame's time goes into a rolling window. When the average frame time goes over
+ * the budget the quality drops a tier; after it has stayed well under the budget for a while it
+ * climbs back up a tier. Every change waits out a cooldown so the window refills at the new tier.
+ * With adaptive quality off (a fixed quality picked in the settings) frames are ignored.
+ * main.js applies the tier to the renderer, the lights, the soul particles and the decorations.
+ *
+ * Usage example:
+ * const qualityManager = new QualityManager({ initialTier: 'medium' })
+ * qualityManager.addChangeCallback((tier) => applyQualityTier(tier))
+ * qualityManager.recordFrame(frameTime) // every rendered frame
+ */
+
+// Tiers from lowest to highest
+export const QUALITY_TIERS = [
+  {
+    name: 'low',
+    maxPixelRatio: 1,
+    shadows: false,
+    shadowMapSize: 512,
+    pointLightShadows: false,
+    particleDensity: 0.4, // Share of each soul type's particles that is drawn
+    decorationDensity: 0.5 // Share of the floating decorations that is shown
+  },
+  {
+    name: 'medium',
+    maxPixelRatio: 1.5,
+    shadows: true,
+    shadowMapSize: 1024,
+    pointLightShadows: false,
+    particleDensity: 0.7,
+    decorationDensity: 0.75
+  },
+  {
+    name: 'high',
+    maxPixelRatio: 2,
+    shadows: true,
+    shadowMapSize: 2048,
+    pointLightShadows: true,
+    particleDensity: 1,
+    decorationDensity: 1
+  }
+]
+
+export class QualityManager {
+  /**
+   * @param {Object} options - { initialTier, frameBudget (ms), sampleCount, cooldown (ms),
+   *   upgradeDelay (ms), headroom (share of the budget that counts as room to climb) }
+   */
+  constructor(options = {}) {
+    this.tiers = QUALITY_TIERS
+    this.tierIndex = this.getTierIndex(options.initialTier || 'high')
+    if (this.tierIndex === -1) {
+      this.tierIndex = this.tiers.length - 1
+    }
+
+    // Frame time budget (about 45 FPS) and the rolling window it is checked against
+    this.frameBudget = options.frameBudget || 22
+    this.sampleCount = options.sampleCount || 90
+    this.samples = new Float32Array(this.sampleCount)
+    this.sampleIndex = 0
+    this.sampleTotal = 0
+    this.filledSamples = 0
+
+    // Hysteresis: wait after every change, and climb only after a stretch with room to spare
+    this.cooldown = options.cooldown || 3000
+    this.upgradeDelay = options.upgradeDelay || 10000
+    this.headroom = options.headroom || 0.7
+    this.lastChangeTime = 0
+    this.headroomSince = null
+
+    this.isAdaptive = true
+    this.changeCallbacks = []
+  }
+
+  /**
+   * Record how long a rendered frame took and move between tiers if needed
+   * @param {number} frameTime - Time since the previous frame in milliseconds
+   * @param {number} now - Current time in milliseconds
+   */
+  recordFrame(frameTime, now = performance.now()) {
+    // Hitches this long are the tab coming back or a pause, not the scene being too heavy
+    if (!this.isAdaptive || !(frameTime > 0) || frameTime > 250) return
+
+    this.sampleTotal += frameTime - this.samples[this.sampleIndex]
+    this.samples[this.sampleIndex] = frameTime
+    this.sampleIndex = (this.sampleIndex + 1) % this.sampleCount
+    this.filledSamples = Math.min(this.filledSamples + 1, this.sampleCount)
+
+    if (this.filledSamples < this.sampleCount || now - this.lastChangeTime < this.cooldown) return
+
+    const averageFrameTime = this.getAverageFrameTime()
+
+    if (averageFrameTime > this.frameBudget) {
+      this.headroomSince = null
+      if (this.tierIndex > 0) {
+        console.log(`Frame time ${averageFrameTime.toFixed(1)}ms over budget, lowering quality`)
+        this.applyTier(this.tierIndex - 1, now)
+      }
+    } else if (averageFrameTime < this.frameBudget * this.headroom) {
+      if (this.headroomSince === null) {
+        this.headroomSince = now
+      } else if (now - this.headroomSince >= this.upgradeDelay && this.tierIndex < this.tiers.length - 1) {
+        console.log(`Frame time ${averageFrameTime.toFixed(1)}ms well under budget, raising quality`)
+        this.applyTier(this.tierIndex + 1, now)
+      }
+    } else {
+      this.headroomSince = null
+    }
+  }
+
+  /**
+   * Get the average frame time of the rolling window
+   * @returns {number} Average frame time in milliseconds (0 without samples)
+   */
+  getAverageFrameTime() {
+    return this.filledSamples > 0 ? this.sampleTotal / this.filledSamples : 0
+  }
+
+  /**
+   * Switch to a tier
+   * @param {string} name - Tier name
+   * @returns {boolean} True if the tier exists
+   */
+  setTier(name) {
+    const index = this.getTierIndex(name)
+    if (index === -1) {
+      console.warn(`Unknown quality tier: ${name}`)
+      return false
+    }
+
+    if (index !== this.tierIndex) {
+      this.applyTier(index, performance.now())
+    }
+    return true
+  }
+
+  /**
+   * Make a tier current, start a fresh window and notify listeners
+   * @param {number} index - Tier index
+   * @param {number} now - Current time in milliseconds
+   */
+  applyTier(index, now) {
+    this.tierIndex = index
+    this.lastChangeTime = now
+    this.headroomSince = null
+    this.resetSamples()
+    this.notifyChange()
+  }
+
+  /**
+   * Turn the governor on or off (off keeps the current tier)
+   * @param {boolean} enabled - Whether the tier follows the frame time
+   */
+  setAdaptive(enabled) {
+    this.isAdaptive = Boolean(enabled)
+    this.headroomSince = null
+    this.resetSamples()
+  }
+
+  /**
+   * Forget the recorded frame times
+   */
+  resetSamples() {
+    this.samples.fill(0)
+    this.sampleIndex = 0
+    this.sampleTotal = 0
+    this.filledSamples = 0
+  }
+
+  /**
+   * Get the index of a tier
+   * @param {string} name - Tier name
+   * @returns {number} Tier index, or -1 if there is no such tier
+   */
+  getTierIndex(name) {
+    return this.tiers.findIndex(tier => tier.name === name)
+  }
+
+  /**
+   * Get the current tier
+   * @returns {Object} Tier (see QUALITY_TIERS)
+   */
+  getTier() {
+    return this.tiers[this.tierIndex]
+  }
+
+  /**
+   * Get the name of the current tier
+   * @returns {string} Tier name
+   */
+  getTierName() {
+    return this.getTier().name
+  }
+
+  /**
+   * Add callback for tier changes
+   * @param {Function} callback - Called with (tier, tierName)
+   */
+  addChangeCallback(callback) {
+    if (typeof callback === 'function') {
+      this.changeCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove tier change callback
+   * @param {Function} callback - Callback to remove
+   */
+  removeChangeCallback(callback) {
+    const index = this.changeCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Notify listeners of the current tier
+   */
+  notifyChange() {
+    const tier = this.getTier()
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(tier, tier.name)
+      } catch (error) {
+        console.error('Error in quality change callback:', error)
+      }
+    })
+  }
+
+  /**
+   * Clean up callbacks
+   */
+  dispose() {
+    this.changeCallbacks = []
+  }
+}
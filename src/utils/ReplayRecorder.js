@@ -0,0 +1,259 @@
+/**
+ * ReplayRecorder records the per-tick input of a run so it can be replayed exactly
+ * Together with the run seed and the fixed simulation step, the input log
+ * reproduces the same soul spawns, movement and final score.
+ *
+ * Inputs are quantized and run-length encoded to keep replay files small:
+ * inputs: [[x, z, ticks], ...] where x/z are multiplied by INPUT_PRECISION
+ *
+ * Usage example:
+ * const recorder = new ReplayRecorder()
+ * recorder.startRecording(seed, { tickRate: 60 })
+ * const input = recorder.recordInput(liveInput) // use the returned (quantized) input
+ * const replay = recorder.stopRecording({ score: 12 })
+ * const json = ReplayRecorder.toJSON(replay)
+ *
+ * recorder.startPlayback(ReplayRecorder.fromJSON(json))
+ * const recordedInput = recorder.nextInput()
+ */
+
+// 2: souls stopped drawing random values for their body shape and particle sizes,
+// so the same seed spawns different souls than in version 1 input logs
+export const REPLAY_FORMAT_VERSION = 2
+const INPUT_PRECISION = 1000
+
+export class ReplayRecorder {
+  constructor() {
+    this.mode = 'idle' // 'idle', 'recording', 'playback'
+
+    // Recording state
+    this.seed = null
+    this.metadata = {}
+    this.inputs = []
+    this.tickCount = 0
+    this.lastReplay = null
+
+    // Playback state
+    this.playbackReplay = null
+    this.playbackIndex = 0
+    this.playbackRunTick = 0
+    this.playbackTick = 0
+  }
+
+  /**
+   * Start recording a new run
+   * @param {number} seed - Seed the run was started with
+   * @param {Object} metadata - Extra data stored with the replay (tick rate, config...)
+   */
+  startRecording(seed, metadata = {}) {
+    this.mode = 'recording'
+    this.seed = seed
+    this.metadata = { ...metadata }
+    this.inputs = []
+    this.tickCount = 0
+
+    console.log(`Replay recording started - Seed: ${seed}`)
+  }
+
+  /**
+   * Record the input of one simulation tick
+   * The simulation must use the returned input so live and replayed runs match exactly
+   * @param {Object} inputVector - Input vector {x, z}
+   * @returns {Object} Quantized input vector {x, z}
+   */
+  recordInput(inputVector) {
+    const x = ReplayRecorder.quantize(inputVector.x)
+    const z = ReplayRecorder.quantize(inputVector.z)
+
+    if (this.mode === 'recording') {
+      const last = this.inputs[this.inputs.length - 1]
+      if (last && last[0] === x && last[1] === z) {
+        last[2]++
+      } else {
+        this.inputs.push([x, z, 1])
+      }
+      this.tickCount++
+    }
+
+    return { x: x / INPUT_PRECISION, z: z / INPUT_PRECISION }
+  }
+
+  /**
+   * Stop recording and build the replay
+   * @param {Object} result - Final result of the run (score, stats)
+   * @returns {Object|null} Replay data or null if not recording
+   */
+  stopRecording(result = {}) {
+    if (this.mode !== 'recording') return null
+
+    this.mode = 'idle'
+    this.lastReplay = {
+      version: REPLAY_FORMAT_VERSION,
+      seed: this.seed,
+      ticks: this.tickCount,
+      recordedAt: new Date().toISOString(),
+      ...this.metadata,
+      result: { ...result },
+      inputs: this.inputs
+    }
+    this.inputs = []
+
+    console.log(`Replay recording stopped - ${this.lastReplay.ticks} ticks`)
+    return this.lastReplay
+  }
+
+  /**
+   * Start feeding back a recorded replay
+   * @param {Object} replay - Replay data (see fromJSON)
+   */
+  startPlayback(replay) {
+    if (!ReplayRecorder.isValidReplay(replay)) {
+      throw new Error('Invalid replay data')
+    }
+
+    this.mode = 'playback'
+    this.playbackReplay = replay
+    this.playbackIndex = 0
+    this.playbackRunTick = 0
+    this.playbackTick = 0
+
+    console.log(`Replay playback started - Seed: ${replay.seed}, ${replay.ticks} ticks`)
+  }
+
+  /**
+   * Get the recorded input for the next simulation tick
+   * Returns no movement once the recording has run out
+   * @returns {Object} Input vector {x, z}
+   */
+  nextInput() {
+    if (this.mode !== 'playback' || !this.playbackReplay) {
+      return { x: 0, z: 0 }
+    }
+
+    const inputs = this.playbackReplay.inputs
+
+    // Skip to the next run once the current one is used up
+    while (this.playbackIndex < inputs.length && this.playbackRunTick >= inputs[this.playbackIndex][2]) {
+      this.playbackIndex++
+      this.playbackRunTick = 0
+    }
+
+    if (this.playbackIndex >= inputs.length) {
+      return { x: 0, z: 0 }
+    }
+
+    const [x, z] = inputs[this.playbackIndex]
+    this.playbackRunTick++
+    this.playbackTick++
+
+    return { x: x / INPUT_PRECISION, z: z / INPUT_PRECISION }
+  }
+
+  /**
+   * Stop playback
+   * @returns {Object|null} The replay that was playing
+   */
+  stopPlayback() {
+    const replay = this.playbackReplay
+
+    if (this.mode === 'playback') {
+      this.mode = 'idle'
+      console.log(`Replay playback stopped after ${this.playbackTick} ticks`)
+    }
+
+    this.playbackReplay = null
+    return replay
+  }
+
+  /**
+   * Check if a run is being recorded
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.mode === 'recording'
+  }
+
+  /**
+   * Check if a replay is being played back
+   * @returns {boolean} True while playing back
+   */
+  isPlayingBack() {
+    return this.mode === 'playback'
+  }
+
+  /**
+   * Get the replay currently being played back
+   * @returns {Object|null} Replay data
+   */
+  getPlaybackReplay() {
+    return this.playbackReplay
+  }
+
+  /**
+   * Get the last completed recording
+   * @returns {Object|null} Replay data
+   */
+  getLastReplay() {
+    return this.lastReplay
+  }
+
+  /**
+   * Quantize an input axis so it survives the JSON round trip unchanged
+   * @param {number} value - Axis value (-1 to 1)
+   * @returns {number} Integer axis value scaled by INPUT_PRECISION
+   */
+  static quantize(value) {
+    const clamped = Math.max(-1, Math.min(1, Number(value) || 0))
+    return Math.round(clamped * INPUT_PRECISION)
+  }
+
+  /**
+   * Check that replay data has the expected shape
+   * @param {Object} replay - Replay data
+   * @returns {boolean} True if the replay can be played back
+   */
+  static isValidReplay(replay) {
+    if (!replay || typeof replay !== 'object') return false
+    if (replay.version !== REPLAY_FORMAT_VERSION) return false
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) return false
+    if (!Array.isArray(replay.inputs)) return false
+
+    return replay.inputs.every(run =>
+      Array.isArray(run) &&
+      run.length === 3 &&
+      Number.isInteger(run[0]) && Math.abs(run[0]) <= INPUT_PRECISION &&
+      Number.isInteger(run[1]) && Math.abs(run[1]) <= INPUT_PRECISION &&
+      Number.isInteger(run[2]) && run[2] > 0
+    )
+  }
+
+  /**
+   * Serialize a replay to JSON
+   * @param {Object} replay - Replay data
+   * @returns {string} JSON string
+   */
+  static toJSON(replay) {
+    return JSON.stringify(replay)
+  }
+
+  /**
+   * Parse and validate a replay from JSON
+   * @param {string|Object} json - JSON string or already parsed object
+   * @returns {Object} Replay data
+   */
+  static fromJSON(json) {
+    let replay
+
+    try {
+      replay = typeof json === 'string' ? JSON.parse(json) : json
+    } catch (error) {
+      throw new Error(`Replay is not valid JSON: ${error.message}`)
+    }
+
+    if (!ReplayRecorder.isValidReplay(replay)) {
+      throw new Error('Invalid replay data')
+    }
+
+    return replay
+  }
+}
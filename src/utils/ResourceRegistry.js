@@ -0,0 +1,162 @@
+/**
+ * ResourceRegistry - Keeps track of the GPU resources of the scene so they survive a WebGL context loss
+ * Geometries, materials and textures are registered as they are created (by the environment, the
+ * skulls, the souls and the asset loader); when the context comes back, restore() marks all of them
+ * for upload again so the scene reappears as it was, without a reload.
+ * Resources leave the registry on their own when they are disposed.
+ *
+ * Usage example:
+ * const resources = new ResourceRegistry()
+ * resources.trackObject(mesh)
+ * // ... after webglcontextrestored
+ * resources.restore()
+ */
+export class ResourceRegistry {
+  constructor() {
+    this.geometries = new Set()
+    this.materials = new Set()
+    this.textures = new Set()
+
+    // Disposed resources untrack themselves
+    this.boundDispose = (event) => this.untrack(event.target)
+  }
+
+  /**
+   * Track a geometry, material or texture (a material's textures are tracked with it)
+   * @param {THREE.BufferGeometry|THREE.Material|THREE.Texture} resource - Resource to track
+   * @returns {*} The resource
+   */
+  track(resource) {
+    if (!resource) return resource
+
+    const set = this.getSet(resource)
+    if (!set || set.has(resource)) return resource
+
+    set.add(resource)
+    resource.addEventListener('dispose', this.boundDispose)
+
+    if (resource.isMaterial) {
+      this.getMaterialTextures(resource).forEach(texture => this.track(texture))
+    }
+
+    return resource
+  }
+
+  /**
+   * Track the geometries and materials of an object and all its children
+   * @param {THREE.Object3D} object - Object to track
+   * @returns {THREE.Object3D} The object
+   */
+  trackObject(object) {
+    if (!object || typeof object.traverse !== 'function') return object
+
+    object.traverse((child) => {
+      if (child.geometry) {
+        this.track(child.geometry)
+      }
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material]
+        materials.forEach(material => this.track(material))
+      }
+    })
+
+    return object
+  }
+
+  /**
+   * Stop tracking a resource
+   * @param {THREE.BufferGeometry|THREE.Material|THREE.Texture} resource - Resource to untrack
+   */
+  untrack(resource) {
+    const set = resource ? this.getSet(resource) : null
+    if (!set || !set.has(resource)) return
+
+    set.delete(resource)
+    resource.removeEventListener('dispose', this.boundDispose)
+  }
+
+  /**
+   * Mark every tracked resource for upload to the GPU on the next render
+   * Call it once the renderer has a new WebGL context
+   * @returns {Object} Number of resources restored { geometries, materials, textures }
+   */
+  restore() {
+    for (const geometry of this.geometries) {
+      for (const attribute of Object.values(geometry.attributes)) {
+        attribute.needsUpdate = true
+      }
+      if (geometry.index) {
+        geometry.index.needsUpdate = true
+      }
+    }
+
+    // Shader programs are compiled again for the new context
+    for (const material of this.materials) {
+      material.needsUpdate = true
+    }
+
+    // Textures without image data yet are uploaded when their image arrives
+    for (const texture of this.textures) {
+      if (texture.image) {
+        texture.needsUpdate = true
+      }
+    }
+
+    return this.getStats()
+  }
+
+  /**
+   * Get the set a resource belongs in
+   * @param {*} resource - Resource
+   * @returns {Set|null} Its set, or null if it isn't a GPU resource
+   */
+  getSet(resource) {
+    if (resource.isBufferGeometry) return this.geometries
+    if (resource.isMaterial) return this.materials
+    if (resource.isTexture) return this.textures
+    return null
+  }
+
+  /**
+   * Get the textures a material uses (its maps and its shader uniforms)
+   * @param {THREE.Material} material - Material
+   * @returns {Array<THREE.Texture>} Textures
+   */
+  getMaterialTextures(material) {
+    const textures = Object.values(material).filter(value => value && value.isTexture)
+
+    if (material.uniforms) {
+      for (const uniform of Object.values(material.uniforms)) {
+        if (uniform && uniform.value && uniform.value.isTexture) {
+          textures.push(uniform.value)
+        }
+      }
+    }
+
+    return textures
+  }
+
+  /**
+   * Get the number of tracked resources
+   * @returns {Object} { geometries, materials, textures }
+   */
+  getStats() {
+    return {
+      geometries: this.geometries.size,
+      materials: this.materials.size,
+      textures: this.textures.size
+    }
+  }
+
+  /**
+   * Stop tracking every resource (the resources themselves are left alone)
+   */
+  clear() {
+    for (const set of [this.geometries, this.materials, this.textures]) {
+      for (const resource of set) {
+        resource.removeEventListener('dispose', this.boundDispose)
+      }
+      set.clear()
+    }
+  }
+}
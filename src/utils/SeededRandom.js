@@ -0,0 +1,100 @@
+/**
+ * SeededRandom provides a seedable pseudo-random number generator
+ * Uses the mulberry32 algorithm so the same seed always reproduces the same sequence
+ *
+ * Usage example:
+ * const random = new SeededRandom(12345)
+ * random.next() // 0.0 - 1.0
+ * random.range(-5, 5)
+ */
+export class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = 0
+    this.state = 0
+
+    this.setSeed(seed)
+  }
+
+  /**
+   * Generate a new random seed (the only non-deterministic source)
+   * @returns {number} 32-bit unsigned integer seed
+   */
+  static generateSeed() {
+    return (Math.floor(Math.random() * 0xffffffff) ^ Date.now()) >>> 0
+  }
+
+  /**
+   * Reset the generator to a new seed
+   * @param {number} seed - Seed value (converted to a 32-bit unsigned integer)
+   */
+  setSeed(seed) {
+    this.seed = Number(seed) >>> 0
+    this.state = this.seed
+  }
+
+  /**
+   * Get the seed the generator was last reset with
+   * @returns {number} Current seed
+   */
+  getSeed() {
+    return this.seed
+  }
+
+  /**
+   * Get the next random number
+   * @returns {number} Random number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Get a random float within a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} Random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min)
+  }
+
+  /**
+   * Get a random integer within a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (inclusive)
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return Math.floor(min + this.next() * (max - min + 1))
+  }
+
+  /**
+   * Pick a random element from an array
+   * @param {Array} array - Array to pick from
+   * @returns {*} Random element or undefined if the array is empty
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined
+    return array[Math.floor(this.next() * array.length)]
+  }
+
+  /**
+   * Get the internal state so a run can be resumed from the same point
+   * @returns {number} Internal generator state
+   */
+  getState() {
+    return this.state
+  }
+
+  /**
+   * Restore a previously saved internal state
+   * @param {number} state - Internal generator state
+   */
+  setState(state) {
+    this.state = Number(state) >>> 0
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * SessionEnvelope builds and verifies signed game session envelopes
+ * Shared by the client (signing before score submission) and the server (verification),
+ * so it only relies on Web Crypto, which is available in browsers and Node 20+.
+ *
+ * The signature is tamper-evident for transport only: the key a client signs with ships in
+ * its bundle, so anyone can read it and sign an edited session. It does not prove a score was
+ * earned; the server decides that by re-simulating the input log (see ScoreValidator requireReplay).
+ *
+ * Envelope format:
+ * {
+ *   version: 1,
+ *   payload: { sessionId, seed, gameVersion, duration, score, collections, deliveries, replay },
+ *   signature: 'hex HMAC-SHA256 of the canonical payload' | null
+ * }
+ *
+ * Usage example:
+ * const envelope = await SessionEnvelope.create(sessionData, signingKey)
+ * const isAuthentic = await SessionEnvelope.verify(envelope, signingKey)
+ */
+
+export const SESSION_ENVELOPE_VERSION = 1
+
+// Keep in sync with package.json so servers can reject outdated clients
+export const GAME_VERSION = '0.1.0'
+
+export class SessionEnvelope {
+  /**
+   * Create a signed envelope for a finished session
+   * Falls back to an unsigned envelope when Web Crypto is not available (e.g. insecure origins)
+   * @param {Object} payload - Session data from GameEngine.getSessionData()
+   * @param {string|null} signingKey - Shared HMAC key
+   * @returns {Promise<Object>} Session envelope
+   */
+  static async create(payload, signingKey = null) {
+    const envelope = {
+      version: SESSION_ENVELOPE_VERSION,
+      payload: payload,
+      signature: null
+    }
+
+    if (!signingKey) {
+      return envelope
+    }
+
+    if (!SessionEnvelope.isSigningSupported()) {
+      console.warn('Web Crypto not available, submitting unsigned session')
+      return envelope
+    }
+
+    envelope.signature = await SessionEnvelope.sign(payload, signingKey)
+    return envelope
+  }
+
+  /**
+   * Verify the envelope signature
+   * @param {Object} envelope - Session envelope
+   * @param {string} signingKey - Shared HMAC key
+   * @returns {Promise<boolean>} True if the signature matches the payload
+   */
+  static async verify(envelope, signingKey) {
+    if (!envelope || !envelope.payload || typeof envelope.signature !== 'string') {
+      return false
+    }
+
+    const expected = await SessionEnvelope.sign(envelope.payload, signingKey)
+
+    // Compare every character so timing doesn't reveal the matching prefix
+    if (expected.length !== envelope.signature.length) return false
+
+    let difference = 0
+    for (let i = 0; i < expected.length; i++) {
+      difference |= expected.charCodeAt(i) ^ envelope.signature.charCodeAt(i)
+    }
+
+    return difference === 0
+  }
+
+  /**
+   * Compute the HMAC-SHA256 signature of a payload
+   * @param {Object} payload - Payload to sign
+   * @param {string} signingKey - Shared HMAC key
+   * @returns {Promise<string>} Hex encoded signature
+   */
+  static async sign(payload, signingKey) {
+    const encoder = new TextEncoder()
+    const key = await globalThis.crypto.subtle.importKey(
+      'raw',
+      encoder.encode(signingKey),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    )
+
+    const signature = await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(SessionEnvelope.canonicalize(payload)))
+
+    return Array.from(new Uint8Array(signature))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+  }
+
+  /**
+   * Serialize a value to JSON with sorted object keys
+   * Client and server must produce the exact same string for the same payload
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON
+   */
+  static canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value === undefined ? null : value)
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => SessionEnvelope.canonicalize(item)).join(',')}]`
+    }
+
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+
+    return `{${keys.map(key => `${JSON.stringify(key)}:${SessionEnvelope.canonicalize(value[key])}`).join(',')}}`
+  }
+
+  /**
+   * Check if Web Crypto HMAC signing is available
+   * @returns {boolean} True if envelopes can be signed
+   */
+  static isSigningSupported() {
+    return Boolean(globalThis.crypto && globalThis.crypto.subtle)
+  }
+}
@@ -6,8 +6,19 @@ export class SoundManager {
   constructor() {
     this.audioContext = null
     this.masterGain = null
+    this.sfxGain = null
+    this.ambientGain = null
     this.isEnabled = true
     this.volume = 0.3 // Default volume (30%)
+    this.sfxVolume = 1.0 // Sound effects, relative to the master volume
+    this.ambientVolume = 0.5 // Ambient drone, relative to the master volume
+    
+    // Ambient drone playing under a run
+    this.ambience = null
+    this.isAmbienceRequested = false
+    
+    // Decoded audio files by name (an 'ambience' sample replaces the synthesized drone)
+    this.samples = new Map()
     
     this.init()
   }
@@ -25,6 +36,15 @@ export class SoundManager {
       this.masterGain.gain.setValueAtTime(this.volume, this.audioContext.currentTime)
       this.masterGain.connect(this.audioContext.destination)
       
+      // Sound effects and ambience mix into the master gain on their own buses
+      this.sfxGain = this.audioContext.createGain()
+      this.sfxGain.gain.setValueAtTime(this.sfxVolume, this.audioContext.currentTime)
+      this.sfxGain.connect(this.masterGain)
+      
+      this.ambientGain = this.audioContext.createGain()
+      this.ambientGain.gain.setValueAtTime(this.ambientVolume, this.audioContext.currentTime)
+      this.ambientGain.connect(this.masterGain)
+      
       console.log('SoundManager initialized successfully')
     } catch (error) {
       console.warn('Web Audio API not supported:', error)
@@ -76,7 +96,7 @@ export class SoundManager {
     
     // Connect nodes
     oscillator.connect(gainNode)
-    gainNode.connect(this.masterGain)
+    gainNode.connect(this.sfxGain)
     
     // Configure the sound - magical chime effect
     oscillator.type = 'sine'
@@ -98,7 +118,7 @@ export class SoundManager {
     const harmonicGain = this.audioContext.createGain()
     
     harmonic.connect(harmonicGain)
-    harmonicGain.connect(this.masterGain)
+    harmonicGain.connect(this.sfxGain)
     
     harmonic.type = 'triangle'
     harmonic.frequency.setValueAtTime(1046.5, now) // C6
@@ -112,6 +132,212 @@ export class SoundManager {
     harmonic.stop(now + 0.3)
   }
 
+  /**
+   * Play soul delivery sound effect (souls reaching the altar)
+   * @param {number} soulCount - Number of souls delivered (more souls, longer chord)
+   */
+  async playSoulDelivered(soulCount = 1) {
+    if (!this.isEnabled || !this.audioContext) return
+    
+    await this.resumeAudioContext()
+    
+    const now = this.audioContext.currentTime
+    
+    // Rising major chord, one note per delivered soul (capped)
+    const notes = [392.00, 493.88, 587.33, 783.99, 987.77, 1174.66] // G4, B4, D5, G5, B5, D6
+    const noteCount = Math.min(notes.length, Math.max(2, soulCount))
+    
+    for (let i = 0; i < noteCount; i++) {
+      const oscillator = this.audioContext.createOscillator()
+      const gainNode = this.audioContext.createGain()
+      
+      oscillator.connect(gainNode)
+      gainNode.connect(this.sfxGain)
+      
+      oscillator.type = 'sine'
+      oscillator.frequency.setValueAtTime(notes[i], now)
+      
+      const startTime = now + i * 0.06
+      const duration = 0.5
+      
+      gainNode.gain.setValueAtTime(0, startTime)
+      gainNode.gain.linearRampToValueAtTime(0.25, startTime + 0.02)
+      gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration)
+      
+      oscillator.start(startTime)
+      oscillator.stop(startTime + duration)
+    }
+  }
+
+  /**
+   * Play combo chime (pitch rises with the combo)
+   * @param {number} combo - Collections in the current combo
+   * @param {boolean} isStepUp - True when this hit raised the multiplier (adds a fifth above)
+   */
+  async playComboChime(combo = 2, isStepUp = false) {
+    if (!this.isEnabled || !this.audioContext) return
+    
+    await this.resumeAudioContext()
+    
+    const now = this.audioContext.currentTime
+    
+    // One semitone per hit from C6, capped at two octaves up
+    const semitones = Math.min(Math.max(0, combo - 2), 24)
+    const frequency = 1046.5 * Math.pow(2, semitones / 12)
+    const pitches = isStepUp ? [frequency, frequency * 1.5] : [frequency]
+    
+    pitches.forEach((pitch, index) => {
+      const oscillator = this.audioContext.createOscillator()
+      const gainNode = this.audioContext.createGain()
+      
+      oscillator.connect(gainNode)
+      gainNode.connect(this.sfxGain)
+      
+      oscillator.type = 'triangle'
+      oscillator.frequency.setValueAtTime(pitch, now)
+      
+      const startTime = now + 0.05 + index * 0.05 // Right after the collection chime
+      const duration = 0.25
+      
+      gainNode.gain.setValueAtTime(0, startTime)
+      gainNode.gain.linearRampToValueAtTime(0.15, startTime + 0.01)
+      gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration)
+      
+      oscillator.start(startTime)
+      oscillator.stop(startTime + duration)
+    })
+  }
+
+  /**
+   * Play power-up pickup sound effect (quick rising arpeggio)
+   * @param {string} type - Power-up type (pan de muerto gets a lower, warmer arpeggio)
+   */
+  async playPowerUp(type = 'magnet') {
+    if (!this.isEnabled || !this.audioContext) return
+    
+    await this.resumeAudioContext()
+    
+    const now = this.audioContext.currentTime
+    const root = type === 'pan-de-muerto' ? 349.23 : 523.25 // F4 or C5
+    const intervals = [1, 1.25, 1.5, 2] // Major arpeggio up to the octave
+    
+    intervals.forEach((interval, index) => {
+      const oscillator = this.audioContext.createOscillator()
+      const gainNode = this.audioContext.createGain()
+      
+      oscillator.connect(gainNode)
+      gainNode.connect(this.sfxGain)
+      
+      oscillator.type = 'square'
+      oscillator.frequency.setValueAtTime(root * interval, now)
+      
+      const startTime = now + index * 0.05
+      const duration = 0.15
+      
+      gainNode.gain.setValueAtTime(0, startTime)
+      gainNode.gain.linearRampToValueAtTime(0.12, startTime + 0.01)
+      gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration)
+      
+      oscillator.start(startTime)
+      oscillator.stop(startTime + duration)
+    })
+  }
+
+  /**
+   * Play power-up expired sound effect (short falling blip)
+   */
+  async playPowerUpExpired() {
+    if (!this.isEnabled || !this.audioContext) return
+    
+    await this.resumeAudioContext()
+    
+    const oscillator = this.audioContext.createOscillator()
+    const gainNode = this.audioContext.createGain()
+    
+    oscillator.connect(gainNode)
+    gainNode.connect(this.sfxGain)
+    
+    oscillator.type = 'triangle'
+    oscillator.frequency.setValueAtTime(660, this.audioContext.currentTime)
+    oscillator.frequency.exponentialRampToValueAtTime(330, this.audioContext.currentTime + 0.2)
+    
+    gainNode.gain.setValueAtTime(0.15, this.audioContext.currentTime)
+    gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.25)
+    
+    oscillator.start(this.audioContext.currentTime)
+    oscillator.stop(this.audioContext.currentTime + 0.25)
+  }
+
+  /**
+   * Play hazard hit sound effect (an alebrije took some time)
+   */
+  async playHazardHit() {
+    if (!this.isEnabled || !this.audioContext) return
+    
+    await this.resumeAudioContext()
+    
+    const oscillator = this.audioContext.createOscillator()
+    const gainNode = this.audioContext.createGain()
+    
+    oscillator.connect(gainNode)
+    gainNode.connect(this.sfxGain)
+    
+    // Harsh descending sweep
+    oscillator.type = 'sawtooth'
+    oscillator.frequency.setValueAtTime(440, this.audioContext.currentTime)
+    oscillator.frequency.exponentialRampToValueAtTime(110, this.audioContext.currentTime + 0.4)
+    
+    gainNode.gain.setValueAtTime(0, this.audioContext.currentTime)
+    gainNode.gain.linearRampToValueAtTime(0.25, this.audioContext.currentTime + 0.02)
+    gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.45)
+    
+    oscillator.start(this.audioContext.currentTime)
+    oscillator.stop(this.audioContext.currentTime + 0.45)
+  }
+
+  /**
+   * Play wind gust sound effect (filtered noise swelling and fading)
+   */
+  async playWindGust() {
+    if (!this.isEnabled || !this.audioContext) return
+    
+    await this.resumeAudioContext()
+    
+    const now = this.audioContext.currentTime
+    const duration = 1.2
+    
+    // Short buffer of white noise
+    const bufferSize = Math.floor(this.audioContext.sampleRate * duration)
+    const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate)
+    const data = buffer.getChannelData(0)
+    for (let i = 0; i < bufferSize; i++) {
+      data[i] = Math.random() * 2 - 1
+    }
+    
+    const noise = this.audioContext.createBufferSource()
+    noise.buffer = buffer
+    
+    // Sweep a band-pass filter for the whoosh
+    const filter = this.audioContext.createBiquadFilter()
+    filter.type = 'bandpass'
+    filter.Q.setValueAtTime(1.5, now)
+    filter.frequency.setValueAtTime(300, now)
+    filter.frequency.exponentialRampToValueAtTime(1200, now + duration * 0.5)
+    filter.frequency.exponentialRampToValueAtTime(400, now + duration)
+    
+    const gainNode = this.audioContext.createGain()
+    gainNode.gain.setValueAtTime(0, now)
+    gainNode.gain.linearRampToValueAtTime(0.2, now + duration * 0.4)
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration)
+    
+    noise.connect(filter)
+    filter.connect(gainNode)
+    gainNode.connect(this.sfxGain)
+    
+    noise.start(now)
+    noise.stop(now + duration)
+  }
+
   /**
    * Play game start sound effect
    */
@@ -130,7 +356,7 @@ export class SoundManager {
       const gainNode = this.audioContext.createGain()
       
       oscillator.connect(gainNode)
-      gainNode.connect(this.masterGain)
+      gainNode.connect(this.sfxGain)
       
       oscillator.type = 'square'
       oscillator.frequency.setValueAtTime(frequency, now)
@@ -162,7 +388,7 @@ export class SoundManager {
     const gainNode = this.audioContext.createGain()
     
     oscillator.connect(gainNode)
-    gainNode.connect(this.masterGain)
+    gainNode.connect(this.sfxGain)
     
     oscillator.type = 'sawtooth'
     oscillator.frequency.setValueAtTime(523.25, now) // C5
@@ -193,7 +419,7 @@ export class SoundManager {
     const gainNode = this.audioContext.createGain()
     
     oscillator.connect(gainNode)
-    gainNode.connect(this.masterGain)
+    gainNode.connect(this.sfxGain)
     
     oscillator.type = 'square'
     oscillator.frequency.setValueAtTime(800, now)
@@ -221,7 +447,7 @@ export class SoundManager {
     const gainNode = this.audioContext.createGain()
     
     oscillator.connect(gainNode)
-    gainNode.connect(this.masterGain)
+    gainNode.connect(this.sfxGain)
     
     oscillator.type = 'square'
     oscillator.frequency.setValueAtTime(1000, now)
@@ -253,7 +479,7 @@ export class SoundManager {
     
     oscillator.connect(filter)
     filter.connect(gainNode)
-    gainNode.connect(this.masterGain)
+    gainNode.connect(this.ambientGain)
     
     oscillator.type = 'sine'
     oscillator.frequency.setValueAtTime(65.41, now) // C2
@@ -270,6 +496,108 @@ export class SoundManager {
     return { oscillator, gainNode }
   }
 
+  /**
+   * Play a decoded ambience sample in a loop
+   * @param {AudioBuffer} buffer - Decoded ambience
+   */
+  async playAmbientSample(buffer) {
+    if (!this.isEnabled || !this.audioContext) return
+    
+    await this.resumeAudioContext()
+    
+    const now = this.audioContext.currentTime
+    
+    const source = this.audioContext.createBufferSource()
+    const gainNode = this.audioContext.createGain()
+    
+    source.buffer = buffer
+    source.loop = true
+    source.connect(gainNode)
+    gainNode.connect(this.ambientGain)
+    
+    gainNode.gain.setValueAtTime(0, now)
+    gainNode.gain.linearRampToValueAtTime(0.4, now + 2.0)
+    
+    source.start(now)
+    
+    // Return the nodes so they can be stopped later
+    return { source, gainNode }
+  }
+
+  /**
+   * Start the ambient drone (it keeps playing until stopAmbience)
+   * Uses the 'ambience' sample when one has been added, the synthesized drone otherwise
+   */
+  async startAmbience() {
+    if (this.isAmbienceRequested) return
+    this.isAmbienceRequested = true
+    
+    const sample = this.samples.get('ambience')
+    const nodes = sample ? await this.playAmbientSample(sample) : await this.playAmbientTone()
+    if (!nodes) return
+    
+    const ambience = { source: nodes.source || nodes.oscillator, gainNode: nodes.gainNode }
+    
+    // The drone may have been stopped while the audio context was resuming
+    if (!this.isAmbienceRequested || this.ambience) {
+      ambience.source.stop()
+      return
+    }
+    
+    this.ambience = ambience
+  }
+
+  /**
+   * Fade out and stop the ambient drone
+   */
+  stopAmbience() {
+    this.isAmbienceRequested = false
+    
+    if (!this.ambience) return
+    
+    const { source, gainNode } = this.ambience
+    this.ambience = null
+    
+    if (this.audioContext) {
+      const now = this.audioContext.currentTime
+      gainNode.gain.cancelScheduledValues(now)
+      gainNode.gain.setValueAtTime(gainNode.gain.value, now)
+      gainNode.gain.linearRampToValueAtTime(0, now + 0.5)
+      source.stop(now + 0.5)
+    }
+  }
+
+  /**
+   * Decode an audio file and keep it as a sample
+   * @param {string} name - Sample name
+   * @param {ArrayBuffer} data - Encoded audio (a copy is decoded, so the caller's buffer stays usable)
+   * @returns {Promise<boolean>} True if the sample was decoded
+   */
+  async addSample(name, data) {
+    if (!this.audioContext || !data) return false
+    
+    try {
+      const buffer = await this.audioContext.decodeAudioData(data.slice(0))
+      this.samples.set(name, buffer)
+      return true
+    } catch (error) {
+      console.warn(`Failed to decode sound sample ${name}, keeping the procedural sound:`, error)
+      return false
+    }
+  }
+
+  /**
+   * Play or stop the ambient drone
+   * @param {boolean} playing - Whether the drone should play
+   */
+  setAmbiencePlaying(playing) {
+    if (playing) {
+      this.startAmbience()
+    } else {
+      this.stopAmbience()
+    }
+  }
+
   /**
    * Set master volume
    * @param {number} volume - Volume level (0.0 to 1.0)
@@ -282,6 +610,30 @@ export class SoundManager {
     }
   }
 
+  /**
+   * Set sound effects volume (relative to the master volume)
+   * @param {number} volume - Volume level (0.0 to 1.0)
+   */
+  setSfxVolume(volume) {
+    this.sfxVolume = Math.max(0, Math.min(1, volume))
+    
+    if (this.sfxGain && this.audioContext) {
+      this.sfxGain.gain.setValueAtTime(this.sfxVolume, this.audioContext.currentTime)
+    }
+  }
+
+  /**
+   * Set ambient drone volume (relative to the master volume)
+   * @param {number} volume - Volume level (0.0 to 1.0)
+   */
+  setAmbientVolume(volume) {
+    this.ambientVolume = Math.max(0, Math.min(1, volume))
+    
+    if (this.ambientGain && this.audioContext) {
+      this.ambientGain.gain.setValueAtTime(this.ambientVolume, this.audioContext.currentTime)
+    }
+  }
+
   /**
    * Enable or disable sound effects
    * @param {boolean} enabled - Whether sounds should be enabled
@@ -298,6 +650,22 @@ export class SoundManager {
     return this.volume
   }
 
+  /**
+   * Get sound effects volume level
+   * @returns {number} Current volume (0.0 to 1.0)
+   */
+  getSfxVolume() {
+    return this.sfxVolume
+  }
+
+  /**
+   * Get ambient drone volume level
+   * @returns {number} Current volume (0.0 to 1.0)
+   */
+  getAmbientVolume() {
+    return this.ambientVolume
+  }
+
   /**
    * Check if sound is enabled
    * @returns {boolean} True if sound is enabled
@@ -310,12 +678,17 @@ export class SoundManager {
    * Clean up audio resources
    */
   dispose() {
+    this.stopAmbience()
+    this.samples.clear()
+    
     if (this.audioContext) {
       this.audioContext.close()
       this.audioContext = null
     }
     
     this.masterGain = null
+    this.sfxGain = null
+    this.ambientGain = null
     console.log('SoundManager disposed')
   }
 }
\ No newline at end of file
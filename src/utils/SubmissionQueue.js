@@ -0,0 +1,332 @@
+import { BrowserStorage } from './BrowserStorage.js'
+
+/**
+ * SubmissionQueue - Durable queue of score submissions that could not be sent
+ * Pending scores are saved in localStorage and retried with exponential backoff
+ * when the browser comes back online, and again on the next launch.
+ * Entries are deduplicated by their client-generated submission ID; an entry that keeps
+ * failing is dropped after maxAttempts tries so it can't block the queue forever.
+ *
+ * Usage example:
+ * const queue = new SubmissionQueue(new RemoteLeaderboardStore(apiService))
+ * queue.addChangeCallback(pending => console.log(`${pending.length} pending`))
+ * queue.start()
+ * queue.enqueue({ id: 'submission-id', name: 'Ana', score: 12, session })
+ */
+export class SubmissionQueue {
+  /**
+   * @param {LeaderboardStore} store - Store the queued scores are submitted to
+   * @param {Object} options - { storageKey, baseDelay, maxDelay, maxAttempts, storage }
+   */
+  constructor(store, options = {}) {
+    this.store = store
+    this.storageKey = options.storageKey || 'atrapa-almas-pending-scores'
+    this.storage = options.storage !== undefined ? options.storage : BrowserStorage.getLocalStorage()
+
+    // Retry backoff
+    this.baseDelay = options.baseDelay || 5000 // ms
+    this.maxDelay = options.maxDelay || 5 * 60 * 1000 // ms
+    this.backoffMultiplier = 2
+    this.maxAttempts = options.maxAttempts || 10
+
+    this.entries = []
+    this.isFlushing = false
+    this.retryTimer = null
+    this.unavailableRetries = 0 // Flushes put off in a row because the store was unavailable
+    this.changeCallbacks = []
+
+    // Bind methods to preserve context
+    this.handleOnline = this.handleOnline.bind(this)
+
+    this.load()
+  }
+
+  /**
+   * Start listening for connectivity and retry anything left from a previous launch
+   */
+  start() {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline)
+    }
+
+    if (this.entries.length > 0) {
+      console.log(`${this.entries.length} pending score(s) from a previous session`)
+      this.flush()
+    }
+  }
+
+  /**
+   * Stop listening and cancel scheduled retries
+   */
+  stop() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline)
+    }
+
+    this.clearRetryTimer()
+  }
+
+  /**
+   * Retry immediately when the connection comes back
+   */
+  handleOnline() {
+    console.log('Connection restored, syncing pending scores')
+
+    // Waiting for the backoff makes no sense once we know the network is back
+    this.entries.forEach(entry => {
+      entry.nextAttemptAt = 0
+    })
+
+    this.flush()
+  }
+
+  /**
+   * Add a submission to the queue (ignored if its ID is already queued)
+   * @param {Object} entry - Score entry { id, name, score, category, session }
+   * @returns {boolean} True if the entry was added
+   */
+  enqueue(entry) {
+    if (!entry || !entry.id) {
+      console.warn('Cannot queue a score without a submission ID')
+      return false
+    }
+
+    if (this.has(entry.id)) {
+      return false
+    }
+
+    this.entries.push({
+      id: entry.id,
+      name: entry.name,
+      score: entry.score,
+      category: entry.category || null,
+      session: entry.session || null,
+      createdAt: entry.createdAt || new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: Date.now() + this.baseDelay,
+      lastError: null
+    })
+
+    console.log(`Score ${entry.score} for ${entry.name} queued for sync`)
+    this.save()
+    this.notifyChange()
+    this.scheduleRetry()
+    return true
+  }
+
+  /**
+   * Remove a submission (e.g. after it was sent by other means)
+   * @param {string} id - Submission ID
+   */
+  remove(id) {
+    const previousLength = this.entries.length
+    this.entries = this.entries.filter(entry => entry.id !== id)
+
+    if (this.entries.length !== previousLength) {
+      this.save()
+      this.notifyChange()
+    }
+  }
+
+  /**
+   * Check if a submission is queued
+   * @param {string} id - Submission ID
+   * @returns {boolean} True if queued
+   */
+  has(id) {
+    return this.entries.some(entry => entry.id === id)
+  }
+
+  /**
+   * Try to submit every entry whose backoff has elapsed
+   * @returns {Promise<number>} Number of confirmed submissions
+   */
+  async flush() {
+    if (this.isFlushing || this.entries.length === 0) return 0
+
+    if (!this.store.isAvailable()) {
+      // The online event retries right away if it fires, but it never does when the store is
+      // unavailable for another reason (slow connection, API marked down), so back off and check again
+      const nextAttemptAt = Date.now() + this.getBackoffDelay(this.unavailableRetries++)
+      this.entries.forEach(entry => {
+        entry.nextAttemptAt = Math.max(entry.nextAttemptAt, nextAttemptAt)
+      })
+      this.scheduleRetry()
+      return 0
+    }
+
+    this.unavailableRetries = 0
+
+    this.isFlushing = true
+    this.clearRetryTimer()
+
+    let confirmed = 0
+    const now = Date.now()
+    const dueEntries = this.entries.filter(entry => entry.nextAttemptAt <= now)
+
+    for (const entry of dueEntries) {
+      try {
+        await this.store.submitScore(entry)
+        this.entries = this.entries.filter(queued => queued.id !== entry.id)
+        confirmed++
+        console.log(`Pending score ${entry.score} for ${entry.name} synced`)
+      } catch (error) {
+        if (error.retryable === false) {
+          // The server refused it (e.g. failed verification); retrying won't help
+          console.warn(`Pending score ${entry.score} for ${entry.name} was rejected:`, error.message)
+          this.entries = this.entries.filter(queued => queued.id !== entry.id)
+        } else if (entry.attempts + 1 >= this.maxAttempts) {
+          console.warn(`Pending score ${entry.score} for ${entry.name} dropped after ${this.maxAttempts} failed attempts:`, error.message)
+          this.entries = this.entries.filter(queued => queued.id !== entry.id)
+        } else {
+          entry.attempts++
+          entry.lastError = error.message
+          entry.nextAttemptAt = Date.now() + this.getBackoffDelay(entry.attempts)
+        }
+      }
+    }
+
+    this.isFlushing = false
+    this.save()
+    this.notifyChange()
+    this.scheduleRetry()
+
+    return confirmed
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in ms
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseDelay * Math.pow(this.backoffMultiplier, attempts), this.maxDelay)
+  }
+
+  /**
+   * Schedule a flush for the earliest pending retry
+   */
+  scheduleRetry() {
+    this.clearRetryTimer()
+
+    if (this.entries.length === 0) return
+
+    const nextAttemptAt = Math.min(...this.entries.map(entry => entry.nextAttemptAt))
+    const delay = Math.max(0, nextAttemptAt - Date.now())
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null
+      this.flush()
+    }, delay)
+  }
+
+  /**
+   * Cancel the scheduled retry
+   */
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer)
+      this.retryTimer = null
+    }
+  }
+
+  /**
+   * Get the scores waiting to be synced
+   * @returns {Array} Pending entries { id, name, score, category, createdAt, attempts }
+   */
+  getPendingEntries() {
+    return this.entries.map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      score: entry.score,
+      category: entry.category || null,
+      createdAt: entry.createdAt,
+      attempts: entry.attempts,
+      pending: true
+    }))
+  }
+
+  /**
+   * Get the number of pending scores
+   * @returns {number} Pending count
+   */
+  getPendingCount() {
+    return this.entries.length
+  }
+
+  /**
+   * Load the queue from storage
+   */
+  load() {
+    if (!this.storage) return
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]')
+      this.entries = Array.isArray(stored) ? stored.filter(entry => entry && entry.id) : []
+    } catch (error) {
+      console.warn('Failed to load pending scores:', error)
+      this.entries = []
+    }
+  }
+
+  /**
+   * Save the queue to storage
+   */
+  save() {
+    if (!this.storage) return
+
+    try {
+      if (this.entries.length > 0) {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.entries))
+      } else {
+        this.storage.removeItem(this.storageKey)
+      }
+    } catch (error) {
+      console.warn('Failed to save pending scores:', error)
+    }
+  }
+
+  /**
+   * Add a callback for queue changes
+   * @param {Function} callback - Receives the pending entries
+   */
+  addChangeCallback(callback) {
+    if (typeof callback === 'function') {
+      this.changeCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove a queue change callback
+   * @param {Function} callback - Callback to remove
+   */
+  removeChangeCallback(callback) {
+    const index = this.changeCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Notify listeners that the queue changed
+   */
+  notifyChange() {
+    const pending = this.getPendingEntries()
+
+    for (const callback of this.changeCallbacks) {
+      try {
+        callback(pending)
+      } catch (error) {
+        console.error('Error in submission queue callback:', error)
+      }
+    }
+  }
+
+  /**
+   * Clean up listeners and timers
+   */
+  dispose() {
+    this.stop()
+    this.changeCallbacks = []
+  }
+}
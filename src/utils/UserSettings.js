@@ -0,0 +1,259 @@
+import { BrowserStorage } from './BrowserStorage.js'
+
+/**
+ * UserSettings - Player preferences: audio, touch controls, graphics, motion and language
+ * Values are checked against SETTING_DEFINITIONS (numbers are clamped, choices must be one of
+ * the options), saved in localStorage with a format version and restored on the next launch.
+ * main.js applies them live to the sound, input and render systems through the change callbacks.
+ *
+ * Usage example:
+ * const settings = new UserSettings()
+ * settings.addChangeCallback((values, changed) => soundManager.setVolume(values.masterVolume))
+ * settings.set('masterVolume', 0.5)
+ * settings.get('quality') // 'auto'
+ */
+
+// Bump when the saved format changes, and teach migrate() to read the previous one
+export const SETTINGS_VERSION = 1
+
+// Every setting with its default and the values it accepts
+export const SETTING_DEFINITIONS = {
+  masterVolume: { type: 'number', default: 0.3, min: 0, max: 1 },
+  sfxVolume: { type: 'number', default: 1, min: 0, max: 1 },
+  ambientVolume: { type: 'number', default: 0.5, min: 0, max: 1 },
+  touchSensitivity: { type: 'number', default: 1, min: 0.5, max: 2 }, // Multiplier of the default joystick response
+  joystickSide: { type: 'choice', default: 'left', options: ['left', 'right'] },
+  quality: { type: 'choice', default: 'auto', options: ['auto', 'low', 'medium', 'high'] }, // 'auto' or a fixed tier of QualityManager
+  reducedMotion: { type: 'boolean', default: false }, // Defaults to the system preference
+  language: { type: 'choice', default: 'es', options: ['es', 'en'] }
+}
+
+export class UserSettings {
+  /**
+   * @param {Object} options - { storageKey, storage }
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'atrapa-almas-settings'
+    this.storage = options.storage !== undefined ? options.storage : BrowserStorage.getLocalStorage()
+
+    this.values = UserSettings.getDefaults()
+    this.changeCallbacks = []
+
+    this.load()
+  }
+
+  /**
+   * Check if the system asks for reduced motion
+   * @returns {boolean} True if prefers-reduced-motion is set
+   */
+  static prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  }
+
+  /**
+   * Get the default value of every setting
+   * @returns {Object} Default values
+   */
+  static getDefaults() {
+    const defaults = {}
+
+    for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+      defaults[key] = definition.default
+    }
+
+    defaults.reducedMotion = UserSettings.prefersReducedMotion()
+    return defaults
+  }
+
+  /**
+   * Check a value against a setting's definition
+   * @param {string} key - Setting name
+   * @param {*} value - Value to check
+   * @returns {*} The accepted value (numbers clamped), or undefined if it isn't valid
+   */
+  static normalize(key, value) {
+    const definition = SETTING_DEFINITIONS[key]
+    if (!definition) return undefined
+
+    switch (definition.type) {
+      case 'number': {
+        const number = Number(value)
+        return Number.isFinite(number) ? Math.max(definition.min, Math.min(definition.max, number)) : undefined
+      }
+      case 'boolean':
+        return typeof value === 'boolean' ? value : undefined
+      case 'choice':
+        return definition.options.includes(value) ? value : undefined
+      default:
+        return undefined
+    }
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting name
+   * @returns {*} Current value
+   */
+  get(key) {
+    return this.values[key]
+  }
+
+  /**
+   * Get every setting
+   * @returns {Object} Copy of the current values
+   */
+  getAll() {
+    return { ...this.values }
+  }
+
+  /**
+   * Change a setting
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   * @returns {boolean} True if the value was accepted
+   */
+  set(key, value) {
+    return this.update({ [key]: value })
+  }
+
+  /**
+   * Change several settings at once (listeners are notified once)
+   * @param {Object} values - Setting names and values; invalid ones are ignored
+   * @returns {boolean} True if every value was accepted
+   */
+  update(values) {
+    const changed = []
+    let accepted = true
+
+    for (const [key, value] of Object.entries(values)) {
+      const normalized = UserSettings.normalize(key, value)
+
+      if (normalized === undefined) {
+        console.warn(`Ignoring invalid setting ${key}:`, value)
+        accepted = false
+        continue
+      }
+
+      if (this.values[key] !== normalized) {
+        this.values[key] = normalized
+        changed.push(key)
+      }
+    }
+
+    if (changed.length > 0) {
+      this.save()
+      this.notifyChange(changed)
+    }
+
+    return accepted
+  }
+
+  /**
+   * Restore the default settings
+   */
+  resetToDefaults() {
+    const defaults = UserSettings.getDefaults()
+    const changed = Object.keys(defaults).filter(key => this.values[key] !== defaults[key])
+
+    this.values = defaults
+    this.save()
+
+    if (changed.length > 0) {
+      this.notifyChange(changed)
+    }
+  }
+
+  /**
+   * Read saved settings of any known version as current values
+   * @param {Object} stored - Parsed storage entry { version, values }
+   * @returns {Object|null} Values, or null if the entry can't be read
+   */
+  migrate(stored) {
+    if (!stored || typeof stored !== 'object' || !stored.values || typeof stored.values !== 'object') {
+      return null
+    }
+
+    // Settings saved by a newer build can't be trusted to mean the same thing
+    if (stored.version !== SETTINGS_VERSION) {
+      console.warn(`Ignoring settings saved with unknown version ${stored.version}`)
+      return null
+    }
+
+    return stored.values
+  }
+
+  /**
+   * Load saved settings (unknown and invalid values keep their defaults)
+   */
+  load() {
+    if (!this.storage) return
+
+    try {
+      const values = this.migrate(JSON.parse(this.storage.getItem(this.storageKey) || 'null'))
+      if (!values) return
+
+      for (const [key, value] of Object.entries(values)) {
+        const normalized = UserSettings.normalize(key, value)
+        if (normalized !== undefined) {
+          this.values[key] = normalized
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load settings:', error)
+    }
+  }
+
+  /**
+   * Save the settings to storage
+   */
+  save() {
+    if (!this.storage) return
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({
+        version: SETTINGS_VERSION,
+        values: this.values
+      }))
+    } catch (error) {
+      console.warn('Failed to save settings:', error)
+    }
+  }
+
+  /**
+   * Add a callback for setting changes
+   * @param {Function} callback - Receives (values, changedKeys)
+   */
+  addChangeCallback(callback) {
+    if (typeof callback === 'function') {
+      this.changeCallbacks.push(callback)
+    }
+  }
+
+  /**
+   * Remove a setting change callback
+   * @param {Function} callback - Callback to remove
+   */
+  removeChangeCallback(callback) {
+    const index = this.changeCallbacks.indexOf(callback)
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1)
+    }
+  }
+
+  /**
+   * Notify listeners that settings changed
+   * @param {Array<string>} changed - Names of the settings that changed
+   */
+  notifyChange(changed) {
+    const values = this.getAll()
+
+    for (const callback of this.changeCallbacks) {
+      try {
+        callback(values, changed)
+      } catch (error) {
+        console.error('Error in settings callback:', error)
+      }
+    }
+  }
+}
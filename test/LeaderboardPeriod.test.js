@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { LeaderboardPeriod } from '../src/utils/LeaderboardPeriod.js'
+
+const HOUR = 60 * 60 * 1000
+
+/**
+ * Get the period start and next reset of a date as ISO strings
+ * @param {string} period - Period name
+ * @param {string} date - ISO date
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array<string>} [start, nextReset]
+ */
+function boundaries(period, date, timeZone) {
+  return [
+    LeaderboardPeriod.getPeriodStart(period, new Date(date), timeZone).toISOString(),
+    LeaderboardPeriod.getNextReset(period, new Date(date), timeZone).toISOString()
+  ]
+}
+
+test('a day that springs forward lasts 23 hours', () => {
+  // Madrid moves from UTC+1 to UTC+2 at 02:00 on 2025-03-30
+  const [start, nextReset] = boundaries('daily', '2025-03-30T12:00:00Z', 'Europe/Madrid')
+
+  assert.equal(start, '2025-03-29T23:00:00.000Z')
+  assert.equal(nextReset, '2025-03-30T22:00:00.000Z')
+  assert.equal(new Date(nextReset) - new Date(start), 23 * HOUR)
+})
+
+test('a day that falls back lasts 25 hours', () => {
+  // New York moves from UTC-4 to UTC-5 at 02:00 on 2025-11-02
+  const [start, nextReset] = boundaries('daily', '2025-11-02T12:00:00Z', 'America/New_York')
+
+  assert.equal(start, '2025-11-02T04:00:00.000Z')
+  assert.equal(nextReset, '2025-11-03T05:00:00.000Z')
+  assert.equal(new Date(nextReset) - new Date(start), 25 * HOUR)
+})
+
+test('a week across a DST change starts and ends at local midnight on Monday', () => {
+  const [start, nextReset] = boundaries('weekly', '2025-03-30T12:00:00Z', 'Europe/Madrid')
+
+  assert.equal(start, '2025-03-23T23:00:00.000Z')
+  assert.equal(nextReset, '2025-03-30T22:00:00.000Z')
+  assert.equal(LeaderboardPeriod.getPeriodKey('weekly', new Date('2025-03-30T12:00:00Z'), 'Europe/Madrid'), 'weekly:2025-03-24')
+})
+
+test('periods in a half-hour zone start at local midnight', () => {
+  // 2025-11-02T20:00Z is already Monday 01:30 in Kolkata (UTC+5:30)
+  const date = '2025-11-02T20:00:00Z'
+
+  assert.deepEqual(boundaries('daily', date, 'Asia/Kolkata'), ['2025-11-02T18:30:00.000Z', '2025-11-03T18:30:00.000Z'])
+  assert.deepEqual(boundaries('weekly', date, 'Asia/Kolkata'), ['2025-11-02T18:30:00.000Z', '2025-11-09T18:30:00.000Z'])
+  assert.equal(LeaderboardPeriod.getPeriodKey('daily', new Date(date), 'Asia/Kolkata'), 'daily:2025-11-03')
+})
+
+test('entries count for the period from its first instant up to the reset', () => {
+  const now = new Date('2025-11-02T20:00:00Z')
+
+  assert.equal(LeaderboardPeriod.isInPeriod('2025-11-02T18:29:59Z', 'daily', now, 'Asia/Kolkata'), false)
+  assert.equal(LeaderboardPeriod.isInPeriod('2025-11-02T18:30:00Z', 'daily', now, 'Asia/Kolkata'), true)
+  assert.equal(LeaderboardPeriod.isInPeriod('2025-11-03T18:30:00Z', 'daily', now, 'Asia/Kolkata'), false)
+  assert.equal(LeaderboardPeriod.isInPeriod('2001-01-01T00:00:00Z', 'all-time', now, 'Asia/Kolkata'), true)
+})
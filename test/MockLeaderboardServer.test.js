@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { MockLeaderboardServer } from '../server/MockLeaderboardServer.js'
+import { MemoryScoreStorage } from '../server/ScoreStorage.js'
+import { SessionEnvelope } from '../src/utils/SessionEnvelope.js'
+import { playRecordedSession } from './helpers/headlessGame.js'
+
+const SIGNING_KEY = 'test-signing-key'
+
+let server
+let baseURL
+let session
+
+/**
+ * Submit a score to the mock server
+ * @param {Object} body - Submission body { name, score, session }
+ * @returns {Promise<Object>} { status, data }
+ */
+async function submit(body) {
+  const response = await fetch(`${baseURL}/leaderboard/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  return { status: response.status, data: await response.json() }
+}
+
+before(async () => {
+  server = new MockLeaderboardServer({ port: 0, storage: new MemoryScoreStorage(), signingKey: SIGNING_KEY })
+  baseURL = await server.start()
+  session = await playRecordedSession(4242)
+})
+
+after(async () => {
+  await server.stop()
+})
+
+test('accepts a recorded replay', async () => {
+  assert.ok(session.replay, 'the run records its input log')
+  assert.ok(session.score > 0, 'the scripted run scores points')
+
+  const envelope = await SessionEnvelope.create(session, SIGNING_KEY)
+  const { status, data } = await submit({ name: 'Catrina', score: session.score, session: envelope })
+
+  assert.equal(status, 201)
+  assert.equal(data.entry.score, session.score)
+})
+
+test('stores a copied replay with a new session ID only once', async () => {
+  const copy = await SessionEnvelope.create({ ...session, sessionId: `${session.sessionId}-copy` }, SIGNING_KEY)
+  const { status, data } = await submit({ name: 'Impostor', score: session.score, session: copy })
+
+  assert.equal(status, 200)
+  assert.equal(data.duplicate, true)
+  assert.equal(data.entry.name, 'Catrina')
+})
+
+test('stores two copies of a replay submitted at the same time only once', async () => {
+  const run = await playRecordedSession(777)
+  const first = await SessionEnvelope.create(run, SIGNING_KEY)
+  const second = await SessionEnvelope.create({ ...run, sessionId: `${run.sessionId}-retry` }, SIGNING_KEY)
+
+  const results = await Promise.all([
+    submit({ name: 'Calavera', score: run.score, session: first }),
+    submit({ name: 'Calavera', score: run.score, session: second })
+  ])
+
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 201])
+  assert.equal(results[0].data.entry.id, results[1].data.entry.id)
+})
+
+test('rejects a replay with a bumped score', async () => {
+  const tampered = { ...session, sessionId: `${session.sessionId}-bumped`, score: session.score + 5 }
+  const envelope = await SessionEnvelope.create(tampered, SIGNING_KEY)
+  const { status, data } = await submit({ name: 'Catrina', score: tampered.score, session: envelope })
+
+  assert.equal(status, 422)
+  assert.equal(data.error, 'Score rejected')
+})
+
+test('rejects a session with a bad signature', async () => {
+  const envelope = await SessionEnvelope.create({ ...session, sessionId: `${session.sessionId}-forged` }, 'another-key')
+  const { status, data } = await submit({ name: 'Catrina', score: session.score, session: envelope })
+
+  assert.equal(status, 422)
+  assert.equal(data.reason, 'Invalid session signature')
+})
+
+test('rejects a session without an input log', async () => {
+  const envelope = await SessionEnvelope.create({ ...session, sessionId: `${session.sessionId}-no-replay`, replay: null }, SIGNING_KEY)
+  const { status, data } = await submit({ name: 'Catrina', score: session.score, session: envelope })
+
+  assert.equal(status, 422)
+  assert.equal(data.reason, 'Input log is required')
+})
+
+test('rejects an input log that does not play out to the score', async () => {
+  // Standing still for the whole run delivers nothing
+  const ticks = session.replay.inputs.reduce((total, input) => total + input[2], 0)
+  const replay = { ...session.replay, inputs: [[0, 0, ticks]] }
+  const envelope = await SessionEnvelope.create({ ...session, sessionId: `${session.sessionId}-idle`, replay }, SIGNING_KEY)
+  const { status, data } = await submit({ name: 'Catrina', score: session.score, session: envelope })
+
+  assert.equal(status, 422)
+  assert.match(data.reason, /^Simulated score/)
+})
+
+test('answers an oversized body with 413 instead of dropping the connection', async () => {
+  const response = await fetch(`${baseURL}/leaderboard/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Catrina', score: 1, padding: 'x'.repeat(2 * 1024 * 1024) })
+  })
+
+  assert.equal(response.status, 413)
+  assert.deepEqual(await response.json(), { error: 'Request body too large' })
+})
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { PlayerRank, MAX_RANK_NEIGHBORS } from '../src/utils/PlayerRank.js'
+
+// Listed out of order on purpose: compute sorts by score, then by date
+const ENTRIES = [
+  { id: 'd', name: 'Dolores', score: 5, createdAt: '2025-11-01T10:00:00.000Z' },
+  { id: 'c', name: 'Catrina', score: 8, createdAt: '2025-11-01T09:00:00.000Z' },
+  { id: 'a', name: 'Alebrije', score: 10, createdAt: '2025-11-01T12:00:00.000Z' },
+  { id: 'b', name: 'Bruja', score: 8, createdAt: '2025-11-01T08:00:00.000Z' }
+]
+
+/**
+ * Get the IDs and ranks of a list of neighbours
+ * @param {Array} neighbors - Neighbour entries with their rank
+ * @returns {Array<string>} Entries as 'id:rank'
+ */
+function ranks(neighbors) {
+  return neighbors.map(entry => `${entry.id}:${entry.rank}`)
+}
+
+test('the only score on an empty board is first', () => {
+  const position = PlayerRank.compute([], 3)
+
+  assert.deepEqual(position, { rank: 1, total: 1, percentile: 100, above: [], below: [] })
+  assert.ok(PlayerRank.isValid(position))
+})
+
+test('a tied score ranks after the scores already stored', () => {
+  const position = PlayerRank.compute(ENTRIES, 8)
+
+  assert.equal(position.rank, 4)
+  assert.equal(position.total, 5)
+  assert.equal(position.percentile, 25)
+  assert.deepEqual(ranks(position.above), ['b:2', 'c:3'])
+  assert.deepEqual(ranks(position.below), ['d:5'])
+})
+
+test('the lowest score is last with no one below', () => {
+  const position = PlayerRank.compute(ENTRIES, 1, { neighbors: 3 })
+
+  assert.equal(position.rank, 5)
+  assert.equal(position.percentile, 0)
+  assert.deepEqual(ranks(position.above), ['b:2', 'c:3', 'd:4'])
+  assert.deepEqual(position.below, [])
+})
+
+test('the player\'s own entry is left out with excludeId', () => {
+  const own = { id: 'me', name: 'Yo', score: 9, createdAt: '2025-11-01T07:00:00.000Z' }
+  const withOwn = [...ENTRIES, own]
+
+  assert.equal(PlayerRank.compute(withOwn, 9).rank, 3, 'the stored copy ties ahead of the score')
+  assert.deepEqual(PlayerRank.compute(withOwn, 9, { excludeId: 'me' }), PlayerRank.compute(ENTRIES, 9))
+  assert.equal(PlayerRank.compute(withOwn, 9, { excludeId: 'me' }).rank, 2)
+})
+
+test('the neighbour count is clamped', () => {
+  assert.equal(PlayerRank.clampNeighbors(50), MAX_RANK_NEIGHBORS)
+  assert.equal(PlayerRank.clampNeighbors(-1), 0)
+  assert.equal(PlayerRank.compute(ENTRIES, 8, { neighbors: 0 }).above.length, 0)
+})
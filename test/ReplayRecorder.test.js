@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ReplayRecorder, REPLAY_FORMAT_VERSION } from '../src/utils/ReplayRecorder.js'
+import { createHeadlessGame, playToEnd } from './helpers/headlessGame.js'
+
+test('replays an exported run to the same score', async () => {
+  const { gameEngine, dispose } = createHeadlessGame()
+
+  try {
+    await gameEngine.startGame(4242)
+    playToEnd(gameEngine)
+    const recordedScore = gameEngine.getScore()
+    assert.ok(recordedScore > 0, 'the scripted run scores points')
+
+    const json = gameEngine.exportReplay()
+    const replay = gameEngine.importReplay(json)
+    assert.equal(replay.version, REPLAY_FORMAT_VERSION)
+    assert.ok(ReplayRecorder.isValidReplay(replay))
+
+    await gameEngine.startReplay(replay)
+    playToEnd(gameEngine)
+
+    const result = gameEngine.getLastReplayResult()
+    assert.equal(result.score, recordedScore)
+    assert.equal(result.matches, true)
+  } finally {
+    dispose()
+  }
+})
+
+test('rejects replays from another format version', () => {
+  const recorder = new ReplayRecorder()
+  recorder.startRecording(7)
+  recorder.recordInput({ x: 0.5, z: -1 })
+  recorder.recordInput({ x: 0.5, z: -1 })
+  const replay = recorder.stopRecording({ score: 0 })
+
+  assert.ok(ReplayRecorder.isValidReplay(replay))
+  assert.deepEqual(ReplayRecorder.fromJSON(ReplayRecorder.toJSON(replay)), replay)
+
+  for (const version of [1, 3]) {
+    const other = { ...replay, version }
+    assert.equal(ReplayRecorder.isValidReplay(other), false)
+    assert.throws(() => ReplayRecorder.fromJSON(ReplayRecorder.toJSON(other)), /Invalid replay data/)
+  }
+})
@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { FileScoreStorage, MemoryScoreStorage } from '../server/ScoreStorage.js'
+
+test('adds an entry only once when any key field matches', async () => {
+  const storage = new MemoryScoreStorage()
+  const keyFields = ['replayHash', 'sessionId']
+
+  const first = await storage.addUniqueEntry({ id: 'a', replayHash: 'hash', sessionId: 'one' }, keyFields)
+  const second = await storage.addUniqueEntry({ id: 'b', replayHash: 'hash', sessionId: 'two' }, keyFields)
+  const third = await storage.addUniqueEntry({ id: 'c', replayHash: null, sessionId: null }, keyFields)
+
+  assert.equal(first.duplicate, false)
+  assert.equal(second.duplicate, true)
+  assert.equal(second.entry.id, 'a')
+  assert.equal(third.duplicate, false, 'missing keys never match')
+  assert.equal((await storage.getEntries()).length, 2)
+})
+
+test('writes every entry to disk when saves overlap', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'leaderboard-'))
+  const filePath = path.join(directory, 'leaderboard.json')
+
+  try {
+    const storage = new FileScoreStorage(filePath)
+    await storage.load()
+    await Promise.all(Array.from({ length: 5 }, (_, index) => storage.addEntry({ id: `entry-${index}` })))
+
+    const reloaded = new FileScoreStorage(filePath)
+    assert.equal(await reloaded.load(), 5)
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true })
+  }
+})
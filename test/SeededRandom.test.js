@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SeededRandom } from '../src/utils/SeededRandom.js'
+
+/**
+ * Draw a number of values from a generator
+ * @param {SeededRandom} random - Generator to draw from
+ * @param {number} count - Number of values
+ * @returns {Array<number>} Drawn values
+ */
+function draw(random, count = 20) {
+  return Array.from({ length: count }, () => random.next())
+}
+
+test('the same seed gives the same sequence', () => {
+  const first = draw(new SeededRandom(12345))
+  const second = draw(new SeededRandom(12345))
+
+  assert.deepEqual(first, second)
+  assert.ok(first.every(value => value >= 0 && value < 1))
+  assert.notDeepEqual(draw(new SeededRandom(54321)), first, 'another seed gives another sequence')
+})
+
+test('setSeed restarts the sequence', () => {
+  const random = new SeededRandom(2024)
+  const sequence = draw(random)
+
+  random.setSeed(2024)
+  assert.deepEqual(draw(random), sequence)
+  assert.equal(random.getSeed(), 2024)
+})
+
+test('a saved state resumes the sequence from the same point', () => {
+  const random = new SeededRandom(99)
+  draw(random, 5)
+  const state = random.getState()
+  const rest = draw(random)
+
+  const resumed = new SeededRandom(1)
+  resumed.setState(state)
+  assert.deepEqual(draw(resumed), rest)
+})
@@ -0,0 +1,95 @@
+import * as THREE from 'three'
+import { GameEngine } from '../../src/engine/GameEngine.js'
+import { PlayerController } from '../../src/components/PlayerController.js'
+import { SoulManager } from '../../src/components/SoulManager.js'
+import { HazardManager } from '../../src/components/HazardManager.js'
+import { PowerUpManager } from '../../src/components/PowerUpManager.js'
+import { CollisionDetector } from '../../src/components/CollisionDetector.js'
+import { SeededRandom } from '../../src/utils/SeededRandom.js'
+
+/**
+ * Create a game engine without a renderer, steered by a script that takes the skull
+ * towards the nearest soul and back to the altar once it carries a few
+ * @returns {Object} { gameEngine, dispose }
+ */
+export function createHeadlessGame() {
+  const scene = new THREE.Scene()
+  const renderEngine = {
+    getScene: () => scene,
+    addToScene: (object) => scene.add(object),
+    removeFromScene: (object) => scene.remove(object)
+  }
+
+  const playerController = new PlayerController(renderEngine)
+  playerController.init()
+  const soulManager = new SoulManager(renderEngine, new SeededRandom())
+  const hazardManager = new HazardManager(renderEngine, new SeededRandom())
+  const powerUpManager = new PowerUpManager(renderEngine, new SeededRandom())
+  const collisionDetector = new CollisionDetector()
+
+  const inputManager = {
+    getInputVector: () => {
+      const position = playerController.getPosition()
+      let target = { x: 0, z: 0 } // The altar
+
+      if (playerController.getCarriedSoulCount() < 3) {
+        let nearest = Infinity
+        for (const soul of soulManager.getActiveSouls().values()) {
+          const distance = soul.position.distanceTo(position)
+          if (!soul.getIsCollected() && distance < nearest) {
+            nearest = distance
+            target = soul.position
+          }
+        }
+      }
+
+      const x = target.x - position.x
+      const z = target.z - position.z
+      const length = Math.hypot(x, z) || 1
+      return { x: x / length, z: z / length }
+    },
+    isRestartPressed: () => false
+  }
+
+  const gameEngine = new GameEngine()
+  gameEngine.init({ renderEngine, playerController, soulManager, hazardManager, powerUpManager, collisionDetector, inputManager })
+
+  return {
+    gameEngine,
+    dispose: () => {
+      gameEngine.dispose()
+      playerController.dispose()
+      soulManager.dispose()
+      hazardManager.dispose()
+      powerUpManager.dispose()
+      collisionDetector.dispose()
+    }
+  }
+}
+
+/**
+ * Step a started run until it ends
+ * @param {GameEngine} gameEngine - Engine with a run in progress
+ */
+export function playToEnd(gameEngine) {
+  while (gameEngine.getCurrentState() === 'playing') {
+    gameEngine.step()
+  }
+}
+
+/**
+ * Play a timed run headlessly and return its session data (with the input log)
+ * @param {number} seed - Run seed
+ * @returns {Promise<Object>} Session data from GameEngine.getSessionData()
+ */
+export async function playRecordedSession(seed) {
+  const { gameEngine, dispose } = createHeadlessGame()
+
+  await gameEngine.startGame(seed)
+  playToEnd(gameEngine)
+
+  const session = gameEngine.getSessionData()
+  dispose()
+
+  return session
+}